@@ -12,14 +12,29 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const config = require('./config');
 const logger = require('./utils/logger');
-
+const repositories = require('./repositories');
+const { API_KEY_SCOPES } = require('./models');
+const { projectParamSchema } = require('./validation/schemas');
+const { validateParams } = require('./middleware/validation');
+const { scopeToProject } = require('./middleware/project');
+const { authenticate, requireScope } = require('./middleware/auth');
+const { recordRequestMetrics } = require('./middleware/metrics');
+const ChangeScheduler = require('./services/ChangeScheduler');
+const { evaluationEvents, flagUsage } = require('./services/events');
+const MetricsController = require('./controllers/MetricsController');
 
 // Import routes
 const featureFlagsRouter = require('./routes/featureFlags');
+const segmentsRouter = require('./routes/segments');
+const evaluationRouter = require('./routes/evaluation');
+const apiKeysRouter = require('./routes/apiKeys');
+const usersRouter = require('./routes/users');
+const auditLogRouter = require('./routes/auditLog');
 
 class Application {
   constructor() {
     this.app = express();
+    this.scheduler = new ChangeScheduler();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -39,10 +54,16 @@ class Application {
     this.app.use(cors({
       origin: config.cors.origin,
       credentials: config.cors.credentials,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+      exposedHeaders: ['ETag', 'X-Request-ID']
     }));
 
+    // Request metrics, served at /metrics
+    if (config.metrics.enabled) {
+      this.app.use(recordRequestMetrics);
+    }
+
     // Request logging
     this.app.use(morgan('combined', {
       stream: {
@@ -50,8 +71,11 @@ class Application {
       }
     }));
 
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Body parsing, including the JSON Patch and JSON Merge Patch media types
+    this.app.use(express.json({
+      limit: '10mb',
+      type: ['application/json', 'application/json-patch+json', 'application/merge-patch+json']
+    }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Request ID middleware for tracing
@@ -77,8 +101,36 @@ class Application {
       });
     });
 
-    // API routes
-    this.app.use('/api/v1/feature-flags', featureFlagsRouter);
+    // Prometheus metrics endpoint; metrics span every project, so only keys
+    // of the default project or the bootstrap key can read them
+    if (config.metrics.enabled) {
+      const metricsController = new MetricsController();
+      this.app.get(
+        '/metrics',
+        scopeToProject,
+        authenticate,
+        requireScope(API_KEY_SCOPES.METRICS),
+        metricsController.getMetrics.bind(metricsController)
+      );
+    }
+
+    // API routes, served per project and, unscoped, for the default project
+    const apiRouter = express.Router();
+    apiRouter.use(authenticate);
+    apiRouter.use('/feature-flags', featureFlagsRouter);
+    apiRouter.use('/segments', segmentsRouter);
+    apiRouter.use('/evaluate', evaluationRouter);
+    apiRouter.use('/api-keys', apiKeysRouter);
+    apiRouter.use('/users', usersRouter);
+    apiRouter.use('/audit-log', auditLogRouter);
+
+    this.app.use(
+      '/api/v1/projects/:projectId',
+      validateParams(projectParamSchema),
+      scopeToProject,
+      apiRouter
+    );
+    this.app.use('/api/v1', scopeToProject, apiRouter);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -88,7 +140,14 @@ class Application {
         description: 'A production-ready microservice for feature flag management',
         endpoints: {
           health: '/health',
+          metrics: '/metrics',
           api: '/api/v1/feature-flags',
+          segments: '/api/v1/segments',
+          evaluate: '/api/v1/evaluate',
+          apiKeys: '/api/v1/api-keys',
+          users: '/api/v1/users',
+          auditLog: '/api/v1/audit-log',
+          projects: '/api/v1/projects/:projectId/feature-flags'
         },
         timestamp: new Date().toISOString()
       });
@@ -137,6 +196,8 @@ class Application {
    * Start the server
    */
   async start() {
+    await this.checkAuthentication();
+
     return new Promise((resolve, reject) => {
       try {
         this.server = this.app.listen(config.server.port, config.server.host, () => {
@@ -145,6 +206,12 @@ class Application {
             host: config.server.host,
             environment: config.server.environment,
           });
+
+          if (config.scheduler.enabled) {
+            this.scheduler.start();
+          }
+          evaluationEvents.start();
+          flagUsage.start();
           resolve();
         });
 
@@ -164,18 +231,45 @@ class Application {
     });
   }
 
+  /**
+   * Make sure the API can be used with authentication on
+   * In production, starting without any way to authenticate is an error
+   * rather than a service nobody can administer.
+   */
+  async checkAuthentication() {
+    if (!config.auth.enabled) {
+      logger.warn('Authentication is disabled; every API route is public');
+      return;
+    }
+
+    if (config.auth.bootstrapAdminKey || await repositories.apiKeyRepository.hasActiveKeys()) {
+      return;
+    }
+
+    const message = 'Authentication is enabled, but there is no BOOTSTRAP_ADMIN_KEY and no stored API key';
+    if (config.server.environment === 'production') {
+      throw new Error(message);
+    }
+    logger.warn(`${message}; set BOOTSTRAP_ADMIN_KEY to create the first keys`);
+  }
+
   /**
    * Graceful shutdown
    */
   async shutdown() {
     logger.info('Shutting down server...');
-    
+    await this.scheduler.stop();
+    await evaluationEvents.close();
+    await flagUsage.close();
+
     if (this.server) {
-      this.server.close(() => {
+      this.server.close(async () => {
+        await repositories.adapter.close();
         logger.info('Server shut down successfully');
         process.exit(0);
       });
     } else {
+      await repositories.adapter.close();
       process.exit(0);
     }
   }
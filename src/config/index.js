@@ -25,9 +25,61 @@ const config = {
   // Feature flag configuration
   featureFlags: {
     maxRulesPerFlag: parseInt(process.env.MAX_RULES_PER_FLAG, 10) || 10,
+    maxRuleDepth: parseInt(process.env.MAX_RULE_DEPTH, 10) || 3,
+    environments: (process.env.FLAG_ENVIRONMENTS || 'development,staging,production')
+      .split(',')
+      .map(environment => environment.trim())
+      .filter(Boolean),
+    // Turning flags on or off here requires the owner role
+    productionEnvironment: process.env.PRODUCTION_ENVIRONMENT || 'production',
     evaluationTimeout: parseInt(process.env.EVALUATION_TIMEOUT, 10) || 1000
   },
 
+  // Storage configuration
+  storage: {
+    type: process.env.STORAGE_TYPE || 'memory',
+    filePath: process.env.STORAGE_FILE_PATH || 'data/feature-flags.json',
+    sqlitePath: process.env.STORAGE_SQLITE_PATH || 'data/feature-flags.db'
+  },
+
+  // Scheduled flag changes; with shared storage, enable the scheduler on
+  // one instance only
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 10000
+  },
+
+  // Prometheus metrics served at /metrics to keys with the metrics scope
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false'
+  },
+
+  // Evaluation events, delivered in batches to the listed sinks
+  // (memory, file, webhook); no sinks turns them off
+  evaluationEvents: {
+    sinks: (process.env.EVALUATION_EVENT_SINKS || '')
+      .split(',')
+      .map(sink => sink.trim())
+      .filter(Boolean),
+    sampleRate: process.env.EVALUATION_EVENT_SAMPLE_RATE
+      ? parseFloat(process.env.EVALUATION_EVENT_SAMPLE_RATE)
+      : 1,
+    batchSize: parseInt(process.env.EVALUATION_EVENT_BATCH_SIZE, 10) || 100,
+    flushIntervalMs: parseInt(process.env.EVALUATION_EVENT_FLUSH_INTERVAL_MS, 10) || 5000,
+    maxQueueSize: parseInt(process.env.EVALUATION_EVENT_MAX_QUEUE_SIZE, 10) || 10000,
+    memoryCapacity: parseInt(process.env.EVALUATION_EVENT_MEMORY_CAPACITY, 10) || 1000,
+    filePath: process.env.EVALUATION_EVENT_FILE_PATH || 'data/evaluation-events.ndjson',
+    webhookUrl: process.env.EVALUATION_EVENT_WEBHOOK_URL || null,
+    webhookTimeoutMs: parseInt(process.env.EVALUATION_EVENT_WEBHOOK_TIMEOUT_MS, 10) || 5000
+  },
+
+  // API key authentication, on unless explicitly turned off
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    // Admin key accepted on every project, used to create the first stored keys
+    bootstrapAdminKey: process.env.BOOTSTRAP_ADMIN_KEY || null
+  },
+
   // CORS configuration
   cors: {
     origin: process.env.CORS_ORIGIN || '*',
@@ -53,6 +105,55 @@ function validateConfig() {
     errors.push('maxRulesPerFlag must be at least 1');
   }
 
+  if (config.featureFlags.maxRuleDepth < 1) {
+    errors.push('maxRuleDepth must be at least 1');
+  }
+
+  if (config.featureFlags.environments.length === 0) {
+    errors.push('At least one flag environment must be configured');
+  }
+
+  if (!config.featureFlags.environments.includes(config.featureFlags.productionEnvironment)) {
+    errors.push('productionEnvironment must be one of the flag environments');
+  }
+
+  if (config.scheduler.intervalMs < 100) {
+    errors.push('scheduler intervalMs must be at least 100');
+  }
+
+  if (!['memory', 'file', 'sqlite'].includes(config.storage.type)) {
+    errors.push('Invalid storage type');
+  }
+
+  // Without a bootstrap key, in-memory storage starts without any key to
+  // authenticate with; persistent storage is checked on startup
+  if (config.server.environment === 'production' && config.auth.enabled &&
+      !config.auth.bootstrapAdminKey && config.storage.type === 'memory') {
+    errors.push('auth bootstrapAdminKey is required in production when API keys are kept in memory');
+  }
+
+  const events = config.evaluationEvents;
+
+  if (events.sinks.some(sink => !['memory', 'file', 'webhook'].includes(sink))) {
+    errors.push('Invalid evaluation event sink');
+  }
+
+  if (!(events.sampleRate >= 0 && events.sampleRate <= 1)) {
+    errors.push('evaluationEvents sampleRate must be between 0 and 1');
+  }
+
+  if (events.flushIntervalMs < 100) {
+    errors.push('evaluationEvents flushIntervalMs must be at least 100');
+  }
+
+  if (events.maxQueueSize < events.batchSize) {
+    errors.push('evaluationEvents maxQueueSize must be at least batchSize');
+  }
+
+  if (events.sinks.includes('webhook') && !/^https?:\/\//.test(events.webhookUrl || '')) {
+    errors.push('evaluationEvents webhookUrl must be an http(s) URL when the webhook sink is used');
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
   }
@@ -0,0 +1,229 @@
+/**
+ * API Key Controller
+ *
+ * Handles HTTP requests for managing the API keys of a project. The key
+ * itself is only returned when it is created or rotated.
+ */
+
+const { ApiKey } = require('../models');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+
+class ApiKeyController {
+  constructor({
+    repository = repositories.apiKeyRepository,
+    userRepository = repositories.userRepository
+  } = {}) {
+    this.repository = repository;
+    this.userRepository = userRepository;
+    this.logger = logger.child({ component: 'ApiKeyController' });
+  }
+
+  /**
+   * Create a new API key
+   */
+  async createApiKey(req, res) {
+    try {
+      this.logger.info('Creating API key', {
+        projectId: req.projectId,
+        name: req.body.name,
+        scope: req.body.scope
+      });
+
+      if (req.body.userId && !await this.userRepository.findById(req.body.userId, req.projectId)) {
+        throw new Error(`User with ID ${req.body.userId} not found`);
+      }
+
+      const apiKey = new ApiKey({ ...req.body, projectId: req.projectId });
+      const key = apiKey.generateKey();
+      const createdKey = await this.repository.create(apiKey);
+
+      res.status(201).json({
+        success: true,
+        data: { ...createdKey.toJSON(), key },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to create API key', {
+        error: error.message,
+        name: req.body.name
+      });
+
+      res.status(400).json({
+        error: 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Get an API key by ID
+   */
+  async getApiKey(req, res) {
+    try {
+      const apiKey = await this.repository.findById(req.params.id, req.projectId);
+
+      if (!apiKey) {
+        return this._notFound(req, res, req.params.id);
+      }
+
+      res.json({
+        success: true,
+        data: apiKey.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to get API key', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * List the API keys of the project with pagination
+   */
+  async listApiKeys(req, res) {
+    try {
+      const { limit, offset } = req.query;
+      const options = { ...req.query, projectId: req.projectId };
+
+      const [apiKeys, total] = await Promise.all([
+        this.repository.list(options),
+        this.repository.count(options)
+      ]);
+
+      res.json({
+        success: true,
+        data: apiKeys.map(apiKey => apiKey.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list API keys', {
+        error: error.message,
+        query: req.query
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Replace an API key's key; the previous key stops working immediately
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Rotating API key', { id });
+
+      const apiKey = await this.repository.findById(id, req.projectId);
+
+      if (!apiKey) {
+        return this._notFound(req, res, id);
+      }
+
+      if (apiKey.isRevoked()) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `API key ${id} is revoked and cannot be rotated`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const key = apiKey.generateKey();
+      const rotatedKey = await this.repository.update(id, apiKey);
+
+      res.json({
+        success: true,
+        data: { ...rotatedKey.toJSON(), key },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to rotate API key', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * The key stays listed with its revocation time but is no longer accepted.
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Revoking API key', { id });
+
+      const apiKey = await this.repository.findById(id, req.projectId);
+
+      if (!apiKey) {
+        return this._notFound(req, res, id);
+      }
+
+      if (!apiKey.isRevoked()) {
+        apiKey.revoke();
+        await this.repository.update(id, apiKey);
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to revoke API key', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Send a 404 response for an unknown API key
+   */
+  _notFound(req, res, id) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `API key with ID ${id} not found`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  /**
+   * Send a generic 500 response
+   */
+  _internalError(req, res) {
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,133 @@
+/**
+ * Audit Log Controller
+ *
+ * Handles HTTP requests for querying the audit log of feature flag changes,
+ * across a project or for a single flag.
+ */
+
+const repositories = require('../repositories');
+const { PERMISSIONS } = require('../models');
+const AccessControlService = require('../services/AccessControlService');
+const logger = require('../utils/logger');
+
+class AuditLogController {
+  constructor({
+    repository = repositories.auditLogRepository,
+    featureFlagRepository = repositories.featureFlagRepository
+  } = {}) {
+    this.repository = repository;
+    this.featureFlagRepository = featureFlagRepository;
+    this.accessControl = new AccessControlService();
+    this.logger = logger.child({ component: 'AuditLogController' });
+  }
+
+  /**
+   * List the project's audit log entries, newest first, with filters
+   */
+  async listAuditEntries(req, res) {
+    try {
+      this.logger.debug('Listing audit entries', { projectId: req.projectId, query: req.query });
+
+      await this._sendEntries(req, res, { ...req.query, projectId: req.projectId });
+
+    } catch (error) {
+      this.logger.error('Failed to list audit entries', {
+        error: error.message,
+        query: req.query
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * List the change history of a feature flag, newest first
+   * The history stays available after the flag has been deleted. Reading
+   * it takes the read permission on the flag, so flag-specific roles apply.
+   */
+  async getFeatureFlagHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.debug('Getting feature flag history', { id, projectId: req.projectId });
+
+      const options = { ...req.query, projectId: req.projectId, featureFlagId: id };
+      const featureFlag = await this.featureFlagRepository.findById(id, req.projectId);
+      const known = featureFlag ||
+        await this.repository.count({ projectId: req.projectId, featureFlagId: id }) > 0;
+
+      if (!known) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      // Roles given on a deleted flag still apply to its history
+      if (!this.accessControl.can(req.user, PERMISSIONS.READ, featureFlag || { id })) {
+        const role = req.user.getRole(id);
+
+        this.logger.warn('Permission denied', { principal: req.principal, permission: PERMISSIONS.READ, role, featureFlagId: id });
+
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: `Role '${role}' does not allow '${PERMISSIONS.READ}' on feature flag ${id}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      await this._sendEntries(req, res, options);
+
+    } catch (error) {
+      this.logger.error('Failed to get feature flag history', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Send a page of audit log entries
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - Filters and pagination for the repository
+   */
+  async _sendEntries(req, res, options) {
+    const { limit, offset } = options;
+    const [entries, total] = await Promise.all([
+      this.repository.list(options),
+      this.repository.count(options)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => entry.toJSON()),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a generic 500 response
+   */
+  _internalError(req, res) {
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+}
+
+module.exports = AuditLogController;
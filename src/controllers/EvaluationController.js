@@ -0,0 +1,185 @@
+/**
+ * Evaluation Controller
+ *
+ * Handles bulk evaluation of many feature flags for one or more user
+ * contexts in a single request.
+ */
+
+const { EvaluationContext, EVALUATION_REASONS } = require('../models');
+const repositories = require('../repositories');
+const FeatureEvaluationEngine = require('../services/FeatureEvaluationEngine');
+const { evaluationEvents, flagUsage } = require('../services/events');
+const logger = require('../utils/logger');
+
+class EvaluationController {
+  constructor({
+    repository = repositories.featureFlagRepository,
+    segmentRepository = repositories.segmentRepository,
+    events = evaluationEvents,
+    usage = flagUsage
+  } = {}) {
+    this.repository = repository;
+    this.segmentRepository = segmentRepository;
+    this.evaluationEngine = new FeatureEvaluationEngine({ events, usage });
+    this.logger = logger.child({ component: 'EvaluationController' });
+  }
+
+  /**
+   * Evaluate all selected feature flags of the request's project for one
+   * context, or for each context of a `contexts` array
+   * Requested flags that don't exist are answered as off, with the reason
+   * FLAG_NOT_FOUND, and listed in `notFound`. With `explain`, each result
+   * traces the prerequisites and rules considered.
+   */
+  async evaluateAll(req, res) {
+    try {
+      const { flags: flagKeys, tags, contexts } = req.body;
+      const { explain } = req.query;
+
+      this.logger.debug('Evaluating feature flags in bulk', {
+        projectId: req.projectId,
+        flags: flagKeys,
+        tags,
+        contextCount: contexts ? contexts.length : 1
+      });
+
+      const { flags, notFound } = await this._selectFlags(req.projectId, flagKeys, tags);
+      const prerequisites = await this._loadPrerequisites(flags);
+      const segments = await this._loadSegments(req.projectId, [...flags, ...prerequisites.values()]);
+
+      const data = contexts
+        ? contexts.map(contextData => ({
+          userId: contextData.userId,
+          tenantId: contextData.tenantId,
+          ...(contextData.environment && { environment: contextData.environment }),
+          flags: this._evaluateFlags(flags, contextData, segments, prerequisites, { explain, notFound })
+        }))
+        : this._evaluateFlags(flags, req.body, segments, prerequisites, { explain, notFound });
+
+      res.json({
+        success: true,
+        data,
+        ...(notFound.length > 0 && { notFound }),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to evaluate feature flags in bulk', {
+        error: error.message,
+        body: req.body
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Evaluate flags for one context
+   * @param {Array<FeatureFlag>} flags - Flags to evaluate
+   * @param {Object} contextData - userId, tenantId, environment and additionalData
+   * @param {Map<string, Segment>} segments - Resolved segments
+   * @param {Map<string, FeatureFlag>} prerequisites - Resolved prerequisite flags
+   * @param {Object} options - Evaluation options
+   * @param {boolean} options.explain - Trace each evaluation
+   * @param {Array<string>} options.notFound - Requested flag keys that don't exist
+   * @returns {Object} - Results keyed by flag name
+   */
+  _evaluateFlags(flags, contextData, segments, prerequisites, { explain, notFound }) {
+    const context = new EvaluationContext({
+      userId: contextData.userId,
+      tenantId: contextData.tenantId,
+      environment: contextData.environment,
+      additionalData: contextData.additionalData,
+      segments,
+      flags: prerequisites
+    });
+
+    const results = this.evaluationEngine.evaluateBatch(flags, context, { explain });
+
+    const evaluated = flags.reduce((map, flag, index) => {
+      const result = results[index];
+      map[flag.name] = {
+        enabled: result.enabled,
+        variant: result.variant,
+        ...(flag.isMultivariate() && { payload: result.payload }),
+        reason: result.reason,
+        ...(result.trace && { trace: result.trace })
+      };
+      return map;
+    }, {});
+
+    return notFound.reduce((map, key) => {
+      map[key] = { enabled: false, variant: null, reason: { kind: EVALUATION_REASONS.FLAG_NOT_FOUND } };
+      return map;
+    }, evaluated);
+  }
+
+  /**
+   * Resolve the flags to evaluate
+   * Explicit keys may be flag names or IDs; tags select flags carrying any
+   * of them. Without either, every flag of the project is evaluated.
+   * @param {string} projectId - The project of the request
+   * @param {Array<string>} [flagKeys] - Flag names or IDs
+   * @param {Array<string>} [tags] - Tags to filter by
+   * @returns {Promise<Object>} - Selected flags and unknown keys
+   */
+  async _selectFlags(projectId, flagKeys, tags) {
+    let flags;
+    const notFound = [];
+
+    if (flagKeys) {
+      flags = [];
+      for (const key of flagKeys) {
+        const flag = await this.repository.findById(key, projectId) ||
+          await this.repository.findByName(key, projectId);
+        if (flag) {
+          flags.push(flag);
+        } else {
+          notFound.push(key);
+        }
+      }
+    } else {
+      flags = await this.repository.findAll(projectId);
+    }
+
+    if (tags) {
+      flags = flags.filter(flag => flag.hasAnyTag(tags));
+    }
+
+    return { flags, notFound };
+  }
+
+  /**
+   * Resolve the prerequisites of any of the flags, and theirs in turn
+   * @param {Array<FeatureFlag>} flags - Flags to evaluate
+   * @returns {Promise<Map<string, FeatureFlag>>} - Prerequisite flags keyed by ID
+   */
+  async _loadPrerequisites(flags) {
+    const prerequisites = new Map();
+    for (const flag of flags) {
+      for (const [id, prerequisite] of await this.repository.findPrerequisites(flag)) {
+        prerequisites.set(id, prerequisite);
+      }
+    }
+    return prerequisites;
+  }
+
+  /**
+   * Resolve the segments referenced by any of the flags
+   * @param {string} projectId - The project of the request
+   * @param {Array<FeatureFlag>} flags - Flags to evaluate
+   * @returns {Promise<Map<string, Segment>>} - Segments keyed by ID
+   */
+  async _loadSegments(projectId, flags) {
+    const segmentIds = [...new Set(flags.flatMap(flag => flag.getSegmentIds()))];
+    const segments = await this.segmentRepository.findByIds(segmentIds, projectId);
+    return new Map(segments.map(segment => [segment.id, segment]));
+  }
+}
+
+module.exports = EvaluationController;
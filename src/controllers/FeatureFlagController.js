@@ -6,16 +6,136 @@
  * and response formatting.
  */
 
-const { FeatureFlag, TenantRule, UserRule, PercentageRule } = require('../models');
-const FeatureFlagRepository = require('../repositories/FeatureFlagRepository');
+const {
+  FeatureFlag,
+  Rule,
+  TenantRule,
+  UserRule,
+  PercentageRule,
+  ScheduledChange,
+  RolloutPlan,
+  FlagUsage,
+  RULE_TYPES,
+  EVALUATION_REASONS,
+  SCHEDULED_CHANGE_STATUSES,
+  ROLLOUT_PLAN_STATUSES,
+  CLEANUP_REASONS
+} = require('../models');
+const config = require('../config');
+const repositories = require('../repositories');
+const { updateFeatureFlagSchema } = require('../validation/schemas');
+const { formatETag, parseIfMatch } = require('../utils/etag');
+const { applyJsonPatch, applyMergePatch } = require('../utils/jsonPatch');
+const { systemClock } = require('../utils/clock');
 const FeatureEvaluationEngine = require('../services/FeatureEvaluationEngine');
-const { EvaluationContext } = require('../models');
+const AccessControlService = require('../services/AccessControlService');
+const RolloutPlanService = require('../services/RolloutPlanService');
+const { evaluationEvents, flagUsage } = require('../services/events');
+const { EvaluationContext, PERMISSIONS } = require('../models');
 const logger = require('../utils/logger');
 
+// The fields of a flag that updates can change
+const SETTINGS_FIELDS = [
+  'name',
+  'description',
+  'enabled',
+  'tags',
+  'rules',
+  'variants',
+  'defaultVariant',
+  'salt',
+  'environments',
+  'prerequisites'
+];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - The value
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Convert stored rules back to the form accepted by the API
+ * Stored rules carry their ID and creation time, and nested rules the
+ * default effect and priority, none of which can be given in a request.
+ * Values that are not rules are returned as they are, for validation to
+ * reject.
+ * @param {Object} rule - A rule's plain object form
+ * @param {boolean} [nested] - Whether the rule is nested in a composite
+ * @returns {Object} - The rule as request input
+ */
+function toRuleInput(value, nested = false) {
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const { id, createdAt, ...rule } = value;
+  if (nested) {
+    delete rule.effect;
+    delete rule.priority;
+  }
+  if (Array.isArray(rule.rules)) {
+    rule.rules = rule.rules.map(child => toRuleInput(child, true));
+  }
+  return rule;
+}
+
+/**
+ * Convert a list of stored rules to request input
+ * @param {*} rules - The rules
+ * @returns {*} - The rules as request input
+ */
+function toRulesInput(rules) {
+  return Array.isArray(rules) ? rules.map(rule => toRuleInput(rule)) : rules;
+}
+
+/**
+ * Convert flag settings with stored rules to update request input
+ * @param {Object} settings - Flag settings, as picked from a snapshot
+ * @returns {Object} - The settings as request input
+ */
+function toUpdateInput(settings) {
+  const { environments } = settings;
+
+  return {
+    ...settings,
+    rules: toRulesInput(settings.rules),
+    environments: isPlainObject(environments)
+      ? Object.fromEntries(Object.entries(environments).map(([name, overrides]) => [
+        name,
+        isPlainObject(overrides) && overrides.rules
+          ? { ...overrides, rules: toRulesInput(overrides.rules) }
+          : overrides
+      ]))
+      : environments
+  };
+}
+
 class FeatureFlagController {
-  constructor() {
-    this.repository = new FeatureFlagRepository();
-    this.evaluationEngine = new FeatureEvaluationEngine();
+  constructor({
+    repository = repositories.featureFlagRepository,
+    segmentRepository = repositories.segmentRepository,
+    versionRepository = repositories.featureFlagVersionRepository,
+    scheduledChangeRepository = repositories.scheduledChangeRepository,
+    rolloutPlanRepository = repositories.rolloutPlanRepository,
+    usageRepository = repositories.flagUsageRepository,
+    clock = systemClock,
+    events = evaluationEvents,
+    usage = flagUsage
+  } = {}) {
+    this.repository = repository;
+    this.segmentRepository = segmentRepository;
+    this.versionRepository = versionRepository;
+    this.scheduledChangeRepository = scheduledChangeRepository;
+    this.rolloutPlanRepository = rolloutPlanRepository;
+    this.usageRepository = usageRepository;
+    this.rolloutPlanService = new RolloutPlanService({ repository, rolloutPlanRepository, clock });
+    this.clock = clock;
+    this.evaluationEngine = new FeatureEvaluationEngine({ clock, events, usage });
+    this.accessControl = new AccessControlService();
     this.logger = logger.child({ component: 'FeatureFlagController' });
   }
 
@@ -27,12 +147,24 @@ class FeatureFlagController {
     
     try {
       this.logger.info('Creating feature flag', { 
+        projectId: req.projectId,
         name: req.body.name,
         enabled: req.body.enabled 
       });
 
-      const featureFlag = new FeatureFlag(req.body);
-      const createdFlag = await this.repository.create(featureFlag);
+      if (!this._authorize(req, res, PERMISSIONS.EDIT)) {
+        return;
+      }
+
+      const featureFlag = new FeatureFlag({
+        ...req.body,
+        projectId: req.projectId,
+        createdBy: req.principal,
+        updatedBy: req.principal
+      });
+      await this._assertSegmentsExist(featureFlag);
+      await this._assertPrerequisitesValid(featureFlag);
+      const createdFlag = await this.repository.create(featureFlag, this._changeContext(req));
 
       const response = {
         success: true,
@@ -40,6 +172,7 @@ class FeatureFlagController {
         timestamp: new Date().toISOString()
       };
       
+      res.set('ETag', formatETag(createdFlag.version));
       res.status(201).json(response);
 
     } catch (error) {
@@ -58,18 +191,30 @@ class FeatureFlagController {
   }
 
   /**
-   * Get a feature flag by ID
+   * Get a feature flag by ID or name
    */
   async getFeatureFlag(req, res) {
     const startTime = Date.now();
     
     try {
-      const { id } = req.params;
+      const { id, name } = req.params;
       
-      this.logger.debug('Getting feature flag', { id });
+      this.logger.debug('Getting feature flag', { id, name });
 
-      const featureFlag = await this.repository.findById(id);
-      
+      const featureFlag = await this._findFeatureFlag(req.params, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: this._notFoundMessage(req.params),
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
 
       const response = {
         success: true,
@@ -77,12 +222,14 @@ class FeatureFlagController {
         timestamp: new Date().toISOString()
       };
 
+      res.set('ETag', formatETag(featureFlag.version));
       res.json(response);
 
     } catch (error) {
       this.logger.error('Failed to get feature flag', {
         error: error.message,
-        id: req.params.id
+        id: req.params.id,
+        name: req.params.name
       });
 
       
@@ -110,9 +257,9 @@ class FeatureFlagController {
         updates: req.body 
       });
 
-      const updatedFlag = await this.repository.update(id, req.body);
-      
-      if (!updatedFlag) {
+      const existingFlag = await this.repository.findById(id, req.projectId);
+
+      if (!existingFlag) {
         
         return res.status(404).json({
           error: 'Not Found',
@@ -122,14 +269,12 @@ class FeatureFlagController {
         });
       }
 
-      const response = {
-        success: true,
-        data: updatedFlag.toJSON(),
-        timestamp: new Date().toISOString()
-      };
+      const { version, ...changes } = req.body;
+      if (!this._checkPrecondition(req, res, existingFlag, { required: true, version })) {
+        return;
+      }
 
-      
-      res.json(response);
+      await this._applyUpdate(req, res, existingFlag, changes);
 
     } catch (error) {
       this.logger.error('Failed to update feature flag', {
@@ -138,6 +283,10 @@ class FeatureFlagController {
         body: req.body
       });
 
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
       const statusCode = error.message.includes('already exists') ? 409 : 500;
       
 
@@ -161,9 +310,9 @@ class FeatureFlagController {
       
       this.logger.info('Deleting feature flag', { id });
 
-      const deleted = await this.repository.delete(id);
+      const featureFlag = await this.repository.findById(id, req.projectId);
       
-      if (!deleted) {
+      if (!featureFlag) {
         
         return res.status(404).json({
           error: 'Not Found',
@@ -173,6 +322,27 @@ class FeatureFlagController {
         });
       }
 
+      if (!this._checkPrecondition(req, res, featureFlag, { required: true, version: req.query.version })) {
+        return;
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.DELETE, featureFlag)) {
+        return;
+      }
+
+      const dependents = await this.repository.findDependents(id);
+      if (dependents.length > 0) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Feature flag ${id} is a prerequisite of feature flags: ${dependents.map(flag => flag.name).join(', ')}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      await this.repository.delete(id, req.projectId, this._changeContext(req, featureFlag));
+      await this.usageRepository.delete(id);
+
       const response = {
         success: true,
         message: 'Feature flag deleted successfully',
@@ -188,7 +358,9 @@ class FeatureFlagController {
         id: req.params.id
       });
 
-      
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
 
       res.status(500).json({
         error: 'Internal Server Error',
@@ -214,14 +386,23 @@ class FeatureFlagController {
         search 
       });
 
+      if (!this._authorize(req, res, PERMISSIONS.READ)) {
+        return;
+      }
+
+      const options = { ...req.query, projectId: req.projectId };
       const [flags, total] = await Promise.all([
-        this.repository.list(req.query),
-        this.repository.count(req.query)
+        this.repository.list(options),
+        this.repository.count(options)
       ]);
+      const usages = await this.usageRepository.findByFlagIds(flags.map(flag => flag.id));
 
       const response = {
         success: true,
-        data: flags.map(flag => flag.toJSON()),
+        data: flags.map(flag => ({
+          ...flag.toJSON(),
+          metrics: this._usageOf(flag, usages).toJSON()
+        })),
         pagination: {
           total,
           limit,
@@ -251,52 +432,181 @@ class FeatureFlagController {
     }
   }
 
+  /**
+   * Get the evaluation counts of a feature flag
+   */
+  async getFeatureFlagMetrics(req, res) {
+    try {
+      const { id } = req.params;
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
+
+      const usages = await this.usageRepository.findByFlagIds([id]);
+
+      res.json({
+        success: true,
+        data: this._usageOf(featureFlag, usages).toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to get feature flag metrics', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * List the feature flags that are candidates for removal
+   * A flag is listed when it was not evaluated in the last `days` days, or
+   * when it is fully rolled out in the production environment.
+   */
+  async getCleanupReport(req, res) {
+    try {
+      const { days, limit, offset } = req.query;
+
+      if (!this._authorize(req, res, PERMISSIONS.READ)) {
+        return;
+      }
+
+      const since = new Date(this.clock.now().getTime() - days * 24 * 60 * 60 * 1000);
+      const flags = await this.repository.findAll(req.projectId);
+      const usages = await this.usageRepository.findByFlagIds(flags.map(flag => flag.id));
+
+      const candidates = flags
+        .map(featureFlag => {
+          const usage = this._usageOf(featureFlag, usages);
+          const reasons = [];
+
+          // Flags younger than the period had no chance to be evaluated in it
+          if (featureFlag.createdAt < since && usage.isUnusedSince(since)) {
+            reasons.push(CLEANUP_REASONS.NOT_EVALUATED);
+          }
+          if (featureFlag.isFullyRolledOut(config.featureFlags.productionEnvironment)) {
+            reasons.push(CLEANUP_REASONS.FULLY_ROLLED_OUT);
+          }
+
+          return { featureFlag: featureFlag.toJSON(), reasons, metrics: usage.toJSON() };
+        })
+        .filter(candidate => candidate.reasons.length > 0);
+
+      res.json({
+        success: true,
+        data: candidates.slice(offset, offset + limit),
+        pagination: {
+          total: candidates.length,
+          limit,
+          offset,
+          hasMore: offset + limit < candidates.length
+        },
+        since: since.toISOString(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to build cleanup report', {
+        error: error.message,
+        query: req.query
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
   /**
    * Evaluate a feature flag for a user context
+   * The flag is looked up by ID or, on the by-name routes, by name. With
+   * `explain`, the response traces the prerequisites and rules considered.
    */
 
 async evaluateFeatureFlag(req, res) {
   const startTime = Date.now();
   
   try {
-    const { id } = req.params;
-    const { userId, tenantId, additionalData = {} } = req.body;
+    const { id, name } = req.params;
+    const { userId, tenantId, environment, additionalData = {} } = req.body;
     
     this.logger.debug('Evaluating feature flag', { 
       id, 
+      name,
       userId, 
-      tenantId 
+      tenantId,
+      environment
     });
 
-    const featureFlag = await this.repository.findById(id);
+    const featureFlag = await this._findFeatureFlag(req.params, req.projectId);
     
     if (!featureFlag) {
       
       return res.status(404).json({
         error: 'Not Found',
-        message: `Feature flag with ID ${id} not found`,
+        message: this._notFoundMessage(req.params),
+        reason: { kind: EVALUATION_REASONS.FLAG_NOT_FOUND },
         timestamp: new Date().toISOString(),
         path: req.path
       });
     }
 
+    if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+      return;
+    }
+
+    const prerequisites = await this.repository.findPrerequisites(featureFlag);
     const context = new EvaluationContext({
       userId,
       tenantId,
-      additionalData
+      environment,
+      additionalData,
+      segments: await this._loadSegments([featureFlag, ...prerequisites.values()]),
+      flags: prerequisites
     });
 
-    const result = this.evaluationEngine.evaluate(featureFlag, context);
-
-
+    const result = this.evaluationEngine.evaluate(featureFlag, context, { explain: req.query.explain });
 
     // Simple, clean response
     const response = {
       success: true,
       name: featureFlag.name,
+      ...(environment && { environment }),
       matchedRule: result.matchedRule?.toJSON(),
-      enabled: result.enabled
-      
+      ...(result.matchedSubRules.length > 0 && {
+        matchedSubRules: result.matchedSubRules
+      }),
+      enabled: result.enabled,
+      reason: result.reason,
+      fallbackToDefault: result.fallbackToDefault,
+      evaluationTime: result.evaluationTime,
+      ...(featureFlag.isMultivariate() && {
+        variant: result.variant,
+        payload: result.payload
+      }),
+      ...(result.trace && { trace: result.trace })
     };
 
     
@@ -306,6 +616,7 @@ async evaluateFeatureFlag(req, res) {
     this.logger.error('Failed to evaluate feature flag', {
       error: error.message,
       id: req.params.id,
+      name: req.params.name,
       body: req.body
     });
 
@@ -317,6 +628,1259 @@ async evaluateFeatureFlag(req, res) {
     });
   }
 }
+
+  /**
+   * Promote one environment's configuration to another
+   * The response describes the changes to the target environment; with
+   * `dryRun` nothing is saved.
+   */
+  async promoteFeatureFlag(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to, dryRun } = req.body;
+
+      this.logger.info('Promoting feature flag', { id, from, to, dryRun });
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._checkPrecondition(req, res, featureFlag)) {
+        return;
+      }
+
+      const diff = featureFlag.diffEnvironments(from, to);
+      const applied = !dryRun && diff.hasChanges;
+
+      const promoted = FeatureFlag.fromJSON(featureFlag.toJSON());
+      promoted.promoteEnvironment(from, to);
+
+      const required = dryRun
+        ? [PERMISSIONS.READ]
+        : this.accessControl.getRequiredPermissions(featureFlag, promoted);
+      if (!required.every(permission => this._authorize(req, res, permission, featureFlag))) {
+        return;
+      }
+
+      let result = featureFlag;
+      if (applied) {
+        result = await this.repository.update(id, {
+          environments: promoted.environments,
+          updatedBy: req.principal
+        }, this._changeContext(req, featureFlag));
+      }
+
+      res.set('ETag', formatETag(result.version));
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          applied,
+          diff,
+          featureFlag: result.toJSON()
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to promote feature flag', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Partially update a feature flag
+   * The body is a JSON Patch operation list or a JSON Merge Patch object,
+   * applied to the flag's settings with rules in their stored form, so
+   * existing rules keep their IDs. The result must pass the same
+   * validation as a full update.
+   */
+  async patchFeatureFlag(req, res) {
+    try {
+      const { id } = req.params;
+      const isJsonPatch = Array.isArray(req.body);
+
+      this.logger.info('Patching feature flag', { id, patch: req.body });
+
+      if (req.is('application/json-patch+json') && !isJsonPatch) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'A JSON Patch must be a list of operations',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (req.is('application/merge-patch+json') && isJsonPatch) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'A JSON Merge Patch must be an object',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const existingFlag = await this.repository.findById(id, req.projectId);
+
+      if (!existingFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._checkPrecondition(req, res, existingFlag, { required: true })) {
+        return;
+      }
+
+      const settings = JSON.parse(JSON.stringify(this._settingsOf(existingFlag.toJSON(), existingFlag)));
+
+      let patched;
+      try {
+        patched = isJsonPatch
+          ? applyJsonPatch(settings, req.body)
+          : applyMergePatch(settings, req.body);
+      } catch (error) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `The patch cannot be applied: ${error.message}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const missing = isPlainObject(patched)
+        ? SETTINGS_FIELDS.filter(field => patched[field] === undefined)
+        : SETTINGS_FIELDS;
+
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `The patch cannot remove ${missing.map(field => `'${field}'`).join(', ')}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const { error } = updateFeatureFlagSchema.validate(toUpdateInput(patched), {
+        abortEarly: false,
+        stripUnknown: true,
+        convert: false
+      });
+
+      if (error) {
+        return this._validationError(req, res, 'The patched feature flag is invalid', error);
+      }
+
+      await this._applyUpdate(req, res, existingFlag, this._settingsOf(patched, existingFlag));
+
+    } catch (error) {
+      this.logger.error('Failed to patch feature flag', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: statusCode === 409 ? error.message : 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Schedule updates to a feature flag for a later time
+   * The updates are checked against the flag as it is now, including the
+   * permissions they require; the change scheduler applies them on behalf
+   * of the scheduling principal once `runAt` has passed.
+   */
+  async scheduleChange(req, res) {
+    try {
+      const { id } = req.params;
+      const { runAt, changes, description } = req.body;
+
+      this.logger.info('Scheduling feature flag change', { id, runAt, changes });
+
+      const existingFlag = await this.repository.findById(id, req.projectId);
+
+      if (!existingFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (runAt <= this.clock.now()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '"runAt" must be in the future',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      let candidate;
+      try {
+        candidate = await this._buildCandidate(existingFlag, {
+          ...changes,
+          ...(changes.environments && { environments: existingFlag.mergeEnvironments(changes.environments) })
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const required = this.accessControl.getRequiredPermissions(existingFlag, candidate);
+      if (!required.every(permission => this._authorize(req, res, permission, existingFlag))) {
+        return;
+      }
+
+      const change = await this.scheduledChangeRepository.create(new ScheduledChange({
+        projectId: existingFlag.projectId,
+        featureFlagId: existingFlag.id,
+        runAt,
+        changes,
+        description,
+        createdBy: req.principal,
+        requestId: req.requestId
+      }));
+
+      res.status(201).json({
+        success: true,
+        data: change.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to schedule feature flag change', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * List the scheduled changes of a feature flag by their time to run
+   */
+  async listScheduledChanges(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit, offset } = req.query;
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
+
+      const options = { ...req.query, projectId: req.projectId, featureFlagId: id };
+      const [changes, total] = await Promise.all([
+        this.scheduledChangeRepository.list(options),
+        this.scheduledChangeRepository.count(options)
+      ]);
+
+      res.json({
+        success: true,
+        data: changes.map(change => change.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list scheduled changes', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending scheduled change
+   */
+  async cancelScheduledChange(req, res) {
+    try {
+      const { id, changeId } = req.params;
+
+      this.logger.info('Cancelling scheduled change', { id, changeId });
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+      const change = featureFlag && await this.scheduledChangeRepository.findById(changeId, req.projectId);
+
+      if (!change || change.featureFlagId !== id) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: featureFlag
+            ? `Scheduled change with ID ${changeId} not found on feature flag ${id}`
+            : `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.EDIT, featureFlag)) {
+        return;
+      }
+
+      if (!change.isPending()) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Scheduled change ${changeId} is already ${change.status}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      change.status = SCHEDULED_CHANGE_STATUSES.CANCELLED;
+      change.completedAt = this.clock.now();
+      await this.scheduledChangeRepository.save(change);
+
+      res.json({
+        success: true,
+        data: change.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to cancel scheduled change', {
+        error: error.message,
+        id: req.params.id,
+        changeId: req.params.changeId
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Start a rollout plan ramping one of a flag's percentage rules
+   * The first step is applied right away; the change scheduler takes the
+   * following ones.
+   */
+  async createRolloutPlan(req, res) {
+    try {
+      const { id } = req.params;
+      const { ruleId, steps, intervalMinutes } = req.body;
+
+      this.logger.info('Creating rollout plan', { id, ruleId, steps, intervalMinutes });
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const rule = featureFlag.getRule(ruleId);
+      if (!rule || rule.type !== RULE_TYPES.PERCENTAGE) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Feature flag ${id} has no percentage rule with ID ${ruleId}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._checkPrecondition(req, res, featureFlag)) {
+        return;
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.EDIT, featureFlag)) {
+        return;
+      }
+
+      const { plan, featureFlag: updatedFlag } = await this.rolloutPlanService.start(new RolloutPlan({
+        projectId: featureFlag.projectId,
+        featureFlagId: id,
+        ruleId,
+        steps,
+        intervalMinutes,
+        createdBy: req.principal,
+        requestId: req.requestId
+      }), this._changeContext(req, featureFlag));
+
+      res.set('ETag', formatETag(updatedFlag.version));
+      res.status(201).json({
+        success: true,
+        data: plan.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to create rollout plan', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: statusCode === 409 ? error.message : 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * List the rollout plans of a feature flag, newest first
+   */
+  async listRolloutPlans(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit, offset } = req.query;
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
+
+      const options = { ...req.query, projectId: req.projectId, featureFlagId: id };
+      const [plans, total] = await Promise.all([
+        this.rolloutPlanRepository.list(options),
+        this.rolloutPlanRepository.count(options)
+      ]);
+
+      res.json({
+        success: true,
+        data: plans.map(plan => plan.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list rollout plans', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Get one rollout plan of a feature flag
+   */
+  async getRolloutPlan(req, res) {
+    await this._withRolloutPlan(req, res, 'get rollout plan', {
+      permission: PERMISSIONS.READ,
+      handle: async plan => plan
+    });
+  }
+
+  /**
+   * Pause an active rollout plan
+   */
+  async pauseRolloutPlan(req, res) {
+    await this._withRolloutPlan(req, res, 'pause rollout plan', {
+      from: [ROLLOUT_PLAN_STATUSES.ACTIVE],
+      handle: plan => this.rolloutPlanService.pause(plan)
+    });
+  }
+
+  /**
+   * Resume a paused rollout plan
+   */
+  async resumeRolloutPlan(req, res) {
+    await this._withRolloutPlan(req, res, 'resume rollout plan', {
+      from: [ROLLOUT_PLAN_STATUSES.PAUSED],
+      handle: plan => this.rolloutPlanService.resume(plan)
+    });
+  }
+
+  /**
+   * Abort a running rollout plan, by default restoring the rule's
+   * percentage from before the plan started
+   */
+  async abortRolloutPlan(req, res) {
+    await this._withRolloutPlan(req, res, 'abort rollout plan', {
+      from: [ROLLOUT_PLAN_STATUSES.ACTIVE, ROLLOUT_PLAN_STATUSES.PAUSED],
+      handle: async (plan, featureFlag) => {
+        const { featureFlag: updatedFlag } = await this.rolloutPlanService.abort(
+          plan,
+          { revert: req.body.revert },
+          this._changeContext(req, featureFlag)
+        );
+
+        if (updatedFlag) {
+          res.set('ETag', formatETag(updatedFlag.version));
+        }
+        return plan;
+      }
+    });
+  }
+
+  /**
+   * Look up a rollout plan from route parameters and handle it, sending the
+   * resulting plan as the response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} action - Description of the action, for logging
+   * @param {Object} options - Action options
+   * @param {Function} options.handle - Receives the plan and its flag,
+   *   resolving to the plan to send
+   * @param {Array<string>} [options.from] - Statuses the plan may be changed
+   *   from; only given for actions that change the plan
+   * @param {string} [options.permission] - The permission required
+   * @returns {Promise<void>}
+   */
+  async _withRolloutPlan(req, res, action, { handle, from, permission = PERMISSIONS.EDIT }) {
+    try {
+      const { id, planId } = req.params;
+
+      this.logger.debug('Handling rollout plan', { id, planId, action });
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+      const plan = featureFlag && await this.rolloutPlanRepository.findById(planId, req.projectId);
+
+      if (!plan || plan.featureFlagId !== id) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: featureFlag
+            ? `Rollout plan with ID ${planId} not found on feature flag ${id}`
+            : `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, permission, featureFlag)) {
+        return;
+      }
+
+      if (from && !from.includes(plan.status)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Rollout plan ${planId} is ${plan.status}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (from && !this._checkPrecondition(req, res, featureFlag)) {
+        return;
+      }
+
+      const result = await handle(plan, featureFlag);
+
+      res.json({
+        success: true,
+        data: result.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error(`Failed to ${action}`, {
+        error: error.message,
+        id: req.params.id,
+        planId: req.params.planId
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      // The rule to revert may have been removed from the flag
+      const statusCode = error.message.includes('not found') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: statusCode === 409 ? error.message : 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * List the saved versions of a feature flag, newest first
+   */
+  async listVersions(req, res) {
+    try {
+      const { id } = req.params;
+      const { limit, offset } = req.query;
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
+
+      const [versions, total] = await Promise.all([
+        this.versionRepository.list(id, req.query),
+        this.versionRepository.count(id)
+      ]);
+
+      res.json({
+        success: true,
+        data: versions.map(flagVersion => flagVersion.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list feature flag versions', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Get one saved version of a feature flag
+   */
+  async getVersion(req, res) {
+    try {
+      const { id, version } = req.params;
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+      const flagVersion = featureFlag && await this.versionRepository.find(id, version, req.projectId);
+
+      if (!flagVersion) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: featureFlag
+            ? `Version ${version} of feature flag ${id} not found`
+            : `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._authorize(req, res, PERMISSIONS.READ, featureFlag)) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: flagVersion.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to get feature flag version', {
+        error: error.message,
+        id: req.params.id,
+        version: req.params.version
+      });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Restore the settings of a previous version
+   * The rollback is an update like any other: it is validated like one,
+   * needs the same permissions and saves a new version.
+   */
+  async rollbackFeatureFlag(req, res) {
+    try {
+      const { id } = req.params;
+      const { version } = req.body;
+
+      this.logger.info('Rolling back feature flag', { id, version });
+
+      const existingFlag = await this.repository.findById(id, req.projectId);
+      const flagVersion = existingFlag && await this.versionRepository.find(id, version, req.projectId);
+
+      if (!flagVersion) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: existingFlag
+            ? `Version ${version} of feature flag ${id} not found`
+            : `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._checkPrecondition(req, res, existingFlag)) {
+        return;
+      }
+
+      const updates = this._settingsOf(flagVersion.snapshot, existingFlag);
+
+      // The version must still be valid, e.g. under a stricter configuration
+      const { error } = updateFeatureFlagSchema.validate(toUpdateInput(updates), {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        return this._validationError(req, res, `Version ${version} can no longer be applied`, error);
+      }
+
+      await this._applyUpdate(req, res, existingFlag, updates);
+
+    } catch (error) {
+      this.logger.error('Failed to roll back feature flag', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: statusCode === 409 ? error.message : 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Add a rule at the end of a flag's rules
+   */
+  async addRule(req, res) {
+    await this._changeRules(req, res, 'add rule', featureFlag => {
+      if (featureFlag.rules.length >= config.featureFlags.maxRulesPerFlag) {
+        throw new Error(`Feature flag ${featureFlag.id} already has the maximum of ${config.featureFlags.maxRulesPerFlag} rules`);
+      }
+      featureFlag.addRule(Rule.fromJSON(req.body));
+    }, { status: 201 });
+  }
+
+  /**
+   * Replace one rule of a flag, keeping its ID and position
+   */
+  async updateRule(req, res) {
+    await this._changeRules(req, res, 'update rule', featureFlag => {
+      const { id, createdAt } = featureFlag.getRule(req.params.ruleId);
+      featureFlag.replaceRule(Rule.fromJSON({ ...req.body, id, createdAt }));
+    });
+  }
+
+  /**
+   * Remove one rule from a flag
+   */
+  async deleteRule(req, res) {
+    await this._changeRules(req, res, 'delete rule', featureFlag => {
+      featureFlag.removeRule(req.params.ruleId);
+    });
+  }
+
+  /**
+   * Put a flag's rules in a new order
+   */
+  async reorderRules(req, res) {
+    await this._changeRules(req, res, 'reorder rules', featureFlag => {
+      featureFlag.reorderRules(req.body.ruleIds);
+    });
+  }
+
+  /**
+   * Apply a change to a flag's rules as an update
+   * Rule changes honor an If-Match precondition but don't require one, as
+   * they don't overwrite the rest of the flag.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} action - Description of the change, for logging
+   * @param {Function} change - Changes the rules of the flag passed to it;
+   *   errors it throws are sent as 400 responses
+   * @param {Object} [options] - Response options
+   * @param {number} [options.status] - Status code of the success response
+   * @returns {Promise<void>}
+   */
+  async _changeRules(req, res, action, change, { status } = {}) {
+    try {
+      const { id, ruleId } = req.params;
+
+      this.logger.info('Changing feature flag rules', { id, ruleId, action });
+
+      const featureFlag = await this.repository.findById(id, req.projectId);
+
+      if (!featureFlag || (ruleId && !featureFlag.getRule(ruleId))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: featureFlag
+            ? `Rule ${ruleId} not found on feature flag ${id}`
+            : `Feature flag with ID ${id} not found`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (!this._checkPrecondition(req, res, featureFlag)) {
+        return;
+      }
+
+      const changed = FeatureFlag.fromJSON(featureFlag.toJSON());
+      try {
+        change(changed);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      await this._applyUpdate(req, res, featureFlag, { rules: changed.rules }, { status });
+
+    } catch (error) {
+      this.logger.error(`Failed to ${action}`, {
+        error: error.message,
+        id: req.params.id,
+        ruleId: req.params.ruleId,
+        body: req.body
+      });
+
+      if (this._isStaleWrite(error)) {
+        return this._preconditionFailed(req, res, error.message);
+      }
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Validate, authorize and save an update of a flag's settings, sending
+   * the response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {FeatureFlag} existingFlag - The stored feature flag
+   * @param {Object} changes - The settings to change
+   * @param {Object} [options] - Response options
+   * @param {number} [options.status] - Status code of the success response
+   * @returns {Promise<void>}
+   */
+  async _applyUpdate(req, res, existingFlag, changes, { status = 200 } = {}) {
+    const updates = { ...changes, updatedBy: req.principal };
+    if (updates.environments) {
+      updates.environments = existingFlag.mergeEnvironments(updates.environments);
+    }
+
+    // Validate the resulting flag before touching the stored one
+    let candidate;
+    try {
+      candidate = await this._buildCandidate(existingFlag, updates);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const required = this.accessControl.getRequiredPermissions(existingFlag, candidate);
+    if (!required.every(permission => this._authorize(req, res, permission, existingFlag))) {
+      return;
+    }
+
+    if (updates.rules) {
+      updates.rules = candidate.rules;
+    }
+    if (updates.environments) {
+      updates.environments = candidate.environments;
+    }
+    if (updates.prerequisites) {
+      updates.prerequisites = candidate.prerequisites;
+    }
+
+    const updatedFlag = await this.repository.update(
+      existingFlag.id,
+      updates,
+      this._changeContext(req, existingFlag)
+    );
+
+    res.set('ETag', formatETag(updatedFlag.version));
+    res.status(status).json({
+      success: true,
+      data: updatedFlag.toJSON(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Pick the settings of a flag snapshot as updates of the current flag
+   * Environments added since the snapshot are removed.
+   * @param {Object} snapshot - The flag as saved in a version
+   * @param {FeatureFlag} featureFlag - The current feature flag
+   * @returns {Object} - Updates restoring the snapshot's settings
+   */
+  _settingsOf(snapshot, featureFlag) {
+    const settings = Object.fromEntries(SETTINGS_FIELDS.map(field => [field, snapshot[field]]));
+    // Versions saved before flags had prerequisites have none
+    settings.prerequisites = snapshot.prerequisites || [];
+    const removedEnvironments = Object.keys(featureFlag.environments)
+      .filter(environment => !(environment in snapshot.environments));
+
+    settings.environments = {
+      ...snapshot.environments,
+      ...Object.fromEntries(removedEnvironments.map(environment => [environment, null]))
+    };
+    return settings;
+  }
+
+  /**
+   * Send a 400 response listing validation errors
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} message - Error message
+   * @param {Joi.ValidationError} error - The validation error
+   */
+  _validationError(req, res, message, error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message,
+      details: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      })),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  /**
+   * Check the acting user's role, sending a 403 response if it falls short
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} permission - The required permission
+   * @param {FeatureFlag} [featureFlag] - The flag acted on, for flag-specific roles
+   * @returns {boolean} - True if allowed; otherwise the response has been sent
+   */
+  _authorize(req, res, permission, featureFlag = null) {
+    if (this.accessControl.can(req.user, permission, featureFlag)) {
+      return true;
+    }
+
+    const role = req.user.getRole(featureFlag ? featureFlag.id : undefined);
+
+    this.logger.warn('Permission denied', {
+      principal: req.principal,
+      permission,
+      role,
+      featureFlagId: featureFlag ? featureFlag.id : undefined
+    });
+
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `Role '${role}' does not allow '${permission}'${featureFlag ? ` on feature flag ${featureFlag.id}` : ''}`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    return false;
+  }
+
+  /**
+   * Describe who makes a change, for the audit log
+   * @param {Object} req - Express request
+   * @param {FeatureFlag} [featureFlag] - The flag as read for the change; the
+   *   change is rejected if it has been modified since
+   * @returns {Object} - Change context with the acting principal and request ID
+   */
+  _changeContext(req, featureFlag) {
+    return {
+      actor: req.principal,
+      requestId: req.requestId,
+      ...(featureFlag && { expectedVersion: featureFlag.version })
+    };
+  }
+
+  /**
+   * Check the request's precondition against a flag's current version,
+   * sending a 428 or 412 response if it fails
+   * The expected version comes from the If-Match header or, failing that,
+   * from the `version` given with the request.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {FeatureFlag} featureFlag - The stored feature flag
+   * @param {Object} [options] - Precondition options
+   * @param {boolean} [options.required] - Reject requests without a precondition
+   * @param {number} [options.version] - Version given in the request body or query
+   * @returns {boolean} - True if the request may proceed; otherwise the response has been sent
+   */
+  _checkPrecondition(req, res, featureFlag, { required = false, version } = {}) {
+    const ifMatch = parseIfMatch(req.get('If-Match'));
+    const expected = ifMatch || (version !== undefined ? [version] : null);
+
+    if (!expected) {
+      if (!required) {
+        return true;
+      }
+
+      res.status(428).json({
+        error: 'Precondition Required',
+        message: 'Send the feature flag\'s ETag in an If-Match header or its version as "version"',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+      return false;
+    }
+
+    if (expected === '*' || expected.includes(featureFlag.version)) {
+      return true;
+    }
+
+    res.set('ETag', formatETag(featureFlag.version));
+    this._preconditionFailed(
+      req,
+      res,
+      `Feature flag ${featureFlag.id} has been modified; its current version is ${featureFlag.version}`
+    );
+    return false;
+  }
+
+  /**
+   * Check whether an error reports a write based on an outdated version
+   * @param {Error} error - The error
+   * @returns {boolean} - True for stale writes
+   */
+  _isStaleWrite(error) {
+    return error.message.includes('has been modified');
+  }
+
+  /**
+   * Send a 412 response for a request based on an outdated version
+   */
+  _preconditionFailed(req, res, message) {
+    return res.status(412).json({
+      error: 'Precondition Failed',
+      message,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  /**
+   * Get the usage of a flag, empty if it was never evaluated
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @param {Map<string, FlagUsage>} usages - Usage by flag ID
+   * @returns {FlagUsage} - The flag's usage
+   */
+  _usageOf(featureFlag, usages) {
+    return usages.get(featureFlag.id) ||
+      new FlagUsage({ featureFlagId: featureFlag.id, projectId: featureFlag.projectId });
+  }
+
+  /**
+   * Look up a feature flag from route parameters within a project
+   * @param {Object} params - Route parameters holding either `id` or `name`
+   * @param {string} projectId - The project of the request
+   * @returns {Promise<FeatureFlag|null>} - The feature flag or null
+   */
+  async _findFeatureFlag({ id, name }, projectId) {
+    return id
+      ? this.repository.findById(id, projectId)
+      : this.repository.findByName(name, projectId);
+  }
+
+  /**
+   * Build the not-found message for the key used in the request
+   * @param {Object} params - Route parameters holding either `id` or `name`
+   * @returns {string} - Error message
+   */
+  _notFoundMessage({ id, name }) {
+    return id
+      ? `Feature flag with ID ${id} not found`
+      : `Feature flag with name '${name}' not found`;
+  }
+
+  /**
+   * Build the flag resulting from updates, checking that it is consistent
+   * @param {FeatureFlag} featureFlag - The stored feature flag
+   * @param {Object} updates - Updates with environments already merged
+   * @returns {Promise<FeatureFlag>} - The updated flag, not yet stored
+   * @throws {Error} - If the result is invalid or references missing segments or flags
+   */
+  async _buildCandidate(featureFlag, updates) {
+    const candidate = new FeatureFlag({ ...featureFlag.toJSON(), ...updates });
+    await this._assertSegmentsExist(candidate);
+    await this._assertPrerequisitesValid(candidate);
+    return candidate;
+  }
+
+  /**
+   * Ensure every segment referenced by a flag's rules exists in its project
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @throws {Error} - If a referenced segment is missing
+   */
+  async _assertSegmentsExist(featureFlag) {
+    const missing = await this.segmentRepository.findMissingIds(featureFlag.getSegmentIds(), featureFlag.projectId);
+
+    if (missing.length > 0) {
+      throw new Error(`Segment(s) not found: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Ensure a flag's prerequisites exist in its project and don't form a cycle
+   * Required variants must be declared by the prerequisite flag.
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @throws {Error} - If a prerequisite is invalid
+   */
+  async _assertPrerequisitesValid(featureFlag) {
+    for (const { flagId, variant } of featureFlag.prerequisites) {
+      const prerequisite = flagId === featureFlag.id
+        ? featureFlag
+        : await this.repository.findById(flagId, featureFlag.projectId);
+
+      if (!prerequisite) {
+        throw new Error(`Prerequisite feature flag ${flagId} not found`);
+      }
+
+      if (variant && !prerequisite.getVariant(variant)) {
+        throw new Error(`Prerequisite feature flag '${prerequisite.name}' has no variant '${variant}'`);
+      }
+    }
+
+    const cycle = await this.repository.findPrerequisiteCycle(featureFlag);
+    if (cycle) {
+      throw new Error(`Prerequisites would form a cycle: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  /**
+   * Resolve the segments referenced by flags for evaluation
+   * @param {Array<FeatureFlag>} featureFlags - The flag and its prerequisites
+   * @returns {Promise<Map<string, Segment>>} - Segments keyed by ID
+   */
+  async _loadSegments(featureFlags) {
+    const segmentIds = [...new Set(featureFlags.flatMap(flag => flag.getSegmentIds()))];
+    const segments = await this.segmentRepository.findByIds(segmentIds, featureFlags[0].projectId);
+    return new Map(segments.map(segment => [segment.id, segment]));
+  }
 }
 
 module.exports = FeatureFlagController;
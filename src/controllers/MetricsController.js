@@ -0,0 +1,74 @@
+/**
+ * Metrics Controller
+ *
+ * Serves the service metrics in the Prometheus text format. Request and
+ * evaluation metrics are recorded as they happen; the size of the stored
+ * data is read from the repositories on every scrape.
+ */
+
+const repositories = require('../repositories');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const flagsGauge = metrics.registry.gauge({
+  name: 'feature_toggle_flags',
+  help: 'Stored feature flags by state',
+  labelNames: ['state']
+});
+
+const rulesGauge = metrics.registry.gauge({
+  name: 'feature_toggle_rules',
+  help: 'Rules on stored feature flags'
+});
+
+const segmentsGauge = metrics.registry.gauge({
+  name: 'feature_toggle_segments',
+  help: 'Stored segments'
+});
+
+class MetricsController {
+  constructor({
+    featureFlagRepository = repositories.featureFlagRepository,
+    segmentRepository = repositories.segmentRepository,
+    registry = metrics.registry
+  } = {}) {
+    this.featureFlagRepository = featureFlagRepository;
+    this.segmentRepository = segmentRepository;
+    this.registry = registry;
+    this.logger = logger.child({ component: 'MetricsController' });
+  }
+
+  /**
+   * Render every metric
+   */
+  async getMetrics(req, res) {
+    try {
+      const [stats, segments] = await Promise.all([
+        this.featureFlagRepository.getStats(),
+        this.segmentRepository.count()
+      ]);
+
+      flagsGauge.set({ state: 'enabled' }, stats.enabledFlags);
+      flagsGauge.set({ state: 'disabled' }, stats.disabledFlags);
+      rulesGauge.set({}, stats.totalRules);
+      segmentsGauge.set({}, segments);
+
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(this.registry.render());
+
+    } catch (error) {
+      this.logger.error('Failed to render metrics', { error: error.message });
+
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'An unexpected error occurred',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+}
+
+module.exports = MetricsController;
@@ -0,0 +1,234 @@
+/**
+ * Segment Controller
+ *
+ * Handles HTTP requests for managing reusable segments that feature flag
+ * rules can reference.
+ */
+
+const { Segment } = require('../models');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+
+class SegmentController {
+  constructor({
+    repository = repositories.segmentRepository,
+    featureFlagRepository = repositories.featureFlagRepository
+  } = {}) {
+    this.repository = repository;
+    this.featureFlagRepository = featureFlagRepository;
+    this.logger = logger.child({ component: 'SegmentController' });
+  }
+
+  /**
+   * Create a new segment
+   */
+  async createSegment(req, res) {
+    try {
+      this.logger.info('Creating segment', { projectId: req.projectId, name: req.body.name });
+
+      const segment = new Segment({ ...req.body, projectId: req.projectId });
+      const createdSegment = await this.repository.create(segment);
+
+      res.status(201).json({
+        success: true,
+        data: createdSegment.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to create segment', {
+        error: error.message,
+        body: req.body
+      });
+
+      const statusCode = error.message.includes('already exists') ? 409 : 400;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Get a segment by ID
+   */
+  async getSegment(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.debug('Getting segment', { id });
+
+      const segment = await this.repository.findById(id, req.projectId);
+
+      if (!segment) {
+        return this._notFound(req, res, id);
+      }
+
+      res.json({
+        success: true,
+        data: segment.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to get segment', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Update a segment
+   * Every flag referencing the segment picks up the change on its next evaluation.
+   */
+  async updateSegment(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Updating segment', { id, updates: req.body });
+
+      const existingSegment = await this.repository.findById(id, req.projectId);
+
+      if (!existingSegment) {
+        return this._notFound(req, res, id);
+      }
+
+      const segment = new Segment({ ...existingSegment.toJSON(), ...req.body, id });
+      const updatedSegment = await this.repository.update(id, segment);
+
+      res.json({
+        success: true,
+        data: updatedSegment.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to update segment', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Delete a segment
+   * Segments still referenced by feature flags cannot be deleted.
+   */
+  async deleteSegment(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Deleting segment', { id });
+
+      if (!await this.repository.findById(id, req.projectId)) {
+        return this._notFound(req, res, id);
+      }
+
+      const referencingFlags = await this.featureFlagRepository.findBySegment(id);
+
+      if (referencingFlags.length > 0) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Segment ${id} is used by feature flags: ${referencingFlags.map(flag => flag.name).join(', ')}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      await this.repository.delete(id);
+
+      res.json({
+        success: true,
+        message: 'Segment deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to delete segment', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * List all segments with pagination
+   */
+  async listSegments(req, res) {
+    try {
+      const { limit, offset } = req.query;
+
+      this.logger.debug('Listing segments', req.query);
+
+      const options = { ...req.query, projectId: req.projectId };
+      const [segments, total] = await Promise.all([
+        this.repository.list(options),
+        this.repository.count(options)
+      ]);
+
+      res.json({
+        success: true,
+        data: segments.map(segment => segment.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list segments', {
+        error: error.message,
+        query: req.query
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Send a 404 response for an unknown segment
+   */
+  _notFound(req, res, id) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Segment with ID ${id} not found`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  /**
+   * Send a generic 500 response
+   */
+  _internalError(req, res) {
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+}
+
+module.exports = SegmentController;
@@ -0,0 +1,250 @@
+/**
+ * User Controller
+ *
+ * Handles HTTP requests for managing the users of a project and the roles
+ * they hold on the project and on individual flags.
+ */
+
+const { User } = require('../models');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+
+class UserController {
+  constructor({
+    repository = repositories.userRepository,
+    featureFlagRepository = repositories.featureFlagRepository
+  } = {}) {
+    this.repository = repository;
+    this.featureFlagRepository = featureFlagRepository;
+    this.logger = logger.child({ component: 'UserController' });
+  }
+
+  /**
+   * Create a new user
+   */
+  async createUser(req, res) {
+    try {
+      this.logger.info('Creating user', {
+        projectId: req.projectId,
+        name: req.body.name,
+        role: req.body.role
+      });
+
+      const user = new User({ ...req.body, projectId: req.projectId });
+      await this._assertFlagsExist(user);
+      const createdUser = await this.repository.create(user);
+
+      res.status(201).json({
+        success: true,
+        data: createdUser.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to create user', {
+        error: error.message,
+        body: req.body
+      });
+
+      const statusCode = error.message.includes('already exists') ? 409 : 400;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Bad Request',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Get a user by ID
+   */
+  async getUser(req, res) {
+    try {
+      const user = await this.repository.findById(req.params.id, req.projectId);
+
+      if (!user) {
+        return this._notFound(req, res, req.params.id);
+      }
+
+      res.json({
+        success: true,
+        data: user.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to get user', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Update a user's details or roles
+   */
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Updating user', { id, updates: req.body });
+
+      const existingUser = await this.repository.findById(id, req.projectId);
+
+      if (!existingUser) {
+        return this._notFound(req, res, id);
+      }
+
+      const user = new User({ ...existingUser.toJSON(), ...req.body, id });
+
+      try {
+        await this._assertFlagsExist(user);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.message,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      const updatedUser = await this.repository.update(id, user);
+
+      res.json({
+        success: true,
+        data: updatedUser.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to update user', {
+        error: error.message,
+        id: req.params.id,
+        body: req.body
+      });
+
+      const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+      res.status(statusCode).json({
+        error: statusCode === 409 ? 'Conflict' : 'Internal Server Error',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  }
+
+  /**
+   * Delete a user
+   * API keys issued to the user stop working.
+   */
+  async deleteUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      this.logger.info('Deleting user', { id });
+
+      const deleted = await this.repository.delete(id, req.projectId);
+
+      if (!deleted) {
+        return this._notFound(req, res, id);
+      }
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to delete user', {
+        error: error.message,
+        id: req.params.id
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * List the users of the project with pagination
+   */
+  async listUsers(req, res) {
+    try {
+      const { limit, offset } = req.query;
+      const options = { ...req.query, projectId: req.projectId };
+
+      const [users, total] = await Promise.all([
+        this.repository.list(options),
+        this.repository.count(options)
+      ]);
+
+      res.json({
+        success: true,
+        data: users.map(user => user.toJSON()),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to list users', {
+        error: error.message,
+        query: req.query
+      });
+
+      this._internalError(req, res);
+    }
+  }
+
+  /**
+   * Ensure every flag a user has a specific role on exists in their project
+   * @param {User} user - The user
+   * @throws {Error} - If a flag is missing
+   */
+  async _assertFlagsExist(user) {
+    const flagIds = Object.keys(user.flagRoles);
+    const flags = await Promise.all(
+      flagIds.map(id => this.featureFlagRepository.findById(id, user.projectId))
+    );
+    const missing = flagIds.filter((id, index) => !flags[index]);
+
+    if (missing.length > 0) {
+      throw new Error(`Feature flag(s) not found: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Send a 404 response for an unknown user
+   */
+  _notFound(req, res, id) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `User with ID ${id} not found`,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  /**
+   * Send a generic 500 response
+   */
+  _internalError(req, res) {
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+}
+
+module.exports = UserController;
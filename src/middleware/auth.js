@@ -0,0 +1,203 @@
+/**
+ * API key authentication middleware
+ *
+ * When authentication is enabled, every API request must carry an API key
+ * as `Authorization: Bearer <key>`. Keys belong to a project and carry a
+ * scope: admin keys can use every route, evaluation keys can only evaluate.
+ * Keys issued to a user act as that user and are further limited by the
+ * user's role.
+ *
+ * The acting principal is attached as `req.principal`, and the user, if
+ * any, as `req.user`.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const repositories = require('../repositories');
+const { ApiKey, API_KEY_SCOPES, BOOTSTRAP_API_KEY_ID, PRINCIPAL_TYPES } = require('../models');
+const AccessControlService = require('../services/AccessControlService');
+const logger = require('../utils/logger').child({ component: 'Auth' });
+
+const accessControl = new AccessControlService();
+
+/**
+ * Principal of requests made while authentication is disabled
+ */
+const ANONYMOUS_PRINCIPAL = Object.freeze({
+  type: PRINCIPAL_TYPES.ANONYMOUS,
+  id: 'anonymous',
+  name: 'anonymous'
+});
+
+/**
+ * Send an error response in the API error envelope
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status code
+ * @param {string} error - Error title
+ * @param {string} message - Error message
+ */
+function sendError(req, res, status, error, message) {
+  return res.status(status).json({
+    error,
+    message,
+    timestamp: new Date().toISOString(),
+    path: req.path
+  });
+}
+
+/**
+ * Extract the key from a bearer Authorization header
+ * @param {string} [header] - The Authorization header
+ * @returns {string|null} - The key or null
+ */
+function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Match a key hash against the configured bootstrap admin key
+ * @param {string} keyHash - Hash of the presented key
+ * @returns {ApiKey|null} - An admin key valid on every project, or null
+ */
+function matchBootstrapKey(keyHash) {
+  if (!config.auth.bootstrapAdminKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(ApiKey.hash(config.auth.bootstrapAdminKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(keyHash, 'hex'))) {
+    return null;
+  }
+
+  return new ApiKey({
+    id: BOOTSTRAP_API_KEY_ID,
+    projectId: null,
+    name: 'bootstrap',
+    scope: API_KEY_SCOPES.ADMIN
+  });
+}
+
+/**
+ * Authenticate the request's API key and attach it as `req.apiKey`
+ * Must run after the request's project has been resolved.
+ */
+async function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    req.principal = ANONYMOUS_PRINCIPAL;
+    return next();
+  }
+
+  try {
+    const key = parseBearerToken(req.get('Authorization'));
+
+    if (!key) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(req, res, 401, 'Unauthorized', 'An API key is required');
+    }
+
+    const keyHash = ApiKey.hash(key);
+    const apiKey = matchBootstrapKey(keyHash) ||
+      await repositories.apiKeyRepository.findByHash(keyHash);
+
+    if (!apiKey || apiKey.isRevoked()) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(req, res, 401, 'Unauthorized', 'Invalid or revoked API key');
+    }
+
+    if (!apiKey.canAccessProject(req.projectId)) {
+      logger.warn('API key used on another project', {
+        apiKeyId: apiKey.id,
+        projectId: req.projectId
+      });
+      return sendError(req, res, 403, 'Forbidden', `API key does not belong to project '${req.projectId}'`);
+    }
+
+    req.apiKey = apiKey;
+    req.principal = apiKey.toPrincipal();
+
+    if (apiKey.userId) {
+      const user = await repositories.userRepository.findById(apiKey.userId, apiKey.projectId);
+
+      if (!user) {
+        return sendError(req, res, 401, 'Unauthorized', 'The user of this API key no longer exists');
+      }
+
+      req.user = user;
+      req.principal = user.toPrincipal();
+    }
+
+    next();
+
+  } catch (error) {
+    logger.error('Failed to authenticate request', { error: error.message });
+    sendError(req, res, 500, 'Internal Server Error', 'An unexpected error occurred');
+  }
+}
+
+/**
+ * Create middleware requiring the authenticated key to grant a scope
+ * @param {string} scope - The required scope
+ * @returns {Function} - Express middleware function
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!config.auth.enabled) {
+      return next();
+    }
+
+    if (!req.apiKey || !req.apiKey.hasScope(scope)) {
+      return sendError(req, res, 403, 'Forbidden', `This route requires an API key with the '${scope}' scope`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Create middleware requiring the acting user's project role to grant a
+ * permission
+ * @param {string} permission - The required permission
+ * @returns {Function} - Express middleware function
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!accessControl.can(req.user, permission)) {
+      return sendError(req, res, 403, 'Forbidden', `Role '${req.user.role}' does not allow '${permission}'`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Evaluate in the environment an API key is bound to
+ * Requests naming a different environment are rejected. Must run after
+ * body validation.
+ */
+function applyKeyEnvironment(req, res, next) {
+  const environment = req.apiKey && req.apiKey.environment;
+  if (!environment) {
+    return next();
+  }
+
+  const contexts = req.body.contexts || [req.body];
+
+  if (contexts.some(context => context.environment && context.environment !== environment)) {
+    return sendError(req, res, 403, 'Forbidden', `API key is limited to the '${environment}' environment`);
+  }
+
+  contexts.forEach(context => {
+    context.environment = environment;
+  });
+  next();
+}
+
+module.exports = {
+  ANONYMOUS_PRINCIPAL,
+  authenticate,
+  requireScope,
+  requirePermission,
+  applyKeyEnvironment
+};
@@ -0,0 +1,56 @@
+/**
+ * HTTP request metrics middleware
+ *
+ * Records the duration of every request by method, route and status code.
+ * Routes are labelled with their path pattern rather than the requested
+ * path, so IDs don't create a series per resource.
+ */
+
+const metrics = require('../utils/metrics');
+
+const requestDuration = metrics.registry.histogram({
+  name: 'feature_toggle_http_request_duration_seconds',
+  help: 'Duration of HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+// Mount point of the project-scoped API, whose project ID is not a label
+const PROJECT_PREFIX = /^\/api\/v1\/projects\/[^/]+/;
+
+/**
+ * Get the path pattern of the route that handled a request
+ * @param {Object} req - Express request
+ * @returns {string} - e.g. `/api/v1/projects/:projectId/feature-flags/:id`,
+ *   or `unmatched` for requests answered before reaching a route
+ */
+function routeOf(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const base = req.baseUrl.replace(PROJECT_PREFIX, '/api/v1/projects/:projectId');
+  return base && req.route.path === '/' ? base : base + req.route.path;
+}
+
+/**
+ * Record the duration of the request once its response has been sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function recordRequestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    requestDuration.observe(
+      { method: req.method, route: routeOf(req), status: res.statusCode },
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  });
+
+  next();
+}
+
+module.exports = {
+  recordRequestMetrics
+};
@@ -0,0 +1,24 @@
+/**
+ * Project scoping middleware
+ *
+ * Flags and segments live in project namespaces. Routes mounted under
+ * `/api/v1/projects/:projectId` act on that project; the unscoped routes
+ * act on the default project.
+ */
+
+const { DEFAULT_PROJECT_ID } = require('../models');
+
+/**
+ * Attach the project of the request as `req.projectId`
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function scopeToProject(req, res, next) {
+  req.projectId = req.params.projectId || DEFAULT_PROJECT_ID;
+  next();
+}
+
+module.exports = {
+  scopeToProject
+};
@@ -2,7 +2,11 @@
  * Core domain models for the Feature Toggle Platform
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const semver = require('../utils/semver');
+const cron = require('../utils/cron');
+const { diffById } = require('../utils/diff');
 
 /**
  * Rule types supported by the feature toggle system
@@ -10,37 +14,418 @@ const { v4: uuidv4 } = require('uuid');
 const RULE_TYPES = {
   TENANT: 'tenant',
   USER: 'user',
-  PERCENTAGE: 'percentage'
+  PERCENTAGE: 'percentage',
+  ATTRIBUTE: 'attribute',
+  ROLLOUT: 'rollout',
+  COMPOSITE: 'composite',
+  SEGMENT: 'segment',
+  SCHEDULE: 'schedule'
 };
 
+/**
+ * Why an evaluation produced its result, given as the `kind` of its reason
+ */
+const EVALUATION_REASONS = {
+  RULE_MATCH: 'RULE_MATCH',
+  DEFAULT: 'DEFAULT',
+  PREREQUISITE_FAILED: 'PREREQUISITE_FAILED',
+  FLAG_NOT_FOUND: 'FLAG_NOT_FOUND',
+  ERROR: 'ERROR'
+};
+
+/**
+ * What went wrong in an evaluation whose reason is ERROR
+ */
+const EVALUATION_ERROR_KINDS = {
+  INVALID_CONTEXT: 'INVALID_CONTEXT',
+  MALFORMED_FLAG: 'MALFORMED_FLAG',
+  EXCEPTION: 'EXCEPTION'
+};
+
+/**
+ * Why a flag is listed as a cleanup candidate
+ */
+const CLEANUP_REASONS = {
+  NOT_EVALUATED: 'NOT_EVALUATED',
+  FULLY_ROLLED_OUT: 'FULLY_ROLLED_OUT'
+};
+
+/**
+ * Namespace that flags and segments belong to when no project is given
+ */
+const DEFAULT_PROJECT_ID = 'default';
+
+/**
+ * Scopes an API key can be granted
+ * Admin keys can use every route; evaluation keys can only evaluate flags
+ * and metrics keys can only read /metrics.
+ */
+const API_KEY_SCOPES = {
+  ADMIN: 'admin',
+  EVALUATION: 'evaluation',
+  METRICS: 'metrics'
+};
+
+/**
+ * ID of the key configured as BOOTSTRAP_ADMIN_KEY, which is never stored
+ */
+const BOOTSTRAP_API_KEY_ID = 'bootstrap';
+
+/**
+ * Roles a user can hold in a project or on a single flag
+ */
+const ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  OWNER: 'owner'
+};
+
+/**
+ * Actions on feature flags that are subject to role checks
+ */
+const PERMISSIONS = {
+  READ: 'read',
+  EDIT: 'edit',
+  DELETE: 'delete',
+  TOGGLE_PRODUCTION: 'toggle-production',
+  MANAGE_USERS: 'manage-users'
+};
+
+/**
+ * Permissions granted by each role
+ * Viewers can read, editors can also create flags and change their
+ * settings and rules, owners can do everything.
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.VIEWER]: [PERMISSIONS.READ],
+  [ROLES.EDITOR]: [PERMISSIONS.READ, PERMISSIONS.EDIT],
+  [ROLES.OWNER]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Kinds of principals that can act on the API
+ */
+const PRINCIPAL_TYPES = {
+  USER: 'user',
+  API_KEY: 'apiKey',
+  ANONYMOUS: 'anonymous'
+};
+
+/**
+ * Kinds of changes recorded in the audit log
+ */
+const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+};
+
+/**
+ * Lifecycle of a scheduled change
+ */
+const SCHEDULED_CHANGE_STATUSES = {
+  PENDING: 'pending',
+  APPLIED: 'applied',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Lifecycle of a rollout plan
+ * Active plans take their next step when due; paused plans wait to be
+ * resumed. The other states are final.
+ */
+const ROLLOUT_PLAN_STATUSES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed'
+};
+
+/**
+ * Prefix of every generated API key, so leaked keys are easy to recognize
+ */
+const API_KEY_PREFIX = 'ftk_';
+
+/**
+ * Effect applied when a rule matches
+ */
+const RULE_EFFECTS = {
+  ALLOW: 'allow',
+  DENY: 'deny'
+};
+
+/**
+ * Logical operators supported by composite rules
+ */
+const COMPOSITE_OPERATORS = {
+  ALL: 'all',
+  ANY: 'any',
+  NOT: 'not'
+};
+
+/**
+ * Operators supported by attribute rules
+ */
+const ATTRIBUTE_OPERATORS = {
+  EQUALS: 'equals',
+  NOT_EQUALS: 'notEquals',
+  IN: 'in',
+  NOT_IN: 'notIn',
+  CONTAINS: 'contains',
+  STARTS_WITH: 'startsWith',
+  ENDS_WITH: 'endsWith',
+  REGEX: 'regex',
+  GREATER_THAN: 'gt',
+  GREATER_THAN_OR_EQUAL: 'gte',
+  LESS_THAN: 'lt',
+  LESS_THAN_OR_EQUAL: 'lte',
+  SEMVER_EQUALS: 'semverEq',
+  SEMVER_GREATER_THAN: 'semverGt',
+  SEMVER_LESS_THAN: 'semverLt'
+};
+
+/**
+ * Look up an attribute in an evaluation context
+ * userId and tenantId are read from the context itself, anything else
+ * from its additionalData.
+ * @param {EvaluationContext} context - The evaluation context
+ * @param {string} name - The attribute name
+ * @returns {*} - The attribute value or undefined
+ */
+function getContextAttribute(context, name) {
+  if (name === 'userId' || name === 'tenantId') {
+    return context[name];
+  }
+
+  const additionalData = context.additionalData || {};
+  return Object.prototype.hasOwnProperty.call(additionalData, name)
+    ? additionalData[name]
+    : undefined;
+}
+
 /**
  * Feature Flag domain model
  * Represents a feature toggle with its configuration and rules
+ *
+ * Prerequisites name other flags of the project that must evaluate to a
+ * required value, `enabled` and optionally a `variant`, for this flag's
+ * rules to be considered at all; otherwise the flag is off.
  */
 class FeatureFlag {
   constructor({
     id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
     name,
     description = '',
     enabled = false,
     rules = [],
+    variants = [],
+    defaultVariant = null,
+    salt = null,
+    tags = [],
+    environments = {},
+    prerequisites = [],
+    version = 1,
+    createdBy = null,
+    updatedBy = null,
     createdAt = new Date(),
     updatedAt = new Date()
   }) {
     this.id = id;
+    this.projectId = projectId;
     this.name = name;
     this.description = description;
     this.enabled = enabled;
-    this.rules = rules.map(ruleData => {
-      if (ruleData instanceof Rule) {
-        return ruleData; // Already a Rule instance
+    this.tags = tags;
+    this.variants = variants.map(({ key, value, description = '' }) => ({ key, value, description }));
+    this.defaultVariant = defaultVariant;
+    this.salt = salt || id;
+    this.prerequisites = prerequisites.map(({ flagId, enabled = true, variant = null }) => ({ flagId, enabled, variant }));
+    this.rules = toRules(rules);
+    this.environments = Object.fromEntries(
+      Object.entries(environments).map(([name, { enabled, rules: environmentRules }]) => [name, {
+        ...(enabled !== undefined && { enabled }),
+        ...(environmentRules && { rules: toRules(environmentRules) })
+      }])
+    );
+    this.version = version;
+    this.createdBy = createdBy;
+    this.updatedBy = updatedBy;
+    this.createdAt = new Date(createdAt);
+    this.updatedAt = new Date(updatedAt);
+
+    this.validateVariants();
+  }
+
+  /**
+   * Check whether this flag carries any of the given tags
+   * @param {Array<string>} tags - Tags to look for
+   * @returns {boolean} - True if at least one tag matches
+   */
+  hasAnyTag(tags) {
+    return tags.some(tag => this.tags.includes(tag));
+  }
+
+  /**
+   * Whether this flag serves variants rather than a plain boolean
+   * @returns {boolean} - True if variants are declared
+   */
+  isMultivariate() {
+    return this.variants.length > 0;
+  }
+
+  /**
+   * Find a declared variant by key
+   * @param {string} key - The variant key
+   * @returns {Object|null} - The variant or null
+   */
+  getVariant(key) {
+    return this.variants.find(variant => variant.key === key) || null;
+  }
+
+  /**
+   * List the IDs of all segments referenced by this flag's rules
+   * @returns {Array<string>} - Unique segment IDs
+   */
+  getSegmentIds() {
+    return [...new Set(this.getAllRules().flatMap(rule => rule.getSegmentIds()))];
+  }
+
+  /**
+   * List the IDs of the flags this flag requires
+   * @returns {Array<string>} - Prerequisite flag IDs
+   */
+  getPrerequisiteIds() {
+    return this.prerequisites.map(prerequisite => prerequisite.flagId);
+  }
+
+  /**
+   * List the flag's own rules and the rules of every environment
+   * @returns {Array<Rule>} - All rules
+   */
+  getAllRules() {
+    return [
+      ...this.rules,
+      ...Object.values(this.environments).flatMap(environment => environment.rules || [])
+    ];
+  }
+
+  /**
+   * Get the configuration evaluated in an environment
+   * Settings the environment does not override are taken from the flag.
+   * @param {string} [environment] - The environment name
+   * @returns {Object} - `enabled` and `rules` for the environment
+   */
+  getEnvironmentConfig(environment) {
+    const override = (environment && this.environments[environment]) || {};
+
+    return {
+      enabled: override.enabled !== undefined ? override.enabled : this.enabled,
+      rules: override.rules || this.rules
+    };
+  }
+
+  /**
+   * Whether the flag is on for everyone in an environment
+   * That is the case when it is enabled without rules, or when it has an
+   * enabled percentage rule at 100%.
+   * @param {string} [environment] - The environment name
+   * @returns {boolean} - True if fully rolled out
+   */
+  isFullyRolledOut(environment) {
+    const { enabled, rules } = this.getEnvironmentConfig(environment);
+
+    return (enabled && rules.length === 0) || rules.some(rule =>
+      rule.type === RULE_TYPES.PERCENTAGE && rule.enabled && !rule.isDeny() && rule.percentage === 100
+    );
+  }
+
+  /**
+   * Apply changed environment overrides on top of this flag's current ones
+   * @param {Object} changes - Overrides by environment; null removes them
+   * @returns {Object} - The resulting environments map, in plain object form
+   */
+  mergeEnvironments(changes) {
+    const { environments } = this.toJSON();
+
+    for (const [name, overrides] of Object.entries(changes)) {
+      if (overrides === null) {
+        delete environments[name];
       } else {
-        // Convert plain object to Rule instance
-        return Rule.fromJSON(ruleData);
+        environments[name] = overrides;
       }
-    });
-    this.createdAt = createdAt;
-    this.updatedAt = updatedAt;
+    }
+
+    return environments;
+  }
+
+  /**
+   * Describe what promoting one environment to another would change
+   * @param {string} from - The source environment
+   * @param {string} to - The target environment
+   * @returns {Object} - Changes to the target's enabled state and rules
+   */
+  diffEnvironments(from, to) {
+    const source = this.getEnvironmentConfig(from);
+    const target = this.getEnvironmentConfig(to);
+    const rules = diffById(
+      target.rules.map(rule => rule.toJSON()),
+      source.rules.map(rule => rule.toJSON())
+    );
+    const enabled = source.enabled !== target.enabled
+      ? { before: target.enabled, after: source.enabled }
+      : null;
+
+    return {
+      hasChanges: Boolean(enabled) || rules.reordered ||
+        rules.added.length + rules.removed.length + rules.changed.length > 0,
+      enabled,
+      rules
+    };
+  }
+
+  /**
+   * Copy the configuration of one environment to another
+   * @param {string} from - The source environment
+   * @param {string} to - The target environment
+   */
+  promoteEnvironment(from, to) {
+    const { enabled, rules } = this.getEnvironmentConfig(from);
+    this.environments[to] = {
+      enabled,
+      rules: rules.map(rule => Rule.fromJSON(rule.toJSON()))
+    };
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Ensure the default variant and rule variants reference declared variants
+   * @throws {Error} - If a variant reference is invalid
+   */
+  validateVariants() {
+    const keys = this.variants.map(variant => variant.key);
+
+    if (new Set(keys).size !== keys.length) {
+      throw new Error('Variant keys must be unique');
+    }
+
+    if (this.variants.length > 0 && !this.defaultVariant) {
+      throw new Error('A default variant is required when variants are declared');
+    }
+
+    if (this.defaultVariant && !keys.includes(this.defaultVariant)) {
+      throw new Error(`Default variant '${this.defaultVariant}' is not declared`);
+    }
+
+    for (const rule of this.getAllRules()) {
+      for (const variant of rule.getVariantKeys()) {
+        if (!keys.includes(variant)) {
+          throw new Error(`Rule ${rule.id} references undeclared variant '${variant}'`);
+        }
+      }
+    }
   }
 
   /**
@@ -61,6 +446,41 @@ class FeatureFlag {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Get a rule by ID
+   * @param {string} ruleId - The rule ID
+   * @returns {Rule|null} - The rule or null
+   */
+  getRule(ruleId) {
+    return this.rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  /**
+   * Replace the rule with the given rule's ID, keeping its position
+   * @param {Rule} rule - The new version of the rule
+   */
+  replaceRule(rule) {
+    this.rules = this.rules.map(existing => (existing.id === rule.id ? rule : existing));
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Put the rules in a new order
+   * @param {Array<string>} ruleIds - Every rule ID, in the new order
+   * @throws {Error} - If the IDs are not exactly the flag's rule IDs
+   */
+  reorderRules(ruleIds) {
+    const rules = ruleIds.map(ruleId => this.getRule(ruleId));
+
+    const complete = ruleIds.length === this.rules.length && new Set(ruleIds).size === ruleIds.length;
+    if (!complete || rules.includes(null)) {
+      throw new Error('The new order must list every rule of the feature flag exactly once');
+    }
+
+    this.rules = rules;
+    this.updatedAt = new Date();
+  }
+
   /**
    * Update the global enabled state
    * @param {boolean} enabled - The new enabled state
@@ -76,9 +496,11 @@ class FeatureFlag {
   toJSON() {
     return {
       id: this.id,
+      projectId: this.projectId,
       name: this.name,
       description: this.description,
       enabled: this.enabled,
+      tags: this.tags,
       rules: this.rules.map(rule => {
         if (rule && typeof rule.toJSON === 'function') {
           return rule.toJSON();
@@ -86,6 +508,19 @@ class FeatureFlag {
           return rule;
         }
       }),
+      variants: this.variants,
+      defaultVariant: this.defaultVariant,
+      salt: this.salt,
+      environments: Object.fromEntries(
+        Object.entries(this.environments).map(([name, { enabled, rules }]) => [name, {
+          ...(enabled !== undefined && { enabled }),
+          ...(rules && { rules: rules.map(rule => rule.toJSON()) })
+        }])
+      ),
+      prerequisites: this.prerequisites,
+      version: this.version,
+      createdBy: this.createdBy,
+      updatedBy: this.updatedBy,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -96,31 +531,19 @@ class FeatureFlag {
    * @param {Object} data - Plain object data
    */
   static fromJSON(data) {
-    switch (data.type) {
-      case RULE_TYPES.TENANT:
-        return new TenantRule({
-          id: data.id || uuidv4(),
-          tenantIds: data.tenantIds || [],
-          enabled: data.enabled !== false
-        });
-      case RULE_TYPES.USER:
-        return new UserRule({
-          id: data.id || uuidv4(),
-          userIds: data.userIds || [],
-          enabled: data.enabled !== false
-        });
-      case RULE_TYPES.PERCENTAGE:
-        return new PercentageRule({
-          id: data.id || uuidv4(),
-          percentage: data.percentage || 0,
-          enabled: data.enabled !== false
-        });
-      default:
-        throw new Error(`Unknown rule type: ${data.type}`);
-    }
+    return new FeatureFlag(data);
   }
 }
 
+/**
+ * Convert rule data to Rule instances, keeping existing instances as they are
+ * @param {Array<Rule|Object>} rules - Rules or their plain object form
+ * @returns {Array<Rule>} - Rule instances
+ */
+function toRules(rules) {
+  return rules.map(ruleData => (ruleData instanceof Rule ? ruleData : Rule.fromJSON(ruleData)));
+}
+
 /**
  * Base Rule class for feature flag evaluation rules
  */
@@ -129,23 +552,83 @@ class Rule {
     id = uuidv4(),
     type,
     enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
     createdAt = new Date()
   }) {
     this.id = id;
     this.type = type;
     this.enabled = enabled;
-    this.createdAt = createdAt;
+    this.variant = variant;
+    this.effect = effect;
+    this.priority = priority;
+    this.createdAt = new Date(createdAt);
   }
 
   /**
    * Evaluate this rule against the given context
    * @param {EvaluationContext} context - The evaluation context
+   * @param {Array<string>} [matchedSubRules] - Collects IDs of nested rules that matched
    * @returns {boolean} - Whether this rule matches
    */
-  evaluate(context) {
+  evaluate(context, matchedSubRules) {
     throw new Error('evaluate() must be implemented by subclasses');
   }
 
+  /**
+   * Explain why this rule does or doesn't match a context
+   * Only used to trace evaluations; call it after `evaluate` succeeded.
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {Object} - The `detail` of the decision, and for composite rules the trace of their nested `rules`
+   */
+  explain(context) {
+    return { detail: this.enabled ? this._describe(context) : 'The rule is disabled' };
+  }
+
+  /**
+   * Describe how an enabled rule decides on a context
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {string|null} - The description
+   */
+  _describe(context) {
+    return null;
+  }
+
+  /**
+   * Whether a match of this rule turns the flag off
+   * @returns {boolean} - True for exclusion rules
+   */
+  isDeny() {
+    return this.effect === RULE_EFFECTS.DENY;
+  }
+
+  /**
+   * Resolve the variant this rule serves once it has matched
+   * @param {EvaluationContext} context - The evaluation context
+   * @param {FeatureFlag} featureFlag - The flag being evaluated
+   * @returns {string|null} - The variant key or null to use the flag default
+   */
+  resolveVariant(context, featureFlag) {
+    return this.variant;
+  }
+
+  /**
+   * List the variant keys this rule can serve
+   * @returns {Array<string>} - Variant keys
+   */
+  getVariantKeys() {
+    return this.variant ? [this.variant] : [];
+  }
+
+  /**
+   * List the IDs of segments this rule references
+   * @returns {Array<string>} - Segment IDs
+   */
+  getSegmentIds() {
+    return [];
+  }
+
   /**
    * Convert to plain object for serialization
    */
@@ -154,6 +637,9 @@ class Rule {
       id: this.id,
       type: this.type,
       enabled: this.enabled,
+      ...(this.variant && { variant: this.variant }),
+      effect: this.effect,
+      priority: this.priority,
       createdAt: this.createdAt
     };
   }
@@ -162,35 +648,29 @@ class Rule {
    * Create from plain object
    * @param {Object} data - Plain object data
    */
-// In src/models/index.js, fix the Rule.fromJSON method:
-static fromJSON(data) {
-  switch (data.type) {
-    case RULE_TYPES.TENANT:
-      return new TenantRule({
-        id: data.id || uuidv4(),
-        tenantIds: data.tenantIds || [],
-        enabled: data.enabled !== false,
-        createdAt: data.createdAt || new Date()
-      });
-    case RULE_TYPES.USER:
-      return new UserRule({
-        id: data.id || uuidv4(),
-        userIds: data.userIds || [],
-        enabled: data.enabled !== false,
-        createdAt: data.createdAt || new Date()
-      });
-    case RULE_TYPES.PERCENTAGE:
-      return new PercentageRule({
-        id: data.id || uuidv4(),
-        percentage: data.percentage || 0,
-        enabled: data.enabled !== false,
-        createdAt: data.createdAt || new Date()
-      });
-    default:
-      throw new Error(`Unknown rule type: ${data.type}`);
+  static fromJSON(data) {
+    switch (data.type) {
+      case RULE_TYPES.TENANT:
+        return TenantRule.fromJSON(data);
+      case RULE_TYPES.USER:
+        return UserRule.fromJSON(data);
+      case RULE_TYPES.PERCENTAGE:
+        return PercentageRule.fromJSON(data);
+      case RULE_TYPES.ATTRIBUTE:
+        return AttributeRule.fromJSON(data);
+      case RULE_TYPES.ROLLOUT:
+        return RolloutRule.fromJSON(data);
+      case RULE_TYPES.COMPOSITE:
+        return CompositeRule.fromJSON(data);
+      case RULE_TYPES.SEGMENT:
+        return SegmentRule.fromJSON(data);
+      case RULE_TYPES.SCHEDULE:
+        return ScheduleRule.fromJSON(data);
+      default:
+        throw new Error(`Unknown rule type: ${data.type}`);
+    }
   }
 }
-}
 
 /**
  * Tenant-specific rule
@@ -201,9 +681,12 @@ class TenantRule extends Rule {
     id = uuidv4(),
     tenantIds = [],
     enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
     createdAt = new Date()
   }) {
-    super({ id, type: RULE_TYPES.TENANT, enabled, createdAt });
+    super({ id, type: RULE_TYPES.TENANT, enabled, variant, effect, priority, createdAt });
     this.tenantIds = tenantIds;
   }
 
@@ -212,6 +695,10 @@ class TenantRule extends Rule {
     return this.tenantIds.includes(context.tenantId);
   }
 
+  _describe(context) {
+    return `Tenant '${context.tenantId}' is ${this.tenantIds.includes(context.tenantId) ? '' : 'not '}listed`;
+  }
+
   toJSON() {
     return {
       ...super.toJSON(),
@@ -224,6 +711,9 @@ class TenantRule extends Rule {
       id: data.id || uuidv4(),
       tenantIds: data.tenantIds || [],
       enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
       createdAt: data.createdAt || new Date()
     });
   }
@@ -238,9 +728,12 @@ class UserRule extends Rule {
     id = uuidv4(),
     userIds = [],
     enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
     createdAt = new Date()
   }) {
-    super({ id, type: RULE_TYPES.USER, enabled, createdAt });
+    super({ id, type: RULE_TYPES.USER, enabled, variant, effect, priority, createdAt });
     this.userIds = userIds;
   }
 
@@ -249,6 +742,10 @@ class UserRule extends Rule {
     return this.userIds.includes(context.userId);
   }
 
+  _describe(context) {
+    return `User '${context.userId}' is ${this.userIds.includes(context.userId) ? '' : 'not '}listed`;
+  }
+
   toJSON() {
     return {
       ...super.toJSON(),
@@ -260,6 +757,9 @@ class UserRule extends Rule {
       id: data.id || uuidv4(),
       userIds: data.userIds || [],
       enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
       createdAt: data.createdAt || new Date()
     });
   }
@@ -274,9 +774,12 @@ class PercentageRule extends Rule {
     id = uuidv4(),
     percentage = 0,
     enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
     createdAt = new Date()
   }) {
-    super({ id, type: RULE_TYPES.PERCENTAGE, enabled, createdAt });
+    super({ id, type: RULE_TYPES.PERCENTAGE, enabled, variant, effect, priority, createdAt });
     this.percentage = Math.max(0, Math.min(100, percentage));
   }
 
@@ -284,10 +787,26 @@ class PercentageRule extends Rule {
     if (!this.enabled || this.percentage === 0) return false;
     if (this.percentage === 100) return true;
 
-    // Use consistent hashing based on user ID and tenant ID
-    const hash = this._hash(`${context.userId}:${context.tenantId}`);
-    const bucket = hash % 100;
-    return bucket < this.percentage;
+    return this._getBucket(context) < this.percentage;
+  }
+
+  _describe(context) {
+    if (this.percentage === 0 || this.percentage === 100) {
+      return `The rule covers ${this.percentage}% of users`;
+    }
+
+    const bucket = this._getBucket(context);
+    return `The user's bucket ${bucket} is ${bucket < this.percentage ? '' : 'not '}below ${this.percentage}`;
+  }
+
+  /**
+   * Place a context in one of 100 buckets
+   * Uses consistent hashing based on user ID and tenant ID.
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {number} - Bucket in the range [0, 100)
+   */
+  _getBucket(context) {
+    return this._hash(`${context.userId}:${context.tenantId}`) % 100;
   }
 
   /**
@@ -317,44 +836,1315 @@ class PercentageRule extends Rule {
       id: data.id || uuidv4(),
       percentage: data.percentage || 0,
       enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
       createdAt: data.createdAt || new Date()
     });
   }
 }
 
 /**
- * Evaluation context containing user and tenant information
+ * Longest attribute value a regex rule is run against; longer values never
+ * match, which bounds the time a pattern can take
  */
-class EvaluationContext {
-  constructor({ userId, tenantId, additionalData = {} }) {
+const MAX_REGEX_INPUT_LENGTH = 1000;
+
+/**
+ * Attribute-based rule
+ * Enables a feature when an attribute of the evaluation context satisfies
+ * an operator, e.g. country in ['DE', 'FR'] or appVersion semverGt '2.1.0'
+ */
+class AttributeRule extends Rule {
+  constructor({
+    id = uuidv4(),
+    attribute,
+    operator,
+    value,
+    enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
+    createdAt = new Date()
+  }) {
+    super({ id, type: RULE_TYPES.ATTRIBUTE, enabled, variant, effect, priority, createdAt });
+    this.attribute = attribute;
+    this.operator = operator;
+    this.value = value;
+    this._regex = null;
+  }
+
+  evaluate(context) {
+    if (!this.enabled) return false;
+
+    const actual = this._resolveAttribute(context);
+
+    // Missing attributes never match, regardless of the operator
+    if (actual === undefined || actual === null) return false;
+
+    switch (this.operator) {
+      case ATTRIBUTE_OPERATORS.EQUALS:
+        return actual === this.value;
+      case ATTRIBUTE_OPERATORS.NOT_EQUALS:
+        return actual !== this.value;
+      case ATTRIBUTE_OPERATORS.IN:
+        return this.value.includes(actual);
+      case ATTRIBUTE_OPERATORS.NOT_IN:
+        return !this.value.includes(actual);
+      case ATTRIBUTE_OPERATORS.CONTAINS:
+        return Array.isArray(actual)
+          ? actual.includes(this.value)
+          : String(actual).includes(this.value);
+      case ATTRIBUTE_OPERATORS.STARTS_WITH:
+        return String(actual).startsWith(this.value);
+      case ATTRIBUTE_OPERATORS.ENDS_WITH:
+        return String(actual).endsWith(this.value);
+      case ATTRIBUTE_OPERATORS.REGEX:
+        return String(actual).length <= MAX_REGEX_INPUT_LENGTH && this._getRegex().test(String(actual));
+      case ATTRIBUTE_OPERATORS.GREATER_THAN:
+        return this._toNumber(actual) > this.value;
+      case ATTRIBUTE_OPERATORS.GREATER_THAN_OR_EQUAL:
+        return this._toNumber(actual) >= this.value;
+      case ATTRIBUTE_OPERATORS.LESS_THAN:
+        return this._toNumber(actual) < this.value;
+      case ATTRIBUTE_OPERATORS.LESS_THAN_OR_EQUAL:
+        return this._toNumber(actual) <= this.value;
+      case ATTRIBUTE_OPERATORS.SEMVER_EQUALS:
+        return semver.isValid(actual) && semver.compare(actual, this.value) === 0;
+      case ATTRIBUTE_OPERATORS.SEMVER_GREATER_THAN:
+        return semver.isValid(actual) && semver.compare(actual, this.value) > 0;
+      case ATTRIBUTE_OPERATORS.SEMVER_LESS_THAN:
+        return semver.isValid(actual) && semver.compare(actual, this.value) < 0;
+      default:
+        throw new Error(`Unknown attribute operator: ${this.operator}`);
+    }
+  }
+
+  _describe(context) {
+    const actual = this._resolveAttribute(context);
+    if (actual === undefined || actual === null) {
+      return `Attribute '${this.attribute}' is missing`;
+    }
+
+    const outcome = this.evaluate(context) ? 'satisfies' : 'does not satisfy';
+    return `Attribute '${this.attribute}' is ${JSON.stringify(actual)}, which ${outcome} ${this.operator} ${JSON.stringify(this.value)}`;
+  }
+
+  /**
+   * Look up the attribute value in the context
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {*} - The attribute value or undefined
+   */
+  _resolveAttribute(context) {
+    return getContextAttribute(context, this.attribute);
+  }
+
+  /**
+   * Convert an attribute value to a number for numeric comparisons
+   * @param {*} value - The attribute value
+   * @returns {number} - The numeric value (NaN never matches)
+   */
+  _toNumber(value) {
+    return typeof value === 'number' ? value : parseFloat(value);
+  }
+
+  /**
+   * Compile the regex once and reuse it across evaluations
+   * @returns {RegExp} - The compiled pattern
+   */
+  _getRegex() {
+    if (!this._regex) {
+      this._regex = new RegExp(this.value);
+    }
+    return this._regex;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      attribute: this.attribute,
+      operator: this.operator,
+      value: this.value
+    };
+  }
+
+  static fromJSON(data) {
+    return new AttributeRule({
+      id: data.id || uuidv4(),
+      attribute: data.attribute,
+      operator: data.operator,
+      value: data.value,
+      enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
+      createdAt: data.createdAt || new Date()
+    });
+  }
+}
+
+/**
+ * Weighted rollout rule
+ * Splits traffic across variants by weight using sticky bucketing. The bucket
+ * is derived from the flag salt and a bucketing attribute, so the same key
+ * always lands in the same variant while different flags stay uncorrelated.
+ */
+class RolloutRule extends Rule {
+  constructor({
+    id = uuidv4(),
+    distribution = [],
+    bucketBy = 'userId',
+    enabled = true,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
+    createdAt = new Date()
+  }) {
+    super({ id, type: RULE_TYPES.ROLLOUT, enabled, effect, priority, createdAt });
+    this.distribution = distribution.map(({ variant, weight }) => ({ variant, weight }));
+    this.bucketBy = bucketBy;
+  }
+
+  evaluate(context) {
+    if (!this.enabled) return false;
+    return this._getBucketKey(context) !== null;
+  }
+
+  resolveVariant(context, featureFlag) {
+    const bucketKey = this._getBucketKey(context);
+    if (bucketKey === null) return null;
+
+    const bucket = this._bucket(`${featureFlag.salt}:${this.bucketBy}:${bucketKey}`);
+
+    let cumulative = 0;
+    for (const { variant, weight } of this.distribution) {
+      cumulative += weight;
+      if (bucket < cumulative) {
+        return variant;
+      }
+    }
+
+    // Guard against rounding leaving the last bucket uncovered
+    const last = this.distribution[this.distribution.length - 1];
+    return last ? last.variant : null;
+  }
+
+  getVariantKeys() {
+    return this.distribution.map(({ variant }) => variant);
+  }
+
+  _describe(context) {
+    const bucketKey = this._getBucketKey(context);
+    return bucketKey === null
+      ? `Attribute '${this.bucketBy}' to bucket by is missing`
+      : `Bucketed by ${this.bucketBy} '${bucketKey}'`;
+  }
+
+  /**
+   * Read the bucketing key from the context
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {string|null} - The key or null if the attribute is missing
+   */
+  _getBucketKey(context) {
+    const value = getContextAttribute(context, this.bucketBy);
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  /**
+   * Map a string to a bucket in the range [0, 100)
+   * Uses a cryptographic digest rather than the simple percentage hash so
+   * that salted inputs are evenly spread and independent of each other.
+   * @param {string} str - String to bucket
+   * @returns {number} - Bucket with two decimals of precision
+   */
+  _bucket(str) {
+    const digest = crypto.createHash('sha1').update(str).digest();
+    return (digest.readUInt32BE(0) % 10000) / 100;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      distribution: this.distribution,
+      bucketBy: this.bucketBy
+    };
+  }
+
+  static fromJSON(data) {
+    return new RolloutRule({
+      id: data.id || uuidv4(),
+      distribution: data.distribution || [],
+      bucketBy: data.bucketBy || 'userId',
+      enabled: data.enabled !== false,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
+      createdAt: data.createdAt || new Date()
+    });
+  }
+}
+
+/**
+ * Composite rule
+ * Combines nested rules with all (AND), any (OR) or not (NOT) semantics,
+ * e.g. tenant acme AND 20% of its users
+ */
+class CompositeRule extends Rule {
+  constructor({
+    id = uuidv4(),
+    operator = COMPOSITE_OPERATORS.ALL,
+    rules = [],
+    enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
+    createdAt = new Date()
+  }) {
+    super({ id, type: RULE_TYPES.COMPOSITE, enabled, variant, effect, priority, createdAt });
+    this.operator = operator;
+    this.rules = rules.map(ruleData => (
+      ruleData instanceof Rule ? ruleData : Rule.fromJSON(ruleData)
+    ));
+  }
+
+  evaluate(context, matchedSubRules = []) {
+    if (!this.enabled) return false;
+
+    const matches = [];
+    let matched;
+
+    switch (this.operator) {
+      case COMPOSITE_OPERATORS.ALL:
+        matched = this.rules.every(rule => this._evaluateChild(rule, context, matches));
+        break;
+      case COMPOSITE_OPERATORS.ANY:
+        matched = this.rules.some(rule => this._evaluateChild(rule, context, matches));
+        break;
+      case COMPOSITE_OPERATORS.NOT:
+        // A negated rule matches precisely because its child did not,
+        // so there are no sub-rule matches to report
+        matched = !this._evaluateChild(this.rules[0], context, []);
+        break;
+      default:
+        throw new Error(`Unknown composite operator: ${this.operator}`);
+    }
+
+    if (matched) {
+      matchedSubRules.push(...matches);
+    }
+
+    return matched;
+  }
+
+  explain(context) {
+    if (!this.enabled) {
+      return super.explain(context);
+    }
+
+    return {
+      detail: this.operator === COMPOSITE_OPERATORS.NOT
+        ? 'The nested rule must not match'
+        : `${this.operator === COMPOSITE_OPERATORS.ALL ? 'All' : 'Any'} of ${this.rules.length} nested rules must match`,
+      rules: this.rules.map(rule => {
+        const entry = { ruleId: rule.id, type: rule.type };
+        try {
+          return { ...entry, matched: rule.evaluate(context, []), ...rule.explain(context) };
+        } catch (error) {
+          return { ...entry, matched: false, error: error.message };
+        }
+      })
+    };
+  }
+
+  /**
+   * Evaluate a nested rule, recording it and its own matches on success
+   * @param {Rule} rule - The nested rule
+   * @param {EvaluationContext} context - The evaluation context
+   * @param {Array<string>} matches - Collected rule IDs
+   * @returns {boolean} - Whether the nested rule matches
+   */
+  _evaluateChild(rule, context, matches) {
+    const childMatches = [];
+    if (rule.evaluate(context, childMatches)) {
+      matches.push(rule.id, ...childMatches);
+      return true;
+    }
+    return false;
+  }
+
+  getSegmentIds() {
+    return this.rules.flatMap(rule => rule.getSegmentIds());
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      operator: this.operator,
+      rules: this.rules.map(rule => rule.toJSON())
+    };
+  }
+
+  static fromJSON(data) {
+    return new CompositeRule({
+      id: data.id || uuidv4(),
+      operator: data.operator || COMPOSITE_OPERATORS.ALL,
+      rules: data.rules || [],
+      enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
+      createdAt: data.createdAt || new Date()
+    });
+  }
+}
+
+/**
+ * Segment rule
+ * Enables a feature for everyone in a reusable named segment
+ */
+class SegmentRule extends Rule {
+  constructor({
+    id = uuidv4(),
+    segmentId,
+    enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
+    createdAt = new Date()
+  }) {
+    super({ id, type: RULE_TYPES.SEGMENT, enabled, variant, effect, priority, createdAt });
+    this.segmentId = segmentId;
+  }
+
+  evaluate(context) {
+    if (!this.enabled) return false;
+
+    // Segments are resolved ahead of evaluation and carried on the context
+    const segment = context.segments && context.segments.get(this.segmentId);
+    if (!segment) {
+      throw new Error(`Segment ${this.segmentId} not found`);
+    }
+
+    return segment.matches(context);
+  }
+
+  _describe(context) {
+    const segment = context.segments.get(this.segmentId);
+    return `${segment.matches(context) ? 'In' : 'Not in'} segment '${segment.name}'`;
+  }
+
+  getSegmentIds() {
+    return [this.segmentId];
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      segmentId: this.segmentId
+    };
+  }
+
+  static fromJSON(data) {
+    return new SegmentRule({
+      id: data.id || uuidv4(),
+      segmentId: data.segmentId,
+      enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
+      createdAt: data.createdAt || new Date()
+    });
+  }
+}
+
+/**
+ * Schedule rule
+ * Matches while the evaluation time lies within a start/end window and,
+ * if recurring windows are given, within one of them. A recurring window
+ * opens whenever its cron expression fires (in UTC) and stays open for
+ * `durationMinutes`, e.g. weekdays 9:00-17:00 is "0 9 * * 1-5" for 480
+ * minutes.
+ */
+class ScheduleRule extends Rule {
+  constructor({
+    id = uuidv4(),
+    start = null,
+    end = null,
+    windows = [],
+    enabled = true,
+    variant = null,
+    effect = RULE_EFFECTS.ALLOW,
+    priority = 0,
+    createdAt = new Date()
+  }) {
+    super({ id, type: RULE_TYPES.SCHEDULE, enabled, variant, effect, priority, createdAt });
+    this.start = start ? new Date(start) : null;
+    this.end = end ? new Date(end) : null;
+    this.windows = windows.map(({ cron: expression, durationMinutes }) => ({ cron: expression, durationMinutes }));
+    this._schedules = this.windows.map(window => cron.parse(window.cron));
+  }
+
+  evaluate(context) {
+    if (!this.enabled) return false;
+
+    const now = context.now || new Date();
+
+    if ((this.start && now < this.start) || (this.end && now >= this.end)) {
+      return false;
+    }
+
+    return this.windows.length === 0 ||
+      this.windows.some((window, index) => this._isOpen(window, this._schedules[index], now));
+  }
+
+  _describe(context) {
+    const now = context.now || new Date();
+
+    if (this.start && now < this.start) {
+      return `Before the start at ${this.start.toISOString()}`;
+    }
+    if (this.end && now >= this.end) {
+      return `After the end at ${this.end.toISOString()}`;
+    }
+    if (this.windows.length === 0) {
+      return 'Within the schedule';
+    }
+    return this.evaluate(context) ? 'Within a recurring window' : 'Outside every recurring window';
+  }
+
+  /**
+   * Check whether a recurring window is open at a time
+   * @param {Object} window - The window's cron expression and duration
+   * @param {Object|null} schedule - The parsed cron expression
+   * @param {Date} now - The evaluation time
+   * @returns {boolean} - True if the window opened less than its duration ago
+   */
+  _isOpen(window, schedule, now) {
+    if (!schedule) {
+      throw new Error(`Invalid cron expression: ${window.cron}`);
+    }
+
+    const opened = cron.lastOccurrence(schedule, now, window.durationMinutes);
+    return opened !== null && now.getTime() < opened.getTime() + window.durationMinutes * 60 * 1000;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      start: this.start,
+      end: this.end,
+      windows: this.windows
+    };
+  }
+
+  static fromJSON(data) {
+    return new ScheduleRule({
+      id: data.id || uuidv4(),
+      start: data.start || null,
+      end: data.end || null,
+      windows: data.windows || [],
+      enabled: data.enabled !== false,
+      variant: data.variant || null,
+      effect: data.effect || RULE_EFFECTS.ALLOW,
+      priority: data.priority || 0,
+      createdAt: data.createdAt || new Date()
+    });
+  }
+}
+
+/**
+ * Segment domain model
+ * A reusable, named group of tenants and users that rules can reference.
+ * A context belongs to the segment when its user or tenant is listed, or
+ * when it satisfies every attribute condition.
+ */
+class Segment {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    name,
+    description = '',
+    tenantIds = [],
+    userIds = [],
+    conditions = [],
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.name = name;
+    this.description = description;
+    this.tenantIds = tenantIds;
+    this.userIds = userIds;
+    this.conditions = conditions.map(condition => (
+      condition instanceof AttributeRule ? condition : AttributeRule.fromJSON(condition)
+    ));
+    this.createdAt = new Date(createdAt);
+    this.updatedAt = new Date(updatedAt);
+  }
+
+  /**
+   * Check whether a context belongs to this segment
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {boolean} - Whether the context is in the segment
+   */
+  matches(context) {
+    if (this.userIds.includes(context.userId)) return true;
+    if (this.tenantIds.includes(context.tenantId)) return true;
+    return this.conditions.length > 0 &&
+      this.conditions.every(condition => condition.evaluate(context));
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      name: this.name,
+      description: this.description,
+      tenantIds: this.tenantIds,
+      userIds: this.userIds,
+      conditions: this.conditions.map(condition => condition.toJSON()),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new Segment(data);
+  }
+}
+
+/**
+ * User domain model
+ * A person acting on a project's flags. The user's role applies to the
+ * whole project unless a flag-specific role overrides it.
+ */
+class User {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    name,
+    email = null,
+    role = ROLES.VIEWER,
+    flagRoles = {},
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.name = name;
+    this.email = email;
+    this.role = role;
+    this.flagRoles = flagRoles;
+    this.createdAt = new Date(createdAt);
+    this.updatedAt = new Date(updatedAt);
+  }
+
+  /**
+   * Get the user's role, for a flag or for the project as a whole
+   * @param {string} [flagId] - The feature flag ID
+   * @returns {string} - The effective role
+   */
+  getRole(flagId) {
+    return (flagId && this.flagRoles[flagId]) || this.role;
+  }
+
+  /**
+   * Check whether the user's role grants a permission
+   * @param {string} permission - The permission
+   * @param {string} [flagId] - The feature flag acted on
+   * @returns {boolean} - True if granted
+   */
+  can(permission, flagId) {
+    return ROLE_PERMISSIONS[this.getRole(flagId)].includes(permission);
+  }
+
+  /**
+   * Describe the user as the principal of a change
+   * @returns {Object} - Principal reference
+   */
+  toPrincipal() {
+    return { type: PRINCIPAL_TYPES.USER, id: this.id, name: this.name };
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      name: this.name,
+      email: this.email,
+      role: this.role,
+      flagRoles: this.flagRoles,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new User(data);
+  }
+}
+
+/**
+ * API key domain model
+ * Only a hash of the key is stored. The key itself is returned once, when
+ * it is generated, and cannot be recovered afterwards.
+ */
+class ApiKey {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    name,
+    scope = API_KEY_SCOPES.EVALUATION,
+    environment = null,
+    userId = null,
+    keyHash = null,
+    keyPrefix = null,
+    revokedAt = null,
+    createdAt = new Date(),
+    updatedAt = new Date()
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.name = name;
+    this.scope = scope;
+    this.environment = environment;
+    this.userId = userId;
+    this.keyHash = keyHash;
+    this.keyPrefix = keyPrefix;
+    this.revokedAt = revokedAt ? new Date(revokedAt) : null;
+    this.createdAt = new Date(createdAt);
+    this.updatedAt = new Date(updatedAt);
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * Keys are long random strings, so a fast hash is sufficient.
+   * @param {string} key - The API key
+   * @returns {string} - Hex encoded SHA-256 hash
+   */
+  static hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new key, replacing the previous one
+   * @returns {string} - The new key
+   */
+  generateKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    this.keyHash = ApiKey.hash(key);
+    this.keyPrefix = key.slice(0, API_KEY_PREFIX.length + 6);
+    this.updatedAt = new Date();
+    return key;
+  }
+
+  /**
+   * Revoke the key; it is kept for reference but no longer accepted
+   */
+  revoke() {
+    this.revokedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Whether the key has been revoked
+   * @returns {boolean} - True if revoked
+   */
+  isRevoked() {
+    return this.revokedAt !== null;
+  }
+
+  /**
+   * Check whether the key grants a scope
+   * The admin scope includes every other scope.
+   * @param {string} scope - The required scope
+   * @returns {boolean} - True if granted
+   */
+  hasScope(scope) {
+    return this.scope === API_KEY_SCOPES.ADMIN || this.scope === scope;
+  }
+
+  /**
+   * Check whether the key can be used on a project
+   * Keys without a project work on every project.
+   * @param {string} projectId - The project of the request
+   * @returns {boolean} - True if allowed
+   */
+  canAccessProject(projectId) {
+    return this.projectId === null || this.projectId === projectId;
+  }
+
+  /**
+   * Describe the key as the principal of a change
+   * @returns {Object} - Principal reference
+   */
+  toPrincipal() {
+    return { type: PRINCIPAL_TYPES.API_KEY, id: this.id, name: this.name };
+  }
+
+  /**
+   * Convert to plain object for API responses; never includes the hash
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      name: this.name,
+      scope: this.scope,
+      environment: this.environment,
+      userId: this.userId,
+      keyPrefix: this.keyPrefix,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Convert to plain object for storage, including the key hash
+   */
+  toRecord() {
+    return {
+      ...this.toJSON(),
+      keyHash: this.keyHash
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new ApiKey(data);
+  }
+}
+
+/**
+ * Audit log entry domain model
+ * Records one change to a feature flag: who made it, in which request, and
+ * the changed fields with their values before and after. `version` is the
+ * flag version the change produced, or the last one for a deletion.
+ */
+class AuditEntry {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    featureFlagId,
+    featureFlagName,
+    action,
+    version = null,
+    actor = null,
+    requestId = null,
+    changes = {},
+    timestamp = new Date()
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.featureFlagId = featureFlagId;
+    this.featureFlagName = featureFlagName;
+    this.action = action;
+    this.version = version;
+    this.actor = actor;
+    this.requestId = requestId;
+    this.changes = changes;
+    this.timestamp = new Date(timestamp);
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      featureFlagId: this.featureFlagId,
+      featureFlagName: this.featureFlagName,
+      action: this.action,
+      version: this.version,
+      actor: this.actor,
+      requestId: this.requestId,
+      changes: this.changes,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new AuditEntry(data);
+  }
+}
+
+/**
+ * Feature flag version domain model
+ * An immutable snapshot of a flag as it was saved. Versions are numbered
+ * per flag, starting at 1 on creation.
+ */
+class FeatureFlagVersion {
+  constructor({
+    featureFlagId,
+    projectId = DEFAULT_PROJECT_ID,
+    version,
+    snapshot,
+    createdBy = null,
+    requestId = null,
+    createdAt = new Date()
+  }) {
+    this.featureFlagId = featureFlagId;
+    this.projectId = projectId;
+    this.version = version;
+    this.snapshot = snapshot;
+    this.createdBy = createdBy;
+    this.requestId = requestId;
+    this.createdAt = new Date(createdAt);
+  }
+
+  /**
+   * Storage key of a flag version
+   * @param {string} featureFlagId - The feature flag ID
+   * @param {number} version - The version number
+   * @returns {string} - The key
+   */
+  static key(featureFlagId, version) {
+    return `${featureFlagId}:${version}`;
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      featureFlagId: this.featureFlagId,
+      projectId: this.projectId,
+      version: this.version,
+      snapshot: this.snapshot,
+      createdBy: this.createdBy,
+      requestId: this.requestId,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new FeatureFlagVersion(data);
+  }
+}
+
+/**
+ * Scheduled change domain model
+ * Updates to a flag that the change scheduler applies once `runAt` has
+ * passed, on behalf of the principal who scheduled them. `changes` holds
+ * validated update input, as accepted by `PUT /feature-flags/:id`.
+ */
+class ScheduledChange {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    featureFlagId,
+    runAt,
+    changes,
+    description = '',
+    status = SCHEDULED_CHANGE_STATUSES.PENDING,
+    createdBy = null,
+    requestId = null,
+    appliedVersion = null,
+    error = null,
+    createdAt = new Date(),
+    completedAt = null
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.featureFlagId = featureFlagId;
+    this.runAt = new Date(runAt);
+    this.changes = changes;
+    this.description = description;
+    this.status = status;
+    this.createdBy = createdBy;
+    this.requestId = requestId;
+    this.appliedVersion = appliedVersion;
+    this.error = error;
+    this.createdAt = new Date(createdAt);
+    this.completedAt = completedAt ? new Date(completedAt) : null;
+  }
+
+  /**
+   * Whether the change still waits to be applied
+   * @returns {boolean} - True for pending changes
+   */
+  isPending() {
+    return this.status === SCHEDULED_CHANGE_STATUSES.PENDING;
+  }
+
+  /**
+   * Whether the change is due at a time
+   * @param {Date} now - The current time
+   * @returns {boolean} - True for pending changes whose time has come
+   */
+  isDue(now) {
+    return this.isPending() && this.runAt <= now;
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      featureFlagId: this.featureFlagId,
+      runAt: this.runAt,
+      changes: this.changes,
+      description: this.description,
+      status: this.status,
+      createdBy: this.createdBy,
+      requestId: this.requestId,
+      appliedVersion: this.appliedVersion,
+      error: this.error,
+      createdAt: this.createdAt,
+      completedAt: this.completedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new ScheduledChange(data);
+  }
+}
+
+/**
+ * Rollout plan domain model
+ * Ramps the percentage of one of a flag's percentage rules through
+ * `steps`, waiting `intervalMinutes` between steps. `currentStep` is the
+ * index of the step last applied and `nextStepAt` the time the next one is
+ * due. The rule's percentage before the plan started is kept so an abort
+ * can restore it.
+ */
+class RolloutPlan {
+  constructor({
+    id = uuidv4(),
+    projectId = DEFAULT_PROJECT_ID,
+    featureFlagId,
+    ruleId,
+    steps,
+    intervalMinutes,
+    initialPercentage = null,
+    status = ROLLOUT_PLAN_STATUSES.ACTIVE,
+    currentStep = 0,
+    nextStepAt = null,
+    createdBy = null,
+    requestId = null,
+    error = null,
+    createdAt = new Date(),
+    updatedAt = new Date(),
+    completedAt = null
+  }) {
+    this.id = id;
+    this.projectId = projectId;
+    this.featureFlagId = featureFlagId;
+    this.ruleId = ruleId;
+    this.steps = steps;
+    this.intervalMinutes = intervalMinutes;
+    this.initialPercentage = initialPercentage;
+    this.status = status;
+    this.currentStep = currentStep;
+    this.nextStepAt = nextStepAt ? new Date(nextStepAt) : null;
+    this.createdBy = createdBy;
+    this.requestId = requestId;
+    this.error = error;
+    this.createdAt = new Date(createdAt);
+    this.updatedAt = new Date(updatedAt);
+    this.completedAt = completedAt ? new Date(completedAt) : null;
+  }
+
+  /**
+   * Whether the plan is still running, i.e. active or paused
+   * @returns {boolean} - True unless the plan has ended
+   */
+  isRunning() {
+    return this.status === ROLLOUT_PLAN_STATUSES.ACTIVE || this.status === ROLLOUT_PLAN_STATUSES.PAUSED;
+  }
+
+  /**
+   * Whether the plan's next step is due at a time
+   * @param {Date} now - The current time
+   * @returns {boolean} - True for active plans whose next step has come
+   */
+  isDue(now) {
+    return this.status === ROLLOUT_PLAN_STATUSES.ACTIVE && this.nextStepAt !== null && this.nextStepAt <= now;
+  }
+
+  /**
+   * Whether the last step has been applied
+   * @returns {boolean} - True once the plan has no more steps
+   */
+  isLastStep() {
+    return this.currentStep >= this.steps.length - 1;
+  }
+
+  /**
+   * Schedule the next step one interval after a time, or complete the plan
+   * if the last step has been applied
+   * @param {Date} now - The time the current step was applied
+   */
+  scheduleNextStep(now) {
+    if (this.isLastStep()) {
+      this.finish(ROLLOUT_PLAN_STATUSES.COMPLETED, now);
+    } else {
+      this.nextStepAt = new Date(now.getTime() + this.intervalMinutes * 60 * 1000);
+      this.updatedAt = now;
+    }
+  }
+
+  /**
+   * End the plan
+   * @param {string} status - The final status
+   * @param {Date} now - The current time
+   */
+  finish(status, now) {
+    this.status = status;
+    this.nextStepAt = null;
+    this.updatedAt = now;
+    this.completedAt = now;
+  }
+
+  /**
+   * Convert to plain object for serialization
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      projectId: this.projectId,
+      featureFlagId: this.featureFlagId,
+      ruleId: this.ruleId,
+      steps: this.steps,
+      intervalMinutes: this.intervalMinutes,
+      initialPercentage: this.initialPercentage,
+      status: this.status,
+      currentStep: this.currentStep,
+      currentPercentage: this.steps[this.currentStep],
+      nextStepAt: this.nextStepAt,
+      createdBy: this.createdBy,
+      requestId: this.requestId,
+      error: this.error,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this.completedAt
+    };
+  }
+
+  /**
+   * Create from plain object
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new RolloutPlan(data);
+  }
+}
+
+/**
+ * Flag usage domain model
+ * How often a flag was evaluated, broken down by outcome and served
+ * variant, and when it was last evaluated.
+ */
+class FlagUsage {
+  constructor({
+    featureFlagId,
+    projectId = DEFAULT_PROJECT_ID,
+    evaluations = 0,
+    enabled = 0,
+    disabled = 0,
+    variants = {},
+    lastEvaluatedAt = null
+  }) {
+    this.featureFlagId = featureFlagId;
+    this.projectId = projectId;
+    this.evaluations = evaluations;
+    this.enabled = enabled;
+    this.disabled = disabled;
+    this.variants = { ...variants };
+    this.lastEvaluatedAt = lastEvaluatedAt ? new Date(lastEvaluatedAt) : null;
+  }
+
+  /**
+   * Count an evaluation event
+   * @param {Object} event - The evaluation event
+   */
+  record(event) {
+    this.evaluations++;
+    if (event.enabled) {
+      this.enabled++;
+    } else {
+      this.disabled++;
+    }
+    if (event.variant) {
+      this.variants[event.variant] = (this.variants[event.variant] || 0) + 1;
+    }
+    this._seen(new Date(event.timestamp));
+  }
+
+  /**
+   * Add the counts of other usage of the same flag
+   * @param {FlagUsage} usage - The other usage
+   */
+  merge(usage) {
+    this.evaluations += usage.evaluations;
+    this.enabled += usage.enabled;
+    this.disabled += usage.disabled;
+    for (const [variant, count] of Object.entries(usage.variants)) {
+      this.variants[variant] = (this.variants[variant] || 0) + count;
+    }
+    if (usage.lastEvaluatedAt) {
+      this._seen(usage.lastEvaluatedAt);
+    }
+  }
+
+  /**
+   * Whether the flag has not been evaluated since a time
+   * @param {Date} since - The time
+   * @returns {boolean} - True if never evaluated or last evaluated before then
+   */
+  isUnusedSince(since) {
+    return !this.lastEvaluatedAt || this.lastEvaluatedAt < since;
+  }
+
+  /**
+   * Move the last evaluation time forward
+   * @param {Date} time - Time of an evaluation
+   */
+  _seen(time) {
+    if (!this.lastEvaluatedAt || time > this.lastEvaluatedAt) {
+      this.lastEvaluatedAt = time;
+    }
+  }
+
+  /**
+   * Convert to the public form
+   */
+  toJSON() {
+    return {
+      featureFlagId: this.featureFlagId,
+      evaluations: this.evaluations,
+      enabled: this.enabled,
+      disabled: this.disabled,
+      variants: { ...this.variants },
+      lastEvaluatedAt: this.lastEvaluatedAt
+    };
+  }
+
+  /**
+   * Convert to the stored form, which also names the project
+   */
+  toRecord() {
+    return {
+      featureFlagId: this.featureFlagId,
+      projectId: this.projectId,
+      evaluations: this.evaluations,
+      enabled: this.enabled,
+      disabled: this.disabled,
+      variants: this.variants,
+      lastEvaluatedAt: this.lastEvaluatedAt
+    };
+  }
+
+  /**
+   * Create from a stored record
+   * @param {Object} data - Plain object data
+   */
+  static fromJSON(data) {
+    return new FlagUsage(data);
+  }
+}
+
+/**
+ * Evaluation context containing user and tenant information
+ * `now` is the time the evaluation happens at; the evaluation engine sets
+ * it from its clock when not given. `flags` holds the prerequisite flags
+ * of the evaluated flags, keyed by ID, like `segments` holds the segments
+ * their rules reference.
+ */
+class EvaluationContext {
+  constructor({
+    userId,
+    tenantId,
+    environment = null,
+    additionalData = {},
+    segments = new Map(),
+    flags = new Map(),
+    now = null
+  }) {
     this.userId = userId;
     this.tenantId = tenantId;
+    this.environment = environment;
     this.additionalData = additionalData;
+    this.segments = segments;
+    this.flags = flags;
+    this.now = now;
   }
 }
 
 /**
  * Result of feature flag evaluation
+ * `reason` is an object whose `kind` is one of EVALUATION_REASONS, with
+ * details depending on the kind: the `ruleIndex` and `ruleId` of a
+ * matching rule, the failed `prerequisite`, or the `errorKind` of an
+ * error. `trace` lists the prerequisites and rules considered, when asked
+ * for.
  */
 class EvaluationResult {
   constructor({
     enabled,
     matchedRule = null,
     fallbackToDefault = false,
-    evaluationTime = 0
+    evaluationTime = 0,
+    variant = null,
+    payload = null,
+    matchedSubRules = [],
+    reason = { kind: matchedRule ? EVALUATION_REASONS.RULE_MATCH : EVALUATION_REASONS.DEFAULT },
+    trace = null
   }) {
     this.enabled = enabled;
+    this.reason = reason;
+    this.trace = trace;
     this.matchedRule = matchedRule;
+    this.matchedSubRules = matchedSubRules;
     this.fallbackToDefault = fallbackToDefault;
     this.evaluationTime = evaluationTime;
+    this.variant = variant;
+    this.payload = payload;
   }
 
   toJSON() {
     return {
       enabled: this.enabled,
+      reason: this.reason,
+      variant: this.variant,
+      payload: this.payload,
       matchedRule: this.matchedRule ? this.matchedRule.toJSON() : null,
+      matchedSubRules: this.matchedSubRules,
       fallbackToDefault: this.fallbackToDefault,
-      evaluationTime: this.evaluationTime
+      evaluationTime: this.evaluationTime,
+      ...(this.trace && { trace: this.trace })
     };
   }
 }
@@ -365,7 +2155,37 @@ module.exports = {
   TenantRule,
   UserRule,
   PercentageRule,
+  AttributeRule,
+  RolloutRule,
+  CompositeRule,
+  SegmentRule,
+  ScheduleRule,
+  Segment,
+  User,
+  ApiKey,
+  AuditEntry,
+  FeatureFlagVersion,
+  ScheduledChange,
+  RolloutPlan,
+  FlagUsage,
   EvaluationContext,
   EvaluationResult,
-  RULE_TYPES
+  RULE_TYPES,
+  RULE_EFFECTS,
+  EVALUATION_REASONS,
+  EVALUATION_ERROR_KINDS,
+  DEFAULT_PROJECT_ID,
+  MAX_REGEX_INPUT_LENGTH,
+  API_KEY_SCOPES,
+  BOOTSTRAP_API_KEY_ID,
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  PRINCIPAL_TYPES,
+  AUDIT_ACTIONS,
+  SCHEDULED_CHANGE_STATUSES,
+  ROLLOUT_PLAN_STATUSES,
+  CLEANUP_REASONS,
+  ATTRIBUTE_OPERATORS,
+  COMPOSITE_OPERATORS
 };
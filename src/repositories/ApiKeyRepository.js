@@ -0,0 +1,167 @@
+/**
+ * API Key Repository
+ *
+ * Provides storage for API keys, delegating persistence to a storage
+ * adapter. Keys are stored with their hash and looked up by it.
+ */
+
+const { ApiKey } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'apiKeys';
+
+/**
+ * API key repository
+ *
+ * Keys belong to a project; revoked keys are kept so they can still be
+ * listed, but are never accepted.
+ */
+class ApiKeyRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'ApiKeyRepository' });
+  }
+
+  /**
+   * Create a new API key
+   * @param {ApiKey} apiKey - The API key, with its key already generated
+   * @returns {Promise<ApiKey>} - The created API key
+   */
+  async create(apiKey) {
+    this.logger.debug('Creating API key', {
+      id: apiKey.id,
+      name: apiKey.name
+    });
+
+    if (await this.adapter.get(COLLECTION, apiKey.id)) {
+      throw new Error(`API key with ID ${apiKey.id} already exists`);
+    }
+
+    await this.adapter.put(COLLECTION, apiKey.id, apiKey.toRecord());
+
+    this.logger.info('API key created', {
+      id: apiKey.id,
+      projectId: apiKey.projectId,
+      name: apiKey.name,
+      scope: apiKey.scope
+    });
+
+    return apiKey;
+  }
+
+  /**
+   * Find an API key by ID
+   * @param {string} id - The API key ID
+   * @param {string} [projectId] - Only return the key if it belongs to this project
+   * @returns {Promise<ApiKey|null>} - The API key or null
+   */
+  async findById(id, projectId) {
+    this.logger.debug('Finding API key by ID', { id, projectId });
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const apiKey = ApiKey.fromJSON(record);
+    return projectId && apiKey.projectId !== projectId ? null : apiKey;
+  }
+
+  /**
+   * Find an API key by the hash of its key
+   * @param {string} keyHash - The key hash
+   * @returns {Promise<ApiKey|null>} - The API key or null
+   */
+  async findByHash(keyHash) {
+    const [record] = await this.adapter.find(COLLECTION, 'keyHash', keyHash);
+    return record ? ApiKey.fromJSON(record) : null;
+  }
+
+  /**
+   * Replace a stored API key
+   * @param {string} id - The API key ID
+   * @param {ApiKey} apiKey - The API key with changes applied
+   * @returns {Promise<ApiKey|null>} - The updated API key or null
+   */
+  async update(id, apiKey) {
+    this.logger.debug('Updating API key', { id });
+
+    if (!await this.adapter.get(COLLECTION, id)) {
+      return null;
+    }
+
+    await this.adapter.put(COLLECTION, id, apiKey.toRecord());
+
+    this.logger.info('API key updated', {
+      id,
+      name: apiKey.name,
+      revoked: apiKey.isRevoked()
+    });
+
+    return apiKey;
+  }
+
+  /**
+   * List API keys
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<Array<ApiKey>>} - Array of API keys
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    this.logger.debug('Listing API keys', options);
+
+    const apiKeys = await this._filter(options);
+    return apiKeys.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count API keys
+   * @param {Object} options - Query options
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const apiKeys = await this._filter(options);
+    return apiKeys.length;
+  }
+
+  /**
+   * Check whether any API key, of any project, can still be used
+   * @returns {Promise<boolean>} - True if there is a key that is not revoked
+   */
+  async hasActiveKeys() {
+    const apiKeys = await this._filter();
+    return apiKeys.some(apiKey => !apiKey.isRevoked());
+  }
+
+  /**
+   * Load all API keys, applying the project filter
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<ApiKey>>} - Matching API keys
+   */
+  async _filter({ projectId } = {}) {
+    const records = projectId
+      ? await this.adapter.find(COLLECTION, 'projectId', projectId)
+      : await this.adapter.list(COLLECTION);
+    return records.map(record => ApiKey.fromJSON(record));
+  }
+
+  /**
+   * Clear all API keys (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = ApiKeyRepository;
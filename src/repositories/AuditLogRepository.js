@@ -0,0 +1,128 @@
+/**
+ * Audit Log Repository
+ *
+ * Provides append-only storage for audit log entries, delegating
+ * persistence to a storage adapter.
+ */
+
+const { AuditEntry } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'auditLog';
+
+/**
+ * Audit log repository
+ *
+ * Entries are never changed once recorded and are listed newest first.
+ */
+class AuditLogRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'AuditLogRepository' });
+  }
+
+  /**
+   * Record an audit log entry
+   * @param {AuditEntry} entry - The entry to record
+   * @returns {Promise<AuditEntry>} - The recorded entry
+   */
+  async create(entry) {
+    await this.adapter.put(COLLECTION, entry.id, entry.toJSON());
+
+    this.logger.info('Audit entry recorded', {
+      id: entry.id,
+      action: entry.action,
+      featureFlagId: entry.featureFlagId,
+      actor: entry.actor,
+      requestId: entry.requestId
+    });
+
+    return entry;
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @param {string} options.projectId - Restrict to one project
+   * @param {string} options.featureFlagId - Restrict to one feature flag
+   * @param {string} options.action - Restrict to one kind of change
+   * @param {string} options.actor - Restrict to one principal, by ID
+   * @param {string} options.requestId - Restrict to the changes of one request
+   * @param {Date} options.since - Only entries recorded at or after this time
+   * @param {Date} options.until - Only entries recorded at or before this time
+   * @returns {Promise<Array<AuditEntry>>} - Array of audit log entries
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    this.logger.debug('Listing audit entries', options);
+
+    const entries = await this._filter(options);
+    return entries.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count audit log entries
+   * @param {Object} options - The filters accepted by `list`
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const entries = await this._filter(options);
+    return entries.length;
+  }
+
+  /**
+   * Load all entries, newest first, applying the filters
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<AuditEntry>>} - Matching entries
+   */
+  async _filter({ projectId, featureFlagId, action, actor, requestId, since, until } = {}) {
+    const records = await this._load({ projectId, featureFlagId });
+
+    return records
+      .map(record => AuditEntry.fromJSON(record))
+      .filter(entry =>
+        (!projectId || entry.projectId === projectId) &&
+        (!featureFlagId || entry.featureFlagId === featureFlagId) &&
+        (!action || entry.action === action) &&
+        (!actor || (entry.actor && entry.actor.id === actor)) &&
+        (!requestId || entry.requestId === requestId) &&
+        (!since || entry.timestamp >= since) &&
+        (!until || entry.timestamp <= until)
+      )
+      .reverse();
+  }
+
+  /**
+   * Load the records of a flag or project, or all records without either
+   * @param {Object} options - The flag and project filters
+   * @returns {Promise<Array<Object>>} - Records in insertion order
+   */
+  async _load({ projectId, featureFlagId }) {
+    if (featureFlagId) {
+      return this.adapter.find(COLLECTION, 'featureFlagId', featureFlagId);
+    }
+    if (projectId) {
+      return this.adapter.find(COLLECTION, 'projectId', projectId);
+    }
+    return this.adapter.list(COLLECTION);
+  }
+
+  /**
+   * Clear all audit log entries (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = AuditLogRepository;
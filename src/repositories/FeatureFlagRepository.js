@@ -1,50 +1,91 @@
 /**
  * Feature Flag Repository
- * 
- * Provides in-memory storage for feature flags with a clean interface
- * that can be easily extended to support different storage backends.
+ *
+ * Provides storage for feature flags with a clean interface. Persistence
+ * is delegated to a storage adapter (in-memory, JSON file or SQLite).
  */
 
-const { FeatureFlag } = require('../models');
+const {
+  FeatureFlag,
+  FeatureFlagVersion,
+  AuditEntry,
+  AUDIT_ACTIONS,
+  DEFAULT_PROJECT_ID
+} = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const AuditLogRepository = require('./AuditLogRepository');
+const FeatureFlagVersionRepository = require('./FeatureFlagVersionRepository');
+const { diffFields } = require('../utils/diff');
 const logger = require('../utils/logger');
 
+const COLLECTION = 'featureFlags';
+
+// Bookkeeping fields left out of audit diffs; the entry records actor and time
+const UNAUDITED_FIELDS = ['version', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
 /**
- * In-memory feature flag repository
- * 
+ * Feature flag repository
+ *
  * Implements the repository pattern for feature flag storage.
- * This design makes it easy to swap out for database-backed storage.
+ * Flags are stored as plain JSON records and rebuilt into models on read.
+ * Every flag belongs to a project; names are unique within a project and
+ * lookups scoped to a project never return flags of another one.
+ * Every change is recorded in the audit log, together with the actor and
+ * request given as change context, and every saved state is kept as a
+ * numbered version.
  */
 class FeatureFlagRepository {
-  constructor() {
-    this.flags = new Map();
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   * @param {AuditLogRepository} [options.auditLog] - Audit log, kept with the same adapter by default
+   * @param {FeatureFlagVersionRepository} [options.versions] - Version store, kept with the same adapter by default
+   */
+  constructor({
+    adapter = new MemoryStorageAdapter(),
+    auditLog = new AuditLogRepository({ adapter }),
+    versions = new FeatureFlagVersionRepository({ adapter })
+  } = {}) {
+    this.adapter = adapter;
+    this.auditLog = auditLog;
+    this.versions = versions;
     this.logger = logger.child({ component: 'FeatureFlagRepository' });
   }
 
   /**
    * Create a new feature flag
    * @param {FeatureFlag} featureFlag - The feature flag to create
+   * @param {Object} [context] - Change context for the audit log
+   * @param {Object} [context.actor] - Principal making the change
+   * @param {string} [context.requestId] - ID of the request making the change
+   * @param {number} [context.expectedVersion] - For updates and deletions, the
+   *   version the change is based on; the change fails if the flag has been
+   *   modified since
    * @returns {Promise<FeatureFlag>} - The created feature flag
    */
-  async create(featureFlag) {
-    this.logger.debug('Creating feature flag', { 
-      id: featureFlag.id, 
-      name: featureFlag.name 
+  async create(featureFlag, context = {}) {
+    this.logger.debug('Creating feature flag', {
+      id: featureFlag.id,
+      name: featureFlag.name
     });
 
-    if (this.flags.has(featureFlag.id)) {
-      throw new Error(`Feature flag with ID ${featureFlag.id} already exists`);
-    }
+    featureFlag.version = 1;
 
-    if (this.flags.has(featureFlag.name)) {
-      throw new Error(`Feature flag with name '${featureFlag.name}' already exists`);
-    }
+    // Batches run one at a time, so no other flag can take the name between
+    // the check and the write
+    await this.adapter.batch(async () => {
+      await this._assertNameAvailable(featureFlag.name, featureFlag.projectId);
 
-    this.flags.set(featureFlag.id, featureFlag);
-    this.flags.set(featureFlag.name, featureFlag);
+      if (!await this.adapter.insert(COLLECTION, featureFlag.id, featureFlag.toJSON())) {
+        throw new Error(`Feature flag with ID ${featureFlag.id} already exists`);
+      }
+      await this._recordChange(AUDIT_ACTIONS.CREATE, featureFlag, this._diff({}, featureFlag.toJSON()), context);
+    });
 
-    this.logger.info('Feature flag created', { 
-      id: featureFlag.id, 
-      name: featureFlag.name 
+    this.logger.info('Feature flag created', {
+      id: featureFlag.id,
+      projectId: featureFlag.projectId,
+      name: featureFlag.name
     });
 
     return featureFlag;
@@ -53,55 +94,185 @@ class FeatureFlagRepository {
   /**
    * Find a feature flag by ID
    * @param {string} id - The feature flag ID
+   * @param {string} [projectId] - Only return the flag if it belongs to this project
    * @returns {Promise<FeatureFlag|null>} - The feature flag or null
    */
-  async findById(id) {
-    this.logger.debug('Finding feature flag by ID', { id });
-    return this.flags.get(id) || null;
+  async findById(id, projectId) {
+    this.logger.debug('Finding feature flag by ID', { id, projectId });
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const flag = FeatureFlag.fromJSON(record);
+    if (projectId && flag.projectId !== projectId) {
+      this.logger.warn('Rejected cross-project feature flag access', {
+        id,
+        projectId,
+        ownerProjectId: flag.projectId
+      });
+      return null;
+    }
+
+    return flag;
   }
 
   /**
    * Find a feature flag by name
    * @param {string} name - The feature flag name
+   * @param {string} [projectId] - The project the name is looked up in
    * @returns {Promise<FeatureFlag|null>} - The feature flag or null
    */
-  async findByName(name) {
-    this.logger.debug('Finding feature flag by name', { name });
-    return this.flags.get(name) || null;
+  async findByName(name, projectId = DEFAULT_PROJECT_ID) {
+    this.logger.debug('Finding feature flag by name', { name, projectId });
+    const records = await this.adapter.find(COLLECTION, 'name', name);
+    const record = records.find(candidate => candidate.projectId === projectId);
+    return record ? FeatureFlag.fromJSON(record) : null;
+  }
+
+  /**
+   * Find all feature flags
+   * @param {string} [projectId] - Restrict to one project; all projects if omitted
+   * @returns {Promise<Array<FeatureFlag>>} - The stored feature flags
+   */
+  async findAll(projectId) {
+    const records = projectId
+      ? await this.adapter.find(COLLECTION, 'projectId', projectId)
+      : await this.adapter.list(COLLECTION);
+    return records.map(record => FeatureFlag.fromJSON(record));
+  }
+
+  /**
+   * Find all feature flags whose rules reference a segment
+   * @param {string} segmentId - The segment ID
+   * @returns {Promise<Array<FeatureFlag>>} - The referencing feature flags
+   */
+  async findBySegment(segmentId) {
+    this.logger.debug('Finding feature flags by segment', { segmentId });
+    const flags = await this.findAll();
+    return flags.filter(flag => flag.getSegmentIds().includes(segmentId));
+  }
+
+  /**
+   * Find all feature flags that name a flag as a prerequisite
+   * @param {string} flagId - The prerequisite flag's ID
+   * @returns {Promise<Array<FeatureFlag>>} - The dependent feature flags
+   */
+  async findDependents(flagId) {
+    this.logger.debug('Finding dependent feature flags', { flagId });
+    const records = await this.adapter.find(COLLECTION, 'prerequisites.flagId', flagId);
+    return records.map(record => FeatureFlag.fromJSON(record));
+  }
+
+  /**
+   * Find the prerequisites of a feature flag, and theirs in turn
+   * Unknown prerequisites are skipped.
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @returns {Promise<Map<string, FeatureFlag>>} - Prerequisite flags keyed by ID
+   */
+  async findPrerequisites(featureFlag) {
+    const found = new Map();
+    const pending = featureFlag.getPrerequisiteIds();
+
+    while (pending.length > 0) {
+      const id = pending.shift();
+      if (found.has(id)) {
+        continue;
+      }
+
+      const prerequisite = await this.findById(id, featureFlag.projectId);
+      if (prerequisite) {
+        found.set(id, prerequisite);
+        pending.push(...prerequisite.getPrerequisiteIds());
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Find a cycle the prerequisites of a flag would form once it is saved
+   * @param {FeatureFlag} featureFlag - The flag about to be saved
+   * @returns {Promise<Array<string>|null>} - Names of the flags along the cycle, starting and ending with this flag, or null
+   */
+  async findPrerequisiteCycle(featureFlag) {
+    const flags = new Map((await this.findAll(featureFlag.projectId)).map(flag => [flag.id, flag]));
+    flags.set(featureFlag.id, featureFlag);
+
+    const visited = new Set();
+    const visit = (flag, path) => {
+      for (const id of flag.getPrerequisiteIds()) {
+        if (id === featureFlag.id) {
+          return [...path, featureFlag.name];
+        }
+
+        const prerequisite = flags.get(id);
+        if (prerequisite && !visited.has(id)) {
+          visited.add(id);
+          const cycle = visit(prerequisite, [...path, prerequisite.name]);
+          if (cycle) {
+            return cycle;
+          }
+        }
+      }
+      return null;
+    };
+
+    return visit(featureFlag, [featureFlag.name]);
   }
 
   /**
    * Update an existing feature flag
    * @param {string} id - The feature flag ID
    * @param {Object} updates - The updates to apply
+   * @param {Object} [context] - Change context for the audit log, see `create`
    * @returns {Promise<FeatureFlag|null>} - The updated feature flag or null
    */
-  async update(id, updates) {
+  async update(id, updates, context = {}) {
     this.logger.debug('Updating feature flag', { id, updates });
 
-    const existingFlag = this.flags.get(id);
+    const existingFlag = await this.findById(id);
     if (!existingFlag) {
       return null;
     }
 
-    // Check for name conflicts if name is being updated
-    if (updates.name && updates.name !== existingFlag.name) {
-      if (this.flags.has(updates.name)) {
-        throw new Error(`Feature flag with name '${updates.name}' already exists`);
-      }
-      // Remove old name mapping
-      this.flags.delete(existingFlag.name);
-      // Add new name mapping
-      this.flags.set(updates.name, existingFlag);
-    }
+    this._assertVersion(existingFlag, context);
+
+    const renamed = Boolean(updates.name) && updates.name !== existingFlag.name;
+    const before = existingFlag.toJSON();
+    const { projectId, version } = existingFlag;
 
-    // Apply updates
-    Object.assign(existingFlag, updates);
+    // Apply updates; a flag never moves between projects
+    Object.assign(existingFlag, updates, { projectId, version });
     existingFlag.updatedAt = new Date();
 
-    this.logger.info('Feature flag updated', { 
-      id, 
-      name: existingFlag.name 
+    // Only updates that change the flag's settings produce a new version
+    const changes = this._diff(before, existingFlag.toJSON());
+    const changed = Object.keys(changes).length > 0;
+    if (changed) {
+      existingFlag.version = version + 1;
+    }
+
+    await this.adapter.batch(async () => {
+      // Check for name conflicts in the batch, so the name cannot be taken
+      // before the write
+      if (renamed) {
+        await this._assertNameAvailable(existingFlag.name, projectId);
+      }
+
+      // Only write over the version read above, in case another change was
+      // saved in the meantime
+      if (!await this.adapter.replace(COLLECTION, id, existingFlag.toJSON(), version)) {
+        throw new Error(`Feature flag ${id} has been modified concurrently; reload it and retry`);
+      }
+      if (changed) {
+        await this._recordChange(AUDIT_ACTIONS.UPDATE, existingFlag, changes, context);
+      }
+    });
+
+    this.logger.info('Feature flag updated', {
+      id,
+      name: existingFlag.name
     });
 
     return existingFlag;
@@ -110,22 +281,28 @@ class FeatureFlagRepository {
   /**
    * Delete a feature flag
    * @param {string} id - The feature flag ID
+   * @param {string} [projectId] - Only delete the flag if it belongs to this project
+   * @param {Object} [context] - Change context for the audit log, see `create`
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
-  async delete(id) {
-    this.logger.debug('Deleting feature flag', { id });
+  async delete(id, projectId, context = {}) {
+    this.logger.debug('Deleting feature flag', { id, projectId });
 
-    const flag = this.flags.get(id);
+    const flag = await this.findById(id, projectId);
     if (!flag) {
       return false;
     }
 
-    this.flags.delete(id);
-    this.flags.delete(flag.name);
+    this._assertVersion(flag, context);
+
+    await this.adapter.batch(async () => {
+      await this.adapter.delete(COLLECTION, id);
+      await this._recordChange(AUDIT_ACTIONS.DELETE, flag, this._diff(flag.toJSON(), {}), context);
+    });
 
-    this.logger.info('Feature flag deleted', { 
-      id, 
-      name: flag.name 
+    this.logger.info('Feature flag deleted', {
+      id,
+      name: flag.name
     });
 
     return true;
@@ -137,34 +314,24 @@ class FeatureFlagRepository {
    * @param {number} options.limit - Maximum number of results
    * @param {number} options.offset - Number of results to skip
    * @param {string} options.search - Search term for name/description
+   * @param {string} options.projectId - Restrict to one project
    * @returns {Promise<Array<FeatureFlag>>} - Array of feature flags
    */
   async list(options = {}) {
-    const { limit = 100, offset = 0, search } = options;
-    
-    this.logger.debug('Listing feature flags', { limit, offset, search });
+    const { limit = 100, offset = 0, search, projectId } = options;
 
-    let flags = Array.from(this.flags.values()).filter(flag => 
-      typeof flag === 'object' && flag.id && flag.name
-    );
+    this.logger.debug('Listing feature flags', { limit, offset, search, projectId });
 
-    // Apply search filter
-    if (search) {
-      const searchLower = search.toLowerCase();
-      flags = flags.filter(flag => 
-        flag.name.toLowerCase().includes(searchLower) ||
-        flag.description.toLowerCase().includes(searchLower)
-      );
-    }
+    const flags = await this._search(search, projectId);
 
     // Apply pagination
     const startIndex = offset;
     const endIndex = startIndex + limit;
     const paginatedFlags = flags.slice(startIndex, endIndex);
 
-    this.logger.debug('Feature flags listed', { 
-      total: flags.length, 
-      returned: paginatedFlags.length 
+    this.logger.debug('Feature flags listed', {
+      total: flags.length,
+      returned: paginatedFlags.length
     });
 
     return paginatedFlags;
@@ -174,32 +341,11 @@ class FeatureFlagRepository {
    * Count total feature flags
    * @param {Object} options - Query options
    * @param {string} options.search - Search term for name/description
+   * @param {string} options.projectId - Restrict to one project
    * @returns {Promise<number>} - Total count
    */
   async count(options = {}) {
-    const { search } = options;
-    
-    // Get all unique feature flags by filtering out name-based entries
-    // We only want ID-based entries to avoid counting duplicates
-    let flags = Array.from(this.flags.entries())
-      .filter(([key, value]) => {
-        // Only include entries where the key matches the feature flag's ID
-        // This ensures we only count each flag once, not twice (ID + name)
-        return typeof value === 'object' && 
-               value.id && 
-               value.name && 
-               value.id === key;
-      })
-      .map(([key, value]) => value);
-
-    if (search) {
-      const searchLower = search.toLowerCase();
-      flags = flags.filter(flag => 
-        flag.name.toLowerCase().includes(searchLower) ||
-        flag.description.toLowerCase().includes(searchLower)
-      );
-    }
-
+    const flags = await this._search(options.search, options.projectId);
     return flags.length;
   }
 
@@ -209,7 +355,7 @@ class FeatureFlagRepository {
    * @returns {Promise<boolean>} - True if exists, false otherwise
    */
   async exists(id) {
-    return this.flags.has(id);
+    return (await this.adapter.get(COLLECTION, id)) !== null;
   }
 
   /**
@@ -217,9 +363,7 @@ class FeatureFlagRepository {
    * @returns {Promise<Object>} - Repository statistics
    */
   async getStats() {
-    const flags = Array.from(this.flags.values()).filter(flag => 
-      typeof flag === 'object' && flag.id && flag.name
-    );
+    const flags = await this.findAll();
 
     const stats = {
       totalFlags: flags.length,
@@ -234,11 +378,99 @@ class FeatureFlagRepository {
 
   /**
    * Clear all feature flags (useful for testing)
+   * @returns {Promise<void>}
    */
-  clear() {
-    this.flags.clear();
+  async clear() {
+    await this.adapter.clear(COLLECTION);
     this.logger.info('Repository cleared');
   }
+
+  /**
+   * Ensure a change is based on the flag's current version
+   * @param {FeatureFlag} featureFlag - The stored feature flag
+   * @param {Object} context - Change context
+   * @throws {Error} - If the flag has been modified since the expected version
+   */
+  _assertVersion(featureFlag, { expectedVersion }) {
+    if (expectedVersion !== undefined && featureFlag.version !== expectedVersion) {
+      throw new Error(`Feature flag ${featureFlag.id} has been modified; its current version is ${featureFlag.version}`);
+    }
+  }
+
+  /**
+   * Compare two records of a flag for the audit log
+   * @param {Object} before - The flag's record before the change
+   * @param {Object} after - The flag's record after the change
+   * @returns {Object} - The changed fields
+   */
+  _diff(before, after) {
+    return diffFields(before, after, { ignore: UNAUDITED_FIELDS, byId: ['rules'] });
+  }
+
+  /**
+   * Check that no flag of a project has a name
+   * @param {string} name - The feature flag name
+   * @param {string} projectId - The project
+   * @throws {Error} - If the name is taken
+   */
+  async _assertNameAvailable(name, projectId) {
+    if (await this.findByName(name, projectId)) {
+      throw new Error(`Feature flag with name '${name}' already exists in project '${projectId}'`);
+    }
+  }
+
+  /**
+   * Store the flag's new version, unless it was deleted, and record the
+   * change in the audit log
+   * @param {string} action - The kind of change
+   * @param {FeatureFlag} featureFlag - The changed feature flag
+   * @param {Object} changes - The changed fields
+   * @param {Object} context - Change context
+   * @returns {Promise<void>}
+   */
+  async _recordChange(action, featureFlag, changes, { actor = null, requestId = null }) {
+    if (action !== AUDIT_ACTIONS.DELETE) {
+      await this.versions.create(new FeatureFlagVersion({
+        featureFlagId: featureFlag.id,
+        projectId: featureFlag.projectId,
+        version: featureFlag.version,
+        snapshot: featureFlag.toJSON(),
+        createdBy: actor,
+        requestId
+      }));
+    }
+
+    await this.auditLog.create(new AuditEntry({
+      projectId: featureFlag.projectId,
+      featureFlagId: featureFlag.id,
+      featureFlagName: featureFlag.name,
+      action,
+      version: featureFlag.version,
+      actor,
+      requestId,
+      changes
+    }));
+  }
+
+  /**
+   * Load all flags, filtered by a search term on name/description
+   * @param {string} [search] - Search term
+   * @param {string} [projectId] - Restrict to one project
+   * @returns {Promise<Array<FeatureFlag>>} - Matching feature flags
+   */
+  async _search(search, projectId) {
+    let flags = await this.findAll(projectId);
+
+    if (search) {
+      const searchLower = search.toLowerCase();
+      flags = flags.filter(flag =>
+        flag.name.toLowerCase().includes(searchLower) ||
+        flag.description.toLowerCase().includes(searchLower)
+      );
+    }
+
+    return flags;
+  }
 }
 
 module.exports = FeatureFlagRepository;
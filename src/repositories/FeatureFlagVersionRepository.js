@@ -0,0 +1,114 @@
+/**
+ * Feature Flag Version Repository
+ *
+ * Provides append-only storage for feature flag versions, delegating
+ * persistence to a storage adapter.
+ */
+
+const { FeatureFlagVersion } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'featureFlagVersions';
+
+/**
+ * Feature flag version repository
+ *
+ * Versions are keyed by flag ID and version number and never change once
+ * stored. They are kept after their flag is deleted.
+ */
+class FeatureFlagVersionRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'FeatureFlagVersionRepository' });
+  }
+
+  /**
+   * Store a new version
+   * @param {FeatureFlagVersion} flagVersion - The version to store
+   * @returns {Promise<FeatureFlagVersion>} - The stored version
+   */
+  async create(flagVersion) {
+    const key = FeatureFlagVersion.key(flagVersion.featureFlagId, flagVersion.version);
+
+    if (!await this.adapter.insert(COLLECTION, key, flagVersion.toJSON())) {
+      throw new Error(`Version ${flagVersion.version} of feature flag ${flagVersion.featureFlagId} already exists`);
+    }
+
+    this.logger.debug('Feature flag version stored', {
+      featureFlagId: flagVersion.featureFlagId,
+      version: flagVersion.version
+    });
+
+    return flagVersion;
+  }
+
+  /**
+   * Find a version of a feature flag
+   * @param {string} featureFlagId - The feature flag ID
+   * @param {number} version - The version number
+   * @param {string} [projectId] - Only return the version if it belongs to this project
+   * @returns {Promise<FeatureFlagVersion|null>} - The version or null
+   */
+  async find(featureFlagId, version, projectId) {
+    const record = await this.adapter.get(COLLECTION, FeatureFlagVersion.key(featureFlagId, version));
+    if (!record) {
+      return null;
+    }
+
+    const flagVersion = FeatureFlagVersion.fromJSON(record);
+    return projectId && flagVersion.projectId !== projectId ? null : flagVersion;
+  }
+
+  /**
+   * List the versions of a feature flag, newest first
+   * @param {string} featureFlagId - The feature flag ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @returns {Promise<Array<FeatureFlagVersion>>} - Array of versions
+   */
+  async list(featureFlagId, options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const versions = await this._filter(featureFlagId);
+    return versions.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count the versions of a feature flag
+   * @param {string} featureFlagId - The feature flag ID
+   * @returns {Promise<number>} - Total count
+   */
+  async count(featureFlagId) {
+    const versions = await this._filter(featureFlagId);
+    return versions.length;
+  }
+
+  /**
+   * Load the versions of a feature flag, newest first
+   * @param {string} featureFlagId - The feature flag ID
+   * @returns {Promise<Array<FeatureFlagVersion>>} - The versions
+   */
+  async _filter(featureFlagId) {
+    const records = await this.adapter.find(COLLECTION, 'featureFlagId', featureFlagId);
+
+    return records
+      .map(record => FeatureFlagVersion.fromJSON(record))
+      .sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * Clear all versions (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = FeatureFlagVersionRepository;
@@ -0,0 +1,102 @@
+/**
+ * Flag Usage Repository
+ *
+ * Provides storage for the evaluation counts of feature flags, delegating
+ * persistence to a storage adapter.
+ */
+
+const { FlagUsage } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'flagUsage';
+
+/**
+ * Flag usage repository
+ *
+ * Usage is keyed by feature flag ID; flags that were never evaluated have
+ * no record. Given the flag repository, usage is only added for flags that
+ * still exist, checked in the same batch as the write so that counts still
+ * pending when a flag is deleted don't bring its usage back.
+ */
+class FlagUsageRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   * @param {FeatureFlagRepository} [options.flags] - Flags usage is added for, kept with the same adapter; any flag ID is accepted without it
+   */
+  constructor({ adapter = new MemoryStorageAdapter(), flags = null } = {}) {
+    this.adapter = adapter;
+    this.flags = flags;
+    this.logger = logger.child({ component: 'FlagUsageRepository' });
+  }
+
+  /**
+   * Find the usage of a feature flag
+   * @param {string} featureFlagId - The feature flag ID
+   * @param {string} [projectId] - Only return the usage if it belongs to this project
+   * @returns {Promise<FlagUsage|null>} - The usage or null
+   */
+  async findByFlagId(featureFlagId, projectId) {
+    const record = await this.adapter.get(COLLECTION, featureFlagId);
+    if (!record) {
+      return null;
+    }
+
+    const usage = FlagUsage.fromJSON(record);
+    return projectId && usage.projectId !== projectId ? null : usage;
+  }
+
+  /**
+   * Find the usage of several feature flags
+   * @param {Array<string>} featureFlagIds - The feature flag IDs
+   * @returns {Promise<Map<string, FlagUsage>>} - Usage by flag ID, without flags never evaluated
+   */
+  async findByFlagIds(featureFlagIds) {
+    const usages = await Promise.all(featureFlagIds.map(id => this.findByFlagId(id)));
+    return new Map(usages.filter(Boolean).map(usage => [usage.featureFlagId, usage]));
+  }
+
+  /**
+   * Add usage to what is stored for its feature flag
+   * @param {FlagUsage} usage - The usage to add
+   * @returns {Promise<FlagUsage|null>} - The stored total, or null if the flag no longer exists
+   */
+  async add(usage) {
+    return this.adapter.batch(async () => {
+      if (this.flags && !await this.flags.findById(usage.featureFlagId)) {
+        this.logger.debug('Discarding usage of a deleted feature flag', { featureFlagId: usage.featureFlagId });
+        return null;
+      }
+
+      const total = await this.findByFlagId(usage.featureFlagId) ||
+        new FlagUsage({ featureFlagId: usage.featureFlagId, projectId: usage.projectId });
+
+      total.merge(usage);
+      await this.adapter.put(COLLECTION, total.featureFlagId, total.toRecord());
+
+      return total;
+    });
+  }
+
+  /**
+   * Delete the usage of a feature flag
+   * @param {string} featureFlagId - The feature flag ID
+   * @returns {Promise<boolean>} - True if deleted, false if there was none
+   */
+  async delete(featureFlagId) {
+    this.logger.debug('Deleting flag usage', { featureFlagId });
+    return this.adapter.delete(COLLECTION, featureFlagId);
+  }
+
+  /**
+   * Clear all usage (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = FlagUsageRepository;
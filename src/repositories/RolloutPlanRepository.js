@@ -0,0 +1,183 @@
+/**
+ * Rollout Plan Repository
+ *
+ * Provides storage for rollout plans, delegating persistence to a storage
+ * adapter so running plans survive restarts.
+ */
+
+const { RolloutPlan } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'rolloutPlans';
+
+/**
+ * Rollout plan repository
+ *
+ * Plans are keyed by ID and kept after they have ended, as a record of the
+ * rollout. A flag has at most one running plan.
+ */
+class RolloutPlanRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'RolloutPlanRepository' });
+  }
+
+  /**
+   * Store a new rollout plan
+   * @param {RolloutPlan} plan - The plan to store
+   * @returns {Promise<RolloutPlan>} - The stored plan
+   * @throws {Error} - If the flag already has a running plan
+   */
+  async create(plan) {
+    await this.batch(async () => {
+      if (await this.adapter.get(COLLECTION, plan.id)) {
+        throw new Error(`Rollout plan with ID ${plan.id} already exists`);
+      }
+
+      if (await this.findRunning(plan.featureFlagId)) {
+        throw new Error(`A running rollout plan already exists for feature flag ${plan.featureFlagId}`);
+      }
+
+      await this.adapter.put(COLLECTION, plan.id, plan.toJSON());
+    });
+
+    this.logger.info('Rollout plan created', {
+      id: plan.id,
+      featureFlagId: plan.featureFlagId,
+      steps: plan.steps
+    });
+
+    return plan;
+  }
+
+  /**
+   * Find a rollout plan by ID
+   * @param {string} id - The rollout plan ID
+   * @param {string} [projectId] - Only return the plan if it belongs to this project
+   * @returns {Promise<RolloutPlan|null>} - The plan or null
+   */
+  async findById(id, projectId) {
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const plan = RolloutPlan.fromJSON(record);
+    return projectId && plan.projectId !== projectId ? null : plan;
+  }
+
+  /**
+   * Find the running plan of a feature flag
+   * @param {string} featureFlagId - The feature flag ID
+   * @returns {Promise<RolloutPlan|null>} - The active or paused plan, or null
+   */
+  async findRunning(featureFlagId) {
+    const plans = await this._filter({ featureFlagId });
+    return plans.find(plan => plan.isRunning()) || null;
+  }
+
+  /**
+   * Run an operation as one batch of the storage adapter
+   * Plans checked in the operation can't change before it ends, and
+   * adapters that undo failed batches drop its writes if it fails, including
+   * those of other repositories kept with the same adapter.
+   * @param {Function} operation - Async function doing the reads and writes
+   * @returns {Promise<*>} - The result of the operation
+   */
+  async batch(operation) {
+    return this.adapter.batch(operation);
+  }
+
+  /**
+   * Save the new state of an existing rollout plan
+   * @param {RolloutPlan} plan - The plan
+   * @returns {Promise<RolloutPlan>} - The saved plan
+   */
+  async save(plan) {
+    if (!await this.adapter.get(COLLECTION, plan.id)) {
+      throw new Error(`Rollout plan with ID ${plan.id} not found`);
+    }
+
+    await this.adapter.put(COLLECTION, plan.id, plan.toJSON());
+
+    this.logger.debug('Rollout plan saved', {
+      id: plan.id,
+      status: plan.status,
+      currentStep: plan.currentStep
+    });
+
+    return plan;
+  }
+
+  /**
+   * List rollout plans, newest first
+   * @param {Object} options - Query options
+   * @param {string} [options.projectId] - Restrict to one project
+   * @param {string} [options.featureFlagId] - Restrict to one feature flag
+   * @param {string} [options.status] - Restrict to one status
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.offset] - Number of results to skip
+   * @returns {Promise<Array<RolloutPlan>>} - Array of rollout plans
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const plans = await this._filter(options);
+    return plans.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count rollout plans
+   * @param {Object} options - The filters accepted by `list`
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const plans = await this._filter(options);
+    return plans.length;
+  }
+
+  /**
+   * Find the active plans whose next step is due at a time
+   * @param {Date} now - The current time
+   * @returns {Promise<Array<RolloutPlan>>} - The due plans, earliest step first
+   */
+  async findDue(now) {
+    const plans = await this._filter();
+    return plans
+      .filter(plan => plan.isDue(now))
+      .sort((a, b) => a.nextStepAt - b.nextStepAt);
+  }
+
+  /**
+   * Load all plans, newest first, applying the filters
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<RolloutPlan>>} - Matching plans
+   */
+  async _filter({ projectId, featureFlagId, status } = {}) {
+    const records = await this.adapter.list(COLLECTION);
+
+    return records
+      .map(record => RolloutPlan.fromJSON(record))
+      .filter(plan =>
+        (!projectId || plan.projectId === projectId) &&
+        (!featureFlagId || plan.featureFlagId === featureFlagId) &&
+        (!status || plan.status === status)
+      )
+      .reverse();
+  }
+
+  /**
+   * Clear all rollout plans (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = RolloutPlanRepository;
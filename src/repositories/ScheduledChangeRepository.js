@@ -0,0 +1,151 @@
+/**
+ * Scheduled Change Repository
+ *
+ * Provides storage for scheduled flag changes, delegating persistence to a
+ * storage adapter so pending changes survive restarts.
+ */
+
+const { ScheduledChange } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'scheduledChanges';
+
+/**
+ * Scheduled change repository
+ *
+ * Changes are keyed by ID and kept after they have been applied, failed
+ * or been cancelled, as a record of what ran.
+ */
+class ScheduledChangeRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'ScheduledChangeRepository' });
+  }
+
+  /**
+   * Store a new scheduled change
+   * @param {ScheduledChange} change - The change to store
+   * @returns {Promise<ScheduledChange>} - The stored change
+   */
+  async create(change) {
+    if (await this.adapter.get(COLLECTION, change.id)) {
+      throw new Error(`Scheduled change with ID ${change.id} already exists`);
+    }
+
+    await this.adapter.put(COLLECTION, change.id, change.toJSON());
+
+    this.logger.info('Scheduled change created', {
+      id: change.id,
+      featureFlagId: change.featureFlagId,
+      runAt: change.runAt
+    });
+
+    return change;
+  }
+
+  /**
+   * Find a scheduled change by ID
+   * @param {string} id - The scheduled change ID
+   * @param {string} [projectId] - Only return the change if it belongs to this project
+   * @returns {Promise<ScheduledChange|null>} - The change or null
+   */
+  async findById(id, projectId) {
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const change = ScheduledChange.fromJSON(record);
+    return projectId && change.projectId !== projectId ? null : change;
+  }
+
+  /**
+   * Save the new state of an existing scheduled change
+   * @param {ScheduledChange} change - The change
+   * @returns {Promise<ScheduledChange>} - The saved change
+   */
+  async save(change) {
+    if (!await this.adapter.get(COLLECTION, change.id)) {
+      throw new Error(`Scheduled change with ID ${change.id} not found`);
+    }
+
+    await this.adapter.put(COLLECTION, change.id, change.toJSON());
+
+    this.logger.debug('Scheduled change saved', {
+      id: change.id,
+      status: change.status
+    });
+
+    return change;
+  }
+
+  /**
+   * List scheduled changes by their time to run
+   * @param {Object} options - Query options
+   * @param {string} [options.projectId] - Restrict to one project
+   * @param {string} [options.featureFlagId] - Restrict to one feature flag
+   * @param {string} [options.status] - Restrict to one status
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.offset] - Number of results to skip
+   * @returns {Promise<Array<ScheduledChange>>} - Array of scheduled changes
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+    const changes = await this._filter(options);
+    return changes.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count scheduled changes
+   * @param {Object} options - The filters accepted by `list`
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const changes = await this._filter(options);
+    return changes.length;
+  }
+
+  /**
+   * Find the pending changes due at a time, earliest first
+   * @param {Date} now - The current time
+   * @returns {Promise<Array<ScheduledChange>>} - The due changes
+   */
+  async findDue(now) {
+    const changes = await this._filter();
+    return changes.filter(change => change.isDue(now));
+  }
+
+  /**
+   * Load all changes by their time to run, applying the filters
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<ScheduledChange>>} - Matching changes
+   */
+  async _filter({ projectId, featureFlagId, status } = {}) {
+    const records = await this.adapter.list(COLLECTION);
+
+    return records
+      .map(record => ScheduledChange.fromJSON(record))
+      .filter(change =>
+        (!projectId || change.projectId === projectId) &&
+        (!featureFlagId || change.featureFlagId === featureFlagId) &&
+        (!status || change.status === status)
+      )
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
+  /**
+   * Clear all scheduled changes (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = ScheduledChangeRepository;
@@ -0,0 +1,231 @@
+/**
+ * Segment Repository
+ *
+ * Provides storage for segments, mirroring the interface of the feature
+ * flag repository and delegating persistence to a storage adapter.
+ */
+
+const { Segment, DEFAULT_PROJECT_ID } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'segments';
+
+/**
+ * Segment repository
+ *
+ * Segments are keyed by ID and belong to a project; names are unique
+ * within a project.
+ */
+class SegmentRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'SegmentRepository' });
+  }
+
+  /**
+   * Create a new segment
+   * @param {Segment} segment - The segment to create
+   * @returns {Promise<Segment>} - The created segment
+   */
+  async create(segment) {
+    this.logger.debug('Creating segment', {
+      id: segment.id,
+      name: segment.name
+    });
+
+    if (await this.adapter.get(COLLECTION, segment.id)) {
+      throw new Error(`Segment with ID ${segment.id} already exists`);
+    }
+
+    if (await this.findByName(segment.name, segment.projectId)) {
+      throw new Error(`Segment with name '${segment.name}' already exists in project '${segment.projectId}'`);
+    }
+
+    await this.adapter.put(COLLECTION, segment.id, segment.toJSON());
+
+    this.logger.info('Segment created', {
+      id: segment.id,
+      name: segment.name
+    });
+
+    return segment;
+  }
+
+  /**
+   * Find a segment by ID
+   * @param {string} id - The segment ID
+   * @param {string} [projectId] - Only return the segment if it belongs to this project
+   * @returns {Promise<Segment|null>} - The segment or null
+   */
+  async findById(id, projectId) {
+    this.logger.debug('Finding segment by ID', { id, projectId });
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const segment = Segment.fromJSON(record);
+    return projectId && segment.projectId !== projectId ? null : segment;
+  }
+
+  /**
+   * Find a segment by name
+   * @param {string} name - The segment name
+   * @param {string} [projectId] - The project the name is looked up in
+   * @returns {Promise<Segment|null>} - The segment or null
+   */
+  async findByName(name, projectId = DEFAULT_PROJECT_ID) {
+    this.logger.debug('Finding segment by name', { name, projectId });
+    const records = await this.adapter.find(COLLECTION, 'name', name);
+    const record = records.find(candidate => candidate.projectId === projectId);
+    return record ? Segment.fromJSON(record) : null;
+  }
+
+  /**
+   * Find several segments by ID, skipping unknown IDs
+   * @param {Array<string>} ids - The segment IDs
+   * @param {string} [projectId] - Skip segments of other projects
+   * @returns {Promise<Array<Segment>>} - The segments found
+   */
+  async findByIds(ids, projectId) {
+    const segments = await Promise.all(ids.map(id => this.findById(id, projectId)));
+    return segments.filter(Boolean);
+  }
+
+  /**
+   * List which of the given segment IDs don't exist in a project
+   * @param {Array<string>} ids - The segment IDs
+   * @param {string} [projectId] - The project the segments must belong to
+   * @returns {Promise<Array<string>>} - The missing IDs
+   */
+  async findMissingIds(ids, projectId) {
+    const found = (await this.findByIds(ids, projectId)).map(segment => segment.id);
+    return ids.filter(id => !found.includes(id));
+  }
+
+  /**
+   * Update an existing segment
+   * @param {string} id - The segment ID
+   * @param {Segment} segment - The segment with updates applied
+   * @returns {Promise<Segment|null>} - The updated segment or null
+   */
+  async update(id, segment) {
+    this.logger.debug('Updating segment', { id });
+
+    const existingSegment = await this.findById(id);
+    if (!existingSegment) {
+      return null;
+    }
+
+    // Check for name conflicts if name is being updated
+    if (segment.name !== existingSegment.name && await this.findByName(segment.name, existingSegment.projectId)) {
+      throw new Error(`Segment with name '${segment.name}' already exists in project '${existingSegment.projectId}'`);
+    }
+
+    // A segment never moves between projects
+    segment.projectId = existingSegment.projectId;
+    segment.updatedAt = new Date();
+    await this.adapter.put(COLLECTION, id, segment.toJSON());
+
+    this.logger.info('Segment updated', {
+      id,
+      name: segment.name
+    });
+
+    return segment;
+  }
+
+  /**
+   * Delete a segment
+   * @param {string} id - The segment ID
+   * @param {string} [projectId] - Only delete the segment if it belongs to this project
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async delete(id, projectId) {
+    this.logger.debug('Deleting segment', { id, projectId });
+
+    const segment = await this.findById(id, projectId);
+    if (!segment) {
+      return false;
+    }
+
+    await this.adapter.delete(COLLECTION, id);
+
+    this.logger.info('Segment deleted', {
+      id,
+      name: segment.name
+    });
+
+    return true;
+  }
+
+  /**
+   * List all segments
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @param {string} options.search - Search term for name/description
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<Array<Segment>>} - Array of segments
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    this.logger.debug('Listing segments', options);
+
+    const segments = await this._filter(options);
+    return segments.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count total segments
+   * @param {Object} options - Query options
+   * @param {string} options.search - Search term for name/description
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const segments = await this._filter(options);
+    return segments.length;
+  }
+
+  /**
+   * Load all segments, applying the project and search filters
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<Segment>>} - Matching segments
+   */
+  async _filter({ search, projectId } = {}) {
+    const records = await this.adapter.list(COLLECTION);
+    let segments = records.map(record => Segment.fromJSON(record));
+
+    if (projectId) {
+      segments = segments.filter(segment => segment.projectId === projectId);
+    }
+
+    if (search) {
+      const searchLower = search.toLowerCase();
+      segments = segments.filter(segment =>
+        segment.name.toLowerCase().includes(searchLower) ||
+        segment.description.toLowerCase().includes(searchLower)
+      );
+    }
+
+    return segments;
+  }
+
+  /**
+   * Clear all segments (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = SegmentRepository;
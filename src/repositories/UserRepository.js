@@ -0,0 +1,210 @@
+/**
+ * User Repository
+ *
+ * Provides storage for the users of a project, delegating persistence to
+ * a storage adapter.
+ */
+
+const { User, DEFAULT_PROJECT_ID } = require('../models');
+const { MemoryStorageAdapter } = require('./storage');
+const logger = require('../utils/logger');
+
+const COLLECTION = 'users';
+
+/**
+ * User repository
+ *
+ * Users are keyed by ID and belong to a project; names are unique within
+ * a project.
+ */
+class UserRepository {
+  /**
+   * @param {Object} [options] - Repository options
+   * @param {StorageAdapter} [options.adapter] - Storage backend, in-memory by default
+   */
+  constructor({ adapter = new MemoryStorageAdapter() } = {}) {
+    this.adapter = adapter;
+    this.logger = logger.child({ component: 'UserRepository' });
+  }
+
+  /**
+   * Create a new user
+   * @param {User} user - The user to create
+   * @returns {Promise<User>} - The created user
+   */
+  async create(user) {
+    this.logger.debug('Creating user', {
+      id: user.id,
+      name: user.name
+    });
+
+    if (await this.adapter.get(COLLECTION, user.id)) {
+      throw new Error(`User with ID ${user.id} already exists`);
+    }
+
+    if (await this.findByName(user.name, user.projectId)) {
+      throw new Error(`User with name '${user.name}' already exists in project '${user.projectId}'`);
+    }
+
+    await this.adapter.put(COLLECTION, user.id, user.toJSON());
+
+    this.logger.info('User created', {
+      id: user.id,
+      projectId: user.projectId,
+      name: user.name,
+      role: user.role
+    });
+
+    return user;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {string} id - The user ID
+   * @param {string} [projectId] - Only return the user if they belong to this project
+   * @returns {Promise<User|null>} - The user or null
+   */
+  async findById(id, projectId) {
+    this.logger.debug('Finding user by ID', { id, projectId });
+    const record = await this.adapter.get(COLLECTION, id);
+    if (!record) {
+      return null;
+    }
+
+    const user = User.fromJSON(record);
+    return projectId && user.projectId !== projectId ? null : user;
+  }
+
+  /**
+   * Find a user by name
+   * @param {string} name - The user name
+   * @param {string} [projectId] - The project the name is looked up in
+   * @returns {Promise<User|null>} - The user or null
+   */
+  async findByName(name, projectId = DEFAULT_PROJECT_ID) {
+    const records = await this.adapter.find(COLLECTION, 'name', name);
+    const record = records.find(candidate => candidate.projectId === projectId);
+    return record ? User.fromJSON(record) : null;
+  }
+
+  /**
+   * Replace a stored user
+   * @param {string} id - The user ID
+   * @param {User} user - The user with changes applied
+   * @returns {Promise<User|null>} - The updated user or null
+   */
+  async update(id, user) {
+    this.logger.debug('Updating user', { id });
+
+    const existingUser = await this.findById(id);
+    if (!existingUser) {
+      return null;
+    }
+
+    if (user.name !== existingUser.name && await this.findByName(user.name, existingUser.projectId)) {
+      throw new Error(`User with name '${user.name}' already exists in project '${existingUser.projectId}'`);
+    }
+
+    // A user never moves between projects
+    user.projectId = existingUser.projectId;
+    user.updatedAt = new Date();
+    await this.adapter.put(COLLECTION, id, user.toJSON());
+
+    this.logger.info('User updated', {
+      id,
+      name: user.name,
+      role: user.role
+    });
+
+    return user;
+  }
+
+  /**
+   * Delete a user
+   * @param {string} id - The user ID
+   * @param {string} [projectId] - Only delete the user if they belong to this project
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async delete(id, projectId) {
+    this.logger.debug('Deleting user', { id, projectId });
+
+    const user = await this.findById(id, projectId);
+    if (!user) {
+      return false;
+    }
+
+    await this.adapter.delete(COLLECTION, id);
+
+    this.logger.info('User deleted', {
+      id,
+      name: user.name
+    });
+
+    return true;
+  }
+
+  /**
+   * List users
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.offset - Number of results to skip
+   * @param {string} options.search - Search term for name/email
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<Array<User>>} - Array of users
+   */
+  async list(options = {}) {
+    const { limit = 100, offset = 0 } = options;
+
+    this.logger.debug('Listing users', options);
+
+    const users = await this._filter(options);
+    return users.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count users
+   * @param {Object} options - Query options
+   * @param {string} options.search - Search term for name/email
+   * @param {string} options.projectId - Restrict to one project
+   * @returns {Promise<number>} - Total count
+   */
+  async count(options = {}) {
+    const users = await this._filter(options);
+    return users.length;
+  }
+
+  /**
+   * Load all users, applying the project and search filters
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<User>>} - Matching users
+   */
+  async _filter({ search, projectId } = {}) {
+    const records = await this.adapter.list(COLLECTION);
+    let users = records.map(record => User.fromJSON(record));
+
+    if (projectId) {
+      users = users.filter(user => user.projectId === projectId);
+    }
+
+    if (search) {
+      const searchLower = search.toLowerCase();
+      users = users.filter(user =>
+        user.name.toLowerCase().includes(searchLower) ||
+        (user.email || '').toLowerCase().includes(searchLower)
+      );
+    }
+
+    return users;
+  }
+
+  /**
+   * Clear all users (useful for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.adapter.clear(COLLECTION);
+    this.logger.info('Repository cleared');
+  }
+}
+
+module.exports = UserRepository;
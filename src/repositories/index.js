@@ -0,0 +1,41 @@
+/**
+ * Shared repository instances
+ *
+ * Controllers that work on related data (e.g. flags and the segments they
+ * reference) must see the same storage, so they default to these instances.
+ * All repositories share the storage adapter selected in the configuration.
+ */
+
+const config = require('../config');
+const FeatureFlagRepository = require('./FeatureFlagRepository');
+const SegmentRepository = require('./SegmentRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const UserRepository = require('./UserRepository');
+const AuditLogRepository = require('./AuditLogRepository');
+const FeatureFlagVersionRepository = require('./FeatureFlagVersionRepository');
+const ScheduledChangeRepository = require('./ScheduledChangeRepository');
+const RolloutPlanRepository = require('./RolloutPlanRepository');
+const FlagUsageRepository = require('./FlagUsageRepository');
+const { createStorageAdapter } = require('./storage');
+
+const adapter = createStorageAdapter(config.storage);
+const auditLogRepository = new AuditLogRepository({ adapter });
+const featureFlagVersionRepository = new FeatureFlagVersionRepository({ adapter });
+const featureFlagRepository = new FeatureFlagRepository({
+  adapter,
+  auditLog: auditLogRepository,
+  versions: featureFlagVersionRepository
+});
+
+module.exports = {
+  adapter,
+  auditLogRepository,
+  featureFlagVersionRepository,
+  featureFlagRepository,
+  segmentRepository: new SegmentRepository({ adapter }),
+  apiKeyRepository: new ApiKeyRepository({ adapter }),
+  userRepository: new UserRepository({ adapter }),
+  scheduledChangeRepository: new ScheduledChangeRepository({ adapter }),
+  rolloutPlanRepository: new RolloutPlanRepository({ adapter }),
+  flagUsageRepository: new FlagUsageRepository({ adapter, flags: featureFlagRepository })
+};
@@ -0,0 +1,367 @@
+/**
+ * File-backed JSON storage adapter
+ *
+ * Loads the whole store from a JSON file on startup and rewrites the file
+ * after changes. Writes go to a temporary file that is then renamed, so a
+ * crash mid-write never leaves a truncated store behind. Changes made while
+ * a write is waiting share it. The changes of a `batch` are written once
+ * at its end, or undone if it fails.
+ *
+ * Records are looked up by field through indexes built on first use and
+ * kept up to date with every change, so `find` does not scan collections.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filePath - Path of the JSON file
+   */
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.data = this._load();
+    this.writeQueue = Promise.resolve();
+    // The queued write that has not started yet, which new changes join
+    this.pendingWrite = null;
+    // Indexes by collection, then field, then value, holding record IDs
+    this.indexes = new Map();
+    // Insertion order of records by collection, to order `find` results
+    this.positions = new Map();
+    this.nextPosition = 0;
+    Object.keys(this.data).forEach(collection => {
+      Object.keys(this.data[collection]).forEach(id => this._positions(collection).set(id, this.nextPosition++));
+    });
+  }
+
+  async get(collection, id) {
+    const record = this._collection(collection)[id];
+    return record ? this._copy(record) : null;
+  }
+
+  async list(collection) {
+    return Object.values(this._collection(collection)).map(record => this._copy(record));
+  }
+
+  async find(collection, field, value) {
+    const ids = this._index(collection, field).get(value);
+    if (!ids) {
+      return [];
+    }
+
+    const records = this._collection(collection);
+    const positions = this._positions(collection);
+    return [...ids]
+      .sort((a, b) => positions.get(a) - positions.get(b))
+      .map(id => this._copy(records[id]));
+  }
+
+  async put(collection, id, record) {
+    await this._waitForBatches();
+    this._set(collection, id, record);
+    await this._changed();
+  }
+
+  async insert(collection, id, record) {
+    await this._waitForBatches();
+    if (Object.prototype.hasOwnProperty.call(this._collection(collection), id)) {
+      return false;
+    }
+
+    this._set(collection, id, record);
+    await this._changed();
+    return true;
+  }
+
+  async replace(collection, id, record, version) {
+    await this._waitForBatches();
+    const stored = this._collection(collection)[id];
+    if (!stored || stored.version !== version) {
+      return false;
+    }
+
+    this._set(collection, id, record);
+    await this._changed();
+    return true;
+  }
+
+  async delete(collection, id) {
+    await this._waitForBatches();
+    const records = this._collection(collection);
+    if (!Object.prototype.hasOwnProperty.call(records, id)) {
+      return false;
+    }
+
+    this._remember(collection, id);
+    this._reindex(collection, id, records[id], null);
+    this._positions(collection).delete(id);
+    delete records[id];
+    await this._changed();
+    return true;
+  }
+
+  async clear(collection) {
+    await this._waitForBatches();
+    Object.keys(this._collection(collection)).forEach(id => this._remember(collection, id));
+    this.data[collection] = {};
+    this.indexes.delete(collection);
+    this.positions.delete(collection);
+    await this._changed();
+  }
+
+  async batch(operation) {
+    if (this._currentBatch()) {
+      return operation();
+    }
+
+    // The records as they were before the batch first changed them
+    const batch = { changed: false, saved: new Map() };
+
+    return this._runBatch(batch, async () => {
+      let result;
+      try {
+        result = await operation();
+      } catch (error) {
+        this._restore(batch.saved);
+        throw error;
+      }
+
+      if (batch.changed) {
+        await this._persist();
+      }
+      return result;
+    });
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Read the store from disk, starting empty if the file does not exist
+   * @returns {Object} - Records keyed by collection, then ID
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    const contents = fs.readFileSync(this.filePath, 'utf8');
+    return contents.trim() ? JSON.parse(contents) : {};
+  }
+
+  /**
+   * Store a record in memory, keeping indexes and positions up to date
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - The record
+   */
+  _set(collection, id, record) {
+    const records = this._collection(collection);
+    const previous = Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+
+    this._remember(collection, id);
+    records[id] = this._copy(record);
+    this._reindex(collection, id, previous, records[id]);
+    if (!previous) {
+      this._positions(collection).set(id, this.nextPosition++);
+    }
+  }
+
+  /**
+   * Save a record as it is before the current batch first changes it
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   */
+  _remember(collection, id) {
+    const batch = this._currentBatch();
+    if (!batch) {
+      return;
+    }
+
+    if (!batch.saved.has(collection)) {
+      batch.saved.set(collection, new Map());
+    }
+
+    const saved = batch.saved.get(collection);
+    if (!saved.has(id)) {
+      const records = this._collection(collection);
+      saved.set(id, Object.prototype.hasOwnProperty.call(records, id)
+        ? { record: records[id], position: this._positions(collection).get(id) }
+        : null);
+    }
+  }
+
+  /**
+   * Put back the records saved by a failed batch
+   * Records are replaced rather than modified when changed, so the saved
+   * ones are still as they were.
+   * @param {Map<string, Map<string, Object|null>>} saved - Saved records by collection, then ID; null for records that did not exist
+   */
+  _restore(saved) {
+    saved.forEach((records, collection) => {
+      const current = this._collection(collection);
+      const positions = this._positions(collection);
+
+      records.forEach((previous, id) => {
+        const changed = Object.prototype.hasOwnProperty.call(current, id) ? current[id] : null;
+
+        if (previous) {
+          current[id] = previous.record;
+          positions.set(id, previous.position);
+        } else {
+          delete current[id];
+          positions.delete(id);
+        }
+        this._reindex(collection, id, changed, previous && previous.record);
+      });
+    });
+  }
+
+  /**
+   * Write a change to disk, or leave it to the end of the current batch
+   * @returns {Promise<void>}
+   */
+  _changed() {
+    const batch = this._currentBatch();
+    if (batch) {
+      batch.changed = true;
+      return Promise.resolve();
+    }
+
+    return this._persist();
+  }
+
+  /**
+   * Write the store to disk
+   * Writes are queued so they land in the order the changes were made.
+   * Changes made while a write is queued are taken along by it rather
+   * than queueing another one; a failed write is reported to the callers
+   * whose changes it carried without blocking later ones.
+   * @returns {Promise<void>}
+   */
+  _persist() {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeQueue.catch(() => {}).then(async () => {
+        this.pendingWrite = null;
+
+        const snapshot = JSON.stringify(this.data, null, 2);
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+      this.writeQueue = this.pendingWrite;
+    }
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Get or build the index of a field
+   * @param {string} collection - Collection name
+   * @param {string} field - Dot-separated path of the field
+   * @returns {Map<*, Set<string>>} - Record IDs by field value
+   */
+  _index(collection, field) {
+    if (!this.indexes.has(collection)) {
+      this.indexes.set(collection, new Map());
+    }
+
+    const indexes = this.indexes.get(collection);
+    if (!indexes.has(field)) {
+      const index = new Map();
+      Object.entries(this._collection(collection)).forEach(([id, record]) => {
+        this._addToIndex(index, id, StorageAdapter.fieldValues(record, field));
+      });
+      indexes.set(field, index);
+    }
+
+    return indexes.get(field);
+  }
+
+  /**
+   * Update the indexes of a collection for a changed record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object|null} previous - The record before the change, null if new
+   * @param {Object|null} record - The record after the change, null if deleted
+   */
+  _reindex(collection, id, previous, record) {
+    const indexes = this.indexes.get(collection);
+    if (!indexes) {
+      return;
+    }
+
+    indexes.forEach((index, field) => {
+      if (previous) {
+        StorageAdapter.fieldValues(previous, field).forEach(value => {
+          const ids = index.get(value);
+          if (ids) {
+            ids.delete(id);
+            if (ids.size === 0) {
+              index.delete(value);
+            }
+          }
+        });
+      }
+
+      if (record) {
+        this._addToIndex(index, id, StorageAdapter.fieldValues(record, field));
+      }
+    });
+  }
+
+  /**
+   * Add a record to an index under each of its values
+   * @param {Map<*, Set<string>>} index - The index
+   * @param {string} id - Record ID
+   * @param {Array<*>} values - The record's values of the indexed field
+   */
+  _addToIndex(index, id, values) {
+    values.forEach(value => {
+      if (!index.has(value)) {
+        index.set(value, new Set());
+      }
+      index.get(value).add(id);
+    });
+  }
+
+  /**
+   * Get the insertion positions of the records of a collection
+   * @param {string} collection - Collection name
+   * @returns {Map<string, number>} - Positions keyed by record ID
+   */
+  _positions(collection) {
+    if (!this.positions.has(collection)) {
+      this.positions.set(collection, new Map());
+    }
+    return this.positions.get(collection);
+  }
+
+  /**
+   * Get or create the object backing a collection
+   * @param {string} collection - Collection name
+   * @returns {Object} - Records keyed by ID
+   */
+  _collection(collection) {
+    if (!this.data[collection]) {
+      this.data[collection] = {};
+    }
+    return this.data[collection];
+  }
+
+  /**
+   * Deep copy a record through JSON
+   * @param {Object} record - The record
+   * @returns {Object} - An independent copy
+   */
+  _copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+}
+
+module.exports = FileStorageAdapter;
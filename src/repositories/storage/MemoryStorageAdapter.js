@@ -0,0 +1,87 @@
+/**
+ * In-memory storage adapter
+ *
+ * Keeps records in Maps for the lifetime of the process. Records are
+ * copied on the way in and out so callers never share state with the
+ * store, just like with a persistent backend.
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.collections = new Map();
+  }
+
+  async get(collection, id) {
+    const record = this._collection(collection).get(id);
+    return record ? this._copy(record) : null;
+  }
+
+  async list(collection) {
+    return Array.from(this._collection(collection).values()).map(record => this._copy(record));
+  }
+
+  async find(collection, field, value) {
+    return Array.from(this._collection(collection).values())
+      .filter(record => StorageAdapter.fieldValues(record, field).includes(value))
+      .map(record => this._copy(record));
+  }
+
+  async put(collection, id, record) {
+    this._collection(collection).set(id, this._copy(record));
+  }
+
+  async insert(collection, id, record) {
+    const records = this._collection(collection);
+    if (records.has(id)) {
+      return false;
+    }
+
+    records.set(id, this._copy(record));
+    return true;
+  }
+
+  async replace(collection, id, record, version) {
+    const records = this._collection(collection);
+    const stored = records.get(id);
+    if (!stored || stored.version !== version) {
+      return false;
+    }
+
+    records.set(id, this._copy(record));
+    return true;
+  }
+
+  async delete(collection, id) {
+    return this._collection(collection).delete(id);
+  }
+
+  async clear(collection) {
+    this._collection(collection).clear();
+  }
+
+  /**
+   * Get or create the Map backing a collection
+   * @param {string} collection - Collection name
+   * @returns {Map<string, Object>} - Records keyed by ID
+   */
+  _collection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Deep copy a record through JSON, as a persistent backend would
+   * @param {Object} record - The record
+   * @returns {Object} - An independent copy
+   */
+  _copy(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+}
+
+module.exports = MemoryStorageAdapter;
@@ -0,0 +1,256 @@
+/**
+ * SQLite storage adapter
+ *
+ * Stores records as JSON documents in a SQLite database using the optional
+ * better-sqlite3 driver. The schema is versioned: pending migrations run in
+ * order, each in its own transaction, when the adapter is created. Fields
+ * records are commonly looked up by are indexed, and a `batch` runs in a
+ * transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * Schema migrations, applied in order of version
+ * Never edit a released migration; add a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create records table',
+    up: `
+      CREATE TABLE records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        PRIMARY KEY (collection, id)
+      );
+    `
+  },
+  {
+    version: 2,
+    description: 'Index records by the fields they are looked up by',
+    up: `
+      CREATE INDEX records_by_name ON records (collection, json_extract(data, '$.name'));
+      CREATE INDEX records_by_project_id ON records (collection, json_extract(data, '$.projectId'));
+      CREATE INDEX records_by_feature_flag_id ON records (collection, json_extract(data, '$.featureFlagId'));
+      CREATE INDEX records_by_key_hash ON records (collection, json_extract(data, '$.keyHash'));
+    `
+  }
+];
+
+// Field paths `find` can query in SQL; others are matched in JavaScript
+const QUERYABLE_FIELD_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/;
+
+/**
+ * Load the better-sqlite3 driver
+ * @returns {Function} - The Database constructor
+ * @throws {Error} - If the optional dependency is not installed
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage requires the optional "better-sqlite3" package to be installed');
+  }
+}
+
+class SqliteStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.filename - Database file path, or ':memory:'
+   */
+  constructor({ filename }) {
+    super();
+    const Database = loadDriver();
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      list: this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+      insert: this.db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+      insertIfAbsent: this.db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO NOTHING
+      `),
+      update: this.db.prepare(`
+        UPDATE records SET data = ?, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE collection = ? AND id = ?
+      `),
+      replace: this.db.prepare(`
+        UPDATE records SET data = ?, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE collection = ? AND id = ? AND json_extract(data, '$.version') = ?
+      `),
+      delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      clear: this.db.prepare('DELETE FROM records WHERE collection = ?')
+    };
+    // Statements of `find`, by field
+    this.findStatements = new Map();
+  }
+
+  /**
+   * Check whether the SQLite driver is installed
+   * @returns {boolean} - True if the adapter can be used
+   */
+  static isAvailable() {
+    try {
+      loadDriver();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Apply pending schema migrations
+   * @returns {number} - The schema version after migrating
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        description TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+    `);
+
+    const current = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, description) VALUES (?, ?)');
+
+    for (const migration of MIGRATIONS.filter(({ version }) => version > current)) {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        record.run(migration.version, migration.description);
+      })();
+    }
+
+    return MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+  }
+
+  async get(collection, id) {
+    const row = this.statements.get.get(collection, id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list(collection) {
+    return this.statements.list.all(collection).map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * List the records of a collection whose field has a value
+   * Fields of one or two steps are queried in SQL, using the indexes of
+   * migration 2 where they apply; an array is only looked into at the
+   * first step of a two-step path, as in `prerequisites.flagId`. Other
+   * fields and values that are not strings or numbers are matched as the
+   * base adapter does.
+   */
+  async find(collection, field, value) {
+    if (!QUERYABLE_FIELD_PATTERN.test(field) || !['string', 'number'].includes(typeof value)) {
+      return super.find(collection, field, value);
+    }
+
+    return this._findStatement(field).all({ collection, value }).map(row => JSON.parse(row.data));
+  }
+
+  async put(collection, id, record) {
+    await this._waitForBatches();
+    const data = JSON.stringify(record);
+
+    // Update in place so rowid, and with it list order, stays stable
+    const { changes } = this.statements.update.run(data, collection, id);
+    if (changes === 0) {
+      this.statements.insert.run(collection, id, data);
+    }
+  }
+
+  async insert(collection, id, record) {
+    await this._waitForBatches();
+    return this.statements.insertIfAbsent.run(collection, id, JSON.stringify(record)).changes > 0;
+  }
+
+  async replace(collection, id, record, version) {
+    await this._waitForBatches();
+    return this.statements.replace.run(JSON.stringify(record), collection, id, version).changes > 0;
+  }
+
+  async delete(collection, id) {
+    await this._waitForBatches();
+    return this.statements.delete.run(collection, id).changes > 0;
+  }
+
+  async clear(collection) {
+    await this._waitForBatches();
+    this.statements.clear.run(collection);
+  }
+
+  /**
+   * Run an operation in a transaction
+   * better-sqlite3 only wraps synchronous functions in `db.transaction`,
+   * so the transaction is begun and ended here around the async operation.
+   * Batches run one at a time and other writes wait for them, so no other
+   * change joins the transaction.
+   */
+  async batch(operation) {
+    if (this._currentBatch()) {
+      return operation();
+    }
+
+    return this._runBatch({}, async () => {
+      this.db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await operation();
+        this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  async close() {
+    await this._waitForBatches();
+    this.db.close();
+  }
+
+  /**
+   * Get or prepare the statement finding records by a field
+   * The path is part of the SQL, rather than a parameter, so the query can
+   * use an index on `json_extract(data, '$.<field>')`.
+   * @param {string} field - Path of the field, matching QUERYABLE_FIELD_PATTERN
+   * @returns {Object} - The prepared statement
+   */
+  _findStatement(field) {
+    if (!this.findStatements.has(field)) {
+      const [first, rest] = field.split('.');
+      const inArray = rest
+        ? `OR (json_type(data, '$.${first}') = 'array' AND EXISTS (
+            SELECT 1 FROM json_each(data, '$.${first}') WHERE json_extract(json_each.value, '$.${rest}') = @value
+          ))`
+        : '';
+
+      this.findStatements.set(field, this.db.prepare(`
+        SELECT data FROM records
+        WHERE collection = @collection AND (json_extract(data, '$.${field}') = @value ${inArray})
+        ORDER BY rowid
+      `));
+    }
+
+    return this.findStatements.get(field);
+  }
+}
+
+SqliteStorageAdapter.MIGRATIONS = MIGRATIONS;
+
+module.exports = SqliteStorageAdapter;
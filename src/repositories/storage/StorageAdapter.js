@@ -0,0 +1,194 @@
+/**
+ * Storage Adapter interface
+ *
+ * Repositories delegate persistence to a storage adapter. Adapters store
+ * plain JSON records grouped into named collections (e.g. "featureFlags",
+ * "segments") and know nothing about the domain models.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class StorageAdapter {
+  constructor() {
+    // The batch, if any, the current async context runs in
+    this.batches = new AsyncLocalStorage();
+    // Batches run one at a time; this settles once the last queued one has
+    this.batchQueue = Promise.resolve();
+    this.queuedBatches = 0;
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} - The record or null
+   */
+  async get(collection, id) {
+    throw new Error('get() must be implemented by subclasses');
+  }
+
+  /**
+   * List all records of a collection in insertion order
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array<Object>>} - The records
+   */
+  async list(collection) {
+    throw new Error('list() must be implemented by subclasses');
+  }
+
+  /**
+   * List the records of a collection whose field has a value, in insertion order
+   * The field is a dot-separated path; arrays along it match when any of
+   * their elements does, so `prerequisites.flagId` finds the records naming
+   * a flag among their prerequisites. This implementation filters the
+   * whole collection; adapters can look records up in an index instead.
+   * @param {string} collection - Collection name
+   * @param {string} field - Path of the field
+   * @param {*} value - The value to look for
+   * @returns {Promise<Array<Object>>} - The matching records
+   */
+  async find(collection, field, value) {
+    const records = await this.list(collection);
+    return records.filter(record => StorageAdapter.fieldValues(record, field).includes(value));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - JSON-serializable record
+   * @returns {Promise<void>}
+   */
+  async put(collection, id, record) {
+    throw new Error('put() must be implemented by subclasses');
+  }
+
+  /**
+   * Insert a record, unless one with the same ID exists
+   * The check and the write happen as one step.
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - JSON-serializable record
+   * @returns {Promise<boolean>} - True if inserted, false if the ID is taken
+   */
+  async insert(collection, id, record) {
+    throw new Error('insert() must be implemented by subclasses');
+  }
+
+  /**
+   * Replace a record, but only if the stored one still has a version
+   * The check and the write happen as one step, so of two concurrent
+   * writers based on the same version only one succeeds.
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @param {Object} record - JSON-serializable record
+   * @param {number} version - The `version` the stored record must have
+   * @returns {Promise<boolean>} - True if replaced, false if the record is missing or has another version
+   */
+  async replace(collection, id, record, version) {
+    throw new Error('replace() must be implemented by subclasses');
+  }
+
+  /**
+   * Delete a record
+   * @param {string} collection - Collection name
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} - True if deleted, false if not found
+   */
+  async delete(collection, id) {
+    throw new Error('delete() must be implemented by subclasses');
+  }
+
+  /**
+   * Delete every record of a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<void>}
+   */
+  async clear(collection) {
+    throw new Error('clear() must be implemented by subclasses');
+  }
+
+  /**
+   * Run an operation made of several writes
+   * Batches run one at a time, so checks made in one hold until its writes
+   * are done, e.g. that a name is still free. Persistent adapters keep
+   * either all of the operation's writes or, if it throws, none of them.
+   * The writes are visible to reads as they happen. This implementation
+   * does not undo the writes of a failed operation.
+   * @param {Function} operation - Async function making the writes
+   * @returns {Promise<*>} - The operation's result
+   */
+  async batch(operation) {
+    if (this._currentBatch()) {
+      return operation();
+    }
+
+    return this._runBatch({}, operation);
+  }
+
+  /**
+   * Release any resources held by the adapter
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Get the batch the current async context runs in
+   * @returns {Object|null} - The batch state, or null outside a batch
+   */
+  _currentBatch() {
+    return this.batches.getStore() || null;
+  }
+
+  /**
+   * Run an operation as a batch once the batches before it have finished
+   * Writes made outside the batch wait for it through `_waitForBatches`,
+   * so no other change is interleaved with, or undone along with, it.
+   * @param {Object} batch - State of the batch, available to writes through `_currentBatch`
+   * @param {Function} operation - Async function making the writes
+   * @returns {Promise<*>} - The operation's result
+   */
+  async _runBatch(batch, operation) {
+    const previous = this.batchQueue;
+    let release;
+    this.batchQueue = new Promise(resolve => {
+      release = resolve;
+    });
+    this.queuedBatches++;
+
+    try {
+      await previous;
+      return await this.batches.run(batch, operation);
+    } finally {
+      this.queuedBatches--;
+      release();
+    }
+  }
+
+  /**
+   * Wait until no batch is running or queued, unless called from within one
+   * @returns {Promise<void>}
+   */
+  async _waitForBatches() {
+    while (this.queuedBatches > 0 && !this._currentBatch()) {
+      await this.batchQueue;
+    }
+  }
+
+  /**
+   * Get the values of a field of a record, as matched by `find`
+   * @param {Object} record - The record
+   * @param {string} field - Dot-separated path of the field
+   * @returns {Array<*>} - The values found, flattening arrays along the path
+   */
+  static fieldValues(record, field) {
+    return field.split('.')
+      .reduce((values, key) => values.flatMap(value => {
+        const child = value !== null && typeof value === 'object' ? value[key] : undefined;
+        return Array.isArray(child) ? child : [child];
+      }), [record])
+      .filter(value => value !== undefined);
+  }
+}
+
+module.exports = StorageAdapter;
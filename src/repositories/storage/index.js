@@ -0,0 +1,44 @@
+/**
+ * Storage adapters and the factory selecting one from configuration
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+const FileStorageAdapter = require('./FileStorageAdapter');
+const SqliteStorageAdapter = require('./SqliteStorageAdapter');
+
+/**
+ * Storage backends selectable through configuration
+ */
+const STORAGE_TYPES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  SQLITE: 'sqlite'
+};
+
+/**
+ * Create the storage adapter described by the storage configuration
+ * @param {Object} storageConfig - The `storage` section of the config
+ * @returns {StorageAdapter} - The storage adapter
+ */
+function createStorageAdapter(storageConfig) {
+  switch (storageConfig.type) {
+    case STORAGE_TYPES.MEMORY:
+      return new MemoryStorageAdapter();
+    case STORAGE_TYPES.FILE:
+      return new FileStorageAdapter({ filePath: storageConfig.filePath });
+    case STORAGE_TYPES.SQLITE:
+      return new SqliteStorageAdapter({ filename: storageConfig.sqlitePath });
+    default:
+      throw new Error(`Unknown storage type: ${storageConfig.type}`);
+  }
+}
+
+module.exports = {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  STORAGE_TYPES,
+  createStorageAdapter
+};
@@ -0,0 +1,80 @@
+/**
+ * Express routes for API key management
+ *
+ * Keys are created per project; every route requires an admin key and,
+ * for keys acting as a user, the owner role.
+ */
+
+const express = require('express');
+const {
+  createApiKeySchema,
+  listQuerySchema,
+  idSchema
+} = require('../validation/schemas');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { requireScope, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../models');
+const ApiKeyController = require('../controllers/ApiKeyController');
+
+const router = express.Router();
+const controller = new ApiKeyController();
+
+router.use(requireScope(API_KEY_SCOPES.ADMIN), requirePermission(PERMISSIONS.MANAGE_USERS));
+
+/**
+ * @route POST /api/v1/api-keys
+ * @desc Create an API key; the key is only returned in this response
+ * @access Admin
+ */
+router.post(
+  '/',
+  validateBody(createApiKeySchema),
+  controller.createApiKey.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/api-keys
+ * @desc List API keys with pagination
+ * @access Admin
+ */
+router.get(
+  '/',
+  validateQuery(listQuerySchema),
+  controller.listApiKeys.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/api-keys/:id
+ * @desc Get a specific API key by ID
+ * @access Admin
+ */
+router.get(
+  '/:id',
+  validateParams(idSchema),
+  controller.getApiKey.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/api-keys/:id/rotate
+ * @desc Replace the key of an API key; the previous key stops working
+ * @access Admin
+ */
+router.post(
+  '/:id/rotate',
+  validateParams(idSchema),
+  controller.rotateApiKey.bind(controller)
+);
+
+/**
+ * @route DELETE /api/v1/api-keys/:id
+ * @desc Revoke an API key
+ * @access Admin
+ */
+router.delete(
+  '/:id',
+  validateParams(idSchema),
+  controller.revokeApiKey.bind(controller)
+);
+
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Express routes for the audit log
+ *
+ * The audit log records every change to the project's feature flags and
+ * is read-only.
+ */
+
+const express = require('express');
+const { auditQuerySchema } = require('../validation/schemas');
+const { validateQuery } = require('../middleware/validation');
+const { requireScope, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../models');
+const AuditLogController = require('../controllers/AuditLogController');
+
+const router = express.Router();
+const controller = new AuditLogController();
+
+/**
+ * @route GET /api/v1/audit-log
+ * @desc List audit log entries, newest first, filtered by flag, action, actor, request or time
+ * @access Admin
+ */
+router.get(
+  '/',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  requirePermission(PERMISSIONS.READ),
+  validateQuery(auditQuerySchema),
+  controller.listAuditEntries.bind(controller)
+);
+
+
+module.exports = router;
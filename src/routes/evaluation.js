@@ -0,0 +1,33 @@
+/**
+ * Express routes for bulk evaluation
+ *
+ * Lets clients evaluate every flag they need in a single request
+ * instead of calling the per-flag evaluate endpoint repeatedly.
+ */
+
+const express = require('express');
+const { bulkEvaluationSchema, evaluationQuerySchema } = require('../validation/schemas');
+const { validateBody, validateQuery } = require('../middleware/validation');
+const { requireScope, applyKeyEnvironment } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models');
+const EvaluationController = require('../controllers/EvaluationController');
+
+const router = express.Router();
+const controller = new EvaluationController();
+
+/**
+ * @route POST /api/v1/evaluate
+ * @desc Evaluate all (or the selected) feature flags for one context or a list of contexts
+ * @access Evaluation
+ */
+router.post(
+  '/',
+  requireScope(API_KEY_SCOPES.EVALUATION),
+  validateQuery(evaluationQuerySchema),
+  validateBody(bulkEvaluationSchema),
+  applyKeyEnvironment,
+  controller.evaluateAll.bind(controller)
+);
+
+
+module.exports = router;
@@ -9,23 +9,48 @@ const express = require('express');
 const {
   createFeatureFlagSchema,
   updateFeatureFlagSchema,
+  promoteFeatureFlagSchema,
+  rollbackFeatureFlagSchema,
+  deleteFeatureFlagQuerySchema,
+  patchFeatureFlagSchema,
+  reorderRulesSchema,
+  scheduleChangeSchema,
+  createRolloutPlanSchema,
+  abortRolloutPlanSchema,
+  ruleSchema,
   evaluationContextSchema,
+  paginationQuerySchema,
   listQuerySchema,
-  idSchema
+  auditQuerySchema,
+  scheduledChangeQuerySchema,
+  rolloutPlanQuerySchema,
+  evaluationQuerySchema,
+  cleanupReportQuerySchema,
+  idSchema,
+  nameParamSchema,
+  ruleParamSchema,
+  versionParamSchema,
+  scheduledChangeParamSchema,
+  rolloutPlanParamSchema
 } = require('../validation/schemas');
 const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { requireScope, applyKeyEnvironment } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models');
 const FeatureFlagController = require('../controllers/FeatureFlagController');
+const AuditLogController = require('../controllers/AuditLogController');
 
 const router = express.Router();
 const controller = new FeatureFlagController();
+const auditLogController = new AuditLogController();
 
 /**
  * @route POST /api/v1/feature-flags
  * @desc Create a new feature flag
- * @access Public
+ * @access Admin
  */
 router.post(
   '/',
+  requireScope(API_KEY_SCOPES.ADMIN),
   validateBody(createFeatureFlagSchema),
   controller.createFeatureFlag.bind(controller)
 );
@@ -33,59 +58,359 @@ router.post(
 /**
  * @route GET /api/v1/feature-flags
  * @desc List all feature flags with pagination
- * @access Public
+ * @access Admin
  */
 router.get(
   '/',
+  requireScope(API_KEY_SCOPES.ADMIN),
   validateQuery(listQuerySchema),
   controller.listFeatureFlags.bind(controller)
 );
 
+/**
+ * @route GET /api/v1/feature-flags/cleanup-report
+ * @desc List flags not evaluated in `days` days or fully rolled out in production
+ * @access Admin
+ */
+router.get(
+  '/cleanup-report',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateQuery(cleanupReportQuerySchema),
+  controller.getCleanupReport.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/by-name/:name
+ * @desc Get a specific feature flag by name
+ * @access Admin
+ */
+router.get(
+  '/by-name/:name',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(nameParamSchema),
+  controller.getFeatureFlag.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/by-name/:name/evaluate
+ * @desc Evaluate a feature flag, looked up by name, for a user context
+ * @access Evaluation
+ */
+router.post(
+  '/by-name/:name/evaluate',
+  requireScope(API_KEY_SCOPES.EVALUATION),
+  validateParams(nameParamSchema),
+  validateQuery(evaluationQuerySchema),
+  validateBody(evaluationContextSchema),
+  applyKeyEnvironment,
+  controller.evaluateFeatureFlag.bind(controller)
+);
+
 /**
  * @route GET /api/v1/feature-flags/:id
  * @desc Get a specific feature flag by ID
- * @access Public
+ * @access Admin
  */
 router.get(
   '/:id',
+  requireScope(API_KEY_SCOPES.ADMIN),
   validateParams(idSchema),
   controller.getFeatureFlag.bind(controller)
 );
 
 /**
  * @route PUT /api/v1/feature-flags/:id
- * @desc Update a specific feature flag
- * @access Public
+ * @desc Update a specific feature flag; requires If-Match or the current version
+ * @access Admin
  */
 router.put(
   '/:id',
+  requireScope(API_KEY_SCOPES.ADMIN),
   validateParams(idSchema),
   validateBody(updateFeatureFlagSchema),
   controller.updateFeatureFlag.bind(controller)
 );
 
+/**
+ * @route PATCH /api/v1/feature-flags/:id
+ * @desc Partially update a feature flag with a JSON Patch or JSON Merge Patch; requires If-Match
+ * @access Admin
+ */
+router.patch(
+  '/:id',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(patchFeatureFlagSchema),
+  controller.patchFeatureFlag.bind(controller)
+);
+
 /**
  * @route DELETE /api/v1/feature-flags/:id
- * @desc Delete a specific feature flag
- * @access Public
+ * @desc Delete a specific feature flag; requires If-Match or the current version
+ * @access Admin
  */
 router.delete(
   '/:id',
+  requireScope(API_KEY_SCOPES.ADMIN),
   validateParams(idSchema),
+  validateQuery(deleteFeatureFlagQuerySchema),
   controller.deleteFeatureFlag.bind(controller)
 );
 
 /**
  * @route POST /api/v1/feature-flags/:id/evaluate
  * @desc Evaluate a feature flag for a user context
- * @access Public
+ * @access Evaluation
  */
 router.post(
   '/:id/evaluate',
+  requireScope(API_KEY_SCOPES.EVALUATION),
   validateParams(idSchema),
+  validateQuery(evaluationQuerySchema),
   validateBody(evaluationContextSchema),
+  applyKeyEnvironment,
   controller.evaluateFeatureFlag.bind(controller)
 );
 
+/**
+ * @route POST /api/v1/feature-flags/:id/promote
+ * @desc Promote one environment's configuration to another, or preview the diff with dryRun
+ * @access Admin
+ */
+router.post(
+  '/:id/promote',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(promoteFeatureFlagSchema),
+  controller.promoteFeatureFlag.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rules
+ * @desc Add a rule at the end of a feature flag's rules
+ * @access Admin
+ */
+router.post(
+  '/:id/rules',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(ruleSchema),
+  controller.addRule.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rules/reorder
+ * @desc Put a feature flag's rules in a new order
+ * @access Admin
+ */
+router.post(
+  '/:id/rules/reorder',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(reorderRulesSchema),
+  controller.reorderRules.bind(controller)
+);
+
+/**
+ * @route PUT /api/v1/feature-flags/:id/rules/:ruleId
+ * @desc Replace a rule of a feature flag, keeping its ID and position
+ * @access Admin
+ */
+router.put(
+  '/:id/rules/:ruleId',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(ruleParamSchema),
+  validateBody(ruleSchema),
+  controller.updateRule.bind(controller)
+);
+
+/**
+ * @route DELETE /api/v1/feature-flags/:id/rules/:ruleId
+ * @desc Remove a rule from a feature flag
+ * @access Admin
+ */
+router.delete(
+  '/:id/rules/:ruleId',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(ruleParamSchema),
+  controller.deleteRule.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/history
+ * @desc List the audit log entries of a feature flag, newest first
+ * @access Admin
+ */
+router.get(
+  '/:id/history',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateQuery(auditQuerySchema),
+  auditLogController.getFeatureFlagHistory.bind(auditLogController)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/metrics
+ * @desc Get the evaluation counts of a feature flag
+ * @access Admin
+ */
+router.get(
+  '/:id/metrics',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  controller.getFeatureFlagMetrics.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/versions
+ * @desc List the saved versions of a feature flag, newest first
+ * @access Admin
+ */
+router.get(
+  '/:id/versions',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateQuery(paginationQuerySchema),
+  controller.listVersions.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/versions/:version
+ * @desc Get one saved version of a feature flag
+ * @access Admin
+ */
+router.get(
+  '/:id/versions/:version',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(versionParamSchema),
+  controller.getVersion.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rollback
+ * @desc Restore the settings of a previous version, saving them as a new version
+ * @access Admin
+ */
+router.post(
+  '/:id/rollback',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(rollbackFeatureFlagSchema),
+  controller.rollbackFeatureFlag.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/scheduled-changes
+ * @desc Schedule updates to a feature flag for a later time
+ * @access Admin
+ */
+router.post(
+  '/:id/scheduled-changes',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(scheduleChangeSchema),
+  controller.scheduleChange.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/scheduled-changes
+ * @desc List the scheduled changes of a feature flag by their time to run
+ * @access Admin
+ */
+router.get(
+  '/:id/scheduled-changes',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateQuery(scheduledChangeQuerySchema),
+  controller.listScheduledChanges.bind(controller)
+);
+
+/**
+ * @route DELETE /api/v1/feature-flags/:id/scheduled-changes/:changeId
+ * @desc Cancel a pending scheduled change
+ * @access Admin
+ */
+router.delete(
+  '/:id/scheduled-changes/:changeId',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(scheduledChangeParamSchema),
+  controller.cancelScheduledChange.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rollout-plans
+ * @desc Start a rollout plan ramping one of the flag's percentage rules
+ * @access Admin
+ */
+router.post(
+  '/:id/rollout-plans',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateBody(createRolloutPlanSchema),
+  controller.createRolloutPlan.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/rollout-plans
+ * @desc List the rollout plans of a feature flag, newest first
+ * @access Admin
+ */
+router.get(
+  '/:id/rollout-plans',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(idSchema),
+  validateQuery(rolloutPlanQuerySchema),
+  controller.listRolloutPlans.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/feature-flags/:id/rollout-plans/:planId
+ * @desc Get one rollout plan of a feature flag
+ * @access Admin
+ */
+router.get(
+  '/:id/rollout-plans/:planId',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(rolloutPlanParamSchema),
+  controller.getRolloutPlan.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rollout-plans/:planId/pause
+ * @desc Pause an active rollout plan
+ * @access Admin
+ */
+router.post(
+  '/:id/rollout-plans/:planId/pause',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(rolloutPlanParamSchema),
+  controller.pauseRolloutPlan.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rollout-plans/:planId/resume
+ * @desc Resume a paused rollout plan; the next step follows one interval later
+ * @access Admin
+ */
+router.post(
+  '/:id/rollout-plans/:planId/resume',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(rolloutPlanParamSchema),
+  controller.resumeRolloutPlan.bind(controller)
+);
+
+/**
+ * @route POST /api/v1/feature-flags/:id/rollout-plans/:planId/abort
+ * @desc Abort a running rollout plan, restoring the rule's initial percentage unless revert is false
+ * @access Admin
+ */
+router.post(
+  '/:id/rollout-plans/:planId/abort',
+  requireScope(API_KEY_SCOPES.ADMIN),
+  validateParams(rolloutPlanParamSchema),
+  validateBody(abortRolloutPlanSchema),
+  controller.abortRolloutPlan.bind(controller)
+);
+
 
 module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * Express routes for Segment API
+ *
+ * Segments are reusable groups of tenants and users referenced
+ * from feature flag rules.
+ */
+
+const express = require('express');
+const {
+  createSegmentSchema,
+  updateSegmentSchema,
+  listQuerySchema,
+  idSchema
+} = require('../validation/schemas');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { requireScope, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../models');
+const SegmentController = require('../controllers/SegmentController');
+
+const router = express.Router();
+const controller = new SegmentController();
+
+router.use(requireScope(API_KEY_SCOPES.ADMIN));
+
+/**
+ * @route POST /api/v1/segments
+ * @desc Create a new segment
+ * @access Admin
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.EDIT),
+  validateBody(createSegmentSchema),
+  controller.createSegment.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/segments
+ * @desc List all segments with pagination
+ * @access Admin
+ */
+router.get(
+  '/',
+  validateQuery(listQuerySchema),
+  controller.listSegments.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/segments/:id
+ * @desc Get a specific segment by ID
+ * @access Admin
+ */
+router.get(
+  '/:id',
+  validateParams(idSchema),
+  controller.getSegment.bind(controller)
+);
+
+/**
+ * @route PUT /api/v1/segments/:id
+ * @desc Update a specific segment
+ * @access Admin
+ */
+router.put(
+  '/:id',
+  requirePermission(PERMISSIONS.EDIT),
+  validateParams(idSchema),
+  validateBody(updateSegmentSchema),
+  controller.updateSegment.bind(controller)
+);
+
+/**
+ * @route DELETE /api/v1/segments/:id
+ * @desc Delete a specific segment
+ * @access Admin
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.EDIT),
+  validateParams(idSchema),
+  controller.deleteSegment.bind(controller)
+);
+
+
+module.exports = router;
@@ -0,0 +1,82 @@
+/**
+ * Express routes for user management
+ *
+ * Users and their roles are managed per project; every route requires an
+ * admin key and, for keys acting as a user, the owner role.
+ */
+
+const express = require('express');
+const {
+  createUserSchema,
+  updateUserSchema,
+  listQuerySchema,
+  idSchema
+} = require('../validation/schemas');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validation');
+const { requireScope, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../models');
+const UserController = require('../controllers/UserController');
+
+const router = express.Router();
+const controller = new UserController();
+
+router.use(requireScope(API_KEY_SCOPES.ADMIN), requirePermission(PERMISSIONS.MANAGE_USERS));
+
+/**
+ * @route POST /api/v1/users
+ * @desc Create a user with a project role and optional flag-specific roles
+ * @access Admin
+ */
+router.post(
+  '/',
+  validateBody(createUserSchema),
+  controller.createUser.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/users
+ * @desc List users with pagination
+ * @access Admin
+ */
+router.get(
+  '/',
+  validateQuery(listQuerySchema),
+  controller.listUsers.bind(controller)
+);
+
+/**
+ * @route GET /api/v1/users/:id
+ * @desc Get a specific user by ID
+ * @access Admin
+ */
+router.get(
+  '/:id',
+  validateParams(idSchema),
+  controller.getUser.bind(controller)
+);
+
+/**
+ * @route PUT /api/v1/users/:id
+ * @desc Update a user's details or roles
+ * @access Admin
+ */
+router.put(
+  '/:id',
+  validateParams(idSchema),
+  validateBody(updateUserSchema),
+  controller.updateUser.bind(controller)
+);
+
+/**
+ * @route DELETE /api/v1/users/:id
+ * @desc Delete a user; API keys issued to them stop working
+ * @access Admin
+ */
+router.delete(
+  '/:id',
+  validateParams(idSchema),
+  controller.deleteUser.bind(controller)
+);
+
+
+module.exports = router;
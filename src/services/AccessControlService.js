@@ -0,0 +1,50 @@
+/**
+ * Access Control Service
+ *
+ * Decides whether the user behind a request may act on a project's
+ * feature flags, based on their role in the project and any role they
+ * hold on the flag itself.
+ */
+
+const config = require('../config');
+const { PERMISSIONS } = require('../models');
+
+class AccessControlService {
+  /**
+   * Check whether a user may perform an action
+   * Requests not made by a user (shared API keys, or authentication
+   * disabled) are only limited by their key's scope.
+   * @param {User|null} user - The acting user
+   * @param {string} permission - The required permission
+   * @param {FeatureFlag} [featureFlag] - The flag acted on, for flag-specific roles
+   * @returns {boolean} - True if allowed
+   */
+  can(user, permission, featureFlag = null) {
+    if (!user) {
+      return true;
+    }
+
+    return user.can(permission, featureFlag ? featureFlag.id : undefined);
+  }
+
+  /**
+   * Find the permissions a change to a flag requires
+   * Any change needs the edit permission; turning the flag on or off in
+   * production also needs the production toggle permission.
+   * @param {FeatureFlag} before - The stored flag
+   * @param {FeatureFlag} after - The flag with the change applied
+   * @returns {Array<string>} - Required permissions
+   */
+  getRequiredPermissions(before, after) {
+    const environment = config.featureFlags.productionEnvironment;
+    const permissions = [PERMISSIONS.EDIT];
+
+    if (before.getEnvironmentConfig(environment).enabled !== after.getEnvironmentConfig(environment).enabled) {
+      permissions.push(PERMISSIONS.TOGGLE_PRODUCTION);
+    }
+
+    return permissions;
+  }
+}
+
+module.exports = AccessControlService;
@@ -0,0 +1,303 @@
+/**
+ * Change Scheduler
+ *
+ * Applies scheduled flag changes once their time has come, and takes the
+ * due steps of rollout plans. The scheduler runs in-process and polls
+ * storage, so work scheduled before a restart is picked up, and work that
+ * fell due while the service was down is done as soon as it is back.
+ */
+
+const {
+  FeatureFlag,
+  SCHEDULED_CHANGE_STATUSES,
+  PRINCIPAL_TYPES,
+  API_KEY_SCOPES,
+  BOOTSTRAP_API_KEY_ID
+} = require('../models');
+const config = require('../config');
+const repositories = require('../repositories');
+const { systemClock } = require('../utils/clock');
+const RolloutPlanService = require('./RolloutPlanService');
+const AccessControlService = require('./AccessControlService');
+const logger = require('../utils/logger');
+
+class ChangeScheduler {
+  /**
+   * @param {Object} [options] - Scheduler options
+   * @param {FeatureFlagRepository} [options.repository] - Feature flag storage
+   * @param {ScheduledChangeRepository} [options.scheduledChangeRepository] - Scheduled change storage
+   * @param {SegmentRepository} [options.segmentRepository] - Segment storage
+   * @param {UserRepository} [options.userRepository] - User storage, to re-check the creators of changes
+   * @param {ApiKeyRepository} [options.apiKeyRepository] - API key storage, to re-check the creators of changes
+   * @param {Object} [options.clock] - Source of the current time
+   * @param {RolloutPlanService} [options.rolloutPlanService] - Runs rollout plan steps
+   * @param {number} [options.intervalMs] - How often to look for due changes
+   */
+  constructor({
+    repository = repositories.featureFlagRepository,
+    scheduledChangeRepository = repositories.scheduledChangeRepository,
+    segmentRepository = repositories.segmentRepository,
+    userRepository = repositories.userRepository,
+    apiKeyRepository = repositories.apiKeyRepository,
+    clock = systemClock,
+    rolloutPlanService = new RolloutPlanService({ repository, clock }),
+    intervalMs = config.scheduler.intervalMs
+  } = {}) {
+    this.repository = repository;
+    this.scheduledChangeRepository = scheduledChangeRepository;
+    this.segmentRepository = segmentRepository;
+    this.userRepository = userRepository;
+    this.apiKeyRepository = apiKeyRepository;
+    this.accessControl = new AccessControlService();
+    this.clock = clock;
+    this.rolloutPlanService = rolloutPlanService;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.runs = {};
+    this.logger = logger.child({ component: 'ChangeScheduler' });
+  }
+
+  /**
+   * Start polling for due changes and rollout steps, beginning with an
+   * immediate run
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this._tick(), this.intervalMs);
+    // Pending changes alone shouldn't keep the process alive
+    this.timer.unref();
+    this._tick();
+
+    this.logger.info('Change scheduler started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop polling; runs in progress complete
+   * @returns {Promise<void>} - Resolves once no run is in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Change scheduler stopped');
+    }
+
+    await Promise.all(Object.values(this.runs));
+  }
+
+  /**
+   * Apply every change that is due, earliest first
+   * Runs never overlap; a call during a run waits for it instead.
+   * @returns {Promise<Array<ScheduledChange>>} - The changes processed, with their outcome
+   */
+  runDueChanges() {
+    return this._exclusive('changes', () => this._applyDueChanges());
+  }
+
+  /**
+   * Take the due step of every active rollout plan
+   * Runs never overlap; a call during a run waits for it instead.
+   * @returns {Promise<Array<RolloutPlan>>} - The plans processed, with their new state
+   */
+  runDueRolloutSteps() {
+    return this._exclusive('rolloutSteps', () => this.rolloutPlanService.advanceDuePlans());
+  }
+
+  /**
+   * Start a run unless one of the same kind is in progress
+   * @param {string} kind - The kind of run
+   * @param {Function} run - Starts the run, returning a promise
+   * @returns {Promise<*>} - The result of the run in progress
+   */
+  _exclusive(kind, run) {
+    if (!this.runs[kind]) {
+      this.runs[kind] = run().finally(() => {
+        delete this.runs[kind];
+      });
+    }
+
+    return this.runs[kind];
+  }
+
+  /**
+   * Run from the timer, logging rather than throwing failures
+   * @returns {Promise<void>}
+   */
+  _tick() {
+    return this._exclusive('tick', async () => {
+      try {
+        await this.runDueChanges();
+      } catch (error) {
+        this.logger.error('Failed to run scheduled changes', { error: error.message });
+      }
+
+      try {
+        await this.runDueRolloutSteps();
+      } catch (error) {
+        this.logger.error('Failed to run rollout steps', { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Apply the changes due now, one after the other
+   * @returns {Promise<Array<ScheduledChange>>} - The changes processed
+   */
+  async _applyDueChanges() {
+    const due = await this.scheduledChangeRepository.findDue(this.clock.now());
+    const processed = [];
+
+    for (const change of due) {
+      processed.push(await this._apply(change));
+    }
+
+    return processed.filter(Boolean);
+  }
+
+  /**
+   * Apply one scheduled change and record its outcome
+   * A change that can no longer be applied, e.g. because its flag was
+   * deleted, a referenced segment is gone or its creator may no longer
+   * make it, is marked as failed.
+   * @param {ScheduledChange} change - The change
+   * @returns {Promise<ScheduledChange|null>} - The change with its outcome
+   */
+  async _apply(change) {
+    // The change may have been cancelled since the run started
+    const current = await this.scheduledChangeRepository.findById(change.id);
+    if (!current || !current.isPending()) {
+      return current;
+    }
+
+    try {
+      const featureFlag = await this.repository.findById(change.featureFlagId, change.projectId);
+      if (!featureFlag) {
+        throw new Error(`Feature flag with ID ${change.featureFlagId} not found`);
+      }
+
+      const updates = { ...change.changes, updatedBy: change.createdBy };
+      if (updates.environments) {
+        updates.environments = featureFlag.mergeEnvironments(updates.environments);
+      }
+
+      const candidate = new FeatureFlag({ ...featureFlag.toJSON(), ...updates });
+      await this._authorize(change, featureFlag, candidate);
+
+      const missing = await this.segmentRepository.findMissingIds(candidate.getSegmentIds(), candidate.projectId);
+      if (missing.length > 0) {
+        throw new Error(`Segment(s) not found: ${missing.join(', ')}`);
+      }
+
+      const prerequisites = await this.repository.findPrerequisites(candidate);
+      const unknown = candidate.getPrerequisiteIds().filter(id => !prerequisites.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Prerequisite feature flag(s) not found: ${unknown.join(', ')}`);
+      }
+
+      const cycle = await this.repository.findPrerequisiteCycle(candidate);
+      if (cycle) {
+        throw new Error(`Prerequisites would form a cycle: ${cycle.join(' -> ')}`);
+      }
+
+      if (updates.rules) {
+        updates.rules = candidate.rules;
+      }
+      if (updates.environments) {
+        updates.environments = candidate.environments;
+      }
+      if (updates.prerequisites) {
+        updates.prerequisites = candidate.prerequisites;
+      }
+
+      const updatedFlag = await this.repository.update(featureFlag.id, updates, {
+        actor: change.createdBy,
+        requestId: change.requestId,
+        expectedVersion: featureFlag.version
+      });
+
+      change.status = SCHEDULED_CHANGE_STATUSES.APPLIED;
+      change.appliedVersion = updatedFlag.version;
+
+      this.logger.info('Scheduled change applied', {
+        id: change.id,
+        featureFlagId: change.featureFlagId,
+        version: updatedFlag.version
+      });
+
+    } catch (error) {
+      change.status = SCHEDULED_CHANGE_STATUSES.FAILED;
+      change.error = error.message;
+
+      this.logger.error('Failed to apply scheduled change', {
+        id: change.id,
+        featureFlagId: change.featureFlagId,
+        error: error.message
+      });
+    }
+
+    change.completedAt = this.clock.now();
+    return this.scheduledChangeRepository.save(change);
+  }
+
+  /**
+   * Check that the creator of a change may still make it
+   * Permissions are checked when a change is scheduled, but the flag, the
+   * creator's role and their key may all have changed since. The creator
+   * must still exist, and their current rights must cover the change as it
+   * applies to the flag now.
+   * @param {ScheduledChange} change - The change
+   * @param {FeatureFlag} featureFlag - The flag as stored now
+   * @param {FeatureFlag} candidate - The flag with the change applied
+   * @returns {Promise<void>}
+   * @throws {Error} - If the creator may not make the change
+   */
+  async _authorize(change, featureFlag, candidate) {
+    const principal = change.createdBy || {};
+
+    switch (principal.type) {
+      case PRINCIPAL_TYPES.USER: {
+        const user = await this.userRepository.findById(principal.id, change.projectId);
+        if (!user) {
+          throw new Error(`User ${principal.id} who scheduled the change no longer exists`);
+        }
+
+        const denied = this.accessControl.getRequiredPermissions(featureFlag, candidate)
+          .find(permission => !this.accessControl.can(user, permission, featureFlag));
+        if (denied) {
+          throw new Error(`Role '${user.getRole(featureFlag.id)}' of user '${user.name}' does not allow '${denied}'`);
+        }
+        return;
+      }
+
+      case PRINCIPAL_TYPES.API_KEY: {
+        // Keys without a user are only limited by their scope
+        if (principal.id === BOOTSTRAP_API_KEY_ID && config.auth.bootstrapAdminKey) {
+          return;
+        }
+
+        const apiKey = await this.apiKeyRepository.findById(principal.id);
+        if (!apiKey || apiKey.isRevoked()) {
+          throw new Error(`API key ${principal.id} that scheduled the change has been revoked`);
+        }
+        if (!apiKey.hasScope(API_KEY_SCOPES.ADMIN) || !apiKey.canAccessProject(change.projectId)) {
+          throw new Error(`API key ${principal.id} that scheduled the change may no longer change the flag`);
+        }
+        return;
+      }
+
+      case PRINCIPAL_TYPES.ANONYMOUS:
+        if (!config.auth.enabled) {
+          return;
+        }
+        throw new Error('Changes scheduled without authentication cannot be applied once it is enabled');
+
+      default:
+        throw new Error('The creator of the change is unknown');
+    }
+  }
+}
+
+module.exports = ChangeScheduler;
@@ -6,8 +6,48 @@
  * extensible and maintainable.
  */
 
-const { FeatureFlag, EvaluationContext, EvaluationResult, RULE_TYPES } = require('../models');
+const {
+  FeatureFlag,
+  EvaluationContext,
+  EvaluationResult,
+  RULE_TYPES,
+  EVALUATION_REASONS,
+  EVALUATION_ERROR_KINDS
+} = require('../models');
+const { systemClock } = require('../utils/clock');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const evaluationsTotal = metrics.registry.counter({
+  name: 'feature_toggle_evaluations_total',
+  help: 'Feature flag evaluations by flag, outcome and reason',
+  labelNames: ['project', 'flag', 'enabled', 'reason']
+});
+
+const evaluationDuration = metrics.registry.histogram({
+  name: 'feature_toggle_evaluation_duration_seconds',
+  help: 'Time taken to evaluate a feature flag',
+  labelNames: ['project', 'flag'],
+  buckets: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]
+});
+
+const ruleErrorsTotal = metrics.registry.counter({
+  name: 'feature_toggle_rule_errors_total',
+  help: 'Rules that failed to evaluate and were skipped, by rule type',
+  labelNames: ['rule_type']
+});
+
+/**
+ * Create an error that ends an evaluation with a given error kind
+ * @param {string} kind - One of EVALUATION_ERROR_KINDS
+ * @param {string} message - Error message
+ * @returns {Error} - The error, carrying `kind`
+ */
+function evaluationError(kind, message) {
+  const error = new Error(message);
+  error.kind = kind;
+  return error;
+}
 
 /**
  * Feature Flag Evaluation Engine
@@ -16,17 +56,66 @@ const logger = require('../utils/logger');
  * implementing the business rules for rule matching and fallback behavior.
  */
 class FeatureEvaluationEngine {
-  constructor() {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {Object} [options.clock] - Source of the evaluation time for schedule rules
+   * @param {EvaluationEventPipeline} [options.events] - Receives an event for every evaluation
+   * @param {FlagUsageRecorder} [options.usage] - Counts every evaluation
+   */
+  constructor({ clock = systemClock, events = null, usage = null } = {}) {
+    this.clock = clock;
+    this.events = events;
+    this.usage = usage;
     this.logger = logger.child({ component: 'FeatureEvaluationEngine' });
   }
 
   /**
    * Evaluate a feature flag for a given context
+   * The rules and default state of the context's environment are used.
+   * A flag whose prerequisites are not met is off, whatever its rules say;
+   * the prerequisite flags must be given in the context. Every evaluation
+   * is counted by the usage recorder and reported to the event pipeline,
+   * if any, and counted in the service metrics; those of prerequisites are
+   * not.
+   * @param {FeatureFlag} featureFlag - The feature flag to evaluate
+   * @param {EvaluationContext} context - The evaluation context
+   * @param {Object} [options] - Evaluation options
+   * @param {boolean} [options.explain] - Trace the prerequisites and rules considered
+   * @returns {EvaluationResult} - The evaluation result
+   */
+  evaluate(featureFlag, context, { explain = false } = {}) {
+    const start = process.hrtime.bigint();
+    const result = this._evaluate(featureFlag, context, [], explain ? [] : null);
+    const labels = { project: featureFlag.projectId, flag: featureFlag.name };
+
+    evaluationDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    evaluationsTotal.inc({ ...labels, enabled: result.enabled, reason: result.reason.kind });
+
+    const reportEvent = this.events && this.events.isEnabled();
+    if (this.usage || reportEvent) {
+      const event = this._toEvent(featureFlag, context, result);
+
+      // Usage is counted before the pipeline samples the event
+      if (this.usage) {
+        this.usage.record(event);
+      }
+      if (reportEvent) {
+        this.events.emit(event);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate a feature flag, possibly as the prerequisite of others
    * @param {FeatureFlag} featureFlag - The feature flag to evaluate
    * @param {EvaluationContext} context - The evaluation context
+   * @param {Array<string>} dependents - IDs of the flags this one is evaluated for
+   * @param {Array<Object>|null} trace - Collects the steps of the evaluation, if given
    * @returns {EvaluationResult} - The evaluation result
    */
-  evaluate(featureFlag, context) {
+  _evaluate(featureFlag, context, dependents, trace) {
     const startTime = Date.now();
     
     try {
@@ -34,21 +123,56 @@ class FeatureEvaluationEngine {
         featureFlagId: featureFlag.id,
         featureFlagName: featureFlag.name,
         userId: context.userId,
-        tenantId: context.tenantId
+        tenantId: context.tenantId,
+        environment: context.environment
       });
 
       // Validate inputs
       this._validateEvaluationInputs(featureFlag, context);
+      const timedContext = this._withTime(context);
+
+      const failedPrerequisite = this._findFailedPrerequisite(featureFlag, timedContext, dependents, trace);
+      if (failedPrerequisite) {
+        this.logger.debug('Feature flag disabled by failed prerequisite', {
+          featureFlagId: featureFlag.id,
+          featureFlagName: featureFlag.name,
+          prerequisite: failedPrerequisite,
+          userId: context.userId,
+          tenantId: context.tenantId
+        });
+
+        const variant = this._resolveVariant(featureFlag, null, timedContext);
+        return new EvaluationResult({
+          enabled: false,
+          evaluationTime: Date.now() - startTime,
+          variant: variant ? variant.key : null,
+          payload: variant ? variant.value : null,
+          reason: { kind: EVALUATION_REASONS.PREREQUISITE_FAILED, prerequisite: failedPrerequisite },
+          trace
+        });
+      }
 
       // Evaluate rules in order
-      const matchedRule = this._evaluateRules(featureFlag.rules, context);
+      const config = featureFlag.getEnvironmentConfig(context.environment);
+      const matchedSubRules = [];
+      const matchedRule = this._evaluateRules(config.rules, timedContext, matchedSubRules, trace);
       
       let enabled;
       let fallbackToDefault = false;
 
-      if (matchedRule) {
+      if (matchedRule && matchedRule.isDeny()) {
+        enabled = false;
+        this.logger.debug('Feature flag disabled by exclusion rule', {
+          featureFlagId: featureFlag.id,
+          featureFlagName: featureFlag.name,
+          ruleId: matchedRule.id,
+          ruleType: matchedRule.type,
+          userId: context.userId,
+          tenantId: context.tenantId
+        });
+      } else if (matchedRule) {
         enabled = true;
-        this.logger.info('Feature flag enabled by rule', {
+        this.logger.debug('Feature flag enabled by rule', {
           featureFlagId: featureFlag.id,
           featureFlagName: featureFlag.name,
           ruleId: matchedRule.id,
@@ -57,9 +181,9 @@ class FeatureEvaluationEngine {
           tenantId: context.tenantId
         });
       } else {
-        enabled = featureFlag.enabled;
+        enabled = config.enabled;
         fallbackToDefault = true;
-        this.logger.info('Feature flag evaluated using global default', {
+        this.logger.debug('Feature flag evaluated using global default', {
           featureFlagId: featureFlag.id,
           featureFlagName: featureFlag.name,
           enabled: enabled,
@@ -68,13 +192,21 @@ class FeatureEvaluationEngine {
         });
       }
 
+      const variant = this._resolveVariant(featureFlag, matchedRule, timedContext);
       const evaluationTime = Date.now() - startTime;
 
       const result = new EvaluationResult({
         enabled,
         matchedRule,
         fallbackToDefault,
-        evaluationTime
+        evaluationTime,
+        variant: variant ? variant.key : null,
+        payload: variant ? variant.value : null,
+        matchedSubRules,
+        reason: matchedRule
+          ? { kind: EVALUATION_REASONS.RULE_MATCH, ruleIndex: config.rules.indexOf(matchedRule), ruleId: matchedRule.id }
+          : { kind: EVALUATION_REASONS.DEFAULT },
+        trace
       });
 
       this.logger.debug('Feature flag evaluation completed', {
@@ -99,11 +231,17 @@ class FeatureEvaluationEngine {
       });
 
       // Return safe fallback result
+      const variant = this._resolveVariant(featureFlag, null, context);
+
       return new EvaluationResult({
-        enabled: featureFlag.enabled,
+        enabled: featureFlag.getEnvironmentConfig(context.environment).enabled,
         matchedRule: null,
         fallbackToDefault: true,
-        evaluationTime
+        evaluationTime,
+        variant: variant ? variant.key : null,
+        payload: variant ? variant.value : null,
+        reason: { kind: EVALUATION_REASONS.ERROR, errorKind: error.kind || EVALUATION_ERROR_KINDS.EXCEPTION },
+        trace
       });
     }
   }
@@ -112,9 +250,10 @@ class FeatureEvaluationEngine {
    * Evaluate multiple feature flags in batch
    * @param {Array<FeatureFlag>} featureFlags - Array of feature flags
    * @param {EvaluationContext} context - The evaluation context
+   * @param {Object} [options] - Evaluation options, see `evaluate`
    * @returns {Array<EvaluationResult>} - Array of evaluation results
    */
-  evaluateBatch(featureFlags, context) {
+  evaluateBatch(featureFlags, context, options = {}) {
     const startTime = Date.now();
     
     this.logger.debug('Starting batch feature flag evaluation', {
@@ -123,14 +262,16 @@ class FeatureEvaluationEngine {
       tenantId: context.tenantId
     });
 
-    const results = featureFlags.map(flag => this.evaluate(flag, context));
+    // Every flag of the batch is evaluated at the same time
+    const timedContext = this._withTime(context);
+    const results = featureFlags.map(flag => this.evaluate(flag, timedContext, options));
     
     const totalTime = Date.now() - startTime;
     
-    this.logger.info('Batch feature flag evaluation completed', {
+    this.logger.debug('Batch feature flag evaluation completed', {
       featureFlagCount: featureFlags.length,
       totalTime,
-      averageTime: totalTime / featureFlags.length
+      averageTime: featureFlags.length > 0 ? totalTime / featureFlags.length : 0
     });
 
     return results;
@@ -138,17 +279,31 @@ class FeatureEvaluationEngine {
 
   /**
    * Evaluate rules against context
+   * Rules are considered by descending priority, keeping their declared
+   * order among equal priorities, so exclusions can run before inclusions.
    * @param {Array<Rule>} rules - Array of rules to evaluate
    * @param {EvaluationContext} context - The evaluation context
+   * @param {Array<string>} [matchedSubRules] - Collects nested rule IDs of the matching rule
+   * @param {Array<Object>|null} [trace] - Collects the rules considered, if given
    * @returns {Rule|null} - The first matching rule or null
    */
-  _evaluateRules(rules, context) {
-    for (const rule of rules) {
+  _evaluateRules(rules, context, matchedSubRules = [], trace = null) {
+    for (const rule of this._orderRules(rules)) {
+      const step = {
+        step: 'rule',
+        ruleIndex: rules.indexOf(rule),
+        ruleId: rule.id,
+        type: rule.type,
+        effect: rule.effect,
+        priority: rule.priority
+      };
+
+      const ruleMatches = [];
+      let matched;
       try {
-        if (rule.evaluate(context)) {
-          return rule;
-        }
+        matched = rule.evaluate(context, ruleMatches);
       } catch (error) {
+        ruleErrorsTotal.inc({ rule_type: rule.type });
         this.logger.warn('Rule evaluation failed', {
           ruleId: rule.id,
           ruleType: rule.type,
@@ -156,12 +311,152 @@ class FeatureEvaluationEngine {
           userId: context.userId,
           tenantId: context.tenantId
         });
+
+        if (trace) {
+          trace.push({ ...step, matched: false, error: error.message });
+        }
         // Continue with next rule
+        continue;
+      }
+
+      if (trace) {
+        trace.push({ ...step, matched, ...this._explainRule(rule, context) });
+      }
+
+      if (matched) {
+        matchedSubRules.push(...ruleMatches);
+        return rule;
       }
     }
     return null;
   }
 
+  /**
+   * Describe why a rule did or did not match, for traces
+   * Explaining is kept apart from evaluating so that a failure to explain
+   * a rule never changes the outcome of the evaluation.
+   * @param {Rule} rule - The rule
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {Object} - The rule's explanation, or the error explaining it
+   */
+  _explainRule(rule, context) {
+    try {
+      return rule.explain(context);
+    } catch (error) {
+      this.logger.warn('Rule explanation failed', {
+        ruleId: rule.id,
+        ruleType: rule.type,
+        error: error.message
+      });
+      return { explainError: error.message };
+    }
+  }
+
+  /**
+   * Find the first prerequisite of a flag that is not met
+   * A prerequisite is met when its flag evaluates to the required state and,
+   * if one is required, variant. Unknown prerequisites are never met.
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @param {EvaluationContext} context - The evaluation context
+   * @param {Array<string>} dependents - IDs of the flags this one is evaluated for
+   * @param {Array<Object>|null} [trace] - Collects the prerequisites considered, if given
+   * @returns {Object|null} - ID and name of the failed prerequisite, or null
+   */
+  _findFailedPrerequisite(featureFlag, context, dependents, trace = null) {
+    const chain = [...dependents, featureFlag.id];
+
+    for (const { flagId, enabled, variant } of featureFlag.prerequisites) {
+      const prerequisite = context.flags.get(flagId);
+      const failed = { flagId, name: prerequisite ? prerequisite.name : null };
+      const step = { step: 'prerequisite', ...failed, required: { enabled, variant } };
+
+      // Cycles are rejected when flags are saved; should one exist, it fails
+      if (!prerequisite || chain.includes(flagId)) {
+        if (trace) {
+          trace.push({ ...step, met: false, error: prerequisite ? 'Prerequisite cycle' : 'Flag not found' });
+        }
+        return failed;
+      }
+
+      const result = this._evaluate(prerequisite, context, chain, null);
+      const met = result.enabled === enabled && (!variant || result.variant === variant);
+
+      if (trace) {
+        trace.push({ ...step, met, enabled: result.enabled, variant: result.variant, reason: result.reason });
+      }
+
+      if (!met) {
+        return failed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Order rules by descending priority, stable for equal priorities
+   * @param {Array<Rule>} rules - Array of rules
+   * @returns {Array<Rule>} - Rules in evaluation order
+   */
+  _orderRules(rules) {
+    return rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.index - b.index))
+      .map(({ rule }) => rule);
+  }
+
+  /**
+   * Resolve the variant to serve for a multivariate flag
+   * The matched rule's variant wins; otherwise the flag's default variant is served.
+   * @param {FeatureFlag} featureFlag - The feature flag
+   * @param {Rule|null} matchedRule - The matched rule, if any
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {Object|null} - The variant or null for boolean flags
+   */
+  _resolveVariant(featureFlag, matchedRule, context) {
+    if (!Array.isArray(featureFlag.variants) || featureFlag.variants.length === 0) {
+      return null;
+    }
+
+    const key = (matchedRule && matchedRule.resolveVariant(context, featureFlag)) ||
+      featureFlag.defaultVariant;
+    return featureFlag.variants.find(variant => variant.key === key) || null;
+  }
+
+  /**
+   * Build the evaluation event reported for a result
+   * @param {FeatureFlag} featureFlag - The evaluated flag
+   * @param {EvaluationContext} context - The evaluation context
+   * @param {EvaluationResult} result - The evaluation result
+   * @returns {Object} - The event
+   */
+  _toEvent(featureFlag, context, result) {
+    return {
+      type: 'evaluation',
+      timestamp: (context.now || this.clock.now()).toISOString(),
+      projectId: featureFlag.projectId,
+      flagId: featureFlag.id,
+      flagName: featureFlag.name,
+      flagVersion: featureFlag.version,
+      environment: context.environment,
+      userId: context.userId,
+      tenantId: context.tenantId,
+      enabled: result.enabled,
+      variant: result.variant,
+      reason: result.reason,
+      evaluationTime: result.evaluationTime
+    };
+  }
+
+  /**
+   * Fix the time a context is evaluated at, if it doesn't carry one yet
+   * @param {EvaluationContext} context - The evaluation context
+   * @returns {EvaluationContext} - A context with `now` set
+   */
+  _withTime(context) {
+    return context.now ? context : new EvaluationContext({ ...context, now: this.clock.now() });
+  }
+
   /**
    * Validate evaluation inputs
    * @param {FeatureFlag} featureFlag - The feature flag
@@ -173,19 +468,19 @@ class FeatureEvaluationEngine {
     }
 
     if (!context) {
-      throw new Error('Evaluation context is required');
+      throw evaluationError(EVALUATION_ERROR_KINDS.INVALID_CONTEXT, 'Evaluation context is required');
     }
 
     if (!context.userId) {
-      throw new Error('User ID is required in evaluation context');
+      throw evaluationError(EVALUATION_ERROR_KINDS.INVALID_CONTEXT, 'User ID is required in evaluation context');
     }
 
     if (!context.tenantId) {
-      throw new Error('Tenant ID is required in evaluation context');
+      throw evaluationError(EVALUATION_ERROR_KINDS.INVALID_CONTEXT, 'Tenant ID is required in evaluation context');
     }
 
     if (!Array.isArray(featureFlag.rules)) {
-      throw new Error('Feature flag rules must be an array');
+      throw evaluationError(EVALUATION_ERROR_KINDS.MALFORMED_FLAG, 'Feature flag rules must be an array');
     }
   }
 }
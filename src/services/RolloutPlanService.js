@@ -0,0 +1,217 @@
+/**
+ * Rollout Plan Service
+ *
+ * Runs progressive rollouts: each step of a rollout plan sets the
+ * percentage of one of a flag's percentage rules, saved as a normal flag
+ * update so it is versioned and audited like any other change.
+ */
+
+const { PercentageRule, RULE_TYPES, ROLLOUT_PLAN_STATUSES } = require('../models');
+const repositories = require('../repositories');
+const { systemClock } = require('../utils/clock');
+const logger = require('../utils/logger');
+
+class RolloutPlanService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {FeatureFlagRepository} [options.repository] - Feature flag storage
+   * @param {RolloutPlanRepository} [options.rolloutPlanRepository] - Rollout plan storage
+   * @param {Object} [options.clock] - Source of the current time
+   */
+  constructor({
+    repository = repositories.featureFlagRepository,
+    rolloutPlanRepository = repositories.rolloutPlanRepository,
+    clock = systemClock
+  } = {}) {
+    this.repository = repository;
+    this.rolloutPlanRepository = rolloutPlanRepository;
+    this.clock = clock;
+    this.logger = logger.child({ component: 'RolloutPlanService' });
+  }
+
+  /**
+   * Start a plan by applying its first step, then store it
+   * Both happen in one batch with the check for a running plan, so two
+   * plans started at once for the same flag can't both apply their step.
+   * @param {RolloutPlan} plan - The new plan
+   * @param {Object} context - Change context of the request starting the plan
+   * @returns {Promise<Object>} - The stored `plan` and the updated `featureFlag`
+   * @throws {Error} - If the flag already has a running plan or the rule is missing
+   */
+  async start(plan, context) {
+    const featureFlag = await this.rolloutPlanRepository.batch(async () => {
+      if (await this.rolloutPlanRepository.findRunning(plan.featureFlagId)) {
+        throw new Error(`A running rollout plan already exists for feature flag ${plan.featureFlagId}`);
+      }
+
+      const { featureFlag: updated, previousPercentage } = await this._setPercentage(plan, plan.steps[0], context);
+
+      plan.initialPercentage = previousPercentage;
+      plan.currentStep = 0;
+      plan.scheduleNextStep(this.clock.now());
+      await this.rolloutPlanRepository.create(plan);
+
+      return updated;
+    });
+
+    this.logger.info('Rollout plan started', {
+      id: plan.id,
+      featureFlagId: plan.featureFlagId,
+      percentage: plan.steps[0]
+    });
+
+    return { plan, featureFlag };
+  }
+
+  /**
+   * Take the next step of every active plan that is due, earliest first
+   * @returns {Promise<Array<RolloutPlan>>} - The plans processed, with their new state
+   */
+  async advanceDuePlans() {
+    const due = await this.rolloutPlanRepository.findDue(this.clock.now());
+    const processed = [];
+
+    for (const plan of due) {
+      processed.push(await this.advance(plan));
+    }
+
+    return processed.filter(Boolean);
+  }
+
+  /**
+   * Take the next step of an active plan
+   * A plan whose flag or rule is gone fails. A step that lost a race with
+   * another update is retried on the next run.
+   * @param {RolloutPlan} plan - The plan
+   * @returns {Promise<RolloutPlan|null>} - The plan with its new state
+   */
+  async advance(plan) {
+    // The plan may have been paused or aborted since it was found due
+    const current = await this.rolloutPlanRepository.findById(plan.id);
+    if (!current || current.status !== ROLLOUT_PLAN_STATUSES.ACTIVE) {
+      return current;
+    }
+
+    const step = current.currentStep + 1;
+
+    try {
+      await this._setPercentage(current, current.steps[step], {
+        actor: current.createdBy,
+        requestId: current.requestId
+      });
+
+      current.currentStep = step;
+      current.scheduleNextStep(this.clock.now());
+
+      this.logger.info('Rollout plan advanced', {
+        id: current.id,
+        featureFlagId: current.featureFlagId,
+        percentage: current.steps[step]
+      });
+
+    } catch (error) {
+      if (error.message.includes('has been modified')) {
+        this.logger.warn('Rollout step conflicted with another update; retrying later', {
+          id: current.id,
+          featureFlagId: current.featureFlagId
+        });
+        return current;
+      }
+
+      current.error = error.message;
+      current.finish(ROLLOUT_PLAN_STATUSES.FAILED, this.clock.now());
+
+      this.logger.error('Rollout plan failed', {
+        id: current.id,
+        featureFlagId: current.featureFlagId,
+        error: error.message
+      });
+    }
+
+    return this.rolloutPlanRepository.save(current);
+  }
+
+  /**
+   * Pause an active plan; no steps are taken until it is resumed
+   * @param {RolloutPlan} plan - The plan
+   * @returns {Promise<RolloutPlan>} - The paused plan
+   */
+  async pause(plan) {
+    plan.status = ROLLOUT_PLAN_STATUSES.PAUSED;
+    plan.nextStepAt = null;
+    plan.updatedAt = this.clock.now();
+    return this.rolloutPlanRepository.save(plan);
+  }
+
+  /**
+   * Resume a paused plan; the next step follows one full interval later
+   * @param {RolloutPlan} plan - The plan
+   * @returns {Promise<RolloutPlan>} - The resumed plan
+   */
+  async resume(plan) {
+    plan.status = ROLLOUT_PLAN_STATUSES.ACTIVE;
+    plan.scheduleNextStep(this.clock.now());
+    return this.rolloutPlanRepository.save(plan);
+  }
+
+  /**
+   * Abort a running plan, by default restoring the rule's percentage from
+   * before the plan started
+   * @param {RolloutPlan} plan - The plan
+   * @param {Object} options - Abort options
+   * @param {boolean} options.revert - Whether to restore the initial percentage
+   * @param {Object} context - Change context of the request aborting the plan
+   * @returns {Promise<Object>} - The aborted `plan` and, if reverted, the
+   *   updated `featureFlag`
+   */
+  async abort(plan, { revert }, context) {
+    let featureFlag = null;
+
+    if (revert && plan.initialPercentage !== null) {
+      ({ featureFlag } = await this._setPercentage(plan, plan.initialPercentage, context));
+    }
+
+    plan.finish(ROLLOUT_PLAN_STATUSES.ABORTED, this.clock.now());
+    await this.rolloutPlanRepository.save(plan);
+
+    this.logger.info('Rollout plan aborted', {
+      id: plan.id,
+      featureFlagId: plan.featureFlagId,
+      reverted: Boolean(featureFlag)
+    });
+
+    return { plan, featureFlag };
+  }
+
+  /**
+   * Set the percentage of a plan's rule as an update of its flag
+   * @param {RolloutPlan} plan - The plan
+   * @param {number} percentage - The new percentage
+   * @param {Object} context - Change context; its actor is recorded as the updater
+   * @returns {Promise<Object>} - The updated `featureFlag` and the rule's `previousPercentage`
+   * @throws {Error} - If the flag or its percentage rule is missing
+   */
+  async _setPercentage(plan, percentage, context) {
+    const featureFlag = await this.repository.findById(plan.featureFlagId, plan.projectId);
+    if (!featureFlag) {
+      throw new Error(`Feature flag with ID ${plan.featureFlagId} not found`);
+    }
+
+    const rule = featureFlag.getRule(plan.ruleId);
+    if (!rule || rule.type !== RULE_TYPES.PERCENTAGE) {
+      throw new Error(`Percentage rule ${plan.ruleId} not found on feature flag ${featureFlag.id}`);
+    }
+
+    featureFlag.replaceRule(PercentageRule.fromJSON({ ...rule.toJSON(), percentage }));
+
+    const updatedFlag = await this.repository.update(
+      featureFlag.id,
+      { rules: featureFlag.rules, updatedBy: context.actor },
+      { expectedVersion: featureFlag.version, ...context }
+    );
+
+    return { featureFlag: updatedFlag, previousPercentage: rule.percentage };
+  }
+}
+
+module.exports = RolloutPlanService;
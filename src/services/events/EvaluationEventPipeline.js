@@ -0,0 +1,161 @@
+/**
+ * Evaluation Event Pipeline
+ *
+ * Collects an event for every flag evaluation and delivers them to the
+ * configured sinks in batches, so impression data can be fed into
+ * analytics without parsing logs.
+ */
+
+const logger = require('../../utils/logger');
+
+/**
+ * Evaluation event pipeline
+ *
+ * Only a sample of the evaluations is kept when `sampleRate` is below 1;
+ * each event carries the rate so counts can be scaled back up. Events are
+ * queued and handed to every sink once `batchSize` of them have been
+ * collected, and at least every `flushIntervalMs` while started. Batches
+ * are delivered one at a time; events keep queueing while a batch is on
+ * its way, and when the sinks fall behind, the oldest queued events are
+ * dropped beyond `maxQueueSize`.
+ */
+class EvaluationEventPipeline {
+  /**
+   * @param {Object} [options] - Pipeline options
+   * @param {Array<EventSink>} [options.sinks] - Sinks events are delivered to; none disables the pipeline
+   * @param {number} [options.sampleRate] - Share of evaluations recorded, from 0 to 1
+   * @param {number} [options.batchSize] - Number of events delivered at once
+   * @param {number} [options.flushIntervalMs] - Longest time events wait for delivery
+   * @param {number} [options.maxQueueSize] - Number of undelivered events kept
+   * @param {Function} [options.random] - Source of random numbers in [0, 1) for sampling
+   */
+  constructor({
+    sinks = [],
+    sampleRate = 1,
+    batchSize = 100,
+    flushIntervalMs = 5000,
+    maxQueueSize = 10000,
+    random = Math.random
+  } = {}) {
+    this.sinks = sinks;
+    this.sampleRate = sampleRate;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxQueueSize = maxQueueSize;
+    this.random = random;
+    this.queue = [];
+    this.dropped = 0;
+    this.timer = null;
+    // The delivery in progress, if any
+    this.delivery = null;
+    this.logger = logger.child({ component: 'EvaluationEventPipeline' });
+  }
+
+  /**
+   * Whether events are recorded at all
+   * @returns {boolean} - True if there is a sink and a non-zero sample rate
+   */
+  isEnabled() {
+    return this.sinks.length > 0 && this.sampleRate > 0;
+  }
+
+  /**
+   * Record an evaluation event, if it is sampled
+   * @param {Object} event - The event
+   */
+  emit(event) {
+    if (!this.isEnabled() || (this.sampleRate < 1 && this.random() >= this.sampleRate)) {
+      return;
+    }
+
+    this.queue.push({ ...event, sampleRate: this.sampleRate });
+
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.shift();
+      this.dropped++;
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Start delivering queued events periodically
+   */
+  start() {
+    if (this.timer || !this.isEnabled()) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    // Don't keep the process alive just for event delivery
+    this.timer.unref();
+
+    this.logger.info('Evaluation event pipeline started', {
+      sinks: this.sinks.map(sink => sink.constructor.name),
+      sampleRate: this.sampleRate,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Deliver the queued events to every sink
+   * Joins the delivery in progress rather than starting another one, so at
+   * most one batch is ever on its way.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.delivery) {
+      if (this.queue.length === 0) {
+        return Promise.resolve();
+      }
+
+      this.delivery = this._deliver().finally(() => {
+        this.delivery = null;
+      });
+    }
+
+    return this.delivery;
+  }
+
+  /**
+   * Deliver queued events batch by batch until the queue is empty
+   * A sink failing to take a batch is logged; the batch is not retried.
+   * @returns {Promise<void>}
+   */
+  async _deliver() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+
+      if (this.dropped > 0) {
+        this.logger.warn('Dropped evaluation events the sinks could not keep up with', { dropped: this.dropped });
+        this.dropped = 0;
+      }
+
+      await Promise.all(this.sinks.map(sink => sink.write(batch).catch(error => {
+        this.logger.warn('Failed to deliver evaluation events', {
+          sink: sink.constructor.name,
+          events: batch.length,
+          error: error.message
+        });
+      })));
+    }
+  }
+
+  /**
+   * Stop periodic delivery, deliver what is queued and close the sinks
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    while (this.delivery || this.queue.length > 0) {
+      await this.flush();
+    }
+    await Promise.all(this.sinks.map(sink => sink.close()));
+  }
+}
+
+module.exports = EvaluationEventPipeline;
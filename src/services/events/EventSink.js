@@ -0,0 +1,26 @@
+/**
+ * Event Sink interface
+ *
+ * The evaluation event pipeline hands batches of evaluation events to its
+ * sinks, which deliver them somewhere: an in-memory buffer, a file or an
+ * HTTP endpoint. Events are plain JSON objects.
+ */
+
+class EventSink {
+  /**
+   * Deliver a batch of events
+   * @param {Array<Object>} events - The events, oldest first
+   * @returns {Promise<void>}
+   */
+  async write(events) {
+    throw new Error('write() must be implemented by subclasses');
+  }
+
+  /**
+   * Release any resources held by the sink, after pending writes finished
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = EventSink;
@@ -0,0 +1,46 @@
+/**
+ * Newline-delimited JSON file event sink
+ *
+ * Appends every event as one line of JSON, so the file can be tailed or
+ * loaded by log shippers and analytics tools as it grows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventSink = require('./EventSink');
+
+class FileEventSink extends EventSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.filePath - Path of the file appended to
+   */
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Append a batch of events
+   * Appends are queued so batches land in the order they were written;
+   * a failed append is reported to its caller without blocking later ones.
+   * @param {Array<Object>} events - The events
+   * @returns {Promise<void>}
+   */
+  write(events) {
+    const lines = events.map(event => `${JSON.stringify(event)}\n`).join('');
+
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, lines, 'utf8');
+    });
+
+    return this.writeQueue;
+  }
+
+  async close() {
+    await this.writeQueue.catch(() => {});
+  }
+}
+
+module.exports = FileEventSink;
@@ -0,0 +1,103 @@
+/**
+ * Flag usage recorder
+ *
+ * Counts every evaluation per flag, broken down by outcome and variant,
+ * and adds the counts to the flag usage repository periodically. Unlike
+ * the event pipeline it neither samples nor drops evaluations: counts are
+ * aggregated per flag, so memory grows with the number of flags evaluated
+ * between flushes, not with traffic.
+ */
+
+const { FlagUsage } = require('../../models');
+const logger = require('../../utils/logger');
+
+class FlagUsageRecorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {FlagUsageRepository} options.repository - Where usage is stored
+   * @param {number} [options.flushIntervalMs] - Longest time counts wait to be stored
+   */
+  constructor({ repository, flushIntervalMs = 5000 }) {
+    this.repository = repository;
+    this.flushIntervalMs = flushIntervalMs;
+    this.pending = new Map();
+    this.timer = null;
+    // Flushes are stored one after another so concurrent ones don't lose counts
+    this.writeQueue = Promise.resolve();
+    this.logger = logger.child({ component: 'FlagUsageRecorder' });
+  }
+
+  /**
+   * Count an evaluation
+   * @param {Object} event - The evaluation event, see FeatureEvaluationEngine
+   */
+  record(event) {
+    if (!this.pending.has(event.flagId)) {
+      this.pending.set(event.flagId, new FlagUsage({ featureFlagId: event.flagId, projectId: event.projectId }));
+    }
+    this.pending.get(event.flagId).record(event);
+  }
+
+  /**
+   * Start storing counts periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    // Don't keep the process alive just for storing counts
+    this.timer.unref();
+  }
+
+  /**
+   * Add the counts collected so far to the repository
+   * Counts that fail to be stored are kept and retried with the next flush.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const usages = [...this.pending.values()];
+    this.pending = new Map();
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const results = await Promise.allSettled(usages.map(usage => this.repository.add(usage)));
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          this.logger.warn('Failed to store flag usage', {
+            featureFlagId: usages[index].featureFlagId,
+            error: result.reason.message
+          });
+          this._requeue(usages[index]);
+        }
+      });
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Stop storing counts periodically and store what is pending
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+
+  /**
+   * Put counts that could not be stored back in front of the pending ones
+   * @param {FlagUsage} usage - The usage
+   */
+  _requeue(usage) {
+    const pending = this.pending.get(usage.featureFlagId);
+    if (pending) {
+      usage.merge(pending);
+    }
+    this.pending.set(usage.featureFlagId, usage);
+  }
+}
+
+module.exports = FlagUsageRecorder;
@@ -0,0 +1,50 @@
+/**
+ * In-memory event sink
+ *
+ * Keeps the most recent events in a ring buffer of fixed capacity, e.g.
+ * for tests or to inspect recent evaluations. Older events are dropped.
+ */
+
+const EventSink = require('./EventSink');
+
+class MemoryEventSink extends EventSink {
+  /**
+   * @param {Object} [options] - Sink options
+   * @param {number} [options.capacity] - Number of events kept
+   */
+  constructor({ capacity = 1000 } = {}) {
+    super();
+    this.capacity = capacity;
+    this.buffer = new Array(capacity);
+    this.next = 0;
+    this.size = 0;
+  }
+
+  async write(events) {
+    for (const event of events) {
+      this.buffer[this.next] = event;
+      this.next = (this.next + 1) % this.capacity;
+      this.size = Math.min(this.size + 1, this.capacity);
+    }
+  }
+
+  /**
+   * List the buffered events
+   * @returns {Array<Object>} - The events, oldest first
+   */
+  list() {
+    const start = (this.next - this.size + this.capacity) % this.capacity;
+    return Array.from({ length: this.size }, (_, index) => this.buffer[(start + index) % this.capacity]);
+  }
+
+  /**
+   * Drop every buffered event
+   */
+  clear() {
+    this.buffer = new Array(this.capacity);
+    this.next = 0;
+    this.size = 0;
+  }
+}
+
+module.exports = MemoryEventSink;
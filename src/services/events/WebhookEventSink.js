@@ -0,0 +1,77 @@
+/**
+ * HTTP webhook event sink
+ *
+ * POSTs every batch of events as `{ "events": [...] }` JSON to a URL. A
+ * batch the endpoint doesn't accept with a 2xx status within the timeout
+ * is reported as failed and not sent again.
+ */
+
+const http = require('http');
+const https = require('https');
+const EventSink = require('./EventSink');
+
+class WebhookEventSink extends EventSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.url - The http(s) URL events are posted to
+   * @param {number} [options.timeoutMs] - Time allowed for each request
+   */
+  constructor({ url, timeoutMs = 5000 }) {
+    super();
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+    this.pending = new Set();
+  }
+
+  async write(events) {
+    const request = this._post(JSON.stringify({ events }));
+    this.pending.add(request);
+
+    try {
+      await request;
+    } finally {
+      this.pending.delete(request);
+    }
+  }
+
+  async close() {
+    await Promise.allSettled([...this.pending]);
+  }
+
+  /**
+   * Send a JSON body to the webhook URL
+   * @param {string} body - The serialized body
+   * @returns {Promise<void>} - Resolves once the endpoint accepted the body
+   */
+  _post(body) {
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.timeoutMs
+      }, (response) => {
+        response.resume();
+        response.on('end', () => {
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`Webhook responded with status ${response.statusCode}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`Webhook did not respond within ${this.timeoutMs}ms`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = WebhookEventSink;
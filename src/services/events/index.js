@@ -0,0 +1,77 @@
+/**
+ * Evaluation event sinks, the pipeline feeding them, and the shared
+ * pipeline configured from the `evaluationEvents` config section, as well
+ * as the shared flag usage recorder
+ */
+
+const config = require('../../config');
+const repositories = require('../../repositories');
+const EventSink = require('./EventSink');
+const MemoryEventSink = require('./MemoryEventSink');
+const FileEventSink = require('./FileEventSink');
+const WebhookEventSink = require('./WebhookEventSink');
+const FlagUsageRecorder = require('./FlagUsageRecorder');
+const EvaluationEventPipeline = require('./EvaluationEventPipeline');
+
+/**
+ * Sinks selectable through configuration
+ */
+const SINK_TYPES = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  WEBHOOK: 'webhook'
+};
+
+/**
+ * Create the sinks named in the evaluation events configuration
+ * @param {Object} eventsConfig - The `evaluationEvents` section of the config
+ * @returns {Array<EventSink>} - The sinks
+ */
+function createEventSinks(eventsConfig) {
+  return eventsConfig.sinks.map(type => {
+    switch (type) {
+      case SINK_TYPES.MEMORY:
+        return new MemoryEventSink({ capacity: eventsConfig.memoryCapacity });
+      case SINK_TYPES.FILE:
+        return new FileEventSink({ filePath: eventsConfig.filePath });
+      case SINK_TYPES.WEBHOOK:
+        return new WebhookEventSink({ url: eventsConfig.webhookUrl, timeoutMs: eventsConfig.webhookTimeoutMs });
+      default:
+        throw new Error(`Unknown event sink type: ${type}`);
+    }
+  });
+}
+
+/**
+ * Create an evaluation event pipeline from configuration
+ * @param {Object} eventsConfig - The `evaluationEvents` section of the config
+ * @returns {EvaluationEventPipeline} - The pipeline
+ */
+function createEvaluationEventPipeline(eventsConfig) {
+  return new EvaluationEventPipeline({
+    sinks: createEventSinks(eventsConfig),
+    sampleRate: eventsConfig.sampleRate,
+    batchSize: eventsConfig.batchSize,
+    flushIntervalMs: eventsConfig.flushIntervalMs,
+    maxQueueSize: eventsConfig.maxQueueSize
+  });
+}
+
+module.exports = {
+  EventSink,
+  MemoryEventSink,
+  FileEventSink,
+  WebhookEventSink,
+  EvaluationEventPipeline,
+  FlagUsageRecorder,
+  SINK_TYPES,
+  createEventSinks,
+  createEvaluationEventPipeline,
+  // Pipeline shared by every evaluation engine of the application
+  evaluationEvents: createEvaluationEventPipeline(config.evaluationEvents),
+  // Usage counts of every evaluation, whatever the event sample rate
+  flagUsage: new FlagUsageRecorder({
+    repository: repositories.flagUsageRepository,
+    flushIntervalMs: config.evaluationEvents.flushIntervalMs
+  })
+};
@@ -1,11 +1,19 @@
 // tests/integration/api.test.js
 const request = require('supertest');
 const Application = require('../../app');
+const ChangeScheduler = require('../../services/ChangeScheduler');
+const AccessControlService = require('../../services/AccessControlService');
+const config = require('../../config');
+const repositories = require('../../repositories');
+const { flagUsage } = require('../../services/events');
+const { FeatureFlag } = require('../../models');
 
 describe('Feature Flag API', () => {
   let app;
   
   beforeAll(() => {
+    // Authentication is on by default; the tests below that cover it turn it on
+    config.auth.enabled = false;
     const application = new Application();
     app = application.getApp();
   });
@@ -35,6 +43,62 @@ describe('Feature Flag API', () => {
       expect(response.body.data.rules).toHaveLength(1);
     });
 
+    test('should create a feature flag with an attribute rule', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'attribute-feature',
+          rules: [
+            { type: 'attribute', attribute: 'appVersion', operator: 'semverGt', value: '2.0.0' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.rules[0].operator).toBe('semverGt');
+    });
+
+    test('should reject an attribute rule with an invalid value', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'invalid-attribute-feature',
+          rules: [
+            { type: 'attribute', attribute: 'appVersion', operator: 'semverGt', value: 'latest' }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test.each(['^(a+)+$', '^(\\w|\\d)+$'])('should reject the regex %s, prone to catastrophic backtracking', async (pattern) => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'backtracking-feature',
+          rules: [
+            { type: 'attribute', attribute: 'email', operator: 'regex', value: pattern }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('should reject composite rules nested beyond the depth limit', async () => {
+      let rule = { type: 'user', userIds: ['user1'] };
+      for (let i = 0; i < 4; i++) {
+        rule = { type: 'composite', operator: 'all', rules: [rule] };
+      }
+
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({ name: 'too-deep-feature', rules: [rule] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
     test('should validate required fields', async () => {
       const response = await request(app)
         .post('/api/v1/feature-flags')
@@ -45,6 +109,23 @@ describe('Feature Flag API', () => {
     });
   });
 
+  describe('PUT /api/v1/feature-flags/:id', () => {
+    test('should reject rules that reference undeclared variants', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({ name: `update-test-${Date.now()}` })
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/feature-flags/${createResponse.body.data.id}`)
+        .set('If-Match', createResponse.headers.etag)
+        .send({ rules: [{ type: 'user', userIds: ['user1'], variant: 'treatment' }] })
+        .expect(400);
+
+      expect(response.body.message).toContain('undeclared variant');
+    });
+  });
+
   describe('GET /api/v1/feature-flags', () => {
     test('should list feature flags', async () => {
       const response = await request(app)
@@ -98,6 +179,58 @@ describe('Feature Flag API', () => {
       expect(response.body.matchedRule).toBeDefined();
     });
 
+    test('should exclude tenants with a deny rule', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: `exclusion-test-${Date.now()}`,
+          enabled: true,
+          rules: [{ type: 'tenant', tenantIds: ['company2'], effect: 'deny' }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${createResponse.body.data.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company2' })
+        .expect(200);
+
+      expect(response.body.enabled).toBe(false);
+      expect(response.body.matchedRule.effect).toBe('deny');
+    });
+
+    test('should keep the boolean response shape for flags without variants', async () => {
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${featureFlagId}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body).not.toHaveProperty('variant');
+    });
+
+    test('should return the served variant and payload', async () => {
+      const createResponse = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: `variant-test-${Date.now()}`,
+          enabled: true,
+          variants: [
+            { key: 'control', value: 'checkout-v1' },
+            { key: 'treatment', value: 'checkout-v2' }
+          ],
+          defaultVariant: 'control',
+          rules: [{ type: 'tenant', tenantIds: ['company1'], variant: 'treatment' }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${createResponse.body.data.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body.variant).toBe('treatment');
+      expect(response.body.payload).toBe('checkout-v2');
+    });
+
     test('should validate evaluation context', async () => {
       const response = await request(app)
         .post(`/api/v1/feature-flags/${featureFlagId}/evaluate`)
@@ -106,6 +239,1653 @@ describe('Feature Flag API', () => {
       
       expect(response.body.error).toBe('Validation Error');
     });
+
+    test('should return the reason and timing of the evaluation', async () => {
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${featureFlagId}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company2' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        enabled: false,
+        reason: { kind: 'DEFAULT' },
+        fallbackToDefault: true,
+        evaluationTime: expect.any(Number)
+      });
+      expect(response.body).not.toHaveProperty('trace');
+    });
+
+    test('should explain the evaluation on request', async () => {
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${featureFlagId}/evaluate?explain=true`)
+        .send({ userId: 'user1', tenantId: 'company2' })
+        .expect(200);
+
+      expect(response.body.trace).toEqual([expect.objectContaining({
+        step: 'rule',
+        ruleIndex: 0,
+        type: 'tenant',
+        matched: false,
+        detail: "Tenant 'company2' is not listed"
+      })]);
+    });
+
+    test('should report unknown flags as FLAG_NOT_FOUND', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags/00000000-0000-4000-8000-000000000000/evaluate')
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(404);
+
+      expect(response.body.reason).toEqual({ kind: 'FLAG_NOT_FOUND' });
+    });
+  });
+
+  describe('Name-based routes', () => {
+    beforeAll(async () => {
+      await request(app)
+        .post('/api/v1/feature-flags')
+        .send({ name: 'named-feature', rules: [{ type: 'user', userIds: ['user1'] }] })
+        .expect(201);
+    });
+
+    test('should get a feature flag by name', async () => {
+      const response = await request(app)
+        .get('/api/v1/feature-flags/by-name/named-feature')
+        .expect(200);
+
+      expect(response.body.data.name).toBe('named-feature');
+    });
+
+    test('should evaluate a feature flag by name', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags/by-name/named-feature/evaluate')
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body.enabled).toBe(true);
+    });
+
+    test('should return 404 for unknown names', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags/by-name/unknown-feature/evaluate')
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(404);
+
+      expect(response.body.message).toContain("name 'unknown-feature'");
+    });
+
+    test('should validate the name', async () => {
+      const response = await request(app)
+        .get('/api/v1/feature-flags/by-name/not%20valid')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('Segments', () => {
+    let segmentId;
+    let featureFlagId;
+
+    beforeAll(async () => {
+      const segmentResponse = await request(app)
+        .post('/api/v1/segments')
+        .send({ name: 'beta-testers', userIds: ['user1'] })
+        .expect(201);
+      segmentId = segmentResponse.body.data.id;
+
+      const flagResponse = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({ name: 'segment-feature', rules: [{ type: 'segment', segmentId }] })
+        .expect(201);
+      featureFlagId = flagResponse.body.data.id;
+    });
+
+    test('should evaluate flags against the current segment members', async () => {
+      const evaluate = () => request(app)
+        .post(`/api/v1/feature-flags/${featureFlagId}/evaluate`)
+        .send({ userId: 'user2', tenantId: 'company1' })
+        .expect(200);
+
+      expect((await evaluate()).body.enabled).toBe(false);
+
+      await request(app)
+        .put(`/api/v1/segments/${segmentId}`)
+        .send({ userIds: ['user1', 'user2'] })
+        .expect(200);
+
+      expect((await evaluate()).body.enabled).toBe(true);
+    });
+
+    test('should reject rules referencing unknown segments', async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'unknown-segment-feature',
+          rules: [{ type: 'segment', segmentId: '00000000-0000-4000-8000-000000000000' }]
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('not found');
+    });
+
+    test('should not delete a segment used by a flag', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/segments/${segmentId}`)
+        .expect(409);
+
+      expect(response.body.message).toContain('segment-feature');
+    });
+
+    test('should return 404 for unknown segments', async () => {
+      await request(app)
+        .get('/api/v1/segments/00000000-0000-4000-8000-000000000000')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/v1/evaluate', () => {
+    beforeAll(async () => {
+      await request(app)
+        .post('/api/v1/feature-flags')
+        .send({ name: 'bulk-on', enabled: true, tags: ['bulk'] })
+        .expect(201);
+
+      await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'bulk-tenant',
+          tags: ['bulk'],
+          rules: [{ type: 'tenant', tenantIds: ['company1'] }]
+        })
+        .expect(201);
+    });
+
+    test('should evaluate all flags matching a tag for one context', async () => {
+      const response = await request(app)
+        .post('/api/v1/evaluate')
+        .send({ userId: 'user1', tenantId: 'company1', tags: ['bulk'] })
+        .expect(200);
+
+      expect(Object.keys(response.body.data).sort()).toEqual(['bulk-on', 'bulk-tenant']);
+      expect(response.body.data['bulk-on']).toEqual({ enabled: true, variant: null, reason: { kind: 'DEFAULT' } });
+      expect(response.body.data['bulk-tenant']).toEqual({
+        enabled: true,
+        variant: null,
+        reason: { kind: 'RULE_MATCH', ruleIndex: 0, ruleId: expect.any(String) }
+      });
+    });
+
+    test('should select flags by name and report unknown ones', async () => {
+      const response = await request(app)
+        .post('/api/v1/evaluate')
+        .send({ userId: 'user1', tenantId: 'company2', flags: ['bulk-tenant', 'missing-flag'] })
+        .expect(200);
+
+      expect(response.body.data['bulk-tenant'].enabled).toBe(false);
+      expect(response.body.data['missing-flag']).toEqual({
+        enabled: false,
+        variant: null,
+        reason: { kind: 'FLAG_NOT_FOUND' }
+      });
+      expect(response.body.notFound).toEqual(['missing-flag']);
+    });
+
+    test('should explain each evaluation on request', async () => {
+      const response = await request(app)
+        .post('/api/v1/evaluate?explain=true')
+        .send({ userId: 'user1', tenantId: 'company1', flags: ['bulk-tenant'] })
+        .expect(200);
+
+      expect(response.body.data['bulk-tenant'].trace).toEqual([
+        expect.objectContaining({ matched: true, detail: "Tenant 'company1' is listed" })
+      ]);
+    });
+
+    test('should evaluate each context in multi-context mode', async () => {
+      const response = await request(app)
+        .post('/api/v1/evaluate')
+        .send({
+          contexts: [
+            { userId: 'user1', tenantId: 'company1' },
+            { userId: 'user2', tenantId: 'company2' }
+          ],
+          flags: ['bulk-tenant']
+        })
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0].flags['bulk-tenant'].enabled).toBe(true);
+      expect(response.body.data[1].flags['bulk-tenant'].enabled).toBe(false);
+    });
+
+    test('should validate the context', async () => {
+      const response = await request(app)
+        .post('/api/v1/evaluate')
+        .send({ tags: ['bulk'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('Projects', () => {
+    let flagId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/projects/project-a/feature-flags')
+        .send({ name: 'project-feature', enabled: true })
+        .expect(201);
+      flagId = response.body.data.id;
+    });
+
+    test('should create flags in the project of the route', async () => {
+      const response = await request(app)
+        .get(`/api/v1/projects/project-a/feature-flags/${flagId}`)
+        .expect(200);
+
+      expect(response.body.data.projectId).toBe('project-a');
+    });
+
+    test('should allow the same name in another project', async () => {
+      await request(app)
+        .post('/api/v1/projects/project-b/feature-flags')
+        .send({ name: 'project-feature' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/projects/project-a/feature-flags')
+        .send({ name: 'project-feature' })
+        .expect(400);
+
+      expect(response.body.message).toContain('already exists');
+    });
+
+    test('should list only the flags of the project', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects/project-a/feature-flags')
+        .expect(200);
+
+      expect(response.body.data.map(flag => flag.name)).toEqual(['project-feature']);
+    });
+
+    test('should reject access from another project', async () => {
+      await request(app)
+        .get(`/api/v1/projects/project-b/feature-flags/${flagId}`)
+        .expect(404);
+
+      await request(app)
+        .get(`/api/v1/feature-flags/${flagId}`)
+        .expect(404);
+
+      await request(app)
+        .put(`/api/v1/projects/project-b/feature-flags/${flagId}`)
+        .send({ enabled: false })
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/v1/projects/project-b/feature-flags/${flagId}`)
+        .expect(404);
+
+      await request(app)
+        .post(`/api/v1/projects/project-b/feature-flags/${flagId}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(404);
+    });
+
+    test('should not reference segments of another project', async () => {
+      const segmentResponse = await request(app)
+        .post('/api/v1/projects/project-b/segments')
+        .send({ name: 'project-b-testers', userIds: ['user1'] })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/projects/project-a/feature-flags')
+        .send({
+          name: 'cross-project-segment',
+          rules: [{ type: 'segment', segmentId: segmentResponse.body.data.id }]
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('not found');
+    });
+
+    test('should bulk evaluate only the flags of the project', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects/project-a/evaluate')
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        'project-feature': { enabled: true, variant: null, reason: { kind: 'DEFAULT' } }
+      });
+    });
+
+    test('should validate the project ID', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects/not%20valid/feature-flags')
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('Environments', () => {
+    let flagId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/api/v1/feature-flags')
+        .send({
+          name: 'environment-feature',
+          environments: {
+            staging: { enabled: true, rules: [{ type: 'user', userIds: ['user1'], effect: 'deny' }] },
+            production: { enabled: false }
+          }
+        })
+        .expect(201);
+      flagId = response.body.data.id;
+    });
+
+    const evaluate = (environment, userId = 'user2') => request(app)
+      .post(`/api/v1/feature-flags/${flagId}/evaluate`)
+      .send({ userId, tenantId: 'company1', environment })
+      .expect(200);
+
+    test('should evaluate the requested environment', async () => {
+      expect((await evaluate('staging')).body.enabled).toBe(true);
+      expect((await evaluate('staging', 'user1')).body.enabled).toBe(false);
+      expect((await evaluate('production')).body.enabled).toBe(false);
+      expect((await evaluate('staging')).body.environment).toBe('staging');
+    });
+
+    test('should reject unknown environments', async () => {
+      await request(app)
+        .post(`/api/v1/feature-flags/${flagId}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1', environment: 'qa' })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/v1/feature-flags/${flagId}`)
+        .send({ environments: { qa: { enabled: true } } })
+        .expect(400);
+
+      expect(response.body.details[0].message).toContain('not allowed');
+    });
+
+    test('should update only the given environments', async () => {
+      const current = await request(app)
+        .get(`/api/v1/feature-flags/${flagId}`)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/v1/feature-flags/${flagId}`)
+        .set('If-Match', current.headers.etag)
+        .send({ environments: { development: { enabled: true } } })
+        .expect(200);
+
+      expect(Object.keys(response.body.data.environments).sort())
+        .toEqual(['development', 'production', 'staging']);
+
+      const removed = await request(app)
+        .put(`/api/v1/feature-flags/${flagId}`)
+        .set('If-Match', response.headers.etag)
+        .send({ environments: { development: null } })
+        .expect(200);
+
+      expect(removed.body.data.environments.development).toBeUndefined();
+    });
+
+    test('should preview a promotion without applying it', async () => {
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${flagId}/promote`)
+        .send({ from: 'staging', to: 'production', dryRun: true })
+        .expect(200);
+
+      expect(response.body.data.applied).toBe(false);
+      expect(response.body.data.diff.enabled).toEqual({ before: false, after: true });
+      expect(response.body.data.diff.rules.added).toHaveLength(1);
+      expect((await evaluate('production')).body.enabled).toBe(false);
+    });
+
+    test('should promote one environment to another', async () => {
+      const response = await request(app)
+        .post(`/api/v1/feature-flags/${flagId}/promote`)
+        .send({ from: 'staging', to: 'production' })
+        .expect(200);
+
+      expect(response.body.data.applied).toBe(true);
+      expect((await evaluate('production')).body.enabled).toBe(true);
+      expect((await evaluate('production', 'user1')).body.enabled).toBe(false);
+    });
+
+    test('should reject promoting an environment to itself', async () => {
+      await request(app)
+        .post(`/api/v1/feature-flags/${flagId}/promote`)
+        .send({ from: 'staging', to: 'staging' })
+        .expect(400);
+    });
+  });
+
+  describe('Authentication', () => {
+    const bootstrapKey = 'bootstrap-admin-key';
+    let adminKey;
+    let evaluationKey;
+    let flagId;
+
+    beforeAll(async () => {
+      config.auth.enabled = true;
+      config.auth.bootstrapAdminKey = bootstrapKey;
+
+      const admin = await request(app)
+        .post('/api/v1/projects/auth-project/api-keys')
+        .set('Authorization', `Bearer ${bootstrapKey}`)
+        .send({ name: 'admin', scope: 'admin' })
+        .expect(201);
+      adminKey = admin.body.data.key;
+
+      const evaluation = await request(app)
+        .post('/api/v1/projects/auth-project/api-keys')
+        .set('Authorization', `Bearer ${adminKey}`)
+        .send({ name: 'sdk', scope: 'evaluation', environment: 'staging' })
+        .expect(201);
+      evaluationKey = evaluation.body.data.key;
+
+      const flag = await request(app)
+        .post('/api/v1/projects/auth-project/feature-flags')
+        .set('Authorization', `Bearer ${adminKey}`)
+        .send({ name: 'auth-feature', environments: { staging: { enabled: true } } })
+        .expect(201);
+      flagId = flag.body.data.id;
+    });
+
+    afterAll(() => {
+      config.auth.enabled = false;
+      config.auth.bootstrapAdminKey = null;
+    });
+
+    test('should require an API key', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects/auth-project/feature-flags')
+        .expect(401);
+
+      expect(response.body.error).toBe('Unauthorized');
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    test('should reject unknown keys', async () => {
+      await request(app)
+        .get('/api/v1/projects/auth-project/feature-flags')
+        .set('Authorization', 'Bearer ftk_unknown')
+        .expect(401);
+    });
+
+    test('should not expose key hashes', async () => {
+      const response = await request(app)
+        .get('/api/v1/projects/auth-project/api-keys')
+        .set('Authorization', `Bearer ${adminKey}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0].keyHash).toBeUndefined();
+      expect(response.body.data[0].key).toBeUndefined();
+    });
+
+    test('should let evaluation keys evaluate in their environment', async () => {
+      const response = await request(app)
+        .post(`/api/v1/projects/auth-project/feature-flags/${flagId}/evaluate`)
+        .set('Authorization', `Bearer ${evaluationKey}`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body.environment).toBe('staging');
+      expect(response.body.enabled).toBe(true);
+
+      await request(app)
+        .post(`/api/v1/projects/auth-project/feature-flags/${flagId}/evaluate`)
+        .set('Authorization', `Bearer ${evaluationKey}`)
+        .send({ userId: 'user1', tenantId: 'company1', environment: 'production' })
+        .expect(403);
+    });
+
+    test('should not let evaluation keys manage flags', async () => {
+      const response = await request(app)
+        .put(`/api/v1/projects/auth-project/feature-flags/${flagId}`)
+        .set('Authorization', `Bearer ${evaluationKey}`)
+        .send({ enabled: true })
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+      expect(response.body.message).toContain("'admin' scope");
+    });
+
+    test('should not accept keys on another project', async () => {
+      await request(app)
+        .post('/api/v1/projects/other-project/evaluate')
+        .set('Authorization', `Bearer ${evaluationKey}`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(403);
+    });
+
+    test('should stop accepting rotated and revoked keys', async () => {
+      const created = await request(app)
+        .post('/api/v1/projects/auth-project/api-keys')
+        .set('Authorization', `Bearer ${adminKey}`)
+        .send({ name: 'rotating', scope: 'evaluation' })
+        .expect(201);
+      const { id, key } = created.body.data;
+
+      const rotated = await request(app)
+        .post(`/api/v1/projects/auth-project/api-keys/${id}/rotate`)
+        .set('Authorization', `Bearer ${adminKey}`)
+        .expect(200);
+
+      const evaluateWith = (apiKey) => request(app)
+        .post('/api/v1/projects/auth-project/evaluate')
+        .set('Authorization', `Bearer ${apiKey}`)
+        .send({ userId: 'user1', tenantId: 'company1' });
+
+      expect((await evaluateWith(key)).status).toBe(401);
+      expect((await evaluateWith(rotated.body.data.key)).status).toBe(200);
+
+      await request(app)
+        .delete(`/api/v1/projects/auth-project/api-keys/${id}`)
+        .set('Authorization', `Bearer ${adminKey}`)
+        .expect(200);
+
+      expect((await evaluateWith(rotated.body.data.key)).status).toBe(401);
+    });
+
+    test('should serve metrics only to keys with the metrics scope', async () => {
+      const unauthenticated = await request(app)
+        .get('/metrics')
+        .expect(401);
+      expect(unauthenticated.body.error).toBe('Unauthorized');
+
+      await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', `Bearer ${bootstrapKey}`)
+        .send({ name: 'scraper', scope: 'metrics', environment: 'production' })
+        .expect(400);
+
+      const created = await request(app)
+        .post('/api/v1/api-keys')
+        .set('Authorization', `Bearer ${bootstrapKey}`)
+        .send({ name: 'scraper', scope: 'metrics' })
+        .expect(201);
+      const metricsKey = created.body.data.key;
+
+      await request(app)
+        .get('/metrics')
+        .set('Authorization', `Bearer ${metricsKey}`)
+        .expect(200);
+      await request(app)
+        .get('/api/v1/feature-flags')
+        .set('Authorization', `Bearer ${metricsKey}`)
+        .expect(403);
+
+      // Keys of other projects cannot read metrics of every project
+      await request(app)
+        .get('/metrics')
+        .set('Authorization', `Bearer ${adminKey}`)
+        .expect(403);
+      await request(app)
+        .get('/metrics')
+        .set('Authorization', `Bearer ${evaluationKey}`)
+        .expect(403);
+    });
+
+    test('should refuse to start in production without a way to authenticate', async () => {
+      const application = new Application();
+      const hasActiveKeys = jest.spyOn(repositories.apiKeyRepository, 'hasActiveKeys').mockResolvedValue(false);
+      config.auth.bootstrapAdminKey = null;
+      config.server.environment = 'production';
+
+      try {
+        await expect(application.checkAuthentication()).rejects.toThrow('no BOOTSTRAP_ADMIN_KEY and no stored API key');
+
+        hasActiveKeys.mockResolvedValue(true);
+        await expect(application.checkAuthentication()).resolves.toBeUndefined();
+      } finally {
+        hasActiveKeys.mockRestore();
+        config.auth.bootstrapAdminKey = bootstrapKey;
+        config.server.environment = 'test';
+      }
+    });
+  });
+
+  describe('Role-based access control', () => {
+    const bootstrapKey = 'bootstrap-admin-key';
+    const keys = {};
+    let flagId;
+
+    // Role checks don't depend on the flag's version, so any version matches
+    const as = (role, method, path) => request(app)[method](`/api/v1/projects/rbac-project${path}`)
+      .set('Authorization', `Bearer ${keys[role]}`)
+      .set('If-Match', '*');
+
+    beforeAll(async () => {
+      config.auth.enabled = true;
+      config.auth.bootstrapAdminKey = bootstrapKey;
+
+      const bootstrap = (method, path) => request(app)[method](`/api/v1/projects/rbac-project${path}`)
+        .set('Authorization', `Bearer ${bootstrapKey}`);
+
+      const flag = await bootstrap('post', '/feature-flags')
+        .send({ name: 'rbac-feature', environments: { production: { enabled: false } } })
+        .expect(201);
+      flagId = flag.body.data.id;
+
+      for (const role of ['viewer', 'editor', 'owner']) {
+        const user = await bootstrap('post', '/users')
+          .send({ name: role, role })
+          .expect(201);
+        const key = await bootstrap('post', '/api-keys')
+          .send({ name: `${role}-key`, scope: 'admin', userId: user.body.data.id })
+          .expect(201);
+        keys[role] = key.body.data.key;
+      }
+    });
+
+    afterAll(() => {
+      config.auth.enabled = false;
+      config.auth.bootstrapAdminKey = null;
+    });
+
+    test('should let viewers read but not change flags', async () => {
+      await as('viewer', 'get', `/feature-flags/${flagId}`).expect(200);
+
+      const response = await as('viewer', 'put', `/feature-flags/${flagId}`)
+        .send({ description: 'changed' })
+        .expect(403);
+
+      expect(response.body.message).toContain("Role 'viewer'");
+    });
+
+    test('should let editors change rules but not production state', async () => {
+      const response = await as('editor', 'put', `/feature-flags/${flagId}`)
+        .send({ rules: [{ type: 'user', userIds: ['user1'] }] })
+        .expect(200);
+
+      expect(response.body.data.updatedBy).toEqual({ type: 'user', id: expect.any(String), name: 'editor' });
+
+      await as('editor', 'put', `/feature-flags/${flagId}`)
+        .send({ environments: { production: { enabled: true } } })
+        .expect(403);
+
+      await as('editor', 'delete', `/feature-flags/${flagId}`).expect(403);
+    });
+
+    test('should let owners flip production and manage users', async () => {
+      await as('owner', 'put', `/feature-flags/${flagId}`)
+        .send({ environments: { production: { enabled: true } } })
+        .expect(200);
+
+      await as('owner', 'get', '/users').expect(200);
+      await as('editor', 'get', '/users').expect(403);
+    });
+
+    test('should check the history of a flag against flag-specific roles', async () => {
+      const can = jest.spyOn(AccessControlService.prototype, 'can');
+
+      try {
+        await as('viewer', 'get', '/feature-flags/not-a-uuid/history').expect(400);
+        expect(can).not.toHaveBeenCalled();
+
+        await as('viewer', 'get', `/feature-flags/${flagId}/history`).expect(200);
+        expect(can).toHaveBeenCalledWith(
+          expect.objectContaining({ name: 'viewer' }),
+          'read',
+          expect.objectContaining({ id: flagId })
+        );
+      } finally {
+        can.mockRestore();
+      }
+    });
+
+    test('should apply flag-specific roles', async () => {
+      const users = await as('owner', 'get', '/users').expect(200);
+      const editor = users.body.data.find(user => user.name === 'editor');
+
+      await as('owner', 'put', `/users/${editor.id}`)
+        .send({ flagRoles: { [flagId]: 'owner' } })
+        .expect(200);
+
+      await as('editor', 'post', `/feature-flags/${flagId}/promote`)
+        .send({ from: 'staging', to: 'production' })
+        .expect(200);
+    });
+
+    test('should reject roles on unknown flags', async () => {
+      const response = await as('owner', 'post', '/users')
+        .send({ name: 'someone', role: 'viewer', flagRoles: { '00000000-0000-4000-8000-000000000000': 'owner' } })
+        .expect(400);
+
+      expect(response.body.message).toContain('not found');
+    });
+
+    test('should record the shared key as principal', async () => {
+      const response = await request(app)
+        .post('/api/v1/projects/rbac-project/feature-flags')
+        .set('Authorization', `Bearer ${bootstrapKey}`)
+        .send({ name: 'bootstrap-feature' })
+        .expect(201);
+
+      expect(response.body.data.createdBy).toEqual({ type: 'apiKey', id: 'bootstrap', name: 'bootstrap' });
+    });
+  });
+
+  describe('Audit log', () => {
+    const base = '/api/v1/projects/audit-project';
+    let flagId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post(`${base}/feature-flags`)
+        .send({ name: 'audited-feature' })
+        .expect(201);
+      flagId = response.body.data.id;
+    });
+
+    test('should record each change with its request ID', async () => {
+      const update = await request(app)
+        .put(`${base}/feature-flags/${flagId}`)
+        .set('If-Match', '"1"')
+        .send({ enabled: true })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`${base}/feature-flags/${flagId}/history`)
+        .expect(200);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['update', 'create']);
+      expect(response.body.data[0]).toMatchObject({
+        featureFlagName: 'audited-feature',
+        requestId: update.headers['x-request-id'],
+        actor: { type: 'anonymous' },
+        changes: { enabled: { before: false, after: true } }
+      });
+    });
+
+    test('should keep the history of deleted flags', async () => {
+      const created = await request(app)
+        .post(`${base}/feature-flags`)
+        .send({ name: 'deleted-feature' })
+        .expect(201);
+      const id = created.body.data.id;
+
+      await request(app)
+        .delete(`${base}/feature-flags/${id}`)
+        .set('If-Match', created.headers.etag)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`${base}/feature-flags/${id}/history`)
+        .expect(200);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['delete', 'create']);
+    });
+
+    test('should return 404 for unknown flags', async () => {
+      await request(app)
+        .get(`${base}/feature-flags/00000000-0000-4000-8000-000000000000/history`)
+        .expect(404);
+    });
+
+    test('should query the project audit log with filters', async () => {
+      const response = await request(app)
+        .get(`${base}/audit-log`)
+        .query({ action: 'create', since: new Date(Date.now() - 60000).toISOString() })
+        .expect(200);
+
+      expect(response.body.data.length).toBeGreaterThanOrEqual(2);
+      expect(response.body.data.every(entry => entry.action === 'create')).toBe(true);
+      expect(response.body.data.every(entry => entry.projectId === 'audit-project')).toBe(true);
+
+      const other = await request(app)
+        .get('/api/v1/projects/other-project/audit-log')
+        .query({ featureFlagId: flagId })
+        .expect(200);
+
+      expect(other.body.data).toEqual([]);
+    });
+
+    test('should reject invalid filters', async () => {
+      await request(app)
+        .get(`${base}/audit-log`)
+        .query({ action: 'toggle' })
+        .expect(400);
+    });
+  });
+
+  describe('Versions and rollback', () => {
+    const base = '/api/v1/projects/version-project/feature-flags';
+    let flag;
+
+    beforeAll(async () => {
+      const created = await request(app)
+        .post(base)
+        .send({
+          name: 'versioned-feature',
+          rules: [
+            { type: 'user', userIds: ['user1'] },
+            { type: 'composite', operator: 'any', rules: [{ type: 'tenant', tenantIds: ['company1'] }] }
+          ]
+        })
+        .expect(201);
+      flag = created.body.data;
+
+      await request(app)
+        .put(`${base}/${flag.id}`)
+        .set('If-Match', created.headers.etag)
+        .send({ enabled: true, environments: { staging: { enabled: false } } })
+        .expect(200);
+    });
+
+    test('should list and get versions', async () => {
+      const list = await request(app).get(`${base}/${flag.id}/versions`).expect(200);
+      expect(list.body.data.map(version => version.version)).toEqual([2, 1]);
+
+      const response = await request(app).get(`${base}/${flag.id}/versions/1`).expect(200);
+      expect(response.body.data.snapshot).toMatchObject({ enabled: false, version: 1 });
+
+      await request(app).get(`${base}/${flag.id}/versions/9`).expect(404);
+    });
+
+    test('should roll back to a previous version as a new version', async () => {
+      const response = await request(app)
+        .post(`${base}/${flag.id}/rollback`)
+        .send({ version: 1 })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ version: 3, enabled: false, environments: {} });
+      expect(response.body.data.rules.map(rule => rule.id)).toEqual(flag.rules.map(rule => rule.id));
+
+      const history = await request(app).get(`${base}/${flag.id}/history`).expect(200);
+      expect(history.body.data[0]).toMatchObject({ action: 'update', version: 3 });
+    });
+
+    test('should validate the rollback request', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rollback`)
+        .send({ version: 0 })
+        .expect(400);
+
+      await request(app)
+        .post(`${base}/${flag.id}/rollback`)
+        .send({ version: 42 })
+        .expect(404);
+    });
+  });
+
+  describe('Optimistic concurrency', () => {
+    const base = '/api/v1/projects/concurrency-project/feature-flags';
+    let flagId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(base)
+        .send({ name: `concurrent-feature-${Date.now()}` })
+        .expect(201);
+      flagId = response.body.data.id;
+    });
+
+    test('should return the version as ETag', async () => {
+      const response = await request(app).get(`${base}/${flagId}`).expect(200);
+
+      expect(response.headers.etag).toBe('"1"');
+      expect(response.body.data.version).toBe(1);
+    });
+
+    test('should require a precondition on updates and deletions', async () => {
+      await request(app).put(`${base}/${flagId}`).send({ enabled: true }).expect(428);
+      await request(app).delete(`${base}/${flagId}`).expect(428);
+    });
+
+    test('should reject stale updates', async () => {
+      const first = await request(app)
+        .put(`${base}/${flagId}`)
+        .set('If-Match', '"1"')
+        .send({ enabled: true })
+        .expect(200);
+
+      expect(first.headers.etag).toBe('"2"');
+
+      const stale = await request(app)
+        .put(`${base}/${flagId}`)
+        .set('If-Match', '"1"')
+        .send({ description: 'overwrites the first change' })
+        .expect(412);
+
+      expect(stale.headers.etag).toBe('"2"');
+      expect(stale.body.error).toBe('Precondition Failed');
+
+      await request(app)
+        .delete(`${base}/${flagId}`)
+        .query({ version: 1 })
+        .expect(412);
+    });
+
+    test('should reject one of two concurrent updates of the same version', async () => {
+      const responses = await Promise.all([
+        request(app).put(`${base}/${flagId}`).set('If-Match', '"1"').send({ enabled: true }),
+        request(app).put(`${base}/${flagId}`).set('If-Match', '"1"').send({ description: 'concurrent change' })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 412]);
+
+      const versions = await request(app).get(`${base}/${flagId}/versions`).expect(200);
+      expect(versions.body.data.map(version => version.version)).toEqual([2, 1]);
+    });
+
+    test('should accept the version in the request', async () => {
+      await request(app)
+        .put(`${base}/${flagId}`)
+        .send({ enabled: true, version: 1 })
+        .expect(200);
+
+      await request(app)
+        .delete(`${base}/${flagId}`)
+        .query({ version: 2 })
+        .expect(200);
+    });
+
+    test('should ignore weak ETags', async () => {
+      await request(app)
+        .put(`${base}/${flagId}`)
+        .set('If-Match', 'W/"1"')
+        .send({ enabled: true })
+        .expect(412);
+    });
+  });
+
+  describe('Rule endpoints', () => {
+    const base = '/api/v1/projects/rules-project/feature-flags';
+    let flag;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(base)
+        .send({
+          name: `ruled-feature-${Date.now()}`,
+          rules: [
+            { type: 'tenant', tenantIds: ['company1'] },
+            { type: 'user', userIds: ['user1'] }
+          ]
+        })
+        .expect(201);
+      flag = response.body.data;
+    });
+
+    test('should add a rule at the end', async () => {
+      const response = await request(app)
+        .post(`${base}/${flag.id}/rules`)
+        .send({ type: 'percentage', percentage: 50 })
+        .expect(201);
+
+      expect(response.body.data.rules.map(rule => rule.type)).toEqual(['tenant', 'user', 'percentage']);
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    test('should replace a rule in place', async () => {
+      const [tenantRule] = flag.rules;
+
+      const response = await request(app)
+        .put(`${base}/${flag.id}/rules/${tenantRule.id}`)
+        .send({ type: 'tenant', tenantIds: ['company2'] })
+        .expect(200);
+
+      expect(response.body.data.rules[0]).toMatchObject({ id: tenantRule.id, tenantIds: ['company2'] });
+    });
+
+    test('should delete a rule', async () => {
+      const response = await request(app)
+        .delete(`${base}/${flag.id}/rules/${flag.rules[0].id}`)
+        .expect(200);
+
+      expect(response.body.data.rules.map(rule => rule.id)).toEqual([flag.rules[1].id]);
+
+      await request(app)
+        .delete(`${base}/${flag.id}/rules/${flag.rules[0].id}`)
+        .expect(404);
+    });
+
+    test('should reorder rules', async () => {
+      const ruleIds = flag.rules.map(rule => rule.id).reverse();
+
+      const response = await request(app)
+        .post(`${base}/${flag.id}/rules/reorder`)
+        .send({ ruleIds })
+        .expect(200);
+
+      expect(response.body.data.rules.map(rule => rule.id)).toEqual(ruleIds);
+
+      await request(app)
+        .post(`${base}/${flag.id}/rules/reorder`)
+        .send({ ruleIds: [ruleIds[0]] })
+        .expect(400);
+    });
+
+    test('should validate rules', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rules`)
+        .send({ type: 'percentage', percentage: 150 })
+        .expect(400);
+    });
+
+    test('should respect the maximum number of rules', async () => {
+      const { maxRulesPerFlag } = config.featureFlags;
+      config.featureFlags.maxRulesPerFlag = 2;
+
+      try {
+        const response = await request(app)
+          .post(`${base}/${flag.id}/rules`)
+          .send({ type: 'percentage', percentage: 50 })
+          .expect(400);
+
+        expect(response.body.message).toContain('maximum of 2 rules');
+      } finally {
+        config.featureFlags.maxRulesPerFlag = maxRulesPerFlag;
+      }
+    });
+
+    test('should honor If-Match', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rules`)
+        .set('If-Match', '"7"')
+        .send({ type: 'percentage', percentage: 50 })
+        .expect(412);
+    });
+  });
+
+  describe('PATCH /api/v1/feature-flags/:id', () => {
+    const base = '/api/v1/projects/patch-project/feature-flags';
+    let flag;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(base)
+        .send({
+          name: `patched-feature-${Date.now()}`,
+          description: 'Before',
+          rules: [{ type: 'user', userIds: ['user1', 'user2'] }],
+          environments: { staging: { enabled: true } }
+        })
+        .expect(201);
+      flag = response.body.data;
+    });
+
+    test('should apply a JSON Patch', async () => {
+      const response = await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .set('If-Match', '"1"')
+        .send(JSON.stringify([
+          { op: 'test', path: '/rules/0/userIds/0', value: 'user1' },
+          { op: 'replace', path: '/rules/0/userIds/0', value: 'user3' },
+          { op: 'add', path: '/tags/-', value: 'patched' }
+        ]))
+        .expect(200);
+
+      expect(response.body.data.rules[0]).toMatchObject({ id: flag.rules[0].id, userIds: ['user3', 'user2'] });
+      expect(response.body.data.tags).toEqual(['patched']);
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    test('should apply a JSON Merge Patch', async () => {
+      const response = await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .set('If-Match', '"1"')
+        .send(JSON.stringify({ description: 'After', environments: { staging: null } }))
+        .expect(200);
+
+      expect(response.body.data.description).toBe('After');
+      expect(response.body.data.environments).toEqual({});
+      expect(response.body.data.rules).toEqual(flag.rules);
+    });
+
+    test('should reject patches producing invalid rules', async () => {
+      const response = await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('If-Match', '"1"')
+        .send([{ op: 'add', path: '/rules/-', value: { type: 'percentage', percentage: 150 } }])
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details[0].field).toMatch(/^rules\.1/);
+    });
+
+    test('should reject patches removing required fields', async () => {
+      await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('If-Match', '"1"')
+        .send([{ op: 'remove', path: '/name' }])
+        .expect(400);
+    });
+
+    test('should reject malformed operations', async () => {
+      await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('If-Match', '"1"')
+        .send([{ op: 'replace', path: '/name' }])
+        .expect(400);
+    });
+
+    test('should return 409 when an operation fails', async () => {
+      const response = await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('If-Match', '"1"')
+        .send([
+          { op: 'replace', path: '/description', value: 'After' },
+          { op: 'test', path: '/enabled', value: true }
+        ])
+        .expect(409);
+
+      expect(response.body.message).toContain('Operation 1 (test /enabled) failed');
+
+      const current = await request(app).get(`${base}/${flag.id}`).expect(200);
+      expect(current.body.data.description).toBe('Before');
+    });
+
+    test('should reject a body that does not match its content type', async () => {
+      await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .set('If-Match', '"1"')
+        .send(JSON.stringify({ description: 'After' }))
+        .expect(400);
+    });
+
+    test('should require If-Match', async () => {
+      await request(app)
+        .patch(`${base}/${flag.id}`)
+        .send({ description: 'After' })
+        .expect(428);
+
+      await request(app)
+        .patch(`${base}/${flag.id}`)
+        .set('If-Match', '"2"')
+        .send({ description: 'After' })
+        .expect(412);
+    });
+
+    test('should return 404 for unknown flags', async () => {
+      await request(app)
+        .patch(`${base}/00000000-0000-4000-8000-000000000000`)
+        .set('If-Match', '*')
+        .send({ description: 'After' })
+        .expect(404);
+    });
+  });
+
+  describe('Scheduled changes', () => {
+    const base = '/api/v1/projects/schedule-project/feature-flags';
+    const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+    let flag;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(base)
+        .send({ name: `scheduled-feature-${Date.now()}` })
+        .expect(201);
+      flag = response.body.data;
+    });
+
+    test('should schedule a change and apply it when due', async () => {
+      const runAt = inOneHour();
+
+      const created = await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: runAt.toISOString(), changes: { enabled: true }, description: 'Launch' })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({
+        featureFlagId: flag.id,
+        status: 'pending',
+        changes: { enabled: true },
+        description: 'Launch'
+      });
+
+      const scheduler = new ChangeScheduler({ clock: { now: () => runAt } });
+      await scheduler.runDueChanges();
+
+      const current = await request(app).get(`${base}/${flag.id}`).expect(200);
+      expect(current.body.data.enabled).toBe(true);
+
+      const listed = await request(app)
+        .get(`${base}/${flag.id}/scheduled-changes`)
+        .expect(200);
+
+      expect(listed.body.data).toHaveLength(1);
+      expect(listed.body.data[0]).toMatchObject({ status: 'applied', appliedVersion: 2 });
+    });
+
+    test('should filter scheduled changes by status', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: inOneHour().toISOString(), changes: { enabled: true } })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`${base}/${flag.id}/scheduled-changes?status=applied`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+      expect(response.body.pagination.total).toBe(0);
+    });
+
+    test('should cancel a pending change', async () => {
+      const created = await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: inOneHour().toISOString(), changes: { enabled: true } })
+        .expect(201);
+      const changeId = created.body.data.id;
+
+      const response = await request(app)
+        .delete(`${base}/${flag.id}/scheduled-changes/${changeId}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('cancelled');
+
+      await request(app)
+        .delete(`${base}/${flag.id}/scheduled-changes/${changeId}`)
+        .expect(409);
+    });
+
+    test('should reject changes in the past', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: new Date(Date.now() - 1000).toISOString(), changes: { enabled: true } })
+        .expect(400);
+    });
+
+    test('should validate the changes', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: inOneHour().toISOString(), changes: { rules: [{ type: 'percentage', percentage: 150 }] } })
+        .expect(400);
+
+      await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({ runAt: inOneHour().toISOString(), changes: { enabled: true, version: 1 } })
+        .expect(400);
+
+      await request(app)
+        .post(`${base}/${flag.id}/scheduled-changes`)
+        .send({
+          runAt: inOneHour().toISOString(),
+          changes: { rules: [{ type: 'segment', segmentId: '00000000-0000-4000-8000-000000000000' }] }
+        })
+        .expect(400);
+    });
+
+    test('should return 404 for unknown flags and changes', async () => {
+      await request(app)
+        .get(`${base}/00000000-0000-4000-8000-000000000000/scheduled-changes`)
+        .expect(404);
+
+      await request(app)
+        .delete(`${base}/${flag.id}/scheduled-changes/00000000-0000-4000-8000-000000000000`)
+        .expect(404);
+    });
+  });
+
+  describe('Rollout plans', () => {
+    const base = '/api/v1/projects/rollout-project/feature-flags';
+    let flag;
+    let ruleId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(base)
+        .send({
+          name: `ramped-feature-${Date.now()}`,
+          rules: [{ type: 'tenant', tenantIds: ['company1'] }, { type: 'percentage', percentage: 0 }]
+        })
+        .expect(201);
+      flag = response.body.data;
+      ruleId = flag.rules[1].id;
+    });
+
+    const createPlan = () => request(app)
+      .post(`${base}/${flag.id}/rollout-plans`)
+      .send({ ruleId, steps: [5, 25, 50, 100], intervalMinutes: 1440 });
+
+    test('should start a plan at its first step', async () => {
+      const response = await createPlan().expect(201);
+
+      expect(response.body.data).toMatchObject({ ruleId, status: 'active', currentPercentage: 5 });
+      expect(response.headers.etag).toBe('"2"');
+
+      const current = await request(app).get(`${base}/${flag.id}`).expect(200);
+      expect(current.body.data.rules[1]).toMatchObject({ id: ruleId, percentage: 5 });
+    });
+
+    test('should take the next step when due', async () => {
+      const created = await createPlan().expect(201);
+
+      const scheduler = new ChangeScheduler({
+        clock: { now: () => new Date(new Date(created.body.data.nextStepAt).getTime() + 1000) }
+      });
+      await scheduler.runDueRolloutSteps();
+
+      const plan = await request(app)
+        .get(`${base}/${flag.id}/rollout-plans/${created.body.data.id}`)
+        .expect(200);
+      expect(plan.body.data).toMatchObject({ currentStep: 1, currentPercentage: 25 });
+
+      const history = await request(app).get(`${base}/${flag.id}/history`).expect(200);
+      expect(history.body.data[0]).toMatchObject({ action: 'update', version: 3 });
+    });
+
+    test('should pause, resume and abort a plan', async () => {
+      const created = await createPlan().expect(201);
+      const planUrl = `${base}/${flag.id}/rollout-plans/${created.body.data.id}`;
+
+      const paused = await request(app).post(`${planUrl}/pause`).expect(200);
+      expect(paused.body.data).toMatchObject({ status: 'paused', nextStepAt: null });
+
+      await request(app).post(`${planUrl}/pause`).expect(409);
+
+      const resumed = await request(app).post(`${planUrl}/resume`).expect(200);
+      expect(resumed.body.data.status).toBe('active');
+
+      const aborted = await request(app).post(`${planUrl}/abort`).expect(200);
+      expect(aborted.body.data.status).toBe('aborted');
+
+      const current = await request(app).get(`${base}/${flag.id}`).expect(200);
+      expect(current.body.data.rules[1].percentage).toBe(0);
+
+      await request(app).post(`${planUrl}/resume`).expect(409);
+    });
+
+    test('should allow one running plan per flag', async () => {
+      await createPlan().expect(201);
+      await createPlan().expect(409);
+
+      const listed = await request(app).get(`${base}/${flag.id}/rollout-plans`).expect(200);
+      expect(listed.body.data).toHaveLength(1);
+    });
+
+    test('should only ramp percentage rules', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rollout-plans`)
+        .send({ ruleId: flag.rules[0].id, steps: [50, 100], intervalMinutes: 60 })
+        .expect(400);
+    });
+
+    test('should validate the steps', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rollout-plans`)
+        .send({ ruleId, steps: [50, 25], intervalMinutes: 60 })
+        .expect(400);
+
+      await request(app)
+        .post(`${base}/${flag.id}/rollout-plans`)
+        .send({ ruleId, steps: [50, 150], intervalMinutes: 60 })
+        .expect(400);
+    });
+
+    test('should return 404 for unknown plans', async () => {
+      await request(app)
+        .post(`${base}/${flag.id}/rollout-plans/00000000-0000-4000-8000-000000000000/pause`)
+        .expect(404);
+    });
+  });
+
+  describe('Schedule rules', () => {
+    const base = '/api/v1/projects/schedule-rule-project/feature-flags';
+
+    test('should enable a flag within its schedule', async () => {
+      const created = await request(app)
+        .post(base)
+        .send({
+          name: 'promo',
+          rules: [{
+            type: 'schedule',
+            start: new Date(Date.now() - 60000).toISOString(),
+            end: new Date(Date.now() + 60000).toISOString()
+          }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`${base}/${created.body.data.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(response.body.enabled).toBe(true);
+    });
+
+    test('should reject invalid schedules', async () => {
+      await request(app)
+        .post(base)
+        .send({ name: 'bad-cron', rules: [{ type: 'schedule', windows: [{ cron: '61 * * * *', durationMinutes: 5 }] }] })
+        .expect(400);
+
+      await request(app)
+        .post(base)
+        .send({
+          name: 'bad-window',
+          rules: [{ type: 'schedule', start: '2026-11-02T00:00:00Z', end: '2026-11-01T00:00:00Z' }]
+        })
+        .expect(400);
+    });
+  });
+
+  describe('Prerequisites', () => {
+    const project = '/api/v1/projects/prerequisite-project';
+    const base = `${project}/feature-flags`;
+    let checkout;
+    let upsell;
+
+    beforeAll(async () => {
+      checkout = (await request(app)
+        .post(base)
+        .send({ name: 'new-checkout', rules: [{ type: 'tenant', tenantIds: ['company1'] }] })
+        .expect(201)).body.data;
+
+      upsell = (await request(app)
+        .post(base)
+        .send({ name: 'checkout-upsell', enabled: true, prerequisites: [{ flagId: checkout.id }] })
+        .expect(201)).body.data;
+    });
+
+    test('should store prerequisites with their required value', () => {
+      expect(upsell.prerequisites).toEqual([{ flagId: checkout.id, enabled: true, variant: null }]);
+    });
+
+    test('should explain why a flag is off', async () => {
+      const off = await request(app)
+        .post(`${base}/${upsell.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company2' })
+        .expect(200);
+
+      expect(off.body).toMatchObject({
+        enabled: false,
+        reason: { kind: 'PREREQUISITE_FAILED', prerequisite: { flagId: checkout.id, name: 'new-checkout' } }
+      });
+
+      const on = await request(app)
+        .post(`${base}/${upsell.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      expect(on.body).toMatchObject({ enabled: true, reason: { kind: 'DEFAULT' } });
+    });
+
+    test('should evaluate prerequisites in bulk evaluation', async () => {
+      const response = await request(app)
+        .post(`${project}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company2', flags: ['checkout-upsell'] })
+        .expect(200);
+
+      expect(response.body.data['checkout-upsell']).toEqual({
+        enabled: false,
+        variant: null,
+        reason: { kind: 'PREREQUISITE_FAILED', prerequisite: { flagId: checkout.id, name: 'new-checkout' } }
+      });
+    });
+
+    test('should reject unknown prerequisites', async () => {
+      const response = await request(app)
+        .post(base)
+        .send({ name: 'orphan', prerequisites: [{ flagId: '00000000-0000-4000-8000-000000000000' }] })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/not found/);
+    });
+
+    test('should reject prerequisites forming a cycle', async () => {
+      const response = await request(app)
+        .put(`${base}/${checkout.id}`)
+        .send({ prerequisites: [{ flagId: upsell.id }], version: checkout.version })
+        .expect(400);
+
+      expect(response.body.message).toBe('Prerequisites would form a cycle: new-checkout -> checkout-upsell -> new-checkout');
+
+      await request(app)
+        .put(`${base}/${checkout.id}`)
+        .send({ prerequisites: [{ flagId: checkout.id }], version: checkout.version })
+        .expect(400);
+    });
+
+    test('should not delete a flag other flags require', async () => {
+      const response = await request(app)
+        .delete(`${base}/${checkout.id}`)
+        .set('If-Match', '*')
+        .expect(409);
+
+      expect(response.body.message).toMatch(/checkout-upsell/);
+    });
+  });
+
+  describe('Usage metrics', () => {
+    const base = '/api/v1/projects/usage-project/feature-flags';
+    let rolledOut;
+    let targeted;
+    let abandoned;
+
+    beforeAll(async () => {
+      rolledOut = (await request(app)
+        .post(base)
+        .send({ name: 'rolled-out', enabled: true })
+        .expect(201)).body.data;
+
+      targeted = (await request(app)
+        .post(base)
+        .send({ name: 'targeted', rules: [{ type: 'tenant', tenantIds: ['company1'] }] })
+        .expect(201)).body.data;
+
+      abandoned = await repositories.featureFlagRepository.create(new FeatureFlag({
+        name: 'abandoned',
+        projectId: 'usage-project',
+        createdAt: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)
+      }));
+
+      for (const tenantId of ['company1', 'company1', 'company2']) {
+        await request(app)
+          .post(`${base}/${targeted.id}/evaluate`)
+          .send({ userId: 'user1', tenantId })
+          .expect(200);
+      }
+      await flagUsage.flush();
+    });
+
+    test('should count evaluations of a flag', async () => {
+      const response = await request(app)
+        .get(`${base}/${targeted.id}/metrics`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        featureFlagId: targeted.id,
+        evaluations: 3,
+        enabled: 2,
+        disabled: 1,
+        variants: {}
+      });
+      expect(response.body.data.lastEvaluatedAt).toBeDefined();
+
+      const unused = await request(app)
+        .get(`${base}/${rolledOut.id}/metrics`)
+        .expect(200);
+
+      expect(unused.body.data).toMatchObject({ evaluations: 0, lastEvaluatedAt: null });
+
+      await request(app)
+        .get(`${base}/00000000-0000-4000-8000-000000000000/metrics`)
+        .expect(404);
+    });
+
+    test('should include metrics when listing flags', async () => {
+      const response = await request(app)
+        .get(base)
+        .expect(200);
+
+      const listed = response.body.data.find(flag => flag.id === targeted.id);
+      expect(listed.metrics.evaluations).toBe(3);
+    });
+
+    test('should report cleanup candidates', async () => {
+      const response = await request(app)
+        .get(`${base}/cleanup-report`)
+        .query({ days: 30 })
+        .expect(200);
+
+      const reasons = Object.fromEntries(response.body.data.map(item => [item.featureFlag.name, item.reasons]));
+      expect(reasons).toEqual({
+        'rolled-out': ['FULLY_ROLLED_OUT'],
+        abandoned: ['NOT_EVALUATED']
+      });
+      expect(response.body.pagination.total).toBe(2);
+
+      await request(app)
+        .get(`${base}/cleanup-report`)
+        .query({ days: 0 })
+        .expect(400);
+    });
+
+    test('should forget the usage of deleted flags', async () => {
+      expect(await repositories.flagUsageRepository.findByFlagId(targeted.id)).not.toBeNull();
+
+      await request(app)
+        .delete(`${base}/${targeted.id}`)
+        .set('If-Match', '*')
+        .expect(200);
+
+      expect(await repositories.flagUsageRepository.findByFlagId(targeted.id)).toBeNull();
+    });
+  });
+
+  describe('GET /metrics', () => {
+    test('should expose service metrics in the Prometheus text format', async () => {
+      const created = await request(app)
+        .post('/api/v1/projects/metrics-project/feature-flags')
+        .send({ name: 'metered', enabled: true })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/v1/projects/metrics-project/feature-flags/${created.body.data.id}/evaluate`)
+        .send({ userId: 'user1', tenantId: 'company1' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/metrics')
+        .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/)
+        .expect(200);
+
+      expect(response.text).toContain(
+        'feature_toggle_http_request_duration_seconds_count{method="POST",route="/api/v1/projects/:projectId/feature-flags/:id/evaluate",status="200"}'
+      );
+      expect(response.text).not.toContain('route="/api/v1/projects/metrics-project');
+      expect(response.text).toContain(
+        'feature_toggle_evaluations_total{project="metrics-project",flag="metered",enabled="true",reason="DEFAULT"} 1'
+      );
+      expect(response.text).toMatch(/^feature_toggle_flags\{state="enabled"\} \d+$/m);
+      expect(response.text).toMatch(/^feature_toggle_segments \d+$/m);
+    });
   });
 
   describe('GET /health', () => {
@@ -0,0 +1,61 @@
+// tests/unit/AccessControlService.test.js
+const AccessControlService = require('../../services/AccessControlService');
+const { FeatureFlag, User } = require('../../models');
+
+describe('AccessControlService', () => {
+  let accessControl;
+
+  beforeEach(() => {
+    accessControl = new AccessControlService();
+  });
+
+  describe('can', () => {
+    test('should allow requests without a user', () => {
+      expect(accessControl.can(null, 'delete')).toBe(true);
+    });
+
+    test('should grant permissions by role', () => {
+      const viewer = new User({ name: 'viewer', role: 'viewer' });
+      const editor = new User({ name: 'editor', role: 'editor' });
+      const owner = new User({ name: 'owner', role: 'owner' });
+
+      expect(accessControl.can(viewer, 'read')).toBe(true);
+      expect(accessControl.can(viewer, 'edit')).toBe(false);
+      expect(accessControl.can(editor, 'edit')).toBe(true);
+      expect(accessControl.can(editor, 'delete')).toBe(false);
+      expect(accessControl.can(owner, 'delete')).toBe(true);
+      expect(accessControl.can(owner, 'toggle-production')).toBe(true);
+    });
+
+    test('should apply flag-specific roles', () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      const otherFlag = new FeatureFlag({ name: 'other-feature' });
+      const user = new User({ name: 'editor', role: 'editor', flagRoles: { [flag.id]: 'owner' } });
+
+      expect(accessControl.can(user, 'delete', flag)).toBe(true);
+      expect(accessControl.can(user, 'delete', otherFlag)).toBe(false);
+      expect(accessControl.can(user, 'delete')).toBe(false);
+    });
+  });
+
+  describe('getRequiredPermissions', () => {
+    test('should require editing for rule changes', () => {
+      const before = new FeatureFlag({ name: 'test-feature' });
+      const after = new FeatureFlag({ ...before.toJSON(), rules: [{ type: 'user', userIds: ['user1'] }] });
+
+      expect(accessControl.getRequiredPermissions(before, after)).toEqual(['edit']);
+    });
+
+    test('should require the production toggle when production changes', () => {
+      const before = new FeatureFlag({ name: 'test-feature', environments: { staging: { enabled: false } } });
+
+      const inherited = new FeatureFlag({ ...before.toJSON(), enabled: true });
+      const stagingOnly = new FeatureFlag({ ...before.toJSON(), environments: { staging: { enabled: true } } });
+      const production = new FeatureFlag({ ...before.toJSON(), environments: { production: { enabled: true } } });
+
+      expect(accessControl.getRequiredPermissions(before, inherited)).toEqual(['edit', 'toggle-production']);
+      expect(accessControl.getRequiredPermissions(before, stagingOnly)).toEqual(['edit']);
+      expect(accessControl.getRequiredPermissions(before, production)).toEqual(['edit', 'toggle-production']);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// tests/unit/ChangeScheduler.test.js
+const ChangeScheduler = require('../../services/ChangeScheduler');
+const FeatureFlagRepository = require('../../repositories/FeatureFlagRepository');
+const ScheduledChangeRepository = require('../../repositories/ScheduledChangeRepository');
+const SegmentRepository = require('../../repositories/SegmentRepository');
+const UserRepository = require('../../repositories/UserRepository');
+const ApiKeyRepository = require('../../repositories/ApiKeyRepository');
+const { MemoryStorageAdapter } = require('../../repositories/storage');
+const { FeatureFlag, ScheduledChange, User, ApiKey } = require('../../models');
+
+describe('ChangeScheduler', () => {
+  let actor;
+  let user;
+  let userRepository;
+  let apiKeyRepository;
+  let adapter;
+  let repository;
+  let scheduledChangeRepository;
+  let clock;
+  let scheduler;
+  let flag;
+
+  const schedule = (runAt, changes, createdBy = actor) => scheduledChangeRepository.create(new ScheduledChange({
+    featureFlagId: flag.id,
+    runAt,
+    changes,
+    createdBy
+  }));
+
+  beforeEach(async () => {
+    adapter = new MemoryStorageAdapter();
+    repository = new FeatureFlagRepository({ adapter });
+    scheduledChangeRepository = new ScheduledChangeRepository({ adapter });
+    userRepository = new UserRepository({ adapter });
+    apiKeyRepository = new ApiKeyRepository({ adapter });
+    user = await userRepository.create(new User({ name: 'alice', role: 'owner' }));
+    actor = user.toPrincipal();
+    clock = { time: new Date('2026-10-19T12:00:00Z'), now() { return new Date(this.time); } };
+    scheduler = new ChangeScheduler({
+      repository,
+      scheduledChangeRepository,
+      segmentRepository: new SegmentRepository({ adapter }),
+      userRepository,
+      apiKeyRepository,
+      clock
+    });
+
+    flag = await repository.create(new FeatureFlag({ name: 'launch' }));
+  });
+
+  afterEach(async () => {
+    await scheduler.stop();
+  });
+
+  test('should apply changes once they are due', async () => {
+    const change = await schedule('2026-10-20T00:00:00Z', { enabled: true });
+
+    expect(await scheduler.runDueChanges()).toEqual([]);
+    expect((await repository.findById(flag.id)).enabled).toBe(false);
+
+    clock.time = new Date('2026-10-20T00:00:00Z');
+    const [processed] = await scheduler.runDueChanges();
+
+    expect(processed).toMatchObject({ id: change.id, status: 'applied', appliedVersion: 2 });
+    expect(processed.completedAt).toEqual(clock.time);
+
+    const updated = await repository.findById(flag.id);
+    expect(updated.enabled).toBe(true);
+    expect(updated.updatedBy).toEqual(actor);
+    expect((await scheduledChangeRepository.findById(change.id)).status).toBe('applied');
+  });
+
+  test('should apply due changes in order and only once', async () => {
+    await schedule('2026-10-19T11:00:00Z', { description: 'first' });
+    await schedule('2026-10-19T10:00:00Z', { description: 'second', enabled: true });
+    await schedule('2026-10-19T11:30:00Z', { description: 'third' });
+
+    const processed = await scheduler.runDueChanges();
+
+    expect(processed.map(change => change.changes.description)).toEqual(['second', 'first', 'third']);
+    expect((await repository.findById(flag.id)).toJSON()).toMatchObject({ description: 'third', enabled: true, version: 4 });
+    expect(await scheduler.runDueChanges()).toEqual([]);
+  });
+
+  test('should record the change in the audit log as its creator', async () => {
+    await schedule('2026-10-19T11:00:00Z', { enabled: true });
+    await scheduler.runDueChanges();
+
+    const [entry] = await repository.auditLog.list({ featureFlagId: flag.id });
+    expect(entry).toMatchObject({ action: 'update', actor, changes: { enabled: { before: false, after: true } } });
+  });
+
+  test('should mark changes that can no longer be applied as failed', async () => {
+    await schedule('2026-10-19T11:00:00Z', {
+      rules: [{ type: 'segment', segmentId: '00000000-0000-4000-8000-000000000000' }]
+    });
+
+    const [processed] = await scheduler.runDueChanges();
+
+    expect(processed.status).toBe('failed');
+    expect(processed.error).toContain('Segment(s) not found');
+    expect((await repository.findById(flag.id)).version).toBe(1);
+  });
+
+  test('should fail changes its creator may no longer make', async () => {
+    user.role = 'editor';
+    await userRepository.update(user.id, user);
+    await schedule('2026-10-19T11:00:00Z', { description: 'edited' });
+    // An owner enables the flag in production after the change was scheduled
+    await repository.update(flag.id, { environments: { production: { enabled: true } } });
+    await schedule('2026-10-19T11:30:00Z', { environments: { production: { enabled: false } } });
+
+    const [edited, toggled] = await scheduler.runDueChanges();
+
+    expect(edited.status).toBe('applied');
+    expect(toggled.status).toBe('failed');
+    expect(toggled.error).toContain("does not allow 'toggle-production'");
+    expect((await repository.findById(flag.id)).getEnvironmentConfig('production').enabled).toBe(true);
+  });
+
+  test('should fail changes of users and keys that are gone', async () => {
+    const apiKey = new ApiKey({ name: 'ci', scope: 'admin' });
+    apiKey.generateKey();
+    await apiKeyRepository.create(apiKey);
+
+    await schedule('2026-10-19T11:00:00Z', { enabled: true }, apiKey.toPrincipal());
+    await schedule('2026-10-19T11:30:00Z', { description: 'by alice' });
+    apiKey.revoke();
+    await apiKeyRepository.update(apiKey.id, apiKey);
+    await userRepository.delete(user.id);
+
+    const processed = await scheduler.runDueChanges();
+
+    expect(processed.map(change => change.status)).toEqual(['failed', 'failed']);
+    expect(processed[0].error).toContain('has been revoked');
+    expect(processed[1].error).toContain('no longer exists');
+    expect((await repository.findById(flag.id)).version).toBe(1);
+  });
+
+  test('should fail changes of deleted flags', async () => {
+    await schedule('2026-10-19T11:00:00Z', { enabled: true });
+    await repository.delete(flag.id);
+
+    const [processed] = await scheduler.runDueChanges();
+
+    expect(processed.status).toBe('failed');
+    expect(processed.error).toContain('not found');
+  });
+
+  test('should skip changes cancelled in the meantime', async () => {
+    const change = await schedule('2026-10-19T11:00:00Z', { enabled: true });
+    change.status = 'cancelled';
+    await scheduledChangeRepository.save(change);
+
+    expect(await scheduler.runDueChanges()).toEqual([]);
+    expect((await repository.findById(flag.id)).enabled).toBe(false);
+  });
+
+  test('should not overlap runs', async () => {
+    await schedule('2026-10-19T11:00:00Z', { enabled: true });
+
+    const [first, second] = await Promise.all([scheduler.runDueChanges(), scheduler.runDueChanges()]);
+
+    expect(first).toBe(second);
+    expect((await repository.findById(flag.id)).version).toBe(2);
+  });
+
+  test('should pick up pending changes when started', async () => {
+    await schedule('2026-10-19T11:00:00Z', { enabled: true });
+
+    scheduler.start();
+    await scheduler.stop();
+
+    expect((await repository.findById(flag.id)).enabled).toBe(true);
+  });
+});
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  EvaluationEventPipeline,
+  MemoryEventSink,
+  FileEventSink,
+  WebhookEventSink,
+  FlagUsageRecorder
+} = require('../../services/events');
+const FlagUsageRepository = require('../../repositories/FlagUsageRepository');
+const FeatureFlagRepository = require('../../repositories/FeatureFlagRepository');
+const { MemoryStorageAdapter } = require('../../repositories/storage');
+const { FeatureFlag } = require('../../models');
+
+const event = (index) => ({ type: 'evaluation', flagName: `flag-${index}`, enabled: true });
+
+describe('EvaluationEventPipeline', () => {
+  let sink;
+
+  beforeEach(() => {
+    sink = new MemoryEventSink();
+  });
+
+  test('should be disabled without sinks', () => {
+    const pipeline = new EvaluationEventPipeline();
+
+    expect(pipeline.isEnabled()).toBe(false);
+    pipeline.emit(event(1));
+    expect(pipeline.queue).toHaveLength(0);
+  });
+
+  test('should deliver events in batches', async () => {
+    const pipeline = new EvaluationEventPipeline({ sinks: [sink], batchSize: 2 });
+
+    pipeline.emit(event(1));
+    await Promise.resolve();
+    expect(sink.list()).toHaveLength(0);
+
+    pipeline.emit(event(2));
+    await pipeline.close();
+    expect(sink.list().map(({ flagName }) => flagName)).toEqual(['flag-1', 'flag-2']);
+    expect(sink.list()[0].sampleRate).toBe(1);
+  });
+
+  test('should deliver queued events when flushed', async () => {
+    const pipeline = new EvaluationEventPipeline({ sinks: [sink], batchSize: 100 });
+
+    pipeline.emit(event(1));
+    await pipeline.flush();
+
+    expect(sink.list()).toHaveLength(1);
+  });
+
+  test('should deliver queued events periodically once started', async () => {
+    jest.useFakeTimers();
+    try {
+      const pipeline = new EvaluationEventPipeline({ sinks: [sink], flushIntervalMs: 1000 });
+      pipeline.start();
+      pipeline.emit(event(1));
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(sink.list()).toHaveLength(1);
+      await pipeline.close();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should sample events', async () => {
+    const draws = [0.1, 0.5, 0.2];
+    const pipeline = new EvaluationEventPipeline({ sinks: [sink], sampleRate: 0.25, random: () => draws.shift() });
+
+    [1, 2, 3].forEach(index => pipeline.emit(event(index)));
+    await pipeline.close();
+
+    expect(sink.list().map(({ flagName, sampleRate }) => [flagName, sampleRate]))
+      .toEqual([['flag-1', 0.25], ['flag-3', 0.25]]);
+  });
+
+  test('should drop the oldest events beyond the queue size', async () => {
+    const pipeline = new EvaluationEventPipeline({ sinks: [sink], batchSize: 10, maxQueueSize: 2 });
+
+    [1, 2, 3].forEach(index => pipeline.emit(event(index)));
+    await pipeline.close();
+
+    expect(sink.list().map(({ flagName }) => flagName)).toEqual(['flag-2', 'flag-3']);
+  });
+
+  test('should deliver one batch at a time and drop events while a batch is pending', () => {
+    const stalled = { write: jest.fn(() => new Promise(() => {})), close: jest.fn() };
+    const pipeline = new EvaluationEventPipeline({ sinks: [stalled], batchSize: 2, maxQueueSize: 3 });
+
+    [1, 2, 3, 4, 5, 6, 7].forEach(index => pipeline.emit(event(index)));
+    pipeline.flush();
+
+    expect(stalled.write).toHaveBeenCalledTimes(1);
+    expect(stalled.write.mock.calls[0][0].map(({ flagName }) => flagName)).toEqual(['flag-1', 'flag-2']);
+    expect(pipeline.queue.map(({ flagName }) => flagName)).toEqual(['flag-5', 'flag-6', 'flag-7']);
+    expect(pipeline.dropped).toBe(2);
+  });
+
+  test('should deliver the rest of the queue in batches once a batch is done', async () => {
+    const pending = [];
+    const slow = { write: jest.fn(() => new Promise(resolve => pending.push(resolve))), close: jest.fn() };
+    const pipeline = new EvaluationEventPipeline({ sinks: [slow], batchSize: 2 });
+
+    [1, 2, 3, 4, 5].forEach(index => pipeline.emit(event(index)));
+    const closing = pipeline.close();
+
+    for (const batches of [1, 2, 3]) {
+      await new Promise(resolve => setImmediate(resolve));
+      expect(slow.write).toHaveBeenCalledTimes(batches);
+      pending.shift()();
+    }
+    await closing;
+
+    expect(slow.write.mock.calls.map(([batch]) => batch.length)).toEqual([2, 2, 1]);
+  });
+
+  test('should keep delivering to other sinks when one fails', async () => {
+    const failing = { write: jest.fn().mockRejectedValue(new Error('down')), close: jest.fn() };
+    const pipeline = new EvaluationEventPipeline({ sinks: [failing, sink] });
+
+    pipeline.emit(event(1));
+    await pipeline.close();
+
+    expect(failing.write).toHaveBeenCalled();
+    expect(sink.list()).toHaveLength(1);
+  });
+});
+
+describe('MemoryEventSink', () => {
+  test('should keep the most recent events', async () => {
+    const sink = new MemoryEventSink({ capacity: 3 });
+
+    await sink.write([event(1), event(2)]);
+    await sink.write([event(3), event(4), event(5)]);
+
+    expect(sink.list().map(({ flagName }) => flagName)).toEqual(['flag-3', 'flag-4', 'flag-5']);
+
+    sink.clear();
+    expect(sink.list()).toEqual([]);
+  });
+});
+
+describe('FileEventSink', () => {
+  const filePath = path.join(os.tmpdir(), `evaluation-events-${process.pid}-${Date.now()}`, 'events.ndjson');
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  test('should append one JSON line per event', async () => {
+    const sink = new FileEventSink({ filePath });
+
+    sink.write([event(1), event(2)]);
+    sink.write([event(3)]);
+    await sink.close();
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).flagName)).toEqual(['flag-1', 'flag-2', 'flag-3']);
+  });
+});
+
+describe('WebhookEventSink', () => {
+  let server;
+  let received;
+  let status;
+
+  beforeEach(async () => {
+    received = [];
+    status = 202;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.statusCode = status;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const url = () => `http://127.0.0.1:${server.address().port}/events`;
+
+  test('should post each batch as JSON', async () => {
+    const sink = new WebhookEventSink({ url: url() });
+
+    await sink.write([event(1), event(2)]);
+
+    expect(received).toEqual([{
+      contentType: 'application/json',
+      body: { events: [event(1), event(2)] }
+    }]);
+  });
+
+  test('should fail when the endpoint rejects the batch', async () => {
+    status = 500;
+    const sink = new WebhookEventSink({ url: url() });
+
+    await expect(sink.write([event(1)])).rejects.toThrow('Webhook responded with status 500');
+  });
+});
+
+describe('FlagUsageRecorder', () => {
+  const evaluation = (flagId, enabled, timestamp) =>
+    ({ type: 'evaluation', projectId: 'default', flagId, enabled, variant: null, timestamp });
+
+  let repository;
+  let recorder;
+
+  beforeEach(() => {
+    repository = new FlagUsageRepository();
+    recorder = new FlagUsageRecorder({ repository });
+  });
+
+  test('should add the counts of each flush to the usage of their flags', async () => {
+    recorder.record(evaluation('flag-1', true, '2026-10-19T10:00:00.000Z'));
+    recorder.record(evaluation('flag-1', false, '2026-10-19T11:00:00.000Z'));
+    recorder.record(evaluation('flag-2', true, '2026-10-19T10:00:00.000Z'));
+    await recorder.flush();
+    recorder.record(evaluation('flag-1', true, '2026-10-19T09:00:00.000Z'));
+    await recorder.flush();
+
+    const usages = await repository.findByFlagIds(['flag-1', 'flag-2', 'flag-3']);
+    expect([...usages.keys()]).toEqual(['flag-1', 'flag-2']);
+    expect(usages.get('flag-1').toJSON()).toMatchObject({
+      evaluations: 3,
+      enabled: 2,
+      disabled: 1,
+      lastEvaluatedAt: new Date('2026-10-19T11:00:00.000Z')
+    });
+  });
+
+  test('should keep counts that failed to be stored for the next flush', async () => {
+    const add = jest.spyOn(repository, 'add').mockRejectedValueOnce(new Error('disk full'));
+
+    recorder.record(evaluation('flag-1', true, '2026-10-19T10:00:00.000Z'));
+    await recorder.flush();
+    recorder.record(evaluation('flag-1', true, '2026-10-19T11:00:00.000Z'));
+    await recorder.flush();
+
+    expect(add).toHaveBeenCalledTimes(2);
+    expect((await repository.findByFlagId('flag-1')).toJSON().evaluations).toBe(2);
+  });
+
+  test('should not bring back the usage of flags deleted while counts were pending', async () => {
+    const adapter = new MemoryStorageAdapter();
+    const flags = new FeatureFlagRepository({ adapter });
+    repository = new FlagUsageRepository({ adapter, flags });
+    recorder = new FlagUsageRecorder({ repository });
+    const kept = await flags.create(new FeatureFlag({ name: 'kept' }));
+    const deleted = await flags.create(new FeatureFlag({ name: 'deleted' }));
+
+    recorder.record(evaluation(kept.id, true, '2026-10-19T10:00:00.000Z'));
+    recorder.record(evaluation(deleted.id, true, '2026-10-19T10:00:00.000Z'));
+    await flags.delete(deleted.id);
+    await repository.delete(deleted.id);
+    await recorder.flush();
+
+    const usages = await repository.findByFlagIds([kept.id, deleted.id]);
+    expect([...usages.keys()]).toEqual([kept.id]);
+  });
+});
@@ -1,5 +1,8 @@
 const FeatureEvaluationEngine = require('../../services/FeatureEvaluationEngine');
-const { FeatureFlag, TenantRule, UserRule, PercentageRule, EvaluationContext } = require('../../models');
+const { FeatureFlag, TenantRule, UserRule, PercentageRule, RolloutRule, CompositeRule, EvaluationContext } = require('../../models');
+const { EvaluationEventPipeline, MemoryEventSink, FlagUsageRecorder } = require('../../services/events');
+const FlagUsageRepository = require('../../repositories/FlagUsageRepository');
+const metrics = require('../../utils/metrics');
 
 describe('FeatureEvaluationEngine', () => {
   let engine;
@@ -72,6 +75,58 @@ describe('FeatureEvaluationEngine', () => {
       expect(result.matchedRule.type).toBe('user');
     });
 
+    test('should force the flag off when an exclusion rule matches', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        enabled: true,
+        rules: [new TenantRule({ tenantIds: ['company1'], effect: 'deny' })]
+      });
+
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+      const result = engine.evaluate(flag, context);
+
+      expect(result.enabled).toBe(false);
+      expect(result.matchedRule.effect).toBe('deny');
+      expect(result.fallbackToDefault).toBe(false);
+    });
+
+    test('should evaluate rules by descending priority', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        enabled: false,
+        rules: [
+          new TenantRule({ tenantIds: ['company1'] }),
+          new UserRule({ userIds: ['user1'], effect: 'deny', priority: 10 })
+        ]
+      });
+
+      const excluded = engine.evaluate(flag, new EvaluationContext({ userId: 'user1', tenantId: 'company1' }));
+      const included = engine.evaluate(flag, new EvaluationContext({ userId: 'user2', tenantId: 'company1' }));
+
+      expect(excluded.enabled).toBe(false);
+      expect(excluded.matchedRule.type).toBe('user');
+      expect(included.enabled).toBe(true);
+      expect(included.matchedRule.type).toBe('tenant');
+    });
+
+    test('should report matched sub-rules of a composite rule', () => {
+      const composite = new CompositeRule({
+        operator: 'all',
+        rules: [
+          new TenantRule({ tenantIds: ['company1'] }),
+          new UserRule({ userIds: ['user1'] })
+        ]
+      });
+      const flag = new FeatureFlag({ name: 'test-feature', rules: [composite] });
+
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+      const result = engine.evaluate(flag, context);
+
+      expect(result.enabled).toBe(true);
+      expect(result.matchedRule).toBe(composite);
+      expect(result.matchedSubRules).toEqual(composite.rules.map(rule => rule.id));
+    });
+
     test('should handle empty rules array', () => {
       const flag = new FeatureFlag({
         name: 'test-feature',
@@ -88,6 +143,436 @@ describe('FeatureEvaluationEngine', () => {
     });
   });
 
+  describe('variants', () => {
+    const createFlag = () => new FeatureFlag({
+      name: 'checkout',
+      enabled: true,
+      variants: [
+        { key: 'control', value: { layout: 'v1' } },
+        { key: 'treatment', value: { layout: 'v2' } }
+      ],
+      defaultVariant: 'control',
+      rules: [new UserRule({ userIds: ['user1'], variant: 'treatment' })]
+    });
+
+    test('should serve the matched rule variant', () => {
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+      const result = engine.evaluate(createFlag(), context);
+
+      expect(result.variant).toBe('treatment');
+      expect(result.payload).toEqual({ layout: 'v2' });
+    });
+
+    test('should serve the default variant when no rule matches', () => {
+      const context = new EvaluationContext({ userId: 'user2', tenantId: 'company1' });
+      const result = engine.evaluate(createFlag(), context);
+
+      expect(result.variant).toBe('control');
+      expect(result.payload).toEqual({ layout: 'v1' });
+      expect(result.fallbackToDefault).toBe(true);
+    });
+
+    test('should serve a weighted rollout variant', () => {
+      const flag = new FeatureFlag({
+        name: 'checkout',
+        variants: [
+          { key: 'control', value: { layout: 'v1' } },
+          { key: 'treatment', value: { layout: 'v2' } }
+        ],
+        defaultVariant: 'control',
+        rules: [new RolloutRule({ distribution: [{ variant: 'treatment', weight: 100 }] })]
+      });
+      const context = new EvaluationContext({ userId: 'user2', tenantId: 'company1' });
+      const result = engine.evaluate(flag, context);
+
+      expect(result.enabled).toBe(true);
+      expect(result.variant).toBe('treatment');
+    });
+
+    test('should not serve a variant for boolean flags', () => {
+      const flag = new FeatureFlag({ name: 'boolean-feature', enabled: true });
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+
+      expect(engine.evaluate(flag, context).variant).toBeNull();
+    });
+  });
+
+  describe('environments', () => {
+    const createFlag = () => new FeatureFlag({
+      name: 'test-feature',
+      enabled: false,
+      rules: [new UserRule({ userIds: ['user1'] })],
+      environments: {
+        development: { enabled: true },
+        production: { rules: [new TenantRule({ tenantIds: ['company2'] })] }
+      }
+    });
+
+    test('should use the environment overrides', () => {
+      const context = new EvaluationContext({ userId: 'user2', tenantId: 'company1', environment: 'development' });
+      const result = engine.evaluate(createFlag(), context);
+
+      expect(result.enabled).toBe(true);
+      expect(result.fallbackToDefault).toBe(true);
+    });
+
+    test('should only evaluate the rules of the environment', () => {
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1', environment: 'production' });
+
+      expect(engine.evaluate(createFlag(), context).enabled).toBe(false);
+    });
+
+    test('should use the flag configuration without an environment', () => {
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+
+      expect(engine.evaluate(createFlag(), context).enabled).toBe(true);
+    });
+  });
+
+  describe('clock', () => {
+    test('should evaluate schedule rules at the time of the injected clock', () => {
+      const flag = new FeatureFlag({
+        name: 'launch',
+        rules: [{ type: 'schedule', start: '2026-11-01T00:00:00Z' }]
+      });
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+
+      const before = new FeatureEvaluationEngine({ clock: { now: () => new Date('2026-10-31T12:00:00Z') } });
+      const after = new FeatureEvaluationEngine({ clock: { now: () => new Date('2026-11-01T12:00:00Z') } });
+
+      expect(before.evaluate(flag, context).enabled).toBe(false);
+      expect(after.evaluate(flag, context).enabled).toBe(true);
+      expect(context.now).toBeNull();
+    });
+
+    test('should prefer the time carried by the context', () => {
+      const flag = new FeatureFlag({
+        name: 'launch',
+        rules: [{ type: 'schedule', start: '2026-11-01T00:00:00Z' }]
+      });
+      const engineAt = new FeatureEvaluationEngine({ clock: { now: () => new Date('2026-10-31T12:00:00Z') } });
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1', now: new Date('2026-11-02T00:00:00Z') });
+
+      expect(engineAt.evaluate(flag, context).enabled).toBe(true);
+    });
+  });
+
+  describe('prerequisites', () => {
+    const context = (flags, tenantId = 'company1') => new EvaluationContext({
+      userId: 'user1',
+      tenantId,
+      flags: new Map(flags.map(flag => [flag.id, flag]))
+    });
+
+    const checkout = new FeatureFlag({
+      name: 'new-checkout',
+      rules: [new TenantRule({ tenantIds: ['company1'] })]
+    });
+    const upsell = new FeatureFlag({
+      name: 'checkout-upsell',
+      enabled: true,
+      prerequisites: [{ flagId: checkout.id }]
+    });
+
+    test('should evaluate the rules when prerequisites are met', () => {
+      const result = engine.evaluate(upsell, context([checkout]));
+
+      expect(result.enabled).toBe(true);
+      expect(result.reason).toEqual({ kind: 'DEFAULT' });
+    });
+
+    test('should be off when a prerequisite is not met', () => {
+      const result = engine.evaluate(upsell, context([checkout], 'company2'));
+
+      expect(result.enabled).toBe(false);
+      expect(result.reason).toEqual({
+        kind: 'PREREQUISITE_FAILED',
+        prerequisite: { flagId: checkout.id, name: 'new-checkout' }
+      });
+    });
+
+    test('should fail prerequisites missing from the context', () => {
+      const result = engine.evaluate(upsell, context([]));
+
+      expect(result.reason).toEqual({
+        kind: 'PREREQUISITE_FAILED',
+        prerequisite: { flagId: checkout.id, name: null }
+      });
+    });
+
+    test('should require the prerequisite state and variant', () => {
+      const theme = new FeatureFlag({
+        name: 'theme',
+        enabled: true,
+        variants: [{ key: 'light', value: 'light' }, { key: 'dark', value: 'dark' }],
+        defaultVariant: 'dark'
+      });
+      const requireOff = new FeatureFlag({ name: 'legacy', prerequisites: [{ flagId: checkout.id, enabled: false }], enabled: true });
+      const requireDark = new FeatureFlag({ name: 'dark-banner', enabled: true, prerequisites: [{ flagId: theme.id, variant: 'dark' }] });
+      const requireLight = new FeatureFlag({ name: 'light-banner', enabled: true, prerequisites: [{ flagId: theme.id, variant: 'light' }] });
+
+      expect(engine.evaluate(requireOff, context([checkout], 'company2')).enabled).toBe(true);
+      expect(engine.evaluate(requireOff, context([checkout])).enabled).toBe(false);
+      expect(engine.evaluate(requireDark, context([theme])).enabled).toBe(true);
+      expect(engine.evaluate(requireLight, context([theme])).enabled).toBe(false);
+    });
+
+    test('should evaluate prerequisites recursively', () => {
+      const banner = new FeatureFlag({
+        name: 'upsell-banner',
+        enabled: true,
+        prerequisites: [{ flagId: upsell.id }]
+      });
+
+      expect(engine.evaluate(banner, context([checkout, upsell])).enabled).toBe(true);
+
+      const result = engine.evaluate(banner, context([checkout, upsell], 'company2'));
+      expect(result.enabled).toBe(false);
+      expect(result.reason.prerequisite.name).toBe('checkout-upsell');
+    });
+
+    test('should serve the default variant when a prerequisite fails', () => {
+      const flag = new FeatureFlag({
+        name: 'checkout-copy',
+        variants: [{ key: 'a', value: 'A' }, { key: 'b', value: 'B' }],
+        defaultVariant: 'a',
+        rules: [{ type: 'rollout', distribution: [{ variant: 'b', weight: 100 }] }],
+        prerequisites: [{ flagId: checkout.id }]
+      });
+
+      expect(engine.evaluate(flag, context([checkout])).variant).toBe('b');
+
+      const result = engine.evaluate(flag, context([checkout], 'company2'));
+      expect(result).toMatchObject({ enabled: false, variant: 'a', payload: 'A' });
+    });
+
+    test('should fail rather than loop on a stored cycle', () => {
+      const first = new FeatureFlag({ name: 'first', enabled: true });
+      const second = new FeatureFlag({ name: 'second', enabled: true, prerequisites: [{ flagId: first.id }] });
+      first.prerequisites = [{ flagId: second.id, enabled: true, variant: null }];
+
+      const result = engine.evaluate(first, context([first, second]));
+      expect(result.enabled).toBe(false);
+      expect(result.reason.kind).toBe('PREREQUISITE_FAILED');
+    });
+  });
+
+  describe('reasons', () => {
+    test('should report the declared index of the matching rule', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [
+          new UserRule({ userIds: ['user1'] }),
+          new TenantRule({ tenantIds: ['company1'], effect: 'deny', priority: 10 })
+        ]
+      });
+
+      const result = engine.evaluate(flag, new EvaluationContext({ userId: 'user1', tenantId: 'company1' }));
+      expect(result.reason).toEqual({ kind: 'RULE_MATCH', ruleIndex: 1, ruleId: flag.rules[1].id });
+    });
+
+    test('should report the kind of error', () => {
+      const flag = new FeatureFlag({ name: 'test-feature', enabled: true });
+
+      const invalid = engine.evaluate(flag, new EvaluationContext({ userId: 'user1' }));
+      expect(invalid).toMatchObject({ enabled: true, reason: { kind: 'ERROR', errorKind: 'INVALID_CONTEXT' } });
+
+      flag.rules = null;
+      const malformed = engine.evaluate(flag, new EvaluationContext({ userId: 'user1', tenantId: 'company1' }));
+      expect(malformed.reason).toEqual({ kind: 'ERROR', errorKind: 'MALFORMED_FLAG' });
+    });
+  });
+
+  describe('explain', () => {
+    const context = new EvaluationContext({
+      userId: 'user1',
+      tenantId: 'company1',
+      additionalData: { plan: 'free' }
+    });
+
+    test('should only trace when asked to', () => {
+      const flag = new FeatureFlag({ name: 'test-feature', rules: [new UserRule({ userIds: ['user1'] })] });
+
+      expect(engine.evaluate(flag, context).trace).toBeNull();
+      expect(engine.evaluate(flag, context, { explain: true }).toJSON().trace).toHaveLength(1);
+    });
+
+    test('should trace every rule considered up to the match', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [
+          new TenantRule({ tenantIds: ['company2'] }),
+          { type: 'attribute', attribute: 'plan', operator: 'equals', value: 'pro' },
+          new UserRule({ userIds: ['user2'], enabled: false }),
+          { type: 'segment', segmentId: 'missing-segment' },
+          new UserRule({ userIds: ['user1'] }),
+          new PercentageRule({ percentage: 100 })
+        ]
+      });
+
+      const { trace, reason } = engine.evaluate(flag, context, { explain: true });
+
+      expect(reason).toMatchObject({ kind: 'RULE_MATCH', ruleIndex: 4 });
+      expect(trace.map(step => step.ruleIndex)).toEqual([0, 1, 2, 3, 4]);
+      expect(trace[0]).toEqual({
+        step: 'rule',
+        ruleIndex: 0,
+        ruleId: flag.rules[0].id,
+        type: 'tenant',
+        effect: 'allow',
+        priority: 0,
+        matched: false,
+        detail: "Tenant 'company1' is not listed"
+      });
+      expect(trace[1].detail).toBe('Attribute \'plan\' is "free", which does not satisfy equals "pro"');
+      expect(trace[2].detail).toBe('The rule is disabled');
+      expect(trace[3]).toMatchObject({ matched: false, error: 'Segment missing-segment not found' });
+      expect(trace[4]).toMatchObject({ matched: true, detail: "User 'user1' is listed" });
+    });
+
+    test('should keep the outcome of a rule that fails to explain itself', () => {
+      const rule = new UserRule({ userIds: ['user1'] });
+      rule.explain = () => { throw new Error('cannot explain'); };
+      const flag = new FeatureFlag({ name: 'test-feature', enabled: true, rules: [rule] });
+
+      const { enabled, reason, trace } = engine.evaluate(flag, context, { explain: true });
+
+      expect(enabled).toBe(true);
+      expect(reason).toMatchObject({ kind: 'RULE_MATCH', ruleIndex: 0 });
+      expect(trace[0]).toMatchObject({ matched: true, explainError: 'cannot explain' });
+    });
+
+    test('should trace nested rules of composite rules', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [new CompositeRule({
+          operator: 'all',
+          rules: [new TenantRule({ tenantIds: ['company1'] }), new PercentageRule({ percentage: 0 })]
+        })]
+      });
+
+      const [step] = engine.evaluate(flag, context, { explain: true }).trace;
+
+      expect(step).toMatchObject({ matched: false, detail: 'All of 2 nested rules must match' });
+      expect(step.rules).toEqual([
+        { ruleId: flag.rules[0].rules[0].id, type: 'tenant', matched: true, detail: "Tenant 'company1' is listed" },
+        { ruleId: flag.rules[0].rules[1].id, type: 'percentage', matched: false, detail: 'The rule covers 0% of users' }
+      ]);
+    });
+
+    test('should trace prerequisites', () => {
+      const checkout = new FeatureFlag({ name: 'new-checkout' });
+      const flag = new FeatureFlag({ name: 'checkout-upsell', prerequisites: [{ flagId: checkout.id }] });
+      const withFlags = new EvaluationContext({ ...context, flags: new Map([[checkout.id, checkout]]) });
+
+      const { trace } = engine.evaluate(flag, withFlags, { explain: true });
+
+      expect(trace).toEqual([{
+        step: 'prerequisite',
+        flagId: checkout.id,
+        name: 'new-checkout',
+        required: { enabled: true, variant: null },
+        met: false,
+        enabled: false,
+        variant: null,
+        reason: { kind: 'DEFAULT' }
+      }]);
+    });
+  });
+
+  describe('metrics', () => {
+    beforeEach(() => {
+      metrics.registry.reset();
+    });
+
+    test('should count evaluations and rule errors', () => {
+      const flag = new FeatureFlag({
+        projectId: 'shop',
+        name: 'checkout',
+        rules: [{ type: 'segment', segmentId: 'missing-segment' }, new TenantRule({ tenantIds: ['company1'] })]
+      });
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+
+      engine.evaluate(flag, context);
+      engine.evaluate(flag, context);
+
+      const rendered = metrics.registry.render();
+      expect(rendered).toContain('feature_toggle_evaluations_total{project="shop",flag="checkout",enabled="true",reason="RULE_MATCH"} 2');
+      expect(rendered).toContain('feature_toggle_evaluation_duration_seconds_count{project="shop",flag="checkout"} 2');
+      expect(rendered).toContain('feature_toggle_rule_errors_total{rule_type="segment"} 2');
+    });
+  });
+
+  describe('events', () => {
+    test('should report every evaluation to the event pipeline', async () => {
+      const sink = new MemoryEventSink();
+      const events = new EvaluationEventPipeline({ sinks: [sink] });
+      const engineWithEvents = new FeatureEvaluationEngine({
+        events,
+        clock: { now: () => new Date('2026-11-01T12:00:00Z') }
+      });
+      const checkout = new FeatureFlag({ name: 'new-checkout', enabled: true });
+      const flag = new FeatureFlag({
+        projectId: 'shop',
+        name: 'checkout-upsell',
+        prerequisites: [{ flagId: checkout.id }],
+        rules: [new TenantRule({ tenantIds: ['company1'] })]
+      });
+      const context = new EvaluationContext({
+        userId: 'user1',
+        tenantId: 'company1',
+        environment: 'production',
+        flags: new Map([[checkout.id, checkout]])
+      });
+
+      engineWithEvents.evaluate(flag, context);
+      await events.flush();
+
+      expect(sink.list()).toEqual([{
+        type: 'evaluation',
+        timestamp: '2026-11-01T12:00:00.000Z',
+        projectId: 'shop',
+        flagId: flag.id,
+        flagName: 'checkout-upsell',
+        flagVersion: 1,
+        environment: 'production',
+        userId: 'user1',
+        tenantId: 'company1',
+        enabled: true,
+        variant: null,
+        reason: { kind: 'RULE_MATCH', ruleIndex: 0, ruleId: flag.rules[0].id },
+        evaluationTime: expect.any(Number),
+        sampleRate: 1
+      }]);
+    });
+  });
+
+  describe('usage', () => {
+    test('should count every evaluation even when no events are sampled', async () => {
+      const sink = new MemoryEventSink();
+      const repository = new FlagUsageRepository();
+      const usage = new FlagUsageRecorder({ repository });
+      const engineWithUsage = new FeatureEvaluationEngine({
+        events: new EvaluationEventPipeline({ sinks: [sink], sampleRate: 0 }),
+        usage,
+        clock: { now: () => new Date('2026-11-01T12:00:00Z') }
+      });
+      const flag = new FeatureFlag({ name: 'rarely-used', rules: [new TenantRule({ tenantIds: ['company1'] })] });
+
+      engineWithUsage.evaluate(flag, new EvaluationContext({ userId: 'user1', tenantId: 'company1' }));
+      engineWithUsage.evaluate(flag, new EvaluationContext({ userId: 'user2', tenantId: 'company2' }));
+      await usage.flush();
+
+      expect(sink.list()).toEqual([]);
+      expect((await repository.findByFlagId(flag.id)).toJSON()).toMatchObject({
+        evaluations: 2,
+        enabled: 1,
+        disabled: 1,
+        lastEvaluatedAt: new Date('2026-11-01T12:00:00Z')
+      });
+    });
+  });
+
   describe('evaluateBatch', () => {
     test('should evaluate multiple feature flags', () => {
       const flags = [
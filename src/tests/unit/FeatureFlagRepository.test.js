@@ -1,16 +1,60 @@
 // tests/unit/FeatureFlagRepository.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const FeatureFlagRepository = require('../../repositories/FeatureFlagRepository');
-const { FeatureFlag } = require('../../models');
+const {
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter
+} = require('../../repositories/storage');
+const { FeatureFlag, FeatureFlagVersion } = require('../../models');
 
-describe('FeatureFlagRepository', () => {
+const tempPath = (extension) => path.join(
+  os.tmpdir(),
+  `feature-flags-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.${extension}`
+);
+
+// Every storage backend must pass the same repository tests
+const adapters = [
+  ['memory', () => {
+    const adapter = new MemoryStorageAdapter();
+    return { adapter, reopen: () => adapter, cleanup: () => {} };
+  }],
+  ['file', () => {
+    const filePath = tempPath('json');
+    return {
+      adapter: new FileStorageAdapter({ filePath }),
+      reopen: () => new FileStorageAdapter({ filePath }),
+      cleanup: () => fs.rmSync(filePath, { force: true })
+    };
+  }]
+];
+
+if (SqliteStorageAdapter.isAvailable()) {
+  adapters.push(['sqlite', () => {
+    const filename = tempPath('db');
+    return {
+      adapter: new SqliteStorageAdapter({ filename }),
+      reopen: () => new SqliteStorageAdapter({ filename }),
+      cleanup: () => ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${filename}${suffix}`, { force: true }))
+    };
+  }]);
+}
+
+describe.each(adapters)('FeatureFlagRepository (%s storage)', (storageType, createStorage) => {
+  let storage;
   let repository;
   
   beforeEach(() => {
-    repository = new FeatureFlagRepository();
+    storage = createStorage();
+    repository = new FeatureFlagRepository({ adapter: storage.adapter });
   });
 
-  afterEach(() => {
-    repository.clear();
+  afterEach(async () => {
+    await repository.clear();
+    await storage.adapter.close();
+    storage.cleanup();
   });
 
   describe('create', () => {
@@ -24,8 +68,8 @@ describe('FeatureFlagRepository', () => {
       const created = await repository.create(flag);
       
       expect(created).toBe(flag);
-      expect(await repository.findById(flag.id)).toBe(flag);
-      expect(await repository.findByName(flag.name)).toBe(flag);
+      expect(await repository.findById(flag.id)).toEqual(flag);
+      expect(await repository.findByName(flag.name)).toEqual(flag);
     });
 
     test('should throw error for duplicate ID', async () => {
@@ -45,6 +89,16 @@ describe('FeatureFlagRepository', () => {
       
       await expect(repository.create(flag2)).rejects.toThrow('already exists');
     });
+
+    test('should let only one of two concurrent creates take a name', async () => {
+      const results = await Promise.allSettled([
+        repository.create(new FeatureFlag({ name: 'test-feature' })),
+        repository.create(new FeatureFlag({ name: 'test-feature' }))
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(await repository.count()).toBe(1);
+    });
   });
 
   describe('findById', () => {
@@ -53,7 +107,7 @@ describe('FeatureFlagRepository', () => {
       await repository.create(flag);
       
       const found = await repository.findById(flag.id);
-      expect(found).toBe(flag);
+      expect(found).toEqual(flag);
     });
 
     test('should return null for non-existent ID', async () => {
@@ -118,4 +172,404 @@ describe('FeatureFlagRepository', () => {
       expect(deleted).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('update', () => {
+    test('should persist updates', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+
+      await repository.update(flag.id, { name: 'renamed-feature', enabled: true });
+
+      const found = await repository.findById(flag.id);
+      expect(found.name).toBe('renamed-feature');
+      expect(found.enabled).toBe(true);
+      expect(await repository.findByName('test-feature')).toBeNull();
+    });
+
+    test('should find a renamed flag by its new name only', async () => {
+      const flag = await repository.create(new FeatureFlag({ name: 'test-feature' }));
+      await repository.findByName('test-feature');
+
+      await repository.update(flag.id, { name: 'renamed-feature' });
+
+      expect(await repository.findByName('test-feature')).toBeNull();
+      expect((await repository.findByName('renamed-feature')).id).toBe(flag.id);
+    });
+
+    test('should let only one of two concurrent renames take a name', async () => {
+      const first = await repository.create(new FeatureFlag({ name: 'first-feature' }));
+      const second = await repository.create(new FeatureFlag({ name: 'second-feature' }));
+
+      const results = await Promise.allSettled([
+        repository.update(first.id, { name: 'test-feature' }),
+        repository.update(second.id, { name: 'test-feature' })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect((await repository.findAll()).filter(flag => flag.name === 'test-feature')).toHaveLength(1);
+    });
+
+    test('should reject renaming to an existing name', async () => {
+      const flag1 = new FeatureFlag({ name: 'feature1' });
+      const flag2 = new FeatureFlag({ name: 'feature2' });
+      await repository.create(flag1);
+      await repository.create(flag2);
+
+      await expect(repository.update(flag2.id, { name: 'feature1' })).rejects.toThrow('already exists');
+    });
+  });
+
+  describe('projects', () => {
+    test('should allow the same name in different projects', async () => {
+      await repository.create(new FeatureFlag({ projectId: 'project-a', name: 'test-feature' }));
+      await repository.create(new FeatureFlag({ projectId: 'project-b', name: 'test-feature' }));
+
+      expect((await repository.findByName('test-feature', 'project-b')).projectId).toBe('project-b');
+      expect(await repository.count({ projectId: 'project-a' })).toBe(1);
+    });
+
+    test('should not find flags of another project', async () => {
+      const flag = new FeatureFlag({ projectId: 'project-a', name: 'test-feature' });
+      await repository.create(flag);
+
+      expect(await repository.findById(flag.id, 'project-b')).toBeNull();
+      expect(await repository.findByName('test-feature', 'project-b')).toBeNull();
+      expect(await repository.delete(flag.id, 'project-b')).toBe(false);
+      expect(await repository.findById(flag.id, 'project-a')).toEqual(flag);
+    });
+
+    test('should keep a flag in its project on update', async () => {
+      const flag = new FeatureFlag({ projectId: 'project-a', name: 'test-feature' });
+      await repository.create(flag);
+
+      const updated = await repository.update(flag.id, { projectId: 'project-b', enabled: true });
+      expect(updated.projectId).toBe('project-a');
+    });
+  });
+
+  describe('prerequisites', () => {
+    let checkout;
+    let upsell;
+
+    beforeEach(async () => {
+      checkout = await repository.create(new FeatureFlag({ name: 'new-checkout' }));
+      upsell = await repository.create(new FeatureFlag({
+        name: 'checkout-upsell',
+        prerequisites: [{ flagId: checkout.id }]
+      }));
+    });
+
+    test('should find the flags depending on a flag', async () => {
+      const dependents = await repository.findDependents(checkout.id);
+      expect(dependents.map(flag => flag.name)).toEqual(['checkout-upsell']);
+      expect(await repository.findDependents(upsell.id)).toEqual([]);
+    });
+
+    test('should keep dependents up to date as flags change', async () => {
+      const banner = await repository.create(new FeatureFlag({
+        name: 'checkout-banner',
+        prerequisites: [{ flagId: checkout.id }]
+      }));
+
+      await repository.update(upsell.id, { prerequisites: [] });
+      await repository.update(upsell.id, { prerequisites: [{ flagId: checkout.id }] });
+      expect((await repository.findDependents(checkout.id)).map(flag => flag.name))
+        .toEqual(['checkout-upsell', 'checkout-banner']);
+
+      await repository.delete(banner.id);
+      expect((await repository.findDependents(checkout.id)).map(flag => flag.name)).toEqual(['checkout-upsell']);
+    });
+
+    test('should find prerequisites transitively', async () => {
+      const banner = new FeatureFlag({ name: 'banner', prerequisites: [{ flagId: upsell.id }] });
+
+      const prerequisites = await repository.findPrerequisites(banner);
+      expect([...prerequisites.keys()].sort()).toEqual([checkout.id, upsell.id].sort());
+    });
+
+    test('should find the cycle a change would create', async () => {
+      const changed = FeatureFlag.fromJSON({
+        ...checkout.toJSON(),
+        prerequisites: [{ flagId: upsell.id }]
+      });
+
+      expect(await repository.findPrerequisiteCycle(changed))
+        .toEqual(['new-checkout', 'checkout-upsell', 'new-checkout']);
+      expect(await repository.findPrerequisiteCycle(upsell)).toBeNull();
+    });
+  });
+
+  describe('audit log', () => {
+    const actor = { type: 'user', id: 'user-1', name: 'alice' };
+
+    test('should record creation, updates and deletion', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag, { actor, requestId: 'request-1' });
+      await repository.update(flag.id, { enabled: true }, { actor, requestId: 'request-2' });
+      await repository.delete(flag.id, undefined, { actor, requestId: 'request-3' });
+
+      const entries = await repository.auditLog.list({ featureFlagId: flag.id });
+      expect(entries.map(entry => entry.action)).toEqual(['delete', 'update', 'create']);
+      expect(entries.map(entry => entry.requestId)).toEqual(['request-3', 'request-2', 'request-1']);
+      expect(entries[1].actor).toEqual(actor);
+      expect(entries[1].changes).toEqual({ enabled: { before: false, after: true } });
+      expect(entries[2].changes.name).toEqual({ before: null, after: 'test-feature' });
+      expect(entries[0].changes.name).toEqual({ before: 'test-feature', after: null });
+    });
+
+    test('should diff rules by ID', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature', rules: [{ type: 'user', userIds: ['user1'] }] });
+      await repository.create(flag);
+      const [rule] = flag.toJSON().rules;
+
+      await repository.update(flag.id, {
+        rules: FeatureFlag.fromJSON({ name: 'x', rules: [{ ...rule, userIds: ['user2'] }] }).rules
+      });
+
+      const [entry] = await repository.auditLog.list({ featureFlagId: flag.id, action: 'update' });
+      expect(entry.changes.rules.changed).toEqual([
+        expect.objectContaining({ id: rule.id, before: expect.objectContaining({ userIds: ['user1'] }) })
+      ]);
+      expect(entry.changes.rules.added).toEqual([]);
+    });
+
+    test('should skip updates that change nothing', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+      await repository.update(flag.id, { description: '' });
+
+      expect(await repository.auditLog.count({ featureFlagId: flag.id })).toBe(1);
+    });
+  });
+
+  describe('versions', () => {
+    test('should save each changed state as a new version', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+      await repository.update(flag.id, { enabled: true });
+      const updated = await repository.update(flag.id, { description: 'changed' });
+
+      expect(updated.version).toBe(3);
+      expect(await repository.versions.count(flag.id)).toBe(3);
+
+      const first = await repository.versions.find(flag.id, 1);
+      expect(first.snapshot.enabled).toBe(false);
+      expect(first.snapshot.description).toBe('');
+    });
+
+    test('should not bump the version for updates that change nothing', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+
+      const updated = await repository.update(flag.id, { enabled: false, version: 7 });
+      expect(updated.version).toBe(1);
+      expect(await repository.versions.count(flag.id)).toBe(1);
+    });
+
+    test('should reject changes based on an outdated version', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+      await repository.update(flag.id, { enabled: true }, { expectedVersion: 1 });
+
+      await expect(repository.update(flag.id, { enabled: false }, { expectedVersion: 1 }))
+        .rejects.toThrow('has been modified');
+      await expect(repository.delete(flag.id, undefined, { expectedVersion: 1 }))
+        .rejects.toThrow('has been modified');
+      expect(await repository.delete(flag.id, undefined, { expectedVersion: 2 })).toBe(true);
+    });
+
+    test('should let only one of two concurrent updates of a version through', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+
+      const results = await Promise.allSettled([
+        repository.update(flag.id, { enabled: true }, { expectedVersion: 1 }),
+        repository.update(flag.id, { description: 'changed' }, { expectedVersion: 1 })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.message).toMatch('has been modified');
+      expect(await repository.versions.count(flag.id)).toBe(2);
+      expect(await repository.auditLog.count({ featureFlagId: flag.id })).toBe(2);
+    });
+
+    test('should keep versions immutable', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature' });
+      await repository.create(flag);
+      const [version] = await repository.versions.list(flag.id);
+
+      await expect(repository.versions.create(version)).rejects.toThrow('already exists');
+
+      const results = await Promise.allSettled([
+        repository.versions.create(new FeatureFlagVersion({ ...version, version: 2, snapshot: { ...version.snapshot, enabled: true } })),
+        repository.versions.create(new FeatureFlagVersion({ ...version, version: 2, snapshot: { ...version.snapshot, enabled: false } }))
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect((await repository.versions.find(flag.id, 2)).snapshot.enabled).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    test('should rebuild rules as models', async () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [{ type: 'composite', operator: 'any', rules: [{ type: 'user', userIds: ['user1'] }] }]
+      });
+      await repository.create(flag);
+
+      const found = await repository.findById(flag.id);
+      expect(found.rules[0].constructor.name).toBe('CompositeRule');
+      expect(found.toJSON()).toEqual(flag.toJSON());
+    });
+
+    test('should keep flags across restarts', async () => {
+      const flag = new FeatureFlag({ name: 'test-feature', enabled: true });
+      await repository.create(flag);
+      await storage.adapter.close();
+
+      storage.adapter = storage.reopen();
+      repository = new FeatureFlagRepository({ adapter: storage.adapter });
+
+      expect(await repository.findById(flag.id)).toEqual(flag);
+    });
+  });
+});
+
+describe('FileStorageAdapter', () => {
+  let filePath;
+  let adapter;
+  let writes;
+
+  beforeEach(() => {
+    filePath = tempPath('json');
+    adapter = new FileStorageAdapter({ filePath });
+    writes = jest.spyOn(fs.promises, 'rename');
+  });
+
+  afterEach(async () => {
+    writes.mockRestore();
+    await adapter.close();
+    fs.rmSync(filePath, { force: true });
+  });
+
+  test('should write each change of a flag, with its version and audit entry, at once', async () => {
+    const repository = new FeatureFlagRepository({ adapter });
+    const flag = await repository.create(new FeatureFlag({ name: 'test-feature' }));
+    expect(writes).toHaveBeenCalledTimes(1);
+
+    await repository.update(flag.id, { enabled: true });
+    await repository.delete(flag.id);
+    expect(writes).toHaveBeenCalledTimes(3);
+
+    const reopened = new FeatureFlagRepository({ adapter: new FileStorageAdapter({ filePath }) });
+    expect(await reopened.findById(flag.id)).toBeNull();
+    expect(await reopened.versions.count(flag.id)).toBe(2);
+    expect(await reopened.auditLog.count({ featureFlagId: flag.id })).toBe(3);
+  });
+
+  test('should share a write between changes made while it waits', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, index) =>
+      adapter.put('records', `record-${index}`, { index })
+    ));
+
+    expect(writes).toHaveBeenCalledTimes(1);
+    expect(await new FileStorageAdapter({ filePath }).list('records')).toHaveLength(10);
+  });
+
+  test('should find records in insertion order through changes', async () => {
+    await adapter.put('records', 'a', { tag: 'x' });
+    await adapter.put('records', 'b', { tag: 'y' });
+    await adapter.put('records', 'c', { tag: 'x' });
+    expect((await adapter.find('records', 'tag', 'x')).map(record => record.tag)).toEqual(['x', 'x']);
+
+    await adapter.put('records', 'b', { tag: 'x', moved: true });
+    await adapter.delete('records', 'c');
+    await adapter.put('records', 'c', { tag: 'x', readded: true });
+
+    expect(await adapter.find('records', 'tag', 'x')).toEqual([{ tag: 'x' }, { tag: 'x', moved: true }, { tag: 'x', readded: true }]);
+    expect(await adapter.find('records', 'tag', 'y')).toEqual([]);
+  });
+
+  test('should undo and not write the changes of a failed batch', async () => {
+    const repository = new FeatureFlagRepository({ adapter });
+    const flag = await repository.create(new FeatureFlag({ name: 'test-feature' }));
+    jest.spyOn(repository.auditLog, 'create').mockRejectedValueOnce(new Error('audit log unavailable'));
+
+    await expect(repository.update(flag.id, { name: 'renamed-feature', enabled: true })).rejects.toThrow('audit log unavailable');
+
+    expect(writes).toHaveBeenCalledTimes(1);
+    expect(await repository.findById(flag.id)).toEqual(flag);
+    expect((await repository.findByName('test-feature')).id).toBe(flag.id);
+    expect(await repository.findByName('renamed-feature')).toBeNull();
+    expect(await repository.versions.count(flag.id)).toBe(1);
+  });
+
+  test('should let other writes wait for a batch', async () => {
+    let finish;
+    const batch = adapter.batch(async () => {
+      await adapter.put('records', 'a', { step: 1 });
+      await new Promise(resolve => {
+        finish = resolve;
+      });
+      throw new Error('failed');
+    });
+    await new Promise(setImmediate);
+
+    const put = adapter.put('records', 'b', { step: 2 });
+    await new Promise(setImmediate);
+    expect(await adapter.get('records', 'b')).toBeNull();
+
+    finish();
+    await expect(batch).rejects.toThrow('failed');
+    await put;
+    expect(await adapter.list('records')).toEqual([{ step: 2 }]);
+  });
+});
+
+(SqliteStorageAdapter.isAvailable() ? describe : describe.skip)('SqliteStorageAdapter', () => {
+  let filename;
+  let adapter;
+
+  beforeEach(() => {
+    filename = tempPath('db');
+    adapter = new SqliteStorageAdapter({ filename });
+  });
+
+  afterEach(async () => {
+    await adapter.close();
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${filename}${suffix}`, { force: true }));
+  });
+
+  test('should look records up through an index', async () => {
+    await adapter.put('apiKeys', 'key-1', { keyHash: 'abc' });
+    expect(await adapter.find('apiKeys', 'keyHash', 'abc')).toEqual([{ keyHash: 'abc' }]);
+
+    const plan = adapter.db.prepare(`EXPLAIN QUERY PLAN ${adapter._findStatement('keyHash').source}`)
+      .all({ collection: 'apiKeys', value: 'abc' });
+    expect(plan.map(step => step.detail).join('\n')).toContain('records_by_key_hash');
+  });
+
+  test('should find records by fields inside arrays', async () => {
+    await adapter.put('flags', 'a', { prerequisites: [{ flagId: 'x' }, { flagId: 'y' }] });
+    await adapter.put('flags', 'b', { prerequisites: { flagId: 'y' } });
+    await adapter.put('flags', 'c', { prerequisites: [] });
+
+    expect(await adapter.find('flags', 'prerequisites.flagId', 'y')).toEqual([
+      { prerequisites: [{ flagId: 'x' }, { flagId: 'y' }] },
+      { prerequisites: { flagId: 'y' } }
+    ]);
+    expect(await adapter.find('flags', 'prerequisites.flagId', 'z')).toEqual([]);
+  });
+
+  test('should roll back the changes of a failed batch', async () => {
+    const repository = new FeatureFlagRepository({ adapter });
+    const flag = await repository.create(new FeatureFlag({ name: 'test-feature' }));
+    jest.spyOn(repository.auditLog, 'create').mockRejectedValueOnce(new Error('audit log unavailable'));
+
+    await expect(repository.update(flag.id, { enabled: true })).rejects.toThrow('audit log unavailable');
+
+    expect(await repository.findById(flag.id)).toEqual(flag);
+    expect(await repository.versions.count(flag.id)).toBe(1);
+  });
+});
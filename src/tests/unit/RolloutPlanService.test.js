@@ -0,0 +1,145 @@
+// tests/unit/RolloutPlanService.test.js
+const RolloutPlanService = require('../../services/RolloutPlanService');
+const FeatureFlagRepository = require('../../repositories/FeatureFlagRepository');
+const RolloutPlanRepository = require('../../repositories/RolloutPlanRepository');
+const { MemoryStorageAdapter } = require('../../repositories/storage');
+const { FeatureFlag, RolloutPlan, PercentageRule } = require('../../models');
+
+describe('RolloutPlanService', () => {
+  const actor = { type: 'user', id: 'user-1', name: 'alice' };
+  const HOUR = 60 * 60 * 1000;
+  let repository;
+  let rolloutPlanRepository;
+  let clock;
+  let service;
+  let flag;
+  let rule;
+
+  const percentage = async () => (await repository.findById(flag.id)).getRule(rule.id).percentage;
+  const advanceClock = (ms) => {
+    clock.time = new Date(clock.time.getTime() + ms);
+  };
+  const start = () => service.start(new RolloutPlan({
+    featureFlagId: flag.id,
+    ruleId: rule.id,
+    steps: [5, 25, 50, 100],
+    intervalMinutes: 60,
+    createdBy: actor
+  }), { actor });
+
+  beforeEach(async () => {
+    const adapter = new MemoryStorageAdapter();
+    repository = new FeatureFlagRepository({ adapter });
+    rolloutPlanRepository = new RolloutPlanRepository({ adapter });
+    clock = { time: new Date('2026-10-19T12:00:00Z'), now() { return new Date(this.time); } };
+    service = new RolloutPlanService({ repository, rolloutPlanRepository, clock });
+
+    rule = new PercentageRule({ percentage: 1 });
+    flag = await repository.create(new FeatureFlag({ name: 'checkout', rules: [rule] }));
+  });
+
+  test('should apply the first step when started', async () => {
+    const { plan, featureFlag } = await start();
+
+    expect(plan.toJSON()).toMatchObject({
+      status: 'active',
+      currentStep: 0,
+      currentPercentage: 5,
+      initialPercentage: 1,
+      nextStepAt: new Date('2026-10-19T13:00:00Z')
+    });
+    expect(featureFlag.version).toBe(2);
+    expect(await percentage()).toBe(5);
+  });
+
+  test('should not start a second plan for a flag', async () => {
+    await start();
+
+    await expect(start()).rejects.toThrow('already exists');
+  });
+
+  test('should start only one of two plans started at once for a flag', async () => {
+    const results = await Promise.allSettled([start(), start()]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(({ status }) => status === 'rejected').reason.message).toMatch('already exists');
+    expect((await repository.findById(flag.id)).version).toBe(2);
+    expect(await rolloutPlanRepository.count({ featureFlagId: flag.id })).toBe(1);
+  });
+
+  test('should ramp through the steps and complete', async () => {
+    await start();
+
+    expect(await service.advanceDuePlans()).toEqual([]);
+
+    for (const expected of [25, 50, 100]) {
+      advanceClock(HOUR);
+      await service.advanceDuePlans();
+      expect(await percentage()).toBe(expected);
+    }
+
+    const [plan] = await rolloutPlanRepository.list();
+    expect(plan.toJSON()).toMatchObject({ status: 'completed', currentStep: 3, nextStepAt: null });
+    expect(plan.completedAt).toEqual(clock.time);
+  });
+
+  test('should record each step as a flag change', async () => {
+    await start();
+    advanceClock(HOUR);
+    await service.advanceDuePlans();
+
+    const entries = await repository.auditLog.list({ featureFlagId: flag.id });
+    expect(entries[0]).toMatchObject({ action: 'update', actor, version: 3 });
+    expect(entries[0].changes.rules.changed[0].after.percentage).toBe(25);
+  });
+
+  test('should not take steps while paused', async () => {
+    const { plan } = await start();
+    await service.pause(plan);
+
+    advanceClock(3 * HOUR);
+    await service.advanceDuePlans();
+    expect(await percentage()).toBe(5);
+
+    await service.resume(plan);
+    expect(plan.nextStepAt).toEqual(new Date(clock.time.getTime() + HOUR));
+
+    advanceClock(HOUR);
+    await service.advanceDuePlans();
+    expect(await percentage()).toBe(25);
+  });
+
+  test('should restore the initial percentage when aborted', async () => {
+    const { plan } = await start();
+
+    const { featureFlag } = await service.abort(plan, { revert: true }, { actor });
+
+    expect(plan.status).toBe('aborted');
+    expect(featureFlag.getRule(rule.id).percentage).toBe(1);
+
+    advanceClock(HOUR);
+    expect(await service.advanceDuePlans()).toEqual([]);
+  });
+
+  test('should keep the current percentage when aborted without reverting', async () => {
+    const { plan } = await start();
+
+    const { featureFlag } = await service.abort(plan, { revert: false }, { actor });
+
+    expect(featureFlag).toBeNull();
+    expect(await percentage()).toBe(5);
+  });
+
+  test('should fail when the rule is gone', async () => {
+    await start();
+    const current = await repository.findById(flag.id);
+    current.removeRule(rule.id);
+    await repository.update(flag.id, { rules: current.rules });
+
+    advanceClock(HOUR);
+    const [plan] = await service.advanceDuePlans();
+
+    expect(plan.status).toBe('failed');
+    expect(plan.error).toContain('not found');
+  });
+});
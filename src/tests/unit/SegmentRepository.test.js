@@ -0,0 +1,96 @@
+// tests/unit/SegmentRepository.test.js
+const SegmentRepository = require('../../repositories/SegmentRepository');
+const { Segment } = require('../../models');
+
+describe('SegmentRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new SegmentRepository();
+  });
+
+  afterEach(async () => {
+    await repository.clear();
+  });
+
+  describe('create', () => {
+    test('should create a segment', async () => {
+      const segment = new Segment({ name: 'beta-testers', userIds: ['user1'] });
+
+      const created = await repository.create(segment);
+
+      expect(created).toBe(segment);
+      expect(await repository.findById(segment.id)).toEqual(segment);
+      expect(await repository.findByName('beta-testers')).toEqual(segment);
+    });
+
+    test('should throw error for duplicate name', async () => {
+      await repository.create(new Segment({ name: 'beta-testers' }));
+
+      await expect(repository.create(new Segment({ name: 'beta-testers' }))).rejects.toThrow('already exists');
+    });
+
+    test('should allow the same name in different projects', async () => {
+      await repository.create(new Segment({ projectId: 'project-a', name: 'beta-testers' }));
+      await repository.create(new Segment({ projectId: 'project-b', name: 'beta-testers' }));
+
+      expect(await repository.count({ projectId: 'project-b' })).toBe(1);
+    });
+  });
+
+  describe('findByIds', () => {
+    test('should skip unknown IDs', async () => {
+      const segment = new Segment({ name: 'beta-testers' });
+      await repository.create(segment);
+
+      const found = await repository.findByIds([segment.id, 'non-existent']);
+      expect(found).toEqual([segment]);
+    });
+
+    test('should skip segments of other projects', async () => {
+      const segment = new Segment({ projectId: 'project-a', name: 'beta-testers' });
+      await repository.create(segment);
+
+      expect(await repository.findByIds([segment.id], 'project-b')).toEqual([]);
+      expect(await repository.findByIds([segment.id], 'project-a')).toEqual([segment]);
+    });
+  });
+
+  describe('update', () => {
+    test('should replace the stored segment', async () => {
+      const segment = new Segment({ name: 'beta-testers', userIds: ['user1'] });
+      await repository.create(segment);
+
+      const updated = await repository.update(segment.id, new Segment({ ...segment.toJSON(), userIds: ['user2'] }));
+
+      expect(updated.userIds).toEqual(['user2']);
+      expect((await repository.findById(segment.id)).userIds).toEqual(['user2']);
+    });
+
+    test('should return null for non-existent ID', async () => {
+      expect(await repository.update('non-existent', new Segment({ name: 'x' }))).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    test('should filter and paginate', async () => {
+      await repository.create(new Segment({ name: 'beta-testers' }));
+      await repository.create(new Segment({ name: 'beta-tenants' }));
+      await repository.create(new Segment({ name: 'internal' }));
+
+      expect(await repository.list({ search: 'beta', limit: 1 })).toHaveLength(1);
+      expect(await repository.count({ search: 'beta' })).toBe(2);
+    });
+  });
+
+  describe('delete', () => {
+    test('should delete segment', async () => {
+      const segment = new Segment({ name: 'beta-testers' });
+      await repository.create(segment);
+
+      expect(await repository.delete(segment.id)).toBe(true);
+      expect(await repository.findById(segment.id)).toBeNull();
+      expect(await repository.delete(segment.id)).toBe(false);
+    });
+  });
+});
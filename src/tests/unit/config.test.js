@@ -0,0 +1,29 @@
+describe('config', () => {
+  const originalEnv = process.env;
+
+  const loadConfig = (env) => {
+    process.env = { ...originalEnv, ...env };
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../config');
+    });
+    return config;
+  };
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should turn authentication on unless it is turned off', () => {
+    expect(loadConfig({ AUTH_ENABLED: undefined }).auth.enabled).toBe(true);
+    expect(loadConfig({ AUTH_ENABLED: 'false' }).auth.enabled).toBe(false);
+  });
+
+  test('should require a bootstrap key in production with in-memory storage', () => {
+    const production = { NODE_ENV: 'production', STORAGE_TYPE: 'memory', BOOTSTRAP_ADMIN_KEY: '' };
+
+    expect(() => loadConfig(production)).toThrow('bootstrapAdminKey is required in production');
+    expect(() => loadConfig({ ...production, BOOTSTRAP_ADMIN_KEY: 'secret' })).not.toThrow();
+    expect(() => loadConfig({ ...production, AUTH_ENABLED: 'false' })).not.toThrow();
+  });
+});
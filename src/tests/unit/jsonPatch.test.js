@@ -0,0 +1,103 @@
+const { applyJsonPatch, applyMergePatch } = require('../../utils/jsonPatch');
+
+describe('jsonPatch', () => {
+  describe('applyJsonPatch', () => {
+    test('should add object members and array elements', () => {
+      const result = applyJsonPatch({ foo: ['bar', 'baz'] }, [
+        { op: 'add', path: '/foo/1', value: 'qux' },
+        { op: 'add', path: '/foo/-', value: 'end' },
+        { op: 'add', path: '/child', value: { grandchild: {} } }
+      ]);
+
+      expect(result).toEqual({ foo: ['bar', 'qux', 'baz', 'end'], child: { grandchild: {} } });
+    });
+
+    test('should remove, replace, move and copy values', () => {
+      const result = applyJsonPatch({ foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' }, list: [1, 2, 3] }, [
+        { op: 'remove', path: '/list/1' },
+        { op: 'replace', path: '/foo/bar', value: 'boo' },
+        { op: 'move', from: '/foo/waldo', path: '/qux/thud' },
+        { op: 'copy', from: '/qux/corge', path: '/copied' }
+      ]);
+
+      expect(result).toEqual({
+        foo: { bar: 'boo' },
+        qux: { corge: 'grault', thud: 'fred' },
+        list: [1, 3],
+        copied: 'grault'
+      });
+    });
+
+    test('should unescape pointer tokens', () => {
+      const result = applyJsonPatch({ 'a/b': 1, 'm~n': 2 }, [
+        { op: 'replace', path: '/a~1b', value: 3 },
+        { op: 'remove', path: '/m~0n' }
+      ]);
+
+      expect(result).toEqual({ 'a/b': 3 });
+    });
+
+    test('should compare values deeply in test operations', () => {
+      expect(() => applyJsonPatch({ foo: { a: [1, 2] } }, [
+        { op: 'test', path: '/foo', value: { a: [1, 2] } }
+      ])).not.toThrow();
+
+      expect(() => applyJsonPatch({ foo: { a: [1, 2] } }, [
+        { op: 'test', path: '/foo', value: { a: [2, 1] } }
+      ])).toThrow('Operation 0 (test /foo) failed');
+    });
+
+    test('should fail on missing targets', () => {
+      expect(() => applyJsonPatch({ foo: 'bar' }, [{ op: 'remove', path: '/baz' }])).toThrow();
+      expect(() => applyJsonPatch({ foo: 'bar' }, [{ op: 'add', path: '/baz/bat', value: 'qux' }])).toThrow();
+      expect(() => applyJsonPatch({ foo: [1] }, [{ op: 'add', path: '/foo/5', value: 2 }])).toThrow();
+    });
+
+    test('should not move a value into itself', () => {
+      expect(() => applyJsonPatch({ foo: { bar: {} } }, [
+        { op: 'move', from: '/foo', path: '/foo/bar/baz' }
+      ])).toThrow();
+    });
+
+    test('should leave the document unchanged when an operation fails', () => {
+      const document = { foo: 'bar' };
+
+      expect(() => applyJsonPatch(document, [
+        { op: 'replace', path: '/foo', value: 'baz' },
+        { op: 'remove', path: '/missing' }
+      ])).toThrow('Operation 1 (remove /missing) failed');
+
+      expect(document).toEqual({ foo: 'bar' });
+    });
+
+    test('should replace the whole document', () => {
+      expect(applyJsonPatch({ foo: 'bar' }, [{ op: 'replace', path: '', value: [1] }])).toEqual([1]);
+    });
+  });
+
+  describe('applyMergePatch', () => {
+    test('should merge objects and remove null members', () => {
+      const target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'] };
+
+      const result = applyMergePatch(target, {
+        title: 'Hello!',
+        author: { familyName: null },
+        tags: ['example'],
+        phoneNumber: '+01-123-456-7890'
+      });
+
+      expect(result).toEqual({
+        title: 'Hello!',
+        author: { givenName: 'John' },
+        tags: ['example'],
+        phoneNumber: '+01-123-456-7890'
+      });
+      expect(target.author.familyName).toBe('Doe');
+    });
+
+    test('should replace non-object values', () => {
+      expect(applyMergePatch({ a: 'b' }, ['c'])).toEqual(['c']);
+      expect(applyMergePatch({ a: [1] }, { a: { b: 1 } })).toEqual({ a: { b: 1 } });
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { MetricsRegistry } = require('../../utils/metrics');
+
+describe('metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  test('should render counters and gauges with labels', () => {
+    const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['method'] });
+    const size = registry.gauge({ name: 'queue_size', help: 'Queued items' });
+
+    requests.inc({ method: 'GET' });
+    requests.inc({ method: 'GET' }, 2);
+    requests.inc({ method: 'POST' });
+    size.set({}, 7);
+
+    expect(registry.render()).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{method="GET"} 3',
+      'requests_total{method="POST"} 1',
+      '# HELP queue_size Queued items',
+      '# TYPE queue_size gauge',
+      'queue_size 7',
+      ''
+    ].join('\n'));
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [0.1, 1] });
+
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.5);
+    latency.observe({ route: '/a' }, 3);
+
+    expect(registry.render()).toContain([
+      'latency_seconds_bucket{route="/a",le="0.1"} 1',
+      'latency_seconds_bucket{route="/a",le="1"} 2',
+      'latency_seconds_bucket{route="/a",le="+Inf"} 3',
+      'latency_seconds_sum{route="/a"} 3.55',
+      'latency_seconds_count{route="/a"} 3'
+    ].join('\n'));
+  });
+
+  test('should escape label values', () => {
+    const counter = registry.counter({ name: 'flags_total', help: 'Flags', labelNames: ['flag'] });
+
+    counter.inc({ flag: 'say "hi"\\\n' });
+
+    expect(registry.render()).toContain('flags_total{flag="say \\"hi\\"\\\\\\n"} 1');
+  });
+
+  test('should reject missing labels and duplicate names', () => {
+    const counter = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['method', 'status'] });
+
+    expect(() => counter.inc({ method: 'GET' })).toThrow('missing labels: status');
+    expect(() => registry.gauge({ name: 'requests_total', help: 'Again' })).toThrow('already registered');
+  });
+});
@@ -1,5 +1,5 @@
 
-const { FeatureFlag, TenantRule, UserRule, PercentageRule, EvaluationContext, RULE_TYPES } = require('../../models');
+const { FeatureFlag, Rule, TenantRule, UserRule, PercentageRule, AttributeRule, RolloutRule, CompositeRule, SegmentRule, ScheduleRule, Segment, User, ApiKey, FlagUsage, EvaluationContext, RULE_TYPES, MAX_REGEX_INPUT_LENGTH } = require('../../models');
 
 describe('Feature Flag Models', () => {
   describe('TenantRule', () => {
@@ -75,6 +75,378 @@ describe('Feature Flag Models', () => {
     });
   });
 
+  describe('AttributeRule', () => {
+    const contextWith = (additionalData) => new EvaluationContext({
+      userId: 'user1',
+      tenantId: 'company1',
+      additionalData
+    });
+
+    test('should match equals and notEquals', () => {
+      const equals = new AttributeRule({ attribute: 'plan', operator: 'equals', value: 'pro' });
+      const notEquals = new AttributeRule({ attribute: 'plan', operator: 'notEquals', value: 'pro' });
+
+      expect(equals.evaluate(contextWith({ plan: 'pro' }))).toBe(true);
+      expect(equals.evaluate(contextWith({ plan: 'free' }))).toBe(false);
+      expect(notEquals.evaluate(contextWith({ plan: 'free' }))).toBe(true);
+    });
+
+    test('should match in and notIn lists', () => {
+      const inRule = new AttributeRule({ attribute: 'country', operator: 'in', value: ['DE', 'FR'] });
+      const notInRule = new AttributeRule({ attribute: 'country', operator: 'notIn', value: ['DE', 'FR'] });
+
+      expect(inRule.evaluate(contextWith({ country: 'DE' }))).toBe(true);
+      expect(inRule.evaluate(contextWith({ country: 'US' }))).toBe(false);
+      expect(notInRule.evaluate(contextWith({ country: 'US' }))).toBe(true);
+    });
+
+    test('should match string operators', () => {
+      const contains = new AttributeRule({ attribute: 'email', operator: 'contains', value: '@acme' });
+      const startsWith = new AttributeRule({ attribute: 'device', operator: 'startsWith', value: 'iPhone' });
+      const regex = new AttributeRule({ attribute: 'email', operator: 'regex', value: '^.+@acme\\.com$' });
+
+      expect(contains.evaluate(contextWith({ email: 'jane@acme.com' }))).toBe(true);
+      expect(startsWith.evaluate(contextWith({ device: 'iPhone 15' }))).toBe(true);
+      expect(startsWith.evaluate(contextWith({ device: 'Pixel 8' }))).toBe(false);
+      expect(regex.evaluate(contextWith({ email: 'jane@acme.com' }))).toBe(true);
+      expect(regex.evaluate(contextWith({ email: 'jane@acme.co' }))).toBe(false);
+    });
+
+    test('should not run a regex on overly long values', () => {
+      const regex = new AttributeRule({ attribute: 'email', operator: 'regex', value: '@acme\\.com$' });
+      const local = 'a'.repeat(MAX_REGEX_INPUT_LENGTH - '@acme.com'.length);
+
+      expect(regex.evaluate(contextWith({ email: `${local}@acme.com` }))).toBe(true);
+      expect(regex.evaluate(contextWith({ email: `a${local}@acme.com` }))).toBe(false);
+    });
+
+    test('should compare numeric values', () => {
+      const gt = new AttributeRule({ attribute: 'age', operator: 'gt', value: 18 });
+      const lt = new AttributeRule({ attribute: 'age', operator: 'lt', value: 18 });
+
+      expect(gt.evaluate(contextWith({ age: 21 }))).toBe(true);
+      expect(gt.evaluate(contextWith({ age: '21' }))).toBe(true);
+      expect(lt.evaluate(contextWith({ age: 21 }))).toBe(false);
+    });
+
+    test('should compare semantic versions', () => {
+      const semverGt = new AttributeRule({ attribute: 'appVersion', operator: 'semverGt', value: '2.1.0' });
+      const semverLt = new AttributeRule({ attribute: 'appVersion', operator: 'semverLt', value: '2.1.0' });
+
+      expect(semverGt.evaluate(contextWith({ appVersion: '2.10.0' }))).toBe(true);
+      expect(semverGt.evaluate(contextWith({ appVersion: '2.1.0-beta.1' }))).toBe(false);
+      expect(semverLt.evaluate(contextWith({ appVersion: '2.1.0-beta.1' }))).toBe(true);
+      expect(semverLt.evaluate(contextWith({ appVersion: 'not-a-version' }))).toBe(false);
+    });
+
+    test('should not match when the attribute is missing', () => {
+      const rule = new AttributeRule({ attribute: 'country', operator: 'notIn', value: ['DE'] });
+
+      expect(rule.evaluate(contextWith({}))).toBe(false);
+    });
+
+    test('should be created by Rule.fromJSON', () => {
+      const rule = Rule.fromJSON({ type: RULE_TYPES.ATTRIBUTE, attribute: 'plan', operator: 'equals', value: 'pro' });
+
+      expect(rule).toBeInstanceOf(AttributeRule);
+      expect(rule.toJSON()).toMatchObject({ attribute: 'plan', operator: 'equals', value: 'pro' });
+    });
+  });
+
+  describe('RolloutRule', () => {
+    const distribution = [
+      { variant: 'control', weight: 10 },
+      { variant: 'a', weight: 45 },
+      { variant: 'b', weight: 45 }
+    ];
+    const flag = { salt: 'checkout' };
+
+    test('should split traffic according to weights', () => {
+      const rule = new RolloutRule({ distribution });
+      const counts = { control: 0, a: 0, b: 0 };
+
+      for (let i = 0; i < 2000; i++) {
+        const context = new EvaluationContext({ userId: `user${i}`, tenantId: 'company1' });
+        counts[rule.resolveVariant(context, flag)]++;
+      }
+
+      expect(counts.control / 2000).toBeCloseTo(0.1, 1);
+      expect(counts.a / 2000).toBeCloseTo(0.45, 1);
+      expect(counts.b / 2000).toBeCloseTo(0.45, 1);
+    });
+
+    test('should be sticky for the same bucketing key', () => {
+      const rule = new RolloutRule({ distribution, bucketBy: 'tenantId' });
+      const variants = new Set();
+
+      for (let i = 0; i < 50; i++) {
+        const context = new EvaluationContext({ userId: `user${i}`, tenantId: 'company1' });
+        variants.add(rule.resolveVariant(context, flag));
+      }
+
+      expect(variants.size).toBe(1);
+    });
+
+    test('should bucket differently for different flag salts', () => {
+      const rule = new RolloutRule({ distribution: [{ variant: 'on', weight: 50 }, { variant: 'off', weight: 50 }] });
+      let differences = 0;
+
+      for (let i = 0; i < 200; i++) {
+        const context = new EvaluationContext({ userId: `user${i}`, tenantId: 'company1' });
+        if (rule.resolveVariant(context, { salt: 'flag-a' }) !== rule.resolveVariant(context, { salt: 'flag-b' })) {
+          differences++;
+        }
+      }
+
+      expect(differences).toBeGreaterThan(50);
+    });
+
+    test('should not match when the bucketing attribute is missing', () => {
+      const rule = new RolloutRule({ distribution, bucketBy: 'deviceId' });
+      const context = new EvaluationContext({ userId: 'user1', tenantId: 'company1' });
+
+      expect(rule.evaluate(context)).toBe(false);
+      expect(rule.evaluate(new EvaluationContext({ ...context, additionalData: { deviceId: 'd1' } }))).toBe(true);
+    });
+  });
+
+  describe('CompositeRule', () => {
+    const context = new EvaluationContext({
+      userId: 'user1',
+      tenantId: 'acme',
+      additionalData: { country: 'DE' }
+    });
+
+    test('should require every nested rule for all', () => {
+      const rule = new CompositeRule({
+        operator: 'all',
+        rules: [
+          { type: 'tenant', tenantIds: ['acme'] },
+          { type: 'percentage', percentage: 100 }
+        ]
+      });
+      const matchedSubRules = [];
+
+      expect(rule.evaluate(context, matchedSubRules)).toBe(true);
+      expect(matchedSubRules).toEqual(rule.rules.map(child => child.id));
+    });
+
+    test('should require one nested rule for any', () => {
+      const rule = new CompositeRule({
+        operator: 'any',
+        rules: [
+          { type: 'tenant', tenantIds: ['other'] },
+          { type: 'user', userIds: ['user1'] }
+        ]
+      });
+      const matchedSubRules = [];
+
+      expect(rule.evaluate(context, matchedSubRules)).toBe(true);
+      expect(matchedSubRules).toEqual([rule.rules[1].id]);
+    });
+
+    test('should support nested not', () => {
+      const rule = new CompositeRule({
+        operator: 'all',
+        rules: [
+          { type: 'user', userIds: ['user1'] },
+          {
+            type: 'composite',
+            operator: 'not',
+            rules: [{ type: 'attribute', attribute: 'country', operator: 'equals', value: 'DE' }]
+          }
+        ]
+      });
+
+      expect(rule.rules[1]).toBeInstanceOf(CompositeRule);
+      expect(rule.evaluate(context)).toBe(false);
+      expect(rule.evaluate(new EvaluationContext({ userId: 'user1', tenantId: 'acme', additionalData: { country: 'FR' } }))).toBe(true);
+    });
+
+    test('should round-trip nested rules through JSON', () => {
+      const rule = new CompositeRule({ operator: 'any', rules: [{ type: 'user', userIds: ['user1'] }] });
+      const copy = Rule.fromJSON(rule.toJSON());
+
+      expect(copy).toBeInstanceOf(CompositeRule);
+      expect(copy.rules[0]).toBeInstanceOf(UserRule);
+      expect(copy.rules[0].id).toBe(rule.rules[0].id);
+    });
+  });
+
+  describe('Segment', () => {
+    test('should match listed users and tenants', () => {
+      const segment = new Segment({ name: 'beta', userIds: ['user1'], tenantIds: ['company2'] });
+
+      expect(segment.matches(new EvaluationContext({ userId: 'user1', tenantId: 'company1' }))).toBe(true);
+      expect(segment.matches(new EvaluationContext({ userId: 'user2', tenantId: 'company2' }))).toBe(true);
+      expect(segment.matches(new EvaluationContext({ userId: 'user2', tenantId: 'company1' }))).toBe(false);
+    });
+
+    test('should match when every attribute condition matches', () => {
+      const segment = new Segment({
+        name: 'eu-pro',
+        conditions: [
+          { type: 'attribute', attribute: 'country', operator: 'in', value: ['DE', 'FR'] },
+          { type: 'attribute', attribute: 'plan', operator: 'equals', value: 'pro' }
+        ]
+      });
+      const contextWith = additionalData => new EvaluationContext({ userId: 'user1', tenantId: 'company1', additionalData });
+
+      expect(segment.matches(contextWith({ country: 'DE', plan: 'pro' }))).toBe(true);
+      expect(segment.matches(contextWith({ country: 'DE', plan: 'free' }))).toBe(false);
+    });
+  });
+
+  describe('SegmentRule', () => {
+    test('should evaluate the referenced segment from the context', () => {
+      const segment = new Segment({ name: 'beta', userIds: ['user1'] });
+      const rule = new SegmentRule({ segmentId: segment.id });
+      const segments = new Map([[segment.id, segment]]);
+
+      expect(rule.evaluate(new EvaluationContext({ userId: 'user1', tenantId: 'company1', segments }))).toBe(true);
+      expect(rule.evaluate(new EvaluationContext({ userId: 'user2', tenantId: 'company1', segments }))).toBe(false);
+    });
+
+    test('should throw when the segment is not resolved', () => {
+      const rule = new SegmentRule({ segmentId: 'missing' });
+
+      expect(() => rule.evaluate(new EvaluationContext({ userId: 'user1', tenantId: 'company1' }))).toThrow('not found');
+    });
+
+    test('should be listed by FeatureFlag.getSegmentIds', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [
+          { type: 'segment', segmentId: 'segment-1' },
+          { type: 'composite', operator: 'any', rules: [{ type: 'segment', segmentId: 'segment-2' }] }
+        ]
+      });
+
+      expect(flag.getSegmentIds()).toEqual(['segment-1', 'segment-2']);
+    });
+  });
+
+  describe('ScheduleRule', () => {
+    const at = (now) => new EvaluationContext({ userId: 'user1', tenantId: 'company1', now: new Date(now) });
+
+    test('should match between start and end', () => {
+      const rule = new ScheduleRule({ start: '2026-11-01T00:00:00Z', end: '2026-11-08T00:00:00Z' });
+
+      expect(rule.evaluate(at('2026-10-31T23:59:59Z'))).toBe(false);
+      expect(rule.evaluate(at('2026-11-01T00:00:00Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-11-07T23:59:59Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-11-08T00:00:00Z'))).toBe(false);
+    });
+
+    test('should leave open-ended windows unbounded', () => {
+      const rule = new ScheduleRule({ start: '2026-11-01T00:00:00Z' });
+
+      expect(rule.evaluate(at('2030-01-01T00:00:00Z'))).toBe(true);
+    });
+
+    test('should match within recurring windows', () => {
+      // Weekdays from 9:00 to 17:00 UTC; 2026-10-19 is a Monday
+      const rule = new ScheduleRule({ windows: [{ cron: '0 9 * * 1-5', durationMinutes: 480 }] });
+
+      expect(rule.evaluate(at('2026-10-19T08:59:00Z'))).toBe(false);
+      expect(rule.evaluate(at('2026-10-19T09:00:00Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-10-19T16:59:59Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-10-19T17:00:00Z'))).toBe(false);
+      expect(rule.evaluate(at('2026-10-18T12:00:00Z'))).toBe(false);
+    });
+
+    test('should keep windows open across midnight', () => {
+      // Fridays from 22:00 for four hours
+      const rule = new ScheduleRule({ windows: [{ cron: '0 22 * * 5', durationMinutes: 240 }] });
+
+      expect(rule.evaluate(at('2026-10-24T01:30:00Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-10-24T02:00:00Z'))).toBe(false);
+    });
+
+    test('should support lists, ranges and steps', () => {
+      // The first ten minutes of every other hour on the 1st and 15th
+      const rule = new ScheduleRule({ windows: [{ cron: '0 */2 1,15 * *', durationMinutes: 10 }] });
+
+      expect(rule.evaluate(at('2026-11-15T04:05:00Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-11-15T05:05:00Z'))).toBe(false);
+      expect(rule.evaluate(at('2026-11-16T04:05:00Z'))).toBe(false);
+    });
+
+    test('should combine the start/end window with recurring windows', () => {
+      const rule = new ScheduleRule({
+        end: '2026-10-20T00:00:00Z',
+        windows: [{ cron: '0 9 * * *', durationMinutes: 60 }]
+      });
+
+      expect(rule.evaluate(at('2026-10-19T09:30:00Z'))).toBe(true);
+      expect(rule.evaluate(at('2026-10-20T09:30:00Z'))).toBe(false);
+    });
+
+    test('should throw on invalid cron expressions', () => {
+      const rule = new ScheduleRule({ windows: [{ cron: 'every day', durationMinutes: 60 }] });
+
+      expect(() => rule.evaluate(at('2026-10-19T09:30:00Z'))).toThrow('Invalid cron expression');
+    });
+
+    test('should round-trip through JSON', () => {
+      const rule = new ScheduleRule({ start: '2026-11-01T00:00:00Z', windows: [{ cron: '0 9 * * *', durationMinutes: 60 }] });
+      const restored = Rule.fromJSON(JSON.parse(JSON.stringify(rule.toJSON())));
+
+      expect(restored).toBeInstanceOf(ScheduleRule);
+      expect(restored.toJSON()).toEqual(rule.toJSON());
+    });
+  });
+
+  describe('User', () => {
+    test('should use flag-specific roles over the project role', () => {
+      const user = new User({ name: 'alice', role: 'viewer', flagRoles: { 'flag-1': 'owner' } });
+
+      expect(user.getRole()).toBe('viewer');
+      expect(user.getRole('flag-1')).toBe('owner');
+      expect(user.can('delete', 'flag-1')).toBe(true);
+      expect(user.can('delete', 'flag-2')).toBe(false);
+    });
+  });
+
+  describe('ApiKey', () => {
+    test('should only keep a hash of the generated key', () => {
+      const apiKey = new ApiKey({ name: 'backend', scope: 'evaluation' });
+      const key = apiKey.generateKey();
+
+      expect(key).toMatch(/^ftk_/);
+      expect(apiKey.keyHash).toBe(ApiKey.hash(key));
+      expect(key.startsWith(apiKey.keyPrefix)).toBe(true);
+      expect(apiKey.toJSON().keyHash).toBeUndefined();
+      expect(ApiKey.fromJSON(apiKey.toRecord()).keyHash).toBe(apiKey.keyHash);
+    });
+
+    test('should replace the hash when rotated', () => {
+      const apiKey = new ApiKey({ name: 'backend' });
+      const first = apiKey.generateKey();
+      const second = apiKey.generateKey();
+
+      expect(second).not.toBe(first);
+      expect(apiKey.keyHash).toBe(ApiKey.hash(second));
+    });
+
+    test('should grant every scope to admin keys', () => {
+      const admin = new ApiKey({ name: 'admin', scope: 'admin' });
+      const evaluation = new ApiKey({ name: 'sdk', scope: 'evaluation' });
+
+      expect(admin.hasScope('evaluation')).toBe(true);
+      expect(evaluation.hasScope('evaluation')).toBe(true);
+      expect(evaluation.hasScope('admin')).toBe(false);
+    });
+
+    test('should only access its own project', () => {
+      const apiKey = new ApiKey({ projectId: 'project-a', name: 'sdk' });
+
+      expect(apiKey.canAccessProject('project-a')).toBe(true);
+      expect(apiKey.canAccessProject('project-b')).toBe(false);
+      expect(new ApiKey({ projectId: null, name: 'root' }).canAccessProject('project-b')).toBe(true);
+    });
+  });
+
   describe('FeatureFlag', () => {
     test('should create feature flag with rules', () => {
       const rules = [
@@ -95,6 +467,130 @@ describe('Feature Flag Models', () => {
       expect(flag.rules[1]).toBeInstanceOf(UserRule);
     });
 
+    test('should replace and reorder rules by ID', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        rules: [
+          { type: 'tenant', tenantIds: ['company1'] },
+          { type: 'user', userIds: ['user1'] }
+        ]
+      });
+      const [tenantRule, userRule] = flag.rules;
+
+      flag.replaceRule(new UserRule({ id: tenantRule.id, userIds: ['user2'] }));
+      expect(flag.getRule(tenantRule.id).userIds).toEqual(['user2']);
+
+      flag.reorderRules([userRule.id, tenantRule.id]);
+      expect(flag.rules.map(rule => rule.id)).toEqual([userRule.id, tenantRule.id]);
+
+      expect(() => flag.reorderRules([userRule.id])).toThrow('exactly once');
+      expect(() => flag.reorderRules([userRule.id, userRule.id])).toThrow('exactly once');
+    });
+
+    test('should declare variants with a default', () => {
+      const flag = new FeatureFlag({
+        name: 'checkout',
+        variants: [
+          { key: 'control', value: 'checkout-v1' },
+          { key: 'treatment', value: 'checkout-v2' }
+        ],
+        defaultVariant: 'control',
+        rules: [{ type: 'user', userIds: ['user1'], variant: 'treatment' }]
+      });
+
+      expect(flag.isMultivariate()).toBe(true);
+      expect(flag.getVariant('treatment').value).toBe('checkout-v2');
+      expect(flag.toJSON().rules[0].variant).toBe('treatment');
+    });
+
+    test('should reject undeclared variant references', () => {
+      const variants = [{ key: 'control', value: false }];
+
+      expect(() => new FeatureFlag({ name: 'checkout', variants })).toThrow('default variant is required');
+      expect(() => new FeatureFlag({ name: 'checkout', variants, defaultVariant: 'missing' })).toThrow('not declared');
+      expect(() => new FeatureFlag({
+        name: 'checkout',
+        variants,
+        defaultVariant: 'control',
+        rules: [{ type: 'user', userIds: ['user1'], variant: 'treatment' }]
+      })).toThrow('undeclared variant');
+    });
+
+    test('should tell whether it is fully rolled out', () => {
+      expect(new FeatureFlag({ name: 'on', enabled: true }).isFullyRolledOut()).toBe(true);
+      expect(new FeatureFlag({ name: 'off' }).isFullyRolledOut()).toBe(false);
+      expect(new FeatureFlag({
+        name: 'everyone',
+        rules: [{ type: 'percentage', percentage: 100 }]
+      }).isFullyRolledOut()).toBe(true);
+      expect(new FeatureFlag({
+        name: 'half',
+        enabled: true,
+        rules: [{ type: 'percentage', percentage: 50 }]
+      }).isFullyRolledOut()).toBe(false);
+      expect(new FeatureFlag({
+        name: 'staged',
+        enabled: true,
+        environments: { production: { rules: [{ type: 'user', userIds: ['user1'] }] } }
+      }).isFullyRolledOut('production')).toBe(false);
+    });
+
+    test('should inherit settings an environment does not override', () => {
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        enabled: true,
+        rules: [{ type: 'user', userIds: ['user1'] }],
+        environments: {
+          production: { enabled: false },
+          staging: { rules: [{ type: 'tenant', tenantIds: ['company1'] }] }
+        }
+      });
+
+      expect(flag.getEnvironmentConfig('production')).toEqual({ enabled: false, rules: flag.rules });
+      expect(flag.getEnvironmentConfig('staging').enabled).toBe(true);
+      expect(flag.getEnvironmentConfig('staging').rules[0]).toBeInstanceOf(TenantRule);
+      expect(flag.getEnvironmentConfig('development')).toEqual({ enabled: true, rules: flag.rules });
+      expect(flag.toJSON().environments).toEqual({
+        production: { enabled: false },
+        staging: { rules: [flag.environments.staging.rules[0].toJSON()] }
+      });
+    });
+
+    test('should validate variants of environment rules', () => {
+      expect(() => new FeatureFlag({
+        name: 'checkout',
+        variants: [{ key: 'control', value: false }],
+        defaultVariant: 'control',
+        environments: {
+          staging: { rules: [{ type: 'user', userIds: ['user1'], variant: 'treatment' }] }
+        }
+      })).toThrow('undeclared variant');
+    });
+
+    test('should diff and promote environments', () => {
+      const stagingRule = { type: 'tenant', tenantIds: ['company1'] };
+      const flag = new FeatureFlag({
+        name: 'test-feature',
+        environments: {
+          staging: { enabled: true, rules: [stagingRule] },
+          production: { enabled: false }
+        }
+      });
+
+      const diff = flag.diffEnvironments('staging', 'production');
+      expect(diff.hasChanges).toBe(true);
+      expect(diff.enabled).toEqual({ before: false, after: true });
+      expect(diff.rules.added).toHaveLength(1);
+      expect(diff.rules.removed).toEqual([]);
+
+      flag.promoteEnvironment('staging', 'production');
+
+      expect(flag.getEnvironmentConfig('production').enabled).toBe(true);
+      expect(flag.getEnvironmentConfig('production').rules[0].toJSON())
+        .toEqual(flag.getEnvironmentConfig('staging').rules[0].toJSON());
+      expect(flag.diffEnvironments('staging', 'production').hasChanges).toBe(false);
+    });
+
     test('should serialize to JSON correctly', () => {
       const flag = new FeatureFlag({
         name: 'test-feature',
@@ -108,4 +604,33 @@ describe('Feature Flag Models', () => {
       expect(json.id).toBeDefined();
     });
   });
-});
\ No newline at end of file
+
+  describe('FlagUsage', () => {
+    test('should count evaluations by outcome and variant', () => {
+      const usage = new FlagUsage({ featureFlagId: 'flag-1' });
+
+      usage.record({ enabled: true, variant: 'treatment', timestamp: '2026-10-19T12:00:00.000Z' });
+      usage.record({ enabled: false, variant: 'control', timestamp: '2026-10-19T11:00:00.000Z' });
+      usage.record({ enabled: false, variant: 'control', timestamp: '2026-10-19T10:00:00.000Z' });
+
+      expect(usage.toJSON()).toEqual({
+        featureFlagId: 'flag-1',
+        evaluations: 3,
+        enabled: 1,
+        disabled: 2,
+        variants: { treatment: 1, control: 2 },
+        lastEvaluatedAt: new Date('2026-10-19T12:00:00.000Z')
+      });
+    });
+
+    test('should merge usage', () => {
+      const usage = new FlagUsage({ featureFlagId: 'flag-1', evaluations: 2, enabled: 2, variants: { control: 2 } });
+      usage.merge(new FlagUsage({ featureFlagId: 'flag-1', evaluations: 1, disabled: 1, variants: { control: 1 }, lastEvaluatedAt: '2026-10-19T12:00:00.000Z' }));
+
+      expect(usage.toJSON()).toMatchObject({ evaluations: 3, enabled: 2, disabled: 1, variants: { control: 3 } });
+      expect(usage.isUnusedSince(new Date('2026-10-19T00:00:00.000Z'))).toBe(false);
+      expect(usage.isUnusedSince(new Date('2026-10-20T00:00:00.000Z'))).toBe(true);
+      expect(new FlagUsage({ featureFlagId: 'flag-2' }).isUnusedSince(new Date())).toBe(true);
+    });
+  });
+});
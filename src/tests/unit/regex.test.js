@@ -0,0 +1,35 @@
+const { findAmbiguousRepetition } = require('../../utils/regex');
+
+describe('regex', () => {
+  describe('findAmbiguousRepetition', () => {
+    test.each([
+      ['^(a+)+$', '(a+)+'],
+      ['(\\w*,)*x', '(\\w*,)*'],
+      ['^(?:a|b+){2,}$', '(?:a|b+){2,}'],
+      ['((ab)+c)*', '((ab)+c)*'],
+      ['(?<word>[a-z]+\\s?)+?$', '(?<word>[a-z]+\\s?)+?'],
+      ['(x{2,})+', '(x{2,})+'],
+      ['^(\\w|\\d)+$', '(\\w|\\d)+'],
+      ['^(a|a)*$', '(a|a)*'],
+      ['^(?:(?:a|b)c)+$', '(?:(?:a|b)c)+'],
+      ['^(?:x|y){2,5}$', '(?:x|y){2,5}']
+    ])('should find the repeated group in %s', (pattern, group) => {
+      expect(findAmbiguousRepetition(pattern)).toBe(group);
+    });
+
+    test.each([
+      '^.+@acme\\.com$',
+      '^(\\d{1,3}\\.){3}\\d{1,3}$',
+      '^(ab?)+$',
+      '^(a+)?b$',
+      '[(a+)+]',
+      '\\(a+\\)+',
+      '^(?:beta|rc)-\\d+$',
+      '^(?:beta|rc)?-\\d+$',
+      '^[\\w|]+$',
+      'a|b+'
+    ])('should accept %s', (pattern) => {
+      expect(findAmbiguousRepetition(pattern)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Source of the current time
+ *
+ * Time-dependent code, such as schedule rules and the change scheduler,
+ * reads the time from a clock passed in rather than from `new Date()`, so
+ * tests can substitute a fixed or advancing clock.
+ */
+
+/**
+ * Clock reading the system time
+ */
+const systemClock = Object.freeze({
+  /**
+   * @returns {Date} - The current time
+   */
+  now() {
+    return new Date();
+  }
+});
+
+module.exports = {
+  systemClock
+};
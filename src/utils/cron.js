@@ -0,0 +1,142 @@
+/**
+ * Minimal cron expression helpers
+ *
+ * Supports the five standard fields (minute, hour, day of month, month,
+ * day of week) with `*`, single values, ranges, lists and `/` steps, which
+ * is enough to describe recurring time windows. Times are in UTC. As in
+ * classic cron, when both day fields are restricted a day matches if
+ * either does.
+ */
+
+const MINUTE = 60 * 1000;
+
+const FIELDS = [
+  { name: 'minutes', min: 0, max: 59 },
+  { name: 'hours', min: 0, max: 23 },
+  { name: 'daysOfMonth', min: 1, max: 31 },
+  { name: 'months', min: 1, max: 12 },
+  { name: 'daysOfWeek', min: 0, max: 7 }
+];
+
+const PART_PATTERN = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/;
+
+/**
+ * Parse one field of an expression
+ * @param {string} field - The field, e.g. "1-5" or "*\/15"
+ * @param {Object} range - The field's name and allowed range
+ * @returns {Set<number>|null} - The matching values or null if invalid
+ */
+function parseField(field, { min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = PART_PATTERN.exec(part);
+    if (!match) return null;
+
+    const [, all, from, to, step] = match;
+    const start = all === '*' ? min : parseInt(from, 10);
+    // A single value with a step runs to the end of the range, e.g. 5/15
+    const end = all === '*' || (step && to === undefined)
+      ? max
+      : parseInt(to === undefined ? from : to, 10);
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (start < min || end > max || start > end || increment < 1) return null;
+
+    for (let value = start; value <= end; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Expression such as "0 9 * * 1-5"
+ * @returns {Object|null} - Parsed expression or null if invalid
+ */
+function parse(expression) {
+  if (typeof expression !== 'string') return null;
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== FIELDS.length) return null;
+
+  const schedule = {};
+  for (let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(fields[i], FIELDS[i]);
+    if (!values) return null;
+    schedule[FIELDS[i].name] = values;
+  }
+
+  // Sunday can be written as 0 or 7
+  if (schedule.daysOfWeek.has(7)) {
+    schedule.daysOfWeek.add(0);
+  }
+  schedule.restrictsDayOfMonth = fields[2] !== '*';
+  schedule.restrictsDayOfWeek = fields[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * Check whether a string is a valid cron expression
+ * @param {string} expression - The expression
+ * @returns {boolean} - True if the expression can be parsed
+ */
+function isValid(expression) {
+  return parse(expression) !== null;
+}
+
+/**
+ * Check whether a parsed expression matches a date's day
+ * @param {Object} schedule - Parsed expression
+ * @param {Date} date - The date
+ * @returns {boolean} - True if the month and day match
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.months.has(date.getUTCMonth() + 1)) return false;
+
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  return schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek
+    ? dayOfMonth || dayOfWeek
+    : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the latest time a parsed expression fires at or before a date
+ * Days and hours that cannot match are skipped as a whole.
+ * @param {Object} schedule - Parsed expression
+ * @param {Date} date - The date to search back from
+ * @param {number} maxMinutes - How far back to search
+ * @returns {Date|null} - The start of the matching minute, or null if there
+ *   is none within the search range
+ */
+function lastOccurrence(schedule, date, maxMinutes) {
+  const earliest = date.getTime() - maxMinutes * MINUTE;
+  let time = Math.floor(date.getTime() / MINUTE) * MINUTE;
+
+  while (time >= earliest) {
+    const current = new Date(time);
+
+    if (!matchesDay(schedule, current)) {
+      time = Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate()) - MINUTE;
+    } else if (!schedule.hours.has(current.getUTCHours())) {
+      time -= (current.getUTCMinutes() + 1) * MINUTE;
+    } else if (!schedule.minutes.has(current.getUTCMinutes())) {
+      time -= MINUTE;
+    } else {
+      return current;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse,
+  isValid,
+  lastOccurrence
+};
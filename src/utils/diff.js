@@ -0,0 +1,70 @@
+/**
+ * Helpers for describing the changes between two versions of a configuration
+ */
+
+/**
+ * Check whether two JSON-serializable values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if both serialize identically
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two lists of objects, matching items by their `id`
+ * @param {Array<Object>} before - Items before the change
+ * @param {Array<Object>} after - Items after the change
+ * @returns {Object} - `added`, `removed` and `changed` items, and whether
+ *   the items present in both lists were reordered
+ */
+function diffById(before, after) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+
+  const keptBefore = before.filter(item => afterIds.has(item.id)).map(item => item.id);
+  const keptAfter = after.filter(item => beforeById.has(item.id)).map(item => item.id);
+
+  return {
+    added: after.filter(item => !beforeById.has(item.id)),
+    removed: before.filter(item => !afterIds.has(item.id)),
+    changed: after
+      .filter(item => beforeById.has(item.id) && !isEqual(beforeById.get(item.id), item))
+      .map(item => ({ id: item.id, before: beforeById.get(item.id), after: item })),
+    reordered: !isEqual(keptBefore, keptAfter)
+  };
+}
+
+/**
+ * Compare the fields of two plain objects
+ * @param {Object} before - Object before the change; empty for a creation
+ * @param {Object} after - Object after the change; empty for a deletion
+ * @param {Object} [options] - Comparison options
+ * @param {Array<string>} [options.ignore] - Fields left out of the comparison
+ * @param {Array<string>} [options.byId] - List fields compared with `diffById`
+ * @returns {Object} - Changed fields, each with its `before` and `after`
+ *   value (null when absent), or the `diffById` result for list fields
+ */
+function diffFields(before, after, { ignore = [], byId = [] } = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (ignore.includes(field) || isEqual(before[field], after[field])) {
+      continue;
+    }
+
+    changes[field] = byId.includes(field)
+      ? diffById(before[field] || [], after[field] || [])
+      : { before: before[field] ?? null, after: after[field] ?? null };
+  }
+
+  return changes;
+}
+
+module.exports = {
+  isEqual,
+  diffById,
+  diffFields
+};
@@ -0,0 +1,42 @@
+/**
+ * Entity tag helpers for optimistic concurrency control
+ *
+ * A flag's ETag is its version number as a strong entity tag, e.g. "3".
+ */
+
+/**
+ * Format a version number as an ETag
+ * @param {number} version - The version number
+ * @returns {string} - The ETag
+ */
+function formatETag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Parse an If-Match header
+ * Weak tags never match, as If-Match uses strong comparison.
+ * @param {string} [header] - The If-Match header
+ * @returns {Array<number>|string|null} - The versions listed, '*' to match
+ *   any version, or null if the header is absent
+ */
+function parseIfMatch(header) {
+  if (header === undefined || header === null) {
+    return null;
+  }
+
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  return header
+    .split(',')
+    .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+}
+
+module.exports = {
+  formatETag,
+  parseIfMatch
+};
@@ -0,0 +1,241 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7386) helpers
+ *
+ * Patches are applied to a copy of the document; the original is never
+ * modified. Paths are JSON Pointers (RFC 6901).
+ */
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - JSON-serializable value
+ * @returns {*} - The copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - The value
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Compare two JSON values, ignoring the order of object keys
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function isDeepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => isDeepEqual(item, b[index]));
+  }
+
+  if (isObject(a) || isObject(b)) {
+    if (!isObject(a) || !isObject(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+  }
+
+  return a === b;
+}
+
+/**
+ * Split a JSON Pointer into its reference tokens
+ * @param {string} pointer - The JSON Pointer, e.g. "/rules/0/userIds"
+ * @returns {Array<string>} - The unescaped tokens; empty for the whole document
+ * @throws {Error} - If the pointer is malformed
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer '${pointer}'`);
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve an array index token
+ * @param {Array} array - The array
+ * @param {string} token - The reference token
+ * @param {boolean} [allowEnd] - Whether the index just past the end is valid
+ * @returns {number} - The index
+ * @throws {Error} - If the token is not a valid index
+ */
+function toIndex(array, token, allowEnd = false) {
+  const max = allowEnd ? array.length : array.length - 1;
+
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || parseInt(token, 10) > max) {
+    throw new Error(`Array index '${token}' is out of bounds`);
+  }
+  return parseInt(token, 10);
+}
+
+/**
+ * Get the value a JSON Pointer refers to
+ * @param {*} document - The document
+ * @param {Array<string>} tokens - The pointer's tokens
+ * @returns {*} - The value
+ * @throws {Error} - If the value does not exist
+ */
+function getValue(document, tokens) {
+  return tokens.reduce((value, token) => {
+    if (Array.isArray(value)) {
+      return value[toIndex(value, token)];
+    }
+    if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+      return value[token];
+    }
+    throw new Error(`Path '/${tokens.join('/')}' does not exist`);
+  }, document);
+}
+
+/**
+ * Get the container holding the value a JSON Pointer refers to
+ * @param {*} document - The document
+ * @param {Array<string>} tokens - The pointer's tokens, at least one
+ * @returns {Object} - The `parent` container and the last `token`
+ * @throws {Error} - If the parent is missing or not a container
+ */
+function getParent(document, tokens) {
+  const parent = getValue(document, tokens.slice(0, -1));
+
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new Error(`Path '/${tokens.slice(0, -1).join('/')}' is not an object or array`);
+  }
+  return { parent, token: tokens[tokens.length - 1] };
+}
+
+/**
+ * Add a value, inserting into arrays
+ * @returns {*} - The document after the operation
+ */
+function addValue(document, tokens, value) {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, token } = getParent(document, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(token === '-' ? parent.length : toIndex(parent, token, true), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+}
+
+/**
+ * Remove an existing value
+ * @returns {*} - The document after the operation
+ */
+function removeValue(document, tokens) {
+  if (tokens.length === 0) {
+    throw new Error('The whole document cannot be removed');
+  }
+
+  getValue(document, tokens);
+  const { parent, token } = getParent(document, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, token), 1);
+  } else {
+    delete parent[token];
+  }
+  return document;
+}
+
+/**
+ * Apply a single JSON Patch operation
+ * @param {*} document - The document, modified in place where possible
+ * @param {Object} operation - The operation
+ * @returns {*} - The document after the operation
+ */
+function applyOperation(document, { op, path, value, from }) {
+  const tokens = parsePointer(path);
+
+  switch (op) {
+    case 'add':
+      return addValue(document, tokens, clone(value));
+    case 'remove':
+      return removeValue(document, tokens);
+    case 'replace':
+      getValue(document, tokens);
+      return addValue(tokens.length ? removeValue(document, tokens) : document, tokens, clone(value));
+    case 'move': {
+      const fromTokens = parsePointer(from);
+      if (path !== from && path.startsWith(`${from}/`)) {
+        throw new Error(`Cannot move '${from}' into itself`);
+      }
+      const moved = getValue(document, fromTokens);
+      return addValue(removeValue(document, fromTokens), tokens, moved);
+    }
+    case 'copy':
+      return addValue(document, tokens, clone(getValue(document, parsePointer(from))));
+    case 'test':
+      if (!isDeepEqual(getValue(document, tokens), value)) {
+        throw new Error(`Value at '${path}' does not match`);
+      }
+      return document;
+    default:
+      throw new Error(`Unknown operation '${op}'`);
+  }
+}
+
+/**
+ * Apply a JSON Patch
+ * The patch is atomic: if any operation fails, an error is thrown and no
+ * result is returned.
+ * @param {*} document - The document to patch
+ * @param {Array<Object>} operations - The JSON Patch operations
+ * @returns {*} - The patched copy of the document
+ * @throws {Error} - If an operation cannot be applied
+ */
+function applyJsonPatch(document, operations) {
+  return operations.reduce((result, operation, index) => {
+    try {
+      return applyOperation(result, operation);
+    } catch (error) {
+      throw new Error(`Operation ${index} (${operation.op} ${operation.path}) failed: ${error.message}`);
+    }
+  }, clone(document));
+}
+
+/**
+ * Apply a JSON Merge Patch
+ * Objects are merged recursively, null removes a member and any other
+ * value, including arrays, replaces the target value.
+ * @param {*} target - The document to patch
+ * @param {*} patch - The merge patch
+ * @returns {*} - The patched copy of the document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  JSON_PATCH_OPERATIONS,
+  applyJsonPatch,
+  applyMergePatch
+};
@@ -0,0 +1,277 @@
+/**
+ * Metrics in the Prometheus text exposition format
+ *
+ * A minimal implementation of counters, gauges and histograms with labels,
+ * so the service can be scraped without a metrics client dependency.
+ * Modules define their metrics on the shared registry, much like they use
+ * the shared logger.
+ */
+
+// Latency buckets in seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - The label value
+ * @returns {string} - The escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a set of labels
+ * @param {Object} labels - Label values by name
+ * @returns {string} - e.g. `{method="GET",status="200"}`, or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - The value
+ * @returns {string} - The value as the text format expects it
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base class of metrics
+ *
+ * Samples are kept per combination of label values; every label must be
+ * given on each update.
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown with the metric
+   * @param {Array<string>} [options.labelNames] - Names of the metric's labels
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Get the key samples with these labels are stored under
+   * @param {Object} labels - Label values by name
+   * @returns {string} - The key
+   */
+  _key(labels) {
+    const missing = this.labelNames.filter(name => labels[name] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Metric ${this.name} is missing labels: ${missing.join(', ')}`);
+    }
+
+    return JSON.stringify(this.labelNames.map(name => String(labels[name])));
+  }
+
+  /**
+   * Get the labels samples are stored under
+   * @param {string} key - The key
+   * @returns {Object} - Label values by name
+   */
+  _labels(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+  }
+
+  /**
+   * Drop every sample
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Render the metric
+   * @returns {string} - The metric in the text format
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(...this._renderSamples(this._labels(key), value));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the samples of one set of labels
+   * @param {Object} labels - Label values by name
+   * @param {*} value - The stored value
+   * @returns {Array<string>} - Sample lines
+   */
+  _renderSamples(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+/**
+ * Counter, a value that only goes up
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values by name
+   * @param {number} [amount] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+/**
+ * Gauge, a value that goes up and down
+ */
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values by name
+   * @param {number} value - The value
+   */
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+}
+
+/**
+ * Histogram, counting observations into cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, as for other metrics
+   * @param {Array<number>} [options.buckets] - Upper bounds of the buckets, ascending
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values by name
+   * @param {number} value - The observed value
+   */
+  observe(labels, value) {
+    const key = this._key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const sample = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        sample.counts[index]++;
+      }
+    });
+    sample.sum += value;
+    sample.count++;
+  }
+
+  _renderSamples(labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Define a counter
+   * @param {Object} options - Metric options
+   * @returns {Counter} - The counter
+   */
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  /**
+   * Define a gauge
+   * @param {Object} options - Metric options
+   * @returns {Gauge} - The gauge
+   */
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  /**
+   * Define a histogram
+   * @param {Object} options - Metric options, with optional `buckets`
+   * @returns {Histogram} - The histogram
+   */
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  /**
+   * Render every metric
+   * @returns {string} - The metrics in the text format
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  /**
+   * Drop every sample of every metric (useful for testing)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  /**
+   * Add a metric to the registry
+   * @param {Metric} metric - The metric
+   * @returns {Metric} - The metric
+   */
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+  DEFAULT_BUCKETS,
+  // Registry of the metrics served at /metrics
+  registry: new MetricsRegistry()
+};
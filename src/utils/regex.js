@@ -0,0 +1,120 @@
+/**
+ * Checks for regular expressions prone to catastrophic backtracking
+ *
+ * Regex rules are written by admins but run against values supplied by
+ * callers, so patterns whose matching time can explode are rejected when a
+ * rule is saved. The check looks for the common culprits, repeated groups
+ * that can match the same text in more than one way: groups containing an
+ * unbounded quantifier such as `(a+)+` or `(\w*,)*`, and groups containing
+ * alternatives such as `(\w|\d)+`. Alternatives that cannot overlap are
+ * rejected too; it is a conservative heuristic, not a proof that a pattern
+ * is safe.
+ */
+
+// A quantifier at the start of the string: *, +, ?, {n}, {n,} or {n,m}
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+
+/**
+ * Parse the quantifier at a position of a pattern
+ * @param {string} pattern - The regular expression source
+ * @param {number} index - Position to look at
+ * @returns {Object|null} - `{length, repeats, unbounded}` or null without a quantifier
+ */
+function parseQuantifier(pattern, index) {
+  const match = QUANTIFIER_PATTERN.exec(pattern.slice(index));
+  if (!match) return null;
+
+  const [token, , comma, max] = match;
+  let repeats;
+  let unbounded;
+
+  if (token === '?') {
+    repeats = false;
+    unbounded = false;
+  } else if (token === '*' || token === '+') {
+    repeats = true;
+    unbounded = true;
+  } else {
+    unbounded = Boolean(comma) && max === '';
+    repeats = unbounded || (Boolean(comma) && parseInt(max, 10) > 1) || parseInt(match[1], 10) > 1;
+  }
+
+  // A trailing ? makes the quantifier lazy, which does not limit backtracking
+  const length = token.length + (pattern[index + token.length] === '?' ? 1 : 0);
+  return { length, repeats, unbounded };
+}
+
+/**
+ * Get the length of the prefix of a group, e.g. `?:` or `?<name>`
+ * @param {string} pattern - The regular expression source
+ * @param {number} index - Position after the opening parenthesis
+ * @returns {number} - Length of the prefix, 0 for capturing groups
+ */
+function groupPrefixLength(pattern, index) {
+  if (pattern[index] !== '?') return 0;
+
+  const match = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(index));
+  return match ? match[0].length : 1;
+}
+
+/**
+ * Find a repeated group containing an unbounded quantifier or alternatives
+ * @param {string} pattern - The regular expression source, assumed valid
+ * @returns {string|null} - The offending group, or null if none was found
+ */
+function findAmbiguousRepetition(pattern) {
+  // Open groups, each with its start and whether it contains an unbounded
+  // quantifier or alternatives, directly or in a nested group
+  const groups = [{ start: 0, ambiguous: false }];
+  // The group just closed, which a following quantifier applies to
+  let closedGroup = null;
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    const quantifier = parseQuantifier(pattern, index);
+
+    if (quantifier) {
+      if (closedGroup && closedGroup.ambiguous && quantifier.repeats) {
+        return pattern.slice(closedGroup.start, index + quantifier.length);
+      }
+      if (quantifier.unbounded) {
+        groups[groups.length - 1].ambiguous = true;
+      }
+      closedGroup = null;
+      index += quantifier.length;
+      continue;
+    }
+
+    closedGroup = null;
+
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      // Skip the character class; quantifier characters in it are literal
+      index++;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '(') {
+      groups.push({ start: index, ambiguous: false });
+      index += 1 + groupPrefixLength(pattern, index + 1);
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      groups[groups.length - 1].ambiguous = groups[groups.length - 1].ambiguous || closedGroup.ambiguous;
+      index++;
+    } else if (char === '|') {
+      groups[groups.length - 1].ambiguous = true;
+      index++;
+    } else {
+      index++;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findAmbiguousRepetition
+};
@@ -0,0 +1,95 @@
+/**
+ * Minimal semantic version helpers
+ *
+ * Supports MAJOR.MINOR.PATCH with an optional leading "v" and an optional
+ * pre-release suffix, which is enough for comparing client app versions.
+ */
+
+const SEMVER_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a version string
+ * @param {string} version - Version string such as "1.4.2" or "v2.0.0-beta.1"
+ * @returns {Object|null} - Parsed version or null if invalid
+ */
+function parse(version) {
+  if (typeof version !== 'string') return null;
+
+  const match = version.trim().match(SEMVER_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Check whether a string is a valid version
+ * @param {string} version - Version string
+ * @returns {boolean} - True if the version can be parsed
+ */
+function isValid(version) {
+  return parse(version) !== null;
+}
+
+/**
+ * Compare pre-release identifiers following semver precedence rules
+ * @param {Array<string>} a - Pre-release identifiers
+ * @param {Array<string>} b - Pre-release identifiers
+ * @returns {number} - Negative, zero or positive
+ */
+function comparePrerelease(a, b) {
+  // A version without pre-release has higher precedence
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+
+    if (aNumeric && bNumeric) {
+      const diff = parseInt(a[i], 10) - parseInt(b[i], 10);
+      if (diff !== 0) return diff;
+    } else if (aNumeric !== bNumeric) {
+      return aNumeric ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative if a < b, zero if equal, positive if a > b
+ */
+function compare(a, b) {
+  const versionA = parse(a);
+  const versionB = parse(b);
+
+  if (!versionA || !versionB) {
+    throw new Error(`Invalid semantic version: ${!versionA ? a : b}`);
+  }
+
+  return (versionA.major - versionB.major) ||
+    (versionA.minor - versionB.minor) ||
+    (versionA.patch - versionB.patch) ||
+    comparePrerelease(versionA.prerelease, versionB.prerelease);
+}
+
+module.exports = {
+  SEMVER_PATTERN,
+  parse,
+  isValid,
+  compare
+};
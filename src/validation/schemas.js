@@ -6,58 +6,475 @@
  */
 
 const Joi = require('joi');
+const {
+  ATTRIBUTE_OPERATORS,
+  COMPOSITE_OPERATORS,
+  RULE_EFFECTS,
+  API_KEY_SCOPES,
+  ROLES,
+  AUDIT_ACTIONS,
+  SCHEDULED_CHANGE_STATUSES,
+  ROLLOUT_PLAN_STATUSES
+} = require('../models');
+const semver = require('../utils/semver');
+const { findAmbiguousRepetition } = require('../utils/regex');
+const cron = require('../utils/cron');
+const { JSON_PATCH_OPERATIONS } = require('../utils/jsonPatch');
+const config = require('../config');
 
 // Common validation patterns
 const idSchema = Joi.object({
   id: Joi.string().uuid().required()
 });
 const nameSchema = Joi.string().min(1).max(100).pattern(/^[a-zA-Z0-9_-]+$/).required();
+const nameParamSchema = Joi.object({
+  name: nameSchema
+});
+const projectParamSchema = Joi.object({
+  projectId: nameSchema
+});
+const ruleParamSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  ruleId: Joi.string().uuid().required()
+});
+const scheduledChangeParamSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  changeId: Joi.string().uuid().required()
+});
+const rolloutPlanParamSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  planId: Joi.string().uuid().required()
+});
+const versionParamSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  version: Joi.number().integer().min(1).required()
+});
 const descriptionSchema = Joi.string().max(500).allow('').optional();
+const tagSchema = Joi.string().min(1).max(50).pattern(/^[a-zA-Z0-9_:-]+$/);
+const variantKeySchema = Joi.string().min(1).max(100).pattern(/^[a-zA-Z0-9_.-]+$/);
+const ruleEffectSchema = Joi.string().valid(...Object.values(RULE_EFFECTS)).default(RULE_EFFECTS.ALLOW);
+const rulePrioritySchema = Joi.number().integer().min(-1000).max(1000).default(0);
+
+// Variant validation schemas
+const variantSchema = Joi.object({
+  key: variantKeySchema.required(),
+  value: Joi.alternatives().try(
+    Joi.string(),
+    Joi.number(),
+    Joi.boolean(),
+    Joi.object(),
+    Joi.array()
+  ).required(),
+  description: descriptionSchema
+});
+
+const variantsSchema = Joi.array().items(variantSchema).unique('key').max(20);
 
 // Rule validation schemas
 const tenantRuleSchema = Joi.object({
   type: Joi.string().valid('tenant').required(),
   tenantIds: Joi.array().items(Joi.string().min(1)).min(1).required(),
-  enabled: Joi.boolean().default(true)
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
 });
 
 const userRuleSchema = Joi.object({
   type: Joi.string().valid('user').required(),
   userIds: Joi.array().items(Joi.string().min(1)).min(1).required(),
-  enabled: Joi.boolean().default(true)
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
 });
 
 const percentageRuleSchema = Joi.object({
   type: Joi.string().valid('percentage').required(),
   percentage: Joi.number().min(0).max(100).required(),
-  enabled: Joi.boolean().default(true)
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
+});
+
+const attributeScalarSchema = Joi.alternatives().try(
+  Joi.string(),
+  Joi.number(),
+  Joi.boolean()
+);
+
+const semverValueSchema = Joi.string().custom((value, helpers) => {
+  if (!semver.isValid(value)) {
+    return helpers.message('"value" must be a valid semantic version');
+  }
+  return value;
 });
 
+const regexValueSchema = Joi.string().max(500).custom((value, helpers) => {
+  try {
+    new RegExp(value);
+  } catch (error) {
+    return helpers.message(`"value" must be a valid regular expression: ${error.message}`);
+  }
+
+  // Regex rules run on caller-supplied values, so patterns that can
+  // backtrack catastrophically are not accepted
+  const repetition = findAmbiguousRepetition(value);
+  if (repetition) {
+    return helpers.message(`"value" must not repeat a group with an unbounded quantifier or alternatives, as in '${repetition}'`);
+  }
+  return value;
+});
+
+const attributeRuleSchema = Joi.object({
+  type: Joi.string().valid('attribute').required(),
+  attribute: Joi.string().min(1).max(100).required(),
+  operator: Joi.string().valid(...Object.values(ATTRIBUTE_OPERATORS)).required(),
+  value: Joi.any().required().when('operator', {
+    switch: [
+      {
+        is: Joi.valid(ATTRIBUTE_OPERATORS.IN, ATTRIBUTE_OPERATORS.NOT_IN),
+        then: Joi.array().items(attributeScalarSchema).min(1)
+      },
+      {
+        is: Joi.valid(
+          ATTRIBUTE_OPERATORS.CONTAINS,
+          ATTRIBUTE_OPERATORS.STARTS_WITH,
+          ATTRIBUTE_OPERATORS.ENDS_WITH
+        ),
+        then: Joi.string().min(1)
+      },
+      {
+        is: ATTRIBUTE_OPERATORS.REGEX,
+        then: regexValueSchema
+      },
+      {
+        is: Joi.valid(
+          ATTRIBUTE_OPERATORS.GREATER_THAN,
+          ATTRIBUTE_OPERATORS.GREATER_THAN_OR_EQUAL,
+          ATTRIBUTE_OPERATORS.LESS_THAN,
+          ATTRIBUTE_OPERATORS.LESS_THAN_OR_EQUAL
+        ),
+        then: Joi.number()
+      },
+      {
+        is: Joi.valid(
+          ATTRIBUTE_OPERATORS.SEMVER_EQUALS,
+          ATTRIBUTE_OPERATORS.SEMVER_GREATER_THAN,
+          ATTRIBUTE_OPERATORS.SEMVER_LESS_THAN
+        ),
+        then: semverValueSchema
+      }
+    ],
+    otherwise: attributeScalarSchema
+  }),
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
+});
+
+const rolloutRuleSchema = Joi.object({
+  type: Joi.string().valid('rollout').required(),
+  distribution: Joi.array().items(Joi.object({
+    variant: variantKeySchema.required(),
+    weight: Joi.number().min(0).max(100).precision(2).required()
+  })).min(1).unique('variant').required().custom((value, helpers) => {
+    const total = value.reduce((sum, { weight }) => sum + weight, 0);
+    if (Math.abs(total - 100) > 0.001) {
+      return helpers.message(`"distribution" weights must add up to 100 (got ${total})`);
+    }
+    return value;
+  }),
+  bucketBy: Joi.string().min(1).max(100).default('userId'),
+  enabled: Joi.boolean().default(true),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
+});
+
+const segmentRuleSchema = Joi.object({
+  type: Joi.string().valid('segment').required(),
+  segmentId: Joi.string().uuid().required(),
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
+});
+
+const cronSchema = Joi.string().max(100).custom((value, helpers) => {
+  if (!cron.isValid(value)) {
+    return helpers.message('"cron" must be a cron expression with five fields');
+  }
+  return value;
+});
+
+// Times stay ISO strings so stored rules validate unchanged
+const scheduleRuleSchema = Joi.object({
+  type: Joi.string().valid('schedule').required(),
+  start: Joi.string().isoDate().optional(),
+  end: Joi.string().isoDate().optional(),
+  windows: Joi.array().items(Joi.object({
+    cron: cronSchema.required(),
+    // Up to a week, so weekly windows are possible
+    durationMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).required()
+  })).max(10).optional(),
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.optional(),
+  effect: ruleEffectSchema,
+  priority: rulePrioritySchema
+}).or('start', 'end', 'windows').custom((value, helpers) => (
+  value.start && value.end && new Date(value.end) <= new Date(value.start)
+    ? helpers.message('"end" must be after "start"')
+    : value
+));
+
+// Rules that can be nested inside a composite rule; only the top-level rule
+// picks a variant, an effect and a priority
+const nestedRuleKeys = {
+  variant: Joi.forbidden(),
+  effect: Joi.forbidden(),
+  priority: Joi.forbidden()
+};
+
+const nestableRuleSchemas = [
+  tenantRuleSchema,
+  userRuleSchema,
+  percentageRuleSchema,
+  attributeRuleSchema,
+  segmentRuleSchema,
+  scheduleRuleSchema
+].map(schema => schema.keys(nestedRuleKeys));
+
+/**
+ * Build the composite rule schema
+ * Composite rules nest recursively, up to `depth` levels of composites.
+ * @param {number} depth - Remaining nesting depth
+ * @returns {Joi.Schema} - Composite rule schema
+ */
+function buildCompositeRuleSchema(depth) {
+  const childSchemas = depth > 1
+    ? [...nestableRuleSchemas, buildCompositeRuleSchema(depth - 1).keys(nestedRuleKeys)]
+    : nestableRuleSchemas;
+
+  return Joi.object({
+    type: Joi.string().valid('composite').required(),
+    operator: Joi.string().valid(...Object.values(COMPOSITE_OPERATORS)).required(),
+    rules: Joi.array().items(Joi.alternatives().try(...childSchemas)).min(1).max(10).required()
+      .when('operator', { is: COMPOSITE_OPERATORS.NOT, then: Joi.array().length(1) }),
+    enabled: Joi.boolean().default(true),
+    variant: variantKeySchema.optional(),
+    effect: ruleEffectSchema,
+    priority: rulePrioritySchema
+  });
+}
+
+const compositeRuleSchema = buildCompositeRuleSchema(config.featureFlags.maxRuleDepth);
+
 const ruleSchema = Joi.alternatives().try(
   tenantRuleSchema,
   userRuleSchema,
-  percentageRuleSchema
+  percentageRuleSchema,
+  attributeRuleSchema,
+  rolloutRuleSchema,
+  compositeRuleSchema,
+  segmentRuleSchema,
+  scheduleRuleSchema
 );
 
+// Environments: per-environment overrides of a flag's enabled state and rules
+const environmentSchema = Joi.string().valid(...config.featureFlags.environments);
+
+// A flag's own rules, top-level or per environment
+const rulesSchema = Joi.array().items(ruleSchema).max(config.featureFlags.maxRulesPerFlag);
+
+const environmentConfigSchema = Joi.object({
+  enabled: Joi.boolean().optional(),
+  rules: rulesSchema.optional()
+});
+
+/**
+ * Build the schema of a flag's environments map
+ * Unknown environment names are rejected rather than stripped.
+ * @param {Joi.Schema} overrideSchema - Schema of one environment's overrides
+ * @returns {Joi.Schema} - Environments schema
+ */
+function buildEnvironmentsSchema(overrideSchema) {
+  return Joi.object()
+    .pattern(environmentSchema, overrideSchema)
+    .pattern(Joi.string(), Joi.any().forbidden());
+}
+
 // Feature flag validation schemas
+// Other flags of the project that must evaluate to a required value first;
+// requiring a variant implies requiring the flag to be on
+const prerequisiteSchema = Joi.object({
+  flagId: Joi.string().uuid().required(),
+  enabled: Joi.boolean().default(true),
+  variant: variantKeySchema.allow(null).when('enabled', {
+    is: false,
+    then: Joi.valid(null)
+  })
+});
+
+const prerequisitesSchema = Joi.array().items(prerequisiteSchema).unique('flagId').max(20);
+
 const createFeatureFlagSchema = Joi.object({
   name: nameSchema,
   description: descriptionSchema,
   enabled: Joi.boolean().default(false),
-  rules: Joi.array().items(ruleSchema).max(10).default([])
+  tags: Joi.array().items(tagSchema).unique().max(20).default([]),
+  rules: rulesSchema.default([]),
+  variants: variantsSchema.default([]),
+  defaultVariant: variantKeySchema.allow(null).optional(),
+  salt: Joi.string().min(1).max(100).optional(),
+  environments: buildEnvironmentsSchema(environmentConfigSchema).default({}),
+  prerequisites: prerequisitesSchema.default([])
 });
 
 const updateFeatureFlagSchema = Joi.object({
   name: nameSchema.optional(),
   description: descriptionSchema,
   enabled: Joi.boolean().optional(),
-  rules: Joi.array().items(ruleSchema).max(10).optional()
+  tags: Joi.array().items(tagSchema).unique().max(20).optional(),
+  rules: rulesSchema.optional(),
+  variants: variantsSchema.optional(),
+  defaultVariant: variantKeySchema.allow(null).optional(),
+  salt: Joi.string().min(1).max(100).optional(),
+  // Only the listed environments change; null removes an environment's overrides
+  environments: buildEnvironmentsSchema(environmentConfigSchema.allow(null)).optional(),
+  prerequisites: prerequisitesSchema.optional(),
+  // The version the update is based on, unless given as If-Match
+  version: Joi.number().integer().min(1).optional()
+}).min(1); // At least one field must be provided
+
+// The version a deletion is based on, unless given as If-Match
+const deleteFeatureFlagQuerySchema = Joi.object({
+  version: Joi.number().integer().min(1).optional()
+});
+
+// Partial updates: a JSON Patch operation list or a JSON Merge Patch object.
+// The patched flag is validated against updateFeatureFlagSchema.
+const jsonPatchSchema = Joi.array().items(Joi.object({
+  op: Joi.string().valid(...JSON_PATCH_OPERATIONS).required(),
+  path: Joi.string().allow('').required(),
+  value: Joi.any().when('op', {
+    is: Joi.valid('add', 'replace', 'test'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  from: Joi.string().allow('').when('op', {
+    is: Joi.valid('move', 'copy'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+})).min(1).max(100);
+
+const mergePatchSchema = Joi.object().unknown().min(1);
+
+const patchFeatureFlagSchema = Joi.alternatives().try(jsonPatchSchema, mergePatchSchema);
+
+// Updates applied at a later time; they can't name a version to be based on
+const scheduleChangeSchema = Joi.object({
+  runAt: Joi.date().iso().required(),
+  changes: updateFeatureFlagSchema.keys({ version: Joi.forbidden() }).required(),
+  description: descriptionSchema
+});
+
+// Rollout plans ramp one of the flag's percentage rules up through the steps
+const createRolloutPlanSchema = Joi.object({
+  ruleId: Joi.string().uuid().required(),
+  steps: Joi.array().items(Joi.number().min(0).max(100)).min(1).max(20).required()
+    .custom((value, helpers) => (
+      value.some((percentage, index) => index > 0 && percentage <= value[index - 1])
+        ? helpers.message('"steps" must be in ascending order')
+        : value
+    )),
+  // Up to 30 days between steps
+  intervalMinutes: Joi.number().integer().min(1).max(30 * 24 * 60).required()
+});
+
+const abortRolloutPlanSchema = Joi.object({
+  // Restore the rule's percentage from before the plan started
+  revert: Joi.boolean().default(true)
+});
+
+const reorderRulesSchema = Joi.object({
+  ruleIds: Joi.array().items(Joi.string().uuid()).unique().required()
+});
+
+const rollbackFeatureFlagSchema = Joi.object({
+  version: Joi.number().integer().min(1).required()
+});
+
+const promoteFeatureFlagSchema = Joi.object({
+  from: environmentSchema.required(),
+  to: environmentSchema.required(),
+  dryRun: Joi.boolean().default(false)
+}).custom((value, helpers) => (
+  value.from === value.to ? helpers.message('"to" must differ from "from"') : value
+));
+
+// Segment validation schemas
+const segmentConditionSchema = attributeRuleSchema.keys({
+  type: Joi.string().valid('attribute').default('attribute'),
+  ...nestedRuleKeys
+});
+
+const createSegmentSchema = Joi.object({
+  name: nameSchema,
+  description: descriptionSchema,
+  tenantIds: Joi.array().items(Joi.string().min(1)).unique().default([]),
+  userIds: Joi.array().items(Joi.string().min(1)).unique().default([]),
+  conditions: Joi.array().items(segmentConditionSchema).max(20).default([])
+});
+
+const updateSegmentSchema = Joi.object({
+  name: nameSchema.optional(),
+  description: descriptionSchema,
+  tenantIds: Joi.array().items(Joi.string().min(1)).unique().optional(),
+  userIds: Joi.array().items(Joi.string().min(1)).unique().optional(),
+  conditions: Joi.array().items(segmentConditionSchema).max(20).optional()
+}).min(1); // At least one field must be provided
+
+// API key validation schemas
+const createApiKeySchema = Joi.object({
+  name: nameSchema,
+  scope: Joi.string().valid(...Object.values(API_KEY_SCOPES)).required(),
+  // Binds an evaluation key to one environment
+  environment: environmentSchema.optional()
+    .when('scope', { is: API_KEY_SCOPES.EVALUATION, otherwise: Joi.forbidden() }),
+  // The key acts as this user, limited by the user's role
+  userId: Joi.string().uuid().optional()
+});
+
+// User validation schemas
+const roleSchema = Joi.string().valid(...Object.values(ROLES));
+
+// Flag-specific roles keyed by feature flag ID; other keys are rejected
+const flagRolesSchema = Joi.object()
+  .pattern(Joi.string().uuid(), roleSchema)
+  .pattern(Joi.string(), Joi.any().forbidden());
+
+const createUserSchema = Joi.object({
+  name: nameSchema,
+  email: Joi.string().email().optional(),
+  role: roleSchema.required(),
+  flagRoles: flagRolesSchema.default({})
+});
+
+const updateUserSchema = Joi.object({
+  name: nameSchema.optional(),
+  email: Joi.string().email().allow(null).optional(),
+  role: roleSchema.optional(),
+  flagRoles: flagRolesSchema.optional()
 }).min(1); // At least one field must be provided
 
 // Evaluation validation schemas
 const evaluationContextSchema = Joi.object({
   userId: Joi.string().min(1).required(),
   tenantId: Joi.string().min(1).required(),
+  environment: environmentSchema.optional(),
   additionalData: Joi.object().default({})
 });
 
@@ -65,13 +482,58 @@ const batchEvaluationSchema = Joi.object({
   contexts: Joi.array().items(evaluationContextSchema).min(1).max(100).required()
 });
 
+// Optional selection of the flags to evaluate in bulk, by name/ID or by tag
+const flagSelectionKeys = {
+  flags: Joi.array().items(Joi.string().min(1).max(100)).unique().min(1).max(100).optional(),
+  tags: Joi.array().items(tagSchema).unique().min(1).optional()
+};
+
+const bulkEvaluationSchema = Joi.alternatives().conditional(
+  Joi.object({ contexts: Joi.exist() }).unknown(),
+  {
+    then: batchEvaluationSchema.keys(flagSelectionKeys),
+    otherwise: evaluationContextSchema.keys(flagSelectionKeys)
+  }
+);
+
 // Query parameter schemas
-const listQuerySchema = Joi.object({
+const paginationQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
-  offset: Joi.number().integer().min(0).default(0),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const listQuerySchema = paginationQuerySchema.keys({
   search: Joi.string().max(100).allow('').optional()
 });
 
+const scheduledChangeQuerySchema = paginationQuerySchema.keys({
+  status: Joi.string().valid(...Object.values(SCHEDULED_CHANGE_STATUSES)).optional()
+});
+
+const rolloutPlanQuerySchema = paginationQuerySchema.keys({
+  status: Joi.string().valid(...Object.values(ROLLOUT_PLAN_STATUSES)).optional()
+});
+
+// Flags not evaluated in the last `days` days are cleanup candidates
+const cleanupReportQuerySchema = paginationQuerySchema.keys({
+  days: Joi.number().integer().min(1).max(3650).default(30)
+});
+
+// `explain=true` adds a trace of the prerequisites and rules considered
+const evaluationQuerySchema = Joi.object({
+  explain: Joi.boolean().default(false)
+});
+
+// Audit log filters; `actor` is the ID of the acting principal
+const auditQuerySchema = paginationQuerySchema.keys({
+  featureFlagId: Joi.string().uuid().optional(),
+  action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).optional(),
+  actor: Joi.string().min(1).max(100).optional(),
+  requestId: Joi.string().min(1).max(100).optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional()
+});
+
 // Error response schema
 const errorResponseSchema = Joi.object({
   error: Joi.string().required(),
@@ -104,13 +566,39 @@ module.exports = {
   // Feature flag schemas
   createFeatureFlagSchema,
   updateFeatureFlagSchema,
+  promoteFeatureFlagSchema,
+  rollbackFeatureFlagSchema,
+  deleteFeatureFlagQuerySchema,
+  patchFeatureFlagSchema,
+  reorderRulesSchema,
+  scheduleChangeSchema,
+  createRolloutPlanSchema,
+  abortRolloutPlanSchema,
+  
+  // Segment schemas
+  createSegmentSchema,
+  updateSegmentSchema,
+  
+  // API key schemas
+  createApiKeySchema,
+  
+  // User schemas
+  createUserSchema,
+  updateUserSchema,
   
   // Evaluation schemas
   evaluationContextSchema,
   batchEvaluationSchema,
+  bulkEvaluationSchema,
   
   // Query schemas
+  paginationQuerySchema,
   listQuerySchema,
+  auditQuerySchema,
+  scheduledChangeQuerySchema,
+  rolloutPlanQuerySchema,
+  evaluationQuerySchema,
+  cleanupReportQuerySchema,
   
   // Response schemas
   successResponseSchema,
@@ -120,6 +608,14 @@ module.exports = {
   // Common schemas
   idSchema,
   nameSchema,
+  nameParamSchema,
+  projectParamSchema,
+  ruleParamSchema,
+  versionParamSchema,
+  scheduledChangeParamSchema,
+  rolloutPlanParamSchema,
+  environmentSchema,
   descriptionSchema,
-  ruleSchema
+  ruleSchema,
+  variantSchema
 };